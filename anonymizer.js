@@ -0,0 +1,183 @@
+import { FileProcessor, MAX_FILE_SIZE, SUPPORTED_EXTENSIONS } from './fileProcessor.js';
+import { PseudonymScope } from './pseudonymVault.js';
+import { loadNERModel } from './nerModel.js';
+
+/**
+ * Programmatic API, for embedding the engine in other Node services:
+ *
+ *   import { createAnonymizer } from 'a5-pii-anonymizer';
+ *   const anonymizer = createAnonymizer({ replacementStrategies: { EMAIL: 'mask' } });
+ *   const { text, detections } = await anonymizer.anonymizeText('Mail jane@corp.com');
+ *   const { output } = await anonymizer.anonymize(fs.createReadStream('a.docx'), { format: 'docx' });
+ *
+ * Each anonymizer has its own pseudonym scope, so "FIRSTNAME_1" means the
+ * same person across all its calls and nothing is shared between instances
+ * (only the loaded model, which holds no state). Importing this module loads
+ * neither the model nor the ONNX runtime.
+ */
+
+export { SUPPORTED_EXTENSIONS, MAX_FILE_SIZE };
+export { PseudonymScope };
+export { REPLACEMENT_STRATEGIES } from './replacementStrategies.js';
+export { PATTERN_DETECTORS } from './patternDetectors.js';
+export { parseDictionaryText, parseDictionaryCsv } from './dictionaries.js';
+
+// Processing options an anonymizer is created with and a call may override
+const PROCESSING_OPTIONS = [
+  'detectors',
+  'propagate',
+  'replacementStrategies',
+  'entityPolicy',
+  'dictionaries',
+  'csvColumns',
+  'jsonFields',
+  'pdfRedactionStyle',
+];
+
+function pickProcessingOptions(options) {
+  const picked = {};
+  for (const name of PROCESSING_OPTIONS) {
+    if (options && options[name] !== undefined) picked[name] = options[name];
+  }
+  return picked;
+}
+
+/**
+ * '.docx', 'docx' or a file name such as 'report.docx' => '.docx'
+ */
+function toExtension(format, fileName) {
+  const value = String(format || fileName || '').toLowerCase();
+  const ext = value.includes('.') ? `.${value.split('.').pop()}` : `.${value}`;
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported format "${format || fileName || ''}": expected one of ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+  return ext;
+}
+
+/**
+ * Reads a string, Buffer, Uint8Array or readable stream into a Buffer,
+ * stopping at MAX_FILE_SIZE.
+ */
+async function readInput(input) {
+  if (typeof input === 'string') return Buffer.from(input, 'utf8');
+  if (input instanceof Uint8Array) return Buffer.isBuffer(input) ? input : Buffer.from(input);
+  if (input && typeof input[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of input) {
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : Buffer.from(chunk);
+      size += buffer.length;
+      if (size > MAX_FILE_SIZE) {
+        if (typeof input.destroy === 'function') input.destroy();
+        throw new Error(`Input too large (max: ${MAX_FILE_SIZE} bytes)`);
+      }
+      chunks.push(buffer);
+    }
+    return Buffer.concat(chunks);
+  }
+  throw new TypeError('Input must be a string, a Buffer or a readable stream');
+}
+
+/**
+ * Detections as returned to callers. Offsets are only meaningful for plain
+ * text; in documents they point into internal text parts and are left out.
+ */
+function toDetections(spans, withOffsets) {
+  return spans.map((span) => ({
+    ...(withOffsets ? { start: span.start, end: span.end } : {}),
+    text: span.text,
+    type: span.type,
+    score: typeof span.score === 'number' ? span.score : 1,
+    source: span.source,
+    replacement: span.replacement,
+  }));
+}
+
+function callOptions(anonymizer, overrides) {
+  return {
+    ...anonymizer.options,
+    ...pickProcessingOptions(overrides),
+    model: anonymizer.model,
+    pseudonyms: anonymizer.pseudonyms,
+    logger: anonymizer.logger,
+  };
+}
+
+export class Anonymizer {
+  /**
+   * options.model: { modelPath, modelName, allowRemoteModels } (see nerModel.js)
+   * options.pseudonyms: a PseudonymScope to share with other anonymizers, or
+   * the saved state of one (from exportPseudonyms()) to continue from.
+   * options.logger: receives progress messages instead of the console (an
+   * object with log, warn and error methods).
+   * Other options are those of FileProcessor.processFile:
+   * detectors, propagate, replacementStrategies, entityPolicy, dictionaries,
+   * csvColumns, jsonFields and pdfRedactionStyle.
+   */
+  constructor(options = {}) {
+    this.model = options.model ? { ...options.model } : {};
+    this.options = pickProcessingOptions(options);
+    this.pseudonyms = options.pseudonyms instanceof PseudonymScope
+      ? options.pseudonyms
+      : new PseudonymScope(options.pseudonyms);
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Loads the model ahead of the first call.
+   */
+  async loadModel() {
+    await loadNERModel(this.model, this.logger);
+  }
+
+  /**
+   * Anonymizes plain text. Resolves to { text, detections, review,
+   * entityCounts }; detections carry offsets into the input text.
+   */
+  async anonymizeText(text, overrides = {}) {
+    if (typeof text !== 'string') {
+      throw new TypeError('Text must be a string');
+    }
+    const result = await FileProcessor.anonymizeText(text, callOptions(this, overrides));
+    return {
+      text: result.text,
+      detections: toDetections(result.detections, true),
+      review: result.review,
+      entityCounts: result.entityCounts,
+    };
+  }
+
+  /**
+   * Anonymizes a document given as a string, Buffer or readable stream.
+   * overrides.format ('docx', '.pdf', ...) or overrides.fileName gives its
+   * type. Resolves to { output, format, detections, review, entityCounts },
+   * where output is a string for txt / csv and a Buffer otherwise, in the
+   * same form the desktop app writes.
+   */
+  async anonymize(input, overrides = {}) {
+    const ext = toExtension(overrides.format, overrides.fileName);
+    const content = await readInput(input);
+    const result = await FileProcessor.anonymizeContent(content, ext, callOptions(this, overrides));
+    return {
+      output: result.output,
+      format: result.extension.slice(1),
+      detections: toDetections(result.detections, false),
+      review: result.review,
+      entityCounts: result.entityCounts,
+    };
+  }
+
+  /**
+   * The pseudonym state (counters, entity => replacement mapping, hash key),
+   * to persist and pass back as options.pseudonyms later. It holds the
+   * original values, so store it as securely as the documents themselves.
+   */
+  exportPseudonyms() {
+    const { counters, mapping, hashKey } = this.pseudonyms.toJSON();
+    return { counters: { ...counters }, mapping: { ...mapping }, hashKey };
+  }
+}
+
+export function createAnonymizer(options = {}) {
+  return new Anonymizer(options);
+}
@@ -0,0 +1,320 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { FileProcessor, MAX_FILE_SIZE } from './fileProcessor.js';
+import { PseudonymScope, ProjectVault } from './pseudonymVault.js';
+import { validateProcessingOptions } from './processingOptions.js';
+import { buildAuditReport, generateAuditSalt } from './auditReport.js';
+
+/**
+ * Local HTTP API over FileProcessor, for other tools on the same machine.
+ * It only listens on the loopback interface and every request must carry the
+ * token generated at startup ("Authorization: Bearer <token>").
+ *
+ *   POST /v1/anonymize/text    JSON { text, options } => JSON { text, reportId, ... }
+ *   POST /v1/anonymize/file    raw file body, ?name=<file name>, options as
+ *                              JSON in the X-Anonymizer-Options header
+ *                              => the anonymized file, report id in X-Report-Id
+ *   GET  /v1/reports/<id>      audit report of an earlier request (see
+ *                              auditReport.js; originals are salted hashes)
+ *   GET  /v1/health            liveness check (no token needed)
+ *
+ * Options are those of the desktop app (see processingOptions.js), except
+ * key files and audit report files, which the API does not return.
+ */
+
+export const API_HOST = '127.0.0.1';
+export const DEFAULT_API_PORT = 8765;
+
+// Reports are kept in memory: the most recent ones only, for an hour
+const MAX_REPORTS = 200;
+const REPORT_TTL_MS = 60 * 60 * 1000;
+
+// JSON requests (options, text) and the options header are far smaller than files
+const MAX_OPTIONS_HEADER_LENGTH = 8 * 1024;
+
+const CONTENT_TYPES = {
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jsonl': 'application/x-ndjson; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.markdown': 'text/markdown; charset=utf-8',
+  '.eml': 'message/rfc822',
+  '.mbox': 'application/mbox',
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function generateApiToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Security: Compare digests so the check takes the same time for any token
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Security: Reject other host names, so a web page cannot reach the API
+// through DNS rebinding
+function hostAllowed(hostHeader, port) {
+  return [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`].includes(String(hostHeader).toLowerCase());
+}
+
+/**
+ * Reads a request body, failing with 413 once it passes `limit` bytes.
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      reject(new HttpError(413, `Request too large (max: ${limit} bytes)`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, `Request too large (max: ${limit} bytes)`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, `${what} is not valid JSON`);
+  }
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+  res.end(json);
+}
+
+/**
+ * Upload names become temporary file names: keep the extension, drop the rest
+ * of anything that is not a plain file name.
+ */
+function safeFileName(name) {
+  const base = path.basename(String(name || '')).replace(/[^\w .()-]/g, '_').slice(-128);
+  if (!base || !path.extname(base)) {
+    throw new HttpError(400, 'A file name with an extension is required (?name=<file name>)');
+  }
+  return base;
+}
+
+/**
+ * Creates the API server; call listen(port, API_HOST) on it.
+ * options.token: required bearer token.
+ * options.projectsDir: where project vaults live, for pseudonymScope 'project'.
+ * options.log: receives one line per request (no document content).
+ * options.logger: receives the anonymizer's messages and errors (an object
+ * with console's log, warn and error methods; the console by default).
+ */
+export function createApiServer({ token, projectsDir, log = () => {}, logger = console }) {
+  if (typeof token !== 'string' || token.length < 32) {
+    throw new Error('API token must be at least 32 characters');
+  }
+
+  const reports = new Map();
+  // Hashed originals can be compared across the reports of one server run
+  const auditSalt = generateAuditSalt();
+  const openProjects = new Map();
+  let currentBatch = null;
+  // One document at a time: the model and large files are memory-heavy
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const createReport = (input, output, result, startedAt) => ({
+    id: crypto.randomUUID(),
+    ...buildAuditReport({
+      input,
+      output,
+      detections: result.detections,
+      review: result.review,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+    }, { originals: 'hash', salt: auditSalt }),
+  });
+
+  const storeReport = (report) => {
+    const now = Date.now();
+    for (const [id, stored] of reports) {
+      if (reports.size < MAX_REPORTS && now - stored.storedAt < REPORT_TTL_MS) break;
+      reports.delete(id);
+    }
+    reports.set(report.id, { report, storedAt: now });
+  };
+
+  const validateOptions = (options) => {
+    let validated;
+    try {
+      validated = validateProcessingOptions(options, { strict: true });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    delete validated.keyPassword;
+    delete validated.audit;
+    return validated;
+  };
+
+  // Same scopes as the desktop app: per request, per batchId, or a project
+  const resolvePseudonymScope = (options) => {
+    if (options.pseudonymScope === 'project') {
+      if (!projectsDir) throw new HttpError(400, 'Project scopes are not enabled on this server');
+      if (!openProjects.has(options.projectName)) {
+        openProjects.set(options.projectName, ProjectVault.load(projectsDir, options.projectName));
+      }
+      return openProjects.get(options.projectName);
+    }
+    if (options.pseudonymScope === 'batch' && options.batchId) {
+      if (!currentBatch || currentBatch.id !== options.batchId) {
+        currentBatch = { id: options.batchId, scope: new PseudonymScope() };
+      }
+      return currentBatch.scope;
+    }
+    return null;
+  };
+
+  const anonymizeTextRequest = async (req, res) => {
+    const body = parseJson((await readBody(req, MAX_FILE_SIZE)).toString('utf8'), 'Request body');
+    if (!body || typeof body.text !== 'string') {
+      throw new HttpError(400, 'Expected a JSON body with a "text" string');
+    }
+    const options = validateOptions(body.options);
+    const { report, text } = await enqueue(async () => {
+      const startedAt = new Date().toISOString();
+      const pseudonyms = resolvePseudonymScope(options);
+      const result = await FileProcessor.anonymizeText(body.text, { ...options, pseudonyms, logger });
+      if (pseudonyms instanceof ProjectVault) pseudonyms.save();
+      return { report: createReport({ characters: body.text.length }, null, result, startedAt), text: result.text };
+    });
+    storeReport(report);
+    sendJson(res, 200, { text, reportId: report.id, entityCounts: report.summary.entityCounts, review: report.summary.review });
+  };
+
+  const anonymizeFileRequest = async (req, res, url) => {
+    const fileName = safeFileName(url.searchParams.get('name'));
+    if (!FileProcessor.validateFileType(fileName)) {
+      throw new HttpError(415, `Unsupported file type "${path.extname(fileName)}"`);
+    }
+    const header = req.headers['x-anonymizer-options'];
+    if (header && header.length > MAX_OPTIONS_HEADER_LENGTH) {
+      throw new HttpError(431, 'X-Anonymizer-Options header too large');
+    }
+    const options = validateOptions(header ? parseJson(header, 'X-Anonymizer-Options') : {});
+    const content = await readBody(req, MAX_FILE_SIZE);
+
+    const { report, output, outputName } = await enqueue(async () => {
+      const startedAt = new Date().toISOString();
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a5-api-'));
+      try {
+        const inputPath = path.join(tempDir, fileName);
+        const outputName = FileProcessor.generateOutputFileName(fileName);
+        const outputPath = path.join(tempDir, outputName);
+        fs.writeFileSync(inputPath, content, { mode: 0o600 });
+
+        const pseudonyms = resolvePseudonymScope(options);
+        let result;
+        try {
+          result = await FileProcessor.processFile(inputPath, outputPath, { ...options, pseudonyms, logger });
+        } catch (error) {
+          throw new HttpError(422, error.message);
+        }
+        if (pseudonyms instanceof ProjectVault) pseudonyms.save();
+
+        const report = createReport({ name: fileName, bytes: content.length }, { name: outputName }, result, startedAt);
+        return { report, output: fs.readFileSync(outputPath), outputName };
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    storeReport(report);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(outputName).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': output.length,
+      'Content-Disposition': `attachment; filename="${outputName.replace(/"/g, '')}"`,
+      'X-Report-Id': report.id,
+    });
+    res.end(output);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    let url;
+    try {
+      try {
+        url = new URL(req.url, `http://${API_HOST}`);
+      } catch {
+        throw new HttpError(400, 'Invalid request URL');
+      }
+      if (!hostAllowed(req.headers.host, server.address().port)) {
+        throw new HttpError(403, 'Forbidden host');
+      }
+      if (req.method === 'GET' && url.pathname === '/v1/health') {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+      if (!tokenMatches(req.headers.authorization, token)) {
+        throw new HttpError(401, 'Missing or invalid API token');
+      }
+
+      const reportMatch = /^\/v1\/reports\/([\w-]{1,64})$/.exec(url.pathname);
+      if (req.method === 'POST' && url.pathname === '/v1/anonymize/text') {
+        await anonymizeTextRequest(req, res);
+      } else if (req.method === 'POST' && url.pathname === '/v1/anonymize/file') {
+        await anonymizeFileRequest(req, res, url);
+      } else if (req.method === 'GET' && reportMatch) {
+        const stored = reports.get(reportMatch[1]);
+        if (!stored || Date.now() - stored.storedAt >= REPORT_TTL_MS) {
+          throw new HttpError(404, 'Report not found');
+        }
+        sendJson(res, 200, stored.report);
+      } else {
+        throw new HttpError(404, 'Not found');
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) logger.error('Error in API request:', error);
+      if (!res.headersSent) {
+        res.setHeader('Connection', 'close');
+        sendJson(res, status, { error: status === 500 ? 'Internal error' : error.message });
+      }
+    } finally {
+      log(`${req.method} ${url ? url.pathname : '-'} ${res.statusCode} ${Date.now() - started}ms`);
+    }
+  });
+  return server;
+}
@@ -0,0 +1,280 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { escapeXml as escapeHtml } from './xmlEntities.js';
+
+/**
+ * Audit reports: a record of what was found in each file, for compliance.
+ * Every detection is listed with its entity type, location, confidence,
+ * detector source and the replacement applied. Original values are never
+ * written: they are either omitted or replaced by a salted hash
+ * (HMAC-SHA256), so the same value can be matched across the files of a
+ * batch sharing a salt without being readable. The salt is not stored.
+ *
+ * Reports are written next to the output as <output>.audit.json / .html;
+ * a batch summary lists the files and totals of a run.
+ */
+
+export const AUDIT_FORMATS = ['json', 'html'];
+export const AUDIT_ORIGINALS = ['hash', 'omit'];
+export const AUDIT_REPORT_VERSION = 1;
+
+// Hex characters kept from the salted hash of an original value
+const AUDIT_HASH_LENGTH = 16;
+
+export function generateAuditSalt() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function hashOriginal(value, salt) {
+  return crypto.createHmac('sha256', salt).update(String(value)).digest('hex').slice(0, AUDIT_HASH_LENGTH);
+}
+
+/**
+ * Readable location: "word/document.xml, paragraph 4", "sheet 2, B7", "page 3".
+ */
+export function formatLocation(location) {
+  if (!location) return '';
+  const parts = [];
+  if (location.message !== undefined) parts.push(`message ${location.message}`);
+  if (location.attachment) parts.push(`attachment ${location.attachment}`);
+  if (location.part) parts.push(location.part);
+  if (location.page !== undefined) parts.push(`page ${location.page}`);
+  if (location.sheet !== undefined) parts.push(`sheet ${location.sheet}`);
+  if (location.cell) parts.push(location.cell);
+  if (location.row !== undefined) parts.push(`row ${location.row}`);
+  if (location.column !== undefined) parts.push(`column ${location.column}`);
+  if (location.paragraph !== undefined) parts.push(`paragraph ${location.paragraph}`);
+  if (location.line !== undefined) parts.push(`line ${location.line}`);
+  if (location.field) parts.push(location.field);
+  if (location.attribute) parts.push(`${location.attribute} attribute`);
+  if (location.header) parts.push(`${location.header} header`);
+  return parts.join(', ');
+}
+
+function countBy(items, key, weight = () => 1) {
+  const counts = {};
+  for (const item of items) {
+    counts[item[key]] = (counts[item[key]] || 0) + weight(item);
+  }
+  return counts;
+}
+
+/**
+ * Builds the report of one file from FileProcessor's detections and review
+ * items. options.originals: 'hash' (default) or 'omit'; options.salt is
+ * required for 'hash'.
+ */
+export function buildAuditReport({ input, output, detections, review = [], startedAt, finishedAt }, options = {}) {
+  const originals = AUDIT_ORIGINALS.includes(options.originals) ? options.originals : 'hash';
+  if (originals === 'hash' && !options.salt) {
+    throw new Error('Audit report hashing needs a salt');
+  }
+  const original = (value) => (originals === 'hash' ? { originalHash: hashOriginal(value, options.salt) } : {});
+
+  return {
+    reportVersion: AUDIT_REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    startedAt: startedAt || null,
+    finishedAt: finishedAt || null,
+    input,
+    output,
+    originals,
+    summary: {
+      detections: detections.length,
+      review: review.length,
+      entityCounts: countBy(detections, 'type'),
+      sources: countBy(detections, 'source'),
+    },
+    detections: detections.map((span) => ({
+      type: span.type,
+      location: span.location || null,
+      locationText: formatLocation(span.location),
+      score: typeof span.score === 'number' ? Math.round(span.score * 1000) / 1000 : 1,
+      source: span.source,
+      replacement: span.replacement,
+      ...original(span.canonical || span.text),
+    })),
+    review: review.map((item) => ({
+      type: item.type,
+      score: Math.round(item.score * 1000) / 1000,
+      source: item.source,
+      count: item.count,
+      ...original(item.text),
+    })),
+  };
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 24px; }
+  table { border-collapse: collapse; margin-top: 8px; font-size: 13px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f0f0f0; }
+  .meta { color: #555; font-size: 13px; }
+  code { font-size: 12px; }
+`;
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function htmlTable(headings, rows) {
+  if (rows.length === 0) return '<p class="meta">None.</p>';
+  const head = headings.map((heading) => `<th>${escapeHtml(heading)}</th>`).join('');
+  const body = rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function countsTable(counts, heading) {
+  const rows = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => [escapeHtml(name), String(count)]);
+  return htmlTable([heading, 'Count'], rows);
+}
+
+export function renderAuditReportHtml(report) {
+  const hashed = report.originals === 'hash';
+  const detectionRows = report.detections.map((d) => [
+    escapeHtml(d.locationText),
+    escapeHtml(d.type),
+    d.score.toFixed(2),
+    escapeHtml(d.source),
+    d.replacement ? `<code>${escapeHtml(d.replacement)}</code>` : '<em>removed</em>',
+    ...(hashed ? [`<code>${escapeHtml(d.originalHash)}</code>`] : []),
+  ]);
+  const reviewRows = report.review.map((item) => [
+    escapeHtml(item.type),
+    item.score.toFixed(2),
+    escapeHtml(item.source),
+    String(item.count),
+    ...(hashed ? [`<code>${escapeHtml(item.originalHash)}</code>`] : []),
+  ]);
+  const originalHeading = hashed ? ['Original (salted hash)'] : [];
+
+  return htmlPage(`Audit report: ${report.input.name}`, `
+<h1>Audit report: ${escapeHtml(report.input.name)}</h1>
+<p class="meta">Output: ${escapeHtml(report.output ? report.output.name : '')}<br>
+Processed: ${escapeHtml(report.startedAt || '')} to ${escapeHtml(report.finishedAt || '')}<br>
+Original values: ${hashed ? 'salted hashes only' : 'omitted'}</p>
+<h2>Summary</h2>
+<p>${report.summary.detections} detection(s) replaced, ${report.summary.review} left unchanged for review.</p>
+${countsTable(report.summary.entityCounts, 'Entity type')}
+<h2>Detections</h2>
+${htmlTable(['Location', 'Entity type', 'Confidence', 'Source', 'Replacement', ...originalHeading], detectionRows)}
+<h2>Left unchanged for review</h2>
+${htmlTable(['Entity type', 'Confidence', 'Source', 'Occurrences', ...originalHeading], reviewRows)}
+`);
+}
+
+/**
+ * Writes a report next to `outputPath` in the given formats.
+ * Returns { json, html } with the paths written.
+ */
+export function writeAuditReport(report, outputPath, formats = AUDIT_FORMATS) {
+  const paths = {};
+  if (formats.includes('json')) {
+    paths.json = `${outputPath}.audit.json`;
+    fs.writeFileSync(paths.json, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  }
+  if (formats.includes('html')) {
+    paths.html = `${outputPath}.audit.html`;
+    fs.writeFileSync(paths.html, renderAuditReportHtml(report), 'utf8');
+  }
+  return paths;
+}
+
+/**
+ * Summary of a batch from its file entries:
+ * [{ input, output, status, error, entityCounts, review, auditPaths }],
+ * where review is a count.
+ */
+export function buildBatchSummary(entries, { batchId = null, startedAt = null } = {}) {
+  const files = entries.map((entry) => ({
+    input: entry.input,
+    output: entry.output || null,
+    status: entry.status,
+    error: entry.error || null,
+    detections: entry.entityCounts ? Object.values(entry.entityCounts).reduce((sum, n) => sum + n, 0) : 0,
+    review: entry.review || 0,
+    entityCounts: entry.entityCounts || {},
+    report: entry.auditPaths || null,
+  }));
+  const entityCounts = {};
+  for (const file of files) {
+    for (const [type, count] of Object.entries(file.entityCounts)) {
+      entityCounts[type] = (entityCounts[type] || 0) + count;
+    }
+  }
+  return {
+    reportVersion: AUDIT_REPORT_VERSION,
+    batchId,
+    startedAt,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      files: files.length,
+      succeeded: files.filter((file) => file.status === 'ok').length,
+      failed: files.filter((file) => file.status !== 'ok').length,
+      detections: files.reduce((sum, file) => sum + file.detections, 0),
+      review: files.reduce((sum, file) => sum + file.review, 0),
+      entityCounts,
+    },
+    files,
+  };
+}
+
+export function renderBatchSummaryHtml(summary, summaryDir) {
+  const rows = summary.files.map((file) => {
+    const link = file.report && file.report.html
+      ? `<a href="${escapeHtml(path.relative(summaryDir, file.report.html).split(path.sep).join('/'))}">report</a>`
+      : '';
+    return [
+      escapeHtml(path.basename(file.input)),
+      file.status === 'ok' ? 'anonymized' : `failed: ${escapeHtml(file.error || '')}`,
+      String(file.detections),
+      String(file.review),
+      escapeHtml(Object.entries(file.entityCounts).map(([type, count]) => `${type} ${count}`).join(', ')),
+      link,
+    ];
+  });
+  const { totals } = summary;
+  return htmlPage('Audit summary', `
+<h1>Audit summary</h1>
+<p class="meta">Generated: ${escapeHtml(summary.generatedAt)}${summary.batchId ? `<br>Batch: ${escapeHtml(summary.batchId)}` : ''}</p>
+<p>${totals.succeeded} of ${totals.files} file(s) anonymized, ${totals.failed} failed;
+${totals.detections} detection(s) replaced, ${totals.review} left unchanged for review.</p>
+${countsTable(totals.entityCounts, 'Entity type')}
+<h2>Files</h2>
+${htmlTable(['File', 'Status', 'Detections', 'Review', 'Entity types', 'Report'], rows)}
+`);
+}
+
+/**
+ * Writes the batch summary into `dir` as audit-summary-<time>.json / .html.
+ * Returns { json, html } with the paths written.
+ */
+export function writeBatchSummary(summary, dir, formats = AUDIT_FORMATS) {
+  const stamp = summary.generatedAt.replace(/[:.]/g, '-');
+  const paths = {};
+  if (formats.includes('json')) {
+    paths.json = path.join(dir, `audit-summary-${stamp}.json`);
+    fs.writeFileSync(paths.json, `${JSON.stringify(summary, null, 2)}\n`, 'utf8');
+  }
+  if (formats.includes('html')) {
+    paths.html = path.join(dir, `audit-summary-${stamp}.html`);
+    fs.writeFileSync(paths.html, renderBatchSummaryHtml(summary, dir), 'utf8');
+  }
+  return paths;
+}
@@ -0,0 +1,663 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { format, parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+import { FileProcessor, SUPPORTED_EXTENSIONS } from './fileProcessor.js';
+import { PseudonymScope, ProjectVault } from './pseudonymVault.js';
+import { PATTERN_DETECTORS } from './patternDetectors.js';
+import { PDF_REDACTION_STYLES } from './pdfRedactor.js';
+import { CSV_COLUMN_POLICIES } from './csvAnonymizer.js';
+import { JSON_FIELD_POLICIES, parseJsonSelector } from './jsonAnonymizer.js';
+import { REPLACEMENT_STRATEGIES } from './replacementStrategies.js';
+import { parseDictionaryFile } from './dictionaries.js';
+import { validateKeyPassword } from './mappingKeyFile.js';
+import { expandInputs } from './fileScanner.js';
+import { ENTITY_TYPE_PATTERN } from './processingOptions.js';
+import { AUDIT_FORMATS, AUDIT_ORIGINALS, generateAuditSalt, buildBatchSummary, writeBatchSummary } from './auditReport.js';
+import { API_HOST, DEFAULT_API_PORT, createApiServer, generateApiToken } from './apiServer.js';
+import { FolderWatcher, QUARANTINE_REVIEW, DEFAULT_SETTLE_MS, DEFAULT_POLL_MS } from './folderWatcher.js';
+
+/**
+ * a5-anon: anonymizes files without the Electron window, for scripts and
+ * scheduled jobs. Progress goes to stderr; --json prints a summary to stdout
+ * and --report writes it to a file. The summary never contains original
+ * values, only counts per entity type. "a5-anon serve" runs the local HTTP
+ * API instead (see apiServer.js), "a5-anon watch" anonymizes files dropped
+ * into a folder (see folderWatcher.js).
+ */
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NO_INPUT = 3;
+
+const PSEUDONYM_SCOPES = ['file', 'batch', 'project'];
+
+const USAGE = `Usage: a5-anon [options] <file|directory|glob>...
+       a5-anon serve [options]     (see a5-anon serve --help)
+       a5-anon watch [options] <folder>  (see a5-anon watch --help)
+
+Anonymizes ${SUPPORTED_EXTENSIONS.join(', ')} files. Directories are searched
+recursively; quote globs ("cases/**/*.docx") so the shell leaves them alone.
+
+Output:
+  -o, --output <dir>            write results here, mirroring input directories
+                                (default: next to each input)
+      --json                    print a JSON summary to stdout
+      --report <file>           write the JSON summary to a file
+      --audit <formats>         write an audit report next to each output and a
+                                batch summary in the output directory, or else the
+                                first input's directory (${AUDIT_FORMATS.join(', ')}; comma-separated)
+      --audit-originals <mode>  original values in audit reports: ${AUDIT_ORIGINALS.join(', ')}
+                                (default: hash)
+  -q, --quiet                   no progress lines on stderr
+  -v, --verbose                 also log processing details to stderr
+
+Replacement:
+      --strategy <s>            default strategy: ${REPLACEMENT_STRATEGIES.join(', ')}
+      --type-strategy TYPE=<s>  strategy for one entity type (repeatable)
+      --pdf-style <style>       PDF redactions: ${PDF_REDACTION_STYLES.join(', ')}
+      --csv-column <col>=<p>    CSV column policy by header or #<n>: ${CSV_COLUMN_POLICIES.join(', ')}
+      --json-field <sel>=<p>    JSON/JSONL field policy by selector ($.user.email, $..phone):
+                                ${JSON_FIELD_POLICIES.join(', ')} (repeatable)
+
+Entity types:
+      --disable-type TYPE       leave an entity type unchanged (repeatable)
+      --min-score <n>           minimum confidence (0-1) to replace a detection
+      --review-score <n>        lower bound for detections listed for review
+      --type-min-score TYPE=<n> minimum confidence for one type (repeatable)
+      --disable-detector <name> turn off a pattern detector (repeatable):
+                                ${Object.keys(PATTERN_DETECTORS).join(', ')}
+      --propagate               also replace other occurrences of detected values
+      --deny <file>             always redact the terms in this list (repeatable)
+      --allow <file>            never redact the terms in this list (repeatable)
+      --match-case              dictionary terms are case-sensitive
+      --whole-word              dictionary terms only match whole words
+
+Pseudonyms:
+      --scope <scope>           ${PSEUDONYM_SCOPES.join(', ')} (default: batch)
+      --project <name>          project vault for --scope project
+      --project-dir <dir>       where project vaults live (default: the app's)
+      --key-password-env <VAR>  write encrypted key files, with the password
+                                read from this environment variable
+
+  -h, --help                    show this help
+      --version                 show the version
+
+Exit codes: 0 all files anonymized, 1 some files failed, 2 usage error,
+3 no input files found.`;
+
+const SERVE_USAGE = `Usage: a5-anon serve [options]
+
+Serves the anonymizer on http://${API_HOST}:<port> for tools on this machine.
+A new access token is generated at each start and written to the token file
+(readable by your user only); send it as "Authorization: Bearer <token>".
+
+  POST /v1/anonymize/text   JSON { "text": "...", "options": {...} }
+  POST /v1/anonymize/file   file as the body, ?name=<file name>, options as
+                            JSON in the X-Anonymizer-Options header
+  GET  /v1/reports/<id>     detection report (id from the responses above)
+
+  -p, --port <n>                port to listen on (default: ${DEFAULT_API_PORT})
+      --token-file <file>       where to write the token (default: api-token in
+                                the app's data folder)
+      --project-dir <dir>       where project vaults live (default: the app's)
+  -v, --verbose                 also log processing details to stderr
+  -h, --help                    show this help`;
+
+const WATCH_USAGE = `Usage: a5-anon watch [options] <folder>
+
+Anonymizes supported files dropped into <folder> (its top level) once they
+have stopped changing, then moves each original out of the folder.
+
+  -o, --output <dir>            where results go (default: <folder>/anonymized)
+      --archive <dir>           originals once anonymized (default: <folder>/archive)
+      --quarantine <dir>        results and originals matching --quarantine-on
+                                instead (default: <folder>/quarantine)
+      --quarantine-on <rules>   comma-separated: ${QUARANTINE_REVIEW} (detections left for
+                                review) and/or entity types, e.g. ${QUARANTINE_REVIEW},SSN
+      --errors <dir>            originals that failed, each with a .error.json
+                                sidecar saying why (default: <folder>/errors)
+      --settle <ms>             how long a file must stay unchanged before it is
+                                picked up (default: ${DEFAULT_SETTLE_MS})
+      --poll <ms>               how often the folder is checked (default: ${DEFAULT_POLL_MS})
+
+Replacement, entity type, pseudonym, key file and audit options are those of
+a5-anon (see a5-anon --help). Pseudonyms are shared by every file of a run
+with --scope batch. Stop with Ctrl+C; the file in progress is finished first.`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  json: { type: 'boolean' },
+  report: { type: 'string' },
+  audit: { type: 'string' },
+  'audit-originals': { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  strategy: { type: 'string' },
+  'type-strategy': { type: 'string', multiple: true },
+  'pdf-style': { type: 'string' },
+  'csv-column': { type: 'string', multiple: true },
+  'json-field': { type: 'string', multiple: true },
+  'disable-type': { type: 'string', multiple: true },
+  'min-score': { type: 'string' },
+  'review-score': { type: 'string' },
+  'type-min-score': { type: 'string', multiple: true },
+  'disable-detector': { type: 'string', multiple: true },
+  propagate: { type: 'boolean' },
+  deny: { type: 'string', multiple: true },
+  allow: { type: 'string', multiple: true },
+  'match-case': { type: 'boolean' },
+  'whole-word': { type: 'boolean' },
+  scope: { type: 'string' },
+  project: { type: 'string' },
+  'project-dir': { type: 'string' },
+  'key-password-env': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean' },
+};
+
+/**
+ * Same location as the desktop app's userData, so both share project vaults.
+ */
+function appDataDir() {
+  const home = os.homedir();
+  let base;
+  if (process.platform === 'win32') {
+    base = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    base = path.join(home, 'Library', 'Application Support');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return path.join(base, 'a5-pii-anonymizer');
+}
+
+function parseScore(value, flag) {
+  const score = Number(value);
+  if (value === '' || !Number.isFinite(score) || score < 0 || score > 1) {
+    throw new UsageError(`${flag} must be a number between 0 and 1`);
+  }
+  return score;
+}
+
+function parseEntityType(value, flag) {
+  const type = String(value).trim().toUpperCase();
+  if (!ENTITY_TYPE_PATTERN.test(type)) {
+    throw new UsageError(`${flag}: invalid entity type "${value}"`);
+  }
+  return type;
+}
+
+/**
+ * Splits "KEY=value" arguments of a repeatable option.
+ */
+function parsePairs(values, flag) {
+  return (values || []).map((pair) => {
+    const separator = pair.lastIndexOf('=');
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new UsageError(`${flag} expects KEY=value, got "${pair}"`);
+    }
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  });
+}
+
+function readDictionary(files, values) {
+  if (!files || files.length === 0) return undefined;
+  const terms = [];
+  for (const file of files) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new UsageError(`Cannot read dictionary ${file}: ${error.message}`);
+    }
+    terms.push(...parseDictionaryFile(text, file));
+  }
+  return { terms, caseSensitive: Boolean(values['match-case']), wholeWord: Boolean(values['whole-word']) };
+}
+
+/**
+ * Builds FileProcessor options from the command line, rejecting anything
+ * the desktop app would not accept either.
+ */
+function buildProcessingOptions(values) {
+  const options = {};
+
+  const strategies = {};
+  if (values.strategy !== undefined) {
+    if (!REPLACEMENT_STRATEGIES.includes(values.strategy)) {
+      throw new UsageError(`--strategy must be one of: ${REPLACEMENT_STRATEGIES.join(', ')}`);
+    }
+    strategies.default = values.strategy;
+  }
+  for (const [type, strategy] of parsePairs(values['type-strategy'], '--type-strategy')) {
+    if (!REPLACEMENT_STRATEGIES.includes(strategy)) {
+      throw new UsageError(`--type-strategy: unknown strategy "${strategy}"`);
+    }
+    strategies[parseEntityType(type, '--type-strategy')] = strategy;
+  }
+  if (Object.keys(strategies).length > 0) options.replacementStrategies = strategies;
+
+  const policy = { types: {} };
+  if (values['min-score'] !== undefined) policy.minScore = parseScore(values['min-score'], '--min-score');
+  if (values['review-score'] !== undefined) policy.reviewScore = parseScore(values['review-score'], '--review-score');
+  for (const [type, score] of parsePairs(values['type-min-score'], '--type-min-score')) {
+    policy.types[parseEntityType(type, '--type-min-score')] = { minScore: parseScore(score, '--type-min-score') };
+  }
+  for (const type of values['disable-type'] || []) {
+    const name = parseEntityType(type, '--disable-type');
+    policy.types[name] = { ...policy.types[name], enabled: false };
+  }
+  if (policy.minScore !== undefined || policy.reviewScore !== undefined || Object.keys(policy.types).length > 0) {
+    options.entityPolicy = policy;
+  }
+
+  if (values['disable-detector']) {
+    options.detectors = {};
+    for (const name of values['disable-detector']) {
+      if (!Object.hasOwn(PATTERN_DETECTORS, name)) {
+        throw new UsageError(`--disable-detector: unknown detector "${name}"`);
+      }
+      options.detectors[name] = false;
+    }
+  }
+  if (values.propagate) options.propagate = true;
+
+  const deny = readDictionary(values.deny, values);
+  const allow = readDictionary(values.allow, values);
+  if (deny || allow) options.dictionaries = { deny, allow };
+
+  if (values['pdf-style'] !== undefined) {
+    if (!PDF_REDACTION_STYLES.includes(values['pdf-style'])) {
+      throw new UsageError(`--pdf-style must be one of: ${PDF_REDACTION_STYLES.join(', ')}`);
+    }
+    options.pdfRedactionStyle = values['pdf-style'];
+  }
+
+  if (values['csv-column']) {
+    options.csvColumns = {};
+    for (const [column, policyName] of parsePairs(values['csv-column'], '--csv-column')) {
+      if (!CSV_COLUMN_POLICIES.includes(policyName)) {
+        throw new UsageError(`--csv-column: unknown policy "${policyName}"`);
+      }
+      options.csvColumns[column] = policyName;
+    }
+  }
+
+  if (values['json-field']) {
+    options.jsonFields = {};
+    for (const [selector, policyName] of parsePairs(values['json-field'], '--json-field')) {
+      if (!JSON_FIELD_POLICIES.includes(policyName)) {
+        throw new UsageError(`--json-field: unknown policy "${policyName}"`);
+      }
+      try {
+        parseJsonSelector(selector);
+      } catch (error) {
+        throw new UsageError(`--json-field: ${error.message}`);
+      }
+      options.jsonFields[selector] = policyName;
+    }
+  }
+
+  if (values['key-password-env'] !== undefined) {
+    const password = process.env[values['key-password-env']];
+    if (!password) {
+      throw new UsageError(`Environment variable ${values['key-password-env']} is not set`);
+    }
+    try {
+      validateKeyPassword(password);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    options.keyPassword = password;
+  }
+
+  if (values.audit !== undefined) {
+    const formats = values.audit.split(',').map((format) => format.trim().toLowerCase());
+    const unknown = formats.find((format) => !AUDIT_FORMATS.includes(format));
+    if (unknown !== undefined) {
+      throw new UsageError(`--audit: unknown format "${unknown}" (expected ${AUDIT_FORMATS.join(', ')})`);
+    }
+    const originals = values['audit-originals'] || 'hash';
+    if (!AUDIT_ORIGINALS.includes(originals)) {
+      throw new UsageError(`--audit-originals must be one of: ${AUDIT_ORIGINALS.join(', ')}`);
+    }
+    // One salt per run, so equal values hash alike across its files
+    options.audit = { formats, originals, salt: generateAuditSalt() };
+  } else if (values['audit-originals'] !== undefined) {
+    throw new UsageError('--audit-originals needs --audit');
+  }
+
+  return options;
+}
+
+/**
+ * The scope shared by every file of the run, or null for per-file scopes.
+ */
+function createPseudonymScope(values) {
+  const scope = values.scope || 'batch';
+  if (!PSEUDONYM_SCOPES.includes(scope)) {
+    throw new UsageError(`--scope must be one of: ${PSEUDONYM_SCOPES.join(', ')}`);
+  }
+  if (scope === 'project') {
+    if (!values.project) {
+      throw new UsageError('--scope project needs --project <name>');
+    }
+    try {
+      return ProjectVault.load(values['project-dir'] || path.join(appDataDir(), 'projects'), values.project);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+  if (values.project) {
+    throw new UsageError('--project only applies to --scope project');
+  }
+  return scope === 'batch' ? new PseudonymScope() : null;
+}
+
+/**
+ * Output path for one input; files found under a directory or glob keep
+ * their relative directory below the output directory.
+ */
+function outputPathFor(file, outputDir, taken) {
+  const directory = outputDir
+    ? path.join(outputDir, path.relative(file.base, path.dirname(file.path)))
+    : path.dirname(file.path);
+  return FileProcessor.generateOutputPath(directory, path.basename(file.path), taken);
+}
+
+/**
+ * FileProcessor's logger: stdout is kept for the summary, so processing
+ * details go to stderr with --verbose and nowhere otherwise. Warnings are
+ * always shown, errors too with showErrors (files that fail are already
+ * listed in the summary).
+ */
+function createLogger(verbose, { showErrors = false } = {}) {
+  const write = (...args) => process.stderr.write(`${format(...args)}\n`);
+  const details = verbose ? write : () => {};
+  return { log: details, warn: write, error: showErrors ? write : details };
+}
+
+function version() {
+  const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'package.json');
+  return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version;
+}
+
+// Everything but the summary options, which have no end of run to report at
+const WATCH_OPTIONS = {
+  ...Object.fromEntries(Object.entries(OPTIONS).filter(([name]) => !['json', 'report', 'version'].includes(name))),
+  archive: { type: 'string' },
+  quarantine: { type: 'string' },
+  'quarantine-on': { type: 'string' },
+  errors: { type: 'string' },
+  settle: { type: 'string' },
+  poll: { type: 'string' },
+};
+
+function parseMilliseconds(value, flag, fallback) {
+  if (value === undefined) return fallback;
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms < 0) {
+    throw new UsageError(`${flag} must be a whole number of milliseconds`);
+  }
+  return ms;
+}
+
+/**
+ * Watches a folder until SIGINT / SIGTERM.
+ */
+async function watch(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: WATCH_OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(`${WATCH_USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError('watch expects one folder');
+  }
+
+  const processingOptions = buildProcessingOptions(values);
+  const pseudonyms = createPseudonymScope(values);
+  const quarantineOn = (values['quarantine-on'] || '').split(',').map((rule) => rule.trim()).filter(Boolean)
+    .map((rule) => (rule.toLowerCase() === QUARANTINE_REVIEW ? QUARANTINE_REVIEW : parseEntityType(rule, '--quarantine-on')));
+  const progress = values.quiet ? () => {} : (line) => process.stderr.write(`${line}\n`);
+  const logger = createLogger(values.verbose);
+
+  let watcher;
+  try {
+    watcher = new FolderWatcher({
+      watchDir: positionals[0],
+      outputDir: values.output,
+      archiveDir: values.archive,
+      quarantineDir: values.quarantine,
+      errorDir: values.errors,
+      quarantineOn,
+      extensions: SUPPORTED_EXTENSIONS,
+      settleMs: parseMilliseconds(values.settle, '--settle', DEFAULT_SETTLE_MS),
+      pollMs: parseMilliseconds(values.poll, '--poll', DEFAULT_POLL_MS),
+      log: progress,
+      process: async (inputPath, outputPath) => {
+        const result = await FileProcessor.processFile(inputPath, outputPath, { ...processingOptions, pseudonyms, logger });
+        if (pseudonyms instanceof ProjectVault) {
+          pseudonyms.save();
+        }
+        return result;
+      },
+    });
+    watcher.start();
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return new Promise((resolve) => {
+    const stop = async () => {
+      progress('Stopping...');
+      await watcher.stop();
+      resolve(EXIT_OK);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+const SERVE_OPTIONS = {
+  port: { type: 'string', short: 'p' },
+  'token-file': { type: 'string' },
+  'project-dir': { type: 'string' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Runs the local API server until SIGINT / SIGTERM.
+ */
+async function serve(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: SERVE_OPTIONS, strict: true }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values.help) {
+    process.stdout.write(`${SERVE_USAGE}\n`);
+    return EXIT_OK;
+  }
+  const port = values.port === undefined ? DEFAULT_API_PORT : Number(values.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new UsageError('--port must be a number between 1 and 65535');
+  }
+
+  const token = generateApiToken();
+  const tokenFile = path.resolve(values['token-file'] || path.join(appDataDir(), 'api-token'));
+  const server = createApiServer({
+    token,
+    projectsDir: values['project-dir'] || path.join(appDataDir(), 'projects'),
+    log: (line) => process.stderr.write(`${line}\n`),
+    logger: createLogger(values.verbose, { showErrors: true }),
+  });
+
+  return new Promise((resolve) => {
+    const stop = () => {
+      server.close();
+      server.closeAllConnections();
+      fs.rmSync(tokenFile, { force: true });
+      resolve(EXIT_OK);
+    };
+    server.on('error', (error) => {
+      process.stderr.write(`a5-anon: ${error.message}\n`);
+      resolve(EXIT_FAILED);
+    });
+    server.listen(port, API_HOST, () => {
+      fs.mkdirSync(path.dirname(tokenFile), { recursive: true, mode: 0o700 });
+      // Recreated rather than overwritten, so the mode applies
+      fs.rmSync(tokenFile, { force: true });
+      fs.writeFileSync(tokenFile, `${token}\n`, { mode: 0o600 });
+      process.stderr.write(`Listening on http://${API_HOST}:${server.address().port}, token written to ${tokenFile}\n`);
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  });
+}
+
+async function run(argv) {
+  if (argv[0] === 'serve') {
+    return serve(argv.slice(1));
+  }
+  if (argv[0] === 'watch') {
+    return watch(argv.slice(1));
+  }
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (values.version) {
+    process.stdout.write(`${version()}\n`);
+    return EXIT_OK;
+  }
+  if (positionals.length === 0) {
+    throw new UsageError('No input files given');
+  }
+
+  const processingOptions = buildProcessingOptions(values);
+  const pseudonyms = createPseudonymScope(values);
+  const outputDir = values.output ? path.resolve(values.output) : null;
+  const progress = values.quiet ? () => {} : (line) => process.stderr.write(`${line}\n`);
+
+  const logger = createLogger(values.verbose);
+
+  const { files, unmatched } = expandInputs(positionals, { extensions: SUPPORTED_EXTENSIONS });
+  // Results of an earlier run next to their inputs are not inputs themselves
+  const inputs = files.filter((file) => file.explicit || !/-anon$/.test(path.basename(file.path, path.extname(file.path))));
+  for (const input of unmatched) {
+    progress(`No files found for ${input}`);
+  }
+
+  const summary = {
+    version: version(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    outputDir,
+    pseudonymScope: values.scope || 'batch',
+    auditSummary: null,
+    files: [],
+    unmatched,
+    totals: { files: inputs.length, succeeded: 0, failed: 0, replacements: 0, review: 0, entityCounts: {} },
+  };
+
+  const taken = new Set();
+  for (const [index, file] of inputs.entries()) {
+    const outputPath = outputPathFor(file, outputDir, taken);
+    const started = Date.now();
+    const entry = { input: file.path, output: outputPath, keyFile: null, auditReport: null, status: 'ok', error: null };
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      const result = await FileProcessor.processFile(file.path, outputPath, { ...processingOptions, pseudonyms, logger });
+      entry.keyFile = result.keyPath;
+      entry.auditReport = result.auditPaths;
+      entry.entityCounts = result.entityCounts;
+      entry.replacements = Object.values(result.entityCounts).reduce((sum, count) => sum + count, 0);
+      entry.review = result.review.length;
+      summary.totals.succeeded++;
+      summary.totals.replacements += entry.replacements;
+      summary.totals.review += entry.review;
+      for (const [type, count] of Object.entries(result.entityCounts)) {
+        summary.totals.entityCounts[type] = (summary.totals.entityCounts[type] || 0) + count;
+      }
+      if (pseudonyms instanceof ProjectVault) {
+        pseudonyms.save();
+      }
+      progress(`[${index + 1}/${inputs.length}] ${file.path} -> ${outputPath} (${entry.replacements} replaced${entry.review ? `, ${entry.review} for review` : ''})`);
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      summary.totals.failed++;
+      progress(`[${index + 1}/${inputs.length}] ${file.path} failed: ${error.message}`);
+    }
+    entry.durationMs = Date.now() - started;
+    summary.files.push(entry);
+  }
+  summary.finishedAt = new Date().toISOString();
+
+  if (processingOptions.audit && inputs.length > 0) {
+    // Like the app: the output folder, or the folder the first input was found under
+    const auditDir = outputDir || inputs[0].base;
+    const batchSummary = buildBatchSummary(
+      summary.files.map((entry) => ({ ...entry, auditPaths: entry.auditReport })),
+      { startedAt: summary.startedAt },
+    );
+    fs.mkdirSync(auditDir, { recursive: true });
+    summary.auditSummary = writeBatchSummary(batchSummary, auditDir, processingOptions.audit.formats);
+    progress(`Audit summary: ${Object.values(summary.auditSummary).join(', ')}`);
+  }
+
+  const json = JSON.stringify(summary, null, 2);
+  if (values.report) {
+    fs.mkdirSync(path.dirname(path.resolve(values.report)), { recursive: true });
+    fs.writeFileSync(values.report, `${json}\n`, 'utf8');
+  }
+  if (values.json) {
+    process.stdout.write(`${json}\n`);
+  }
+
+  if (inputs.length === 0) {
+    progress('No input files found');
+    return EXIT_NO_INPUT;
+  }
+  progress(`Done: ${summary.totals.succeeded} anonymized, ${summary.totals.failed} failed`);
+  return summary.totals.failed > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    if (error instanceof UsageError) {
+      process.stderr.write(`a5-anon: ${error.message}\nTry "a5-anon --help" for usage.\n`);
+      process.exitCode = EXIT_USAGE;
+    } else {
+      process.stderr.write(`a5-anon: ${error.stack || error.message}\n`);
+      process.exitCode = EXIT_FAILED;
+    }
+  },
+);
@@ -0,0 +1,129 @@
+import { readCsv, serializeCsv } from './csvTable.js';
+import { assignSpansToSegments, replaceSpans } from './entitySpans.js';
+
+/**
+ * Column-aware CSV anonymization. Each column gets a policy:
+ *   ner    - scan the cells for entities (default)
+ *   skip   - leave the column as it is
+ *   redact - replace every non-empty cell with a pseudonym
+ *   hash   - replace every non-empty cell with a keyed hash
+ *   drop   - remove the column from the output
+ * Policies are keyed by header name (case-insensitive) or by "#<n>" for the
+ * n-th column; "#<n>" wins when both are given. Header cells are scanned
+ * too, in case the first row was data taken for a header; column policies
+ * still go by the original names. The output keeps the input's dialect.
+ */
+
+export const CSV_COLUMN_POLICIES = ['ner', 'skip', 'redact', 'hash', 'drop'];
+const DEFAULT_POLICY = 'ner';
+
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase();
+}
+
+function resolvePolicies(header, columnCount, columnPolicies = {}) {
+  const policies = new Map(Object.entries(columnPolicies).map(([key, policy]) => [normalizeKey(key), policy]));
+  return Array.from({ length: columnCount }, (_, col) => {
+    const byName = header && header[col] !== undefined ? policies.get(normalizeKey(header[col])) : undefined;
+    const policy = policies.get(`#${col + 1}`) ?? byName;
+    return CSV_COLUMN_POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+  });
+}
+
+/**
+ * Entity type for whole-cell pseudonyms, taken from the column header
+ * ("Full name" => FULL_NAME_1), or COLUMN_<n> without one.
+ */
+function columnEntityType(name, col) {
+  const type = String(name || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return type || `COLUMN_${col + 1}`;
+}
+
+function countColumns(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.fields.length), 0);
+}
+
+/**
+ * Describes a CSV file for the column policy editor:
+ * { delimiter, hasHeader, columns: [{ key, name }] }.
+ */
+export function inspectCsv(text) {
+  const { dialect, rows } = readCsv(text);
+  const header = dialect.hasHeader && rows.length > 0 ? rows[0].fields : null;
+  const columns = Array.from({ length: countColumns(rows) }, (_, col) => {
+    const name = header && header[col] !== undefined && header[col].trim() ? header[col].trim() : null;
+    return { key: name ? normalizeKey(name) : `#${col + 1}`, name: name || `Column ${col + 1}` };
+  });
+  return { delimiter: dialect.delimiter, hasHeader: dialect.hasHeader, columns };
+}
+
+/**
+ * Anonymizes CSV text cell by cell. `engine` is the per-file text engine
+ * from FileProcessor (findSpans, pseudonymize, hash).
+ */
+export async function anonymizeCsv(text, engine, columnPolicies = {}) {
+  const { dialect, rows } = readCsv(text);
+  // Copied: header cells may be rewritten below, column names may not
+  const header = dialect.hasHeader && rows.length > 0 ? [...rows[0].fields] : null;
+  const dataRows = header ? rows.slice(1) : rows;
+  const policies = resolvePolicies(header, countColumns(rows), columnPolicies);
+
+  // NER cells are scanned as one text so the model sees a row's context:
+  // one cell per line, a blank line between rows. Spans never leave a cell.
+  const cells = [];
+  let scanText = '';
+  // Records are numbered as in the file, header included
+  const firstRecord = header ? 2 : 1;
+  if (header) {
+    const row = rows[0];
+    row.fields.forEach((value, col) => {
+      if (!value.trim()) return;
+      if (scanText) scanText += '\n';
+      cells.push({ row, col, offset: scanText.length, text: value, edits: [], location: { row: 1, column: col + 1 } });
+      scanText += value;
+    });
+  }
+  dataRows.forEach((row, index) => {
+    let rowStarted = false;
+    row.fields.forEach((value, col) => {
+      if (policies[col] !== 'ner' || !value.trim()) return;
+      if (scanText) scanText += rowStarted ? '\n' : '\n\n';
+      const location = { row: firstRecord + index, column: col + 1 };
+      cells.push({ row, col, offset: scanText.length, text: value, edits: [], location });
+      scanText += value;
+      rowStarted = true;
+    });
+  });
+  if (scanText) {
+    assignSpansToSegments(await engine.findSpans(scanText), cells, { replaceEachPart: true });
+    for (const cell of cells) {
+      if (cell.edits.length > 0) cell.row.fields[cell.col] = replaceSpans(cell.text, cell.edits);
+    }
+  }
+
+  dataRows.forEach((row, index) => {
+    row.fields.forEach((value, col) => {
+      if (!value.trim()) return;
+      const location = { row: firstRecord + index, column: col + 1 };
+      if (policies[col] === 'redact') {
+        row.fields[col] = engine.pseudonymize(value, columnEntityType(header && header[col], col), 'column', location);
+      } else if (policies[col] === 'hash') {
+        row.fields[col] = engine.hash(value, columnEntityType(header && header[col], col), location);
+      }
+    });
+  });
+
+  if (policies.includes('drop')) {
+    const keep = (_, col) => policies[col] !== 'drop';
+    for (const row of rows) {
+      row.fields = row.fields.filter(keep);
+      row.quoted = row.quoted.filter(keep);
+    }
+  }
+
+  return serializeCsv(rows, dialect);
+}
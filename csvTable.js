@@ -0,0 +1,185 @@
+/**
+ * CSV reading and writing that keeps a file's dialect (delimiter, quote
+ * character, line endings, BOM and which fields were quoted), so a file can
+ * be rewritten cell by cell and still look like the original.
+ */
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Rows (and at most this much text) looked at when guessing the dialect
+const SNIFF_ROWS = 50;
+const SNIFF_CHARS = 64 * 1024;
+
+// Header cells are short labels, not data
+const MAX_HEADER_CELL_LENGTH = 48;
+
+const NUMERIC_PATTERN = /^\s*[-+]?(\d+([.,]\d+)*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+/**
+ * Splits CSV text into rows of { fields, quoted }, where quoted[i] tells
+ * whether field i was written between quote characters.
+ */
+export function parseCsv(text, { delimiter = ',', quote = '"' } = {}) {
+  const rows = [];
+  let fields = [];
+  let quoted = [];
+  let field = '';
+  let inQuotes = false;
+  let wasQuoted = false;
+
+  const endField = () => {
+    fields.push(field);
+    quoted.push(wasQuoted);
+    field = '';
+    wasQuoted = false;
+  };
+  const endRow = () => {
+    endField();
+    rows.push({ fields, quoted });
+    fields = [];
+    quoted = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === quote) {
+        if (text[i + 1] === quote) {
+          field += quote;
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === quote && field === '' && !wasQuoted) {
+      inQuotes = true;
+      wasQuoted = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      endRow();
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || wasQuoted || fields.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function isNumeric(value) {
+  return NUMERIC_PATTERN.test(value);
+}
+
+/**
+ * Guesses whether the first row is a header, in the spirit of Python's
+ * csv.Sniffer: columns whose data rows share a type (numeric, or a fixed
+ * length) vote on whether the first row breaks that type. When no column is
+ * that regular, the first row counts as a header if it looks like labels:
+ * unique, non-empty, short and free of numbers and e-mail addresses.
+ * A first row holding a number or an e-mail address is never a header,
+ * whatever the vote: it is data, and data must be anonymized.
+ */
+export function detectHeader(rows) {
+  if (rows.length < 2) return false;
+  const [first, ...data] = rows.slice(0, SNIFF_ROWS).map((row) => row.fields);
+  const labels = first.map((value) => value.trim());
+
+  if (labels.some((value) => !value) || new Set(labels).size !== labels.length) {
+    return false;
+  }
+  if (labels.some((value) => isNumeric(value) || value.includes('@'))) {
+    return false;
+  }
+
+  let votes = 0;
+  for (let col = 0; col < first.length; col++) {
+    let columnType;
+    for (const row of data) {
+      if (col >= row.length || !row[col].trim()) continue;
+      const type = isNumeric(row[col]) ? 'number' : row[col].length;
+      if (columnType === undefined) {
+        columnType = type;
+      } else if (columnType !== type) {
+        columnType = null;
+        break;
+      }
+    }
+    if (columnType === undefined || columnType === null) continue;
+    if (columnType === 'number') {
+      votes += isNumeric(first[col]) ? -1 : 1;
+    } else {
+      votes += first[col].length !== columnType ? 1 : -1;
+    }
+  }
+  if (votes !== 0) return votes > 0;
+
+  return labels.every((value) => value.length <= MAX_HEADER_CELL_LENGTH
+    && !/\d/.test(value)
+    && !value.includes('@'));
+}
+
+/**
+ * Guesses the dialect of a CSV text:
+ * { delimiter, quote, lineTerminator, bom, trailingNewline, hasHeader }.
+ */
+export function sniffDialect(text) {
+  const bom = text.startsWith('\uFEFF');
+  const body = (bom ? text.slice(1) : text).slice(0, SNIFF_CHARS);
+
+  const lineTerminator = body.includes('\r\n') ? '\r\n' : (!body.includes('\n') && body.includes('\r') ? '\r' : '\n');
+  const trailingNewline = /[\r\n]$/.test(text);
+
+  // Single quotes only count when double quotes are never used
+  const quote = !body.includes('"') && /(^|[,;\t|\r\n])'[^']*'($|[,;\t|\r\n])/.test(body) ? "'" : '"';
+
+  // The delimiter giving the most rows with the same (> 1) number of fields
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const counts = new Map();
+    for (const row of parseCsv(body, { delimiter, quote }).slice(0, SNIFF_ROWS)) {
+      if (row.fields.length === 1 && row.fields[0] === '') continue;
+      counts.set(row.fields.length, (counts.get(row.fields.length) || 0) + 1);
+    }
+    for (const [fieldCount, rowCount] of counts) {
+      if (fieldCount > 1 && rowCount > best.score) {
+        best = { delimiter, score: rowCount };
+      }
+    }
+  }
+
+  const dialect = { delimiter: best.delimiter, quote, lineTerminator, bom, trailingNewline };
+  dialect.hasHeader = detectHeader(parseCsv(body, dialect));
+  return dialect;
+}
+
+/**
+ * Parses CSV text with its sniffed dialect. Returns { dialect, rows }.
+ */
+export function readCsv(text) {
+  const dialect = sniffDialect(text);
+  return { dialect, rows: parseCsv(dialect.bom ? text.slice(1) : text, dialect) };
+}
+
+/**
+ * Writes rows back in the given dialect. Fields that were quoted stay
+ * quoted; others are quoted only when they need to be.
+ */
+export function serializeCsv(rows, dialect) {
+  const { delimiter, quote, lineTerminator } = dialect;
+  const lines = rows.map((row) => row.fields.map((value, i) => {
+    const needsQuotes = row.quoted[i]
+      || value.includes(delimiter)
+      || value.includes(quote)
+      || /[\r\n]/.test(value);
+    return needsQuotes ? quote + value.split(quote).join(quote + quote) + quote : value;
+  }).join(delimiter));
+
+  return (dialect.bom ? '\uFEFF' : '')
+    + lines.join(lineTerminator)
+    + (dialect.trailingNewline && lines.length > 0 ? lineTerminator : '');
+}
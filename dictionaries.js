@@ -0,0 +1,164 @@
+import { readCsv } from './csvTable.js';
+
+/**
+ * User-managed term lists:
+ *   deny  - terms always redacted (client names, codenames, employee IDs),
+ *           each with its own entity type
+ *   allow - terms never redacted, even when the model or a pattern detector
+ *           flags them (the organisation's own name, template city names)
+ * A list is { terms: [{ term, type }], caseSensitive, wholeWord }; a term can
+ * override the list's caseSensitive / wholeWord. Deny hits win over every
+ * other detection; allow terms only suppress detections they fully cover.
+ */
+
+export const DEFAULT_DICTIONARY_TYPE = 'CUSTOM';
+
+// Text lists: one term per line, "term => TYPE" to set its entity type
+const TYPE_SEPARATOR = '=>';
+
+// Header names accepted for the columns of an imported CSV
+const TERM_COLUMNS = ['term', 'terms', 'value', 'word', 'name', 'text'];
+const TYPE_COLUMNS = ['type', 'entity', 'entity_type', 'label', 'category'];
+
+export function normalizeEntityType(type) {
+  const normalized = String(type || '').trim().toUpperCase().replace(/[^A-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[A-Z]/.test(normalized) ? normalized : DEFAULT_DICTIONARY_TYPE;
+}
+
+// Unicode-mode regexes reject escaped characters that need no escaping ("\-")
+function escapeTerm(term) {
+  return term.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+}
+
+function normalizeTerm(term) {
+  return String(term || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Parses a text list: one term per line, optionally "term => TYPE". Blank
+ * lines and lines starting with "#" are skipped.
+ */
+export function parseDictionaryText(text) {
+  const terms = [];
+  for (const line of String(text).split(/\r\n|\r|\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const separator = line.lastIndexOf(TYPE_SEPARATOR);
+    const term = normalizeTerm(separator === -1 ? line : line.slice(0, separator));
+    if (!term) continue;
+    const type = separator === -1 ? undefined : normalizeEntityType(line.slice(separator + TYPE_SEPARATOR.length));
+    terms.push(type ? { term, type } : { term });
+  }
+  return terms;
+}
+
+/**
+ * Parses an imported CSV: the term column (and optional type column) are
+ * found by header name, otherwise the first and second columns are used.
+ */
+export function parseDictionaryCsv(text) {
+  const { dialect, rows } = readCsv(text);
+  let termCol = 0;
+  let typeCol = 1;
+  let dataRows = rows;
+  // A first row only counts as a header when it names a known column:
+  // a list of short words looks like a header to the sniffer
+  const header = dialect.hasHeader && rows.length > 0
+    ? rows[0].fields.map((name) => name.trim().toLowerCase().replace(/\s+/g, '_'))
+    : [];
+  const foundTerm = header.findIndex((name) => TERM_COLUMNS.includes(name));
+  const foundType = header.findIndex((name) => TYPE_COLUMNS.includes(name));
+  if (foundTerm !== -1 || foundType !== -1) {
+    termCol = foundTerm !== -1 ? foundTerm : 0;
+    typeCol = foundType;
+    dataRows = rows.slice(1);
+  }
+
+  const terms = [];
+  for (const row of dataRows) {
+    const term = normalizeTerm(row.fields[termCol]);
+    if (!term) continue;
+    const type = typeCol !== -1 && row.fields[typeCol] && row.fields[typeCol].trim()
+      ? normalizeEntityType(row.fields[typeCol])
+      : undefined;
+    terms.push(type ? { term, type } : { term });
+  }
+  return terms;
+}
+
+/**
+ * Parses an imported dictionary file by its extension (.csv or plain text).
+ */
+export function parseDictionaryFile(text, fileName) {
+  return /\.csv$/i.test(fileName) ? parseDictionaryCsv(text) : parseDictionaryText(text);
+}
+
+/**
+ * Writes terms back in the text list format.
+ */
+export function formatDictionaryText(terms) {
+  return terms.map(({ term, type }) => (type ? `${term} ${TYPE_SEPARATOR} ${type}` : term)).join('\n');
+}
+
+/**
+ * Finds every occurrence of a list's terms. Terms sharing the same matching
+ * rules go into one regex, longest first, so "Acme Holdings" wins over
+ * "Acme". Spaces in a term match any run of whitespace.
+ * Returns [{ start, end, text, entry }].
+ */
+function matchTerms(text, list) {
+  if (!list || !Array.isArray(list.terms) || list.terms.length === 0) return [];
+
+  const groups = new Map();
+  for (const entry of list.terms) {
+    const term = normalizeTerm(entry.term);
+    if (!term) continue;
+    const caseSensitive = entry.caseSensitive ?? Boolean(list.caseSensitive);
+    const wholeWord = entry.wholeWord ?? Boolean(list.wholeWord);
+    const key = `${caseSensitive}:${wholeWord}`;
+    if (!groups.has(key)) groups.set(key, { caseSensitive, wholeWord, entries: new Map() });
+    const lookup = caseSensitive ? term : term.toLowerCase();
+    if (!groups.get(key).entries.has(lookup)) groups.get(key).entries.set(lookup, { ...entry, term });
+  }
+
+  const matches = [];
+  for (const { caseSensitive, wholeWord, entries } of groups.values()) {
+    const alternatives = [...entries.values()]
+      .map((entry) => entry.term)
+      .sort((a, b) => b.length - a.length)
+      .map((term) => escapeTerm(term).replace(/ /g, '\\s+'));
+    let source = `(?:${alternatives.join('|')})`;
+    if (wholeWord) source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+    const regex = new RegExp(source, caseSensitive ? 'gu' : 'giu');
+
+    for (const match of text.matchAll(regex)) {
+      const normalized = normalizeTerm(match[0]);
+      const entry = entries.get(caseSensitive ? normalized : normalized.toLowerCase());
+      if (!entry) continue;
+      matches.push({ start: match.index, end: match.index + match[0].length, text: match[0], entry });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Spans for every deny-list term in the text.
+ */
+export function findDenyTerms(text, dictionaries) {
+  return matchTerms(text, dictionaries && dictionaries.deny).map(({ start, end, text: value, entry }) => ({
+    start,
+    end,
+    text: value,
+    type: entry.type || DEFAULT_DICTIONARY_TYPE,
+    score: 1,
+    source: 'dictionary',
+  }));
+}
+
+/**
+ * Drops detections that lie within an occurrence of an allow-list term.
+ */
+export function removeAllowedSpans(text, spans, dictionaries) {
+  const allowed = matchTerms(text, dictionaries && dictionaries.allow);
+  if (allowed.length === 0) return spans;
+  return spans.filter((span) => !allowed.some((match) => match.start <= span.start && span.end <= match.end));
+}
@@ -0,0 +1,240 @@
+import JSZip from 'jszip';
+import { escapeXml, decodeXmlEntities } from './xmlEntities.js';
+import { assignSpansToSegments, replaceSpans } from './entitySpans.js';
+
+/**
+ * Format-preserving DOCX anonymization.
+ *
+ * Instead of extracting plain text and writing a new document, the package's
+ * XML parts are rewritten in place: only the contents of text nodes change,
+ * so styles, tables, lists, images and section layout survive. Detection runs
+ * on the text of each part with paragraph context, and every detected span is
+ * mapped back onto the text nodes it covers, including entities split across
+ * runs (the replacement goes into the first node, the rest are emptied).
+ *
+ * `engine` is bound to the current file by FileProcessor:
+ *   findSpans(text, location)     -> spans with `replacement`
+ *   anonymizeText(text, location) -> anonymized string
+ *   pseudonymize(value, type)     -> replacement for a value known to be PII
+ *   progress(stage, done, total)  -> called after each text part
+ */
+
+// Body, headers, footers, notes, comments and building blocks
+const TEXT_PART_PATTERN = /^word\/(?:document|header\d*|footer\d*|footnotes|endnotes|comments|glossary\/document)\.xml$/;
+const XML_PART_PATTERN = /^word\/(?:glossary\/)?[^/]+\.xml$/;
+const RELS_PART_PATTERN = /^word\/(?:glossary\/)?_rels\/[^/]+\.rels$/;
+
+// Text nodes (w:delText is tracked-deleted text, w:instrText holds field codes
+// such as HYPERLINK "mailto:..."), plus the elements that act as separators
+const TOKEN_PATTERN = /<(\/?)(w:p|w:t|w:delText|w:instrText|w:tab|w:br|w:cr)(?=[\s/>])[^>]*?(\/?)>/g;
+
+// Document properties that hold names of people
+const AUTHOR_ELEMENTS = ['dc:creator', 'cp:lastModifiedBy', 'Manager'];
+// Author names Word and other editors write when none is set; they name
+// nobody, so they are kept rather than given a pseudonym
+const PLACEHOLDER_AUTHORS = new Set([
+  'author', 'un-named', 'unnamed', 'unknown', 'unknown author', 'anonymous', 'user', 'windows user',
+  'microsoft office user', 'office user',
+]);
+// Free-text document properties
+const TEXT_ELEMENTS = ['dc:title', 'dc:subject', 'dc:description', 'cp:keywords', 'cp:category', 'Company', 'vt:lpwstr'];
+
+/**
+ * Walks a part's XML and groups its text nodes by paragraph.
+ * Nested paragraphs (text boxes) become paragraphs of their own.
+ */
+function collectParagraphs(xml) {
+  const paragraphs = [];
+  const stack = [];
+  let loose = null;
+  const currentParagraph = () => {
+    if (stack.length > 0) return stack[stack.length - 1];
+    if (!loose) {
+      loose = { nodes: [] };
+      paragraphs.push(loose);
+    }
+    return loose;
+  };
+
+  const token = new RegExp(TOKEN_PATTERN.source, 'g');
+  let match;
+  while ((match = token.exec(xml))) {
+    const [tag, closing, name, selfClosing] = match;
+
+    if (name === 'w:p') {
+      if (closing) {
+        stack.pop();
+      } else if (!selfClosing) {
+        const paragraph = { nodes: [] };
+        paragraphs.push(paragraph);
+        stack.push(paragraph);
+      }
+      continue;
+    }
+    if (closing) continue;
+
+    const paragraph = currentParagraph();
+    if (name === 'w:tab') {
+      paragraph.nodes.push({ virtual: '\t' });
+      continue;
+    }
+    if (name === 'w:br' || name === 'w:cr') {
+      paragraph.nodes.push({ virtual: '\n' });
+      continue;
+    }
+    if (selfClosing) continue;
+
+    const contentStart = match.index + tag.length;
+    const contentEnd = xml.indexOf(`</${name}>`, contentStart);
+    if (contentEnd === -1) continue;
+
+    const node = {
+      name,
+      tagStart: match.index,
+      tagEnd: contentStart,
+      contentStart,
+      contentEnd,
+      text: decodeXmlEntities(xml.slice(contentStart, contentEnd)),
+      edits: [],
+    };
+    // Keep field codes and deleted text from running into the visible text
+    // around them
+    if (name !== 'w:t') {
+      paragraph.nodes.push({ virtual: ' ' }, node, { virtual: ' ' });
+    } else {
+      paragraph.nodes.push(node);
+    }
+    token.lastIndex = contentEnd;
+  }
+  return paragraphs;
+}
+
+/**
+ * Flattens paragraphs into one string for detection, recording where each
+ * text node sits in it and which paragraph of the part it belongs to.
+ */
+function buildPartText(paragraphs, part) {
+  let text = '';
+  const nodes = [];
+  for (const [index, paragraph] of paragraphs.entries()) {
+    for (const node of paragraph.nodes) {
+      if (node.virtual) {
+        text += node.virtual;
+      } else {
+        node.offset = text.length;
+        node.location = { part, paragraph: index + 1 };
+        text += node.text;
+        if (node.text) nodes.push(node);
+      }
+    }
+    text += '\n';
+  }
+  return { text, nodes };
+}
+
+async function anonymizeTextPart(xml, engine, part) {
+  const paragraphs = collectParagraphs(xml);
+  const { text, nodes } = buildPartText(paragraphs, part);
+  if (!text.trim()) return xml;
+
+  // An entity split across runs keeps its replacement in the first run
+  assignSpansToSegments(await engine.findSpans(text, { part }), nodes);
+
+  const xmlEdits = [];
+  for (const node of nodes) {
+    if (node.edits.length === 0) continue;
+    const newText = replaceSpans(node.text, node.edits);
+    xmlEdits.push({ start: node.contentStart, end: node.contentEnd, replacement: escapeXml(newText) });
+
+    // Replacements can leave leading/trailing spaces that Word would otherwise drop
+    const openTag = xml.slice(node.tagStart, node.tagEnd);
+    if (!/\sxml:space=/.test(openTag)) {
+      xmlEdits.push({ start: node.tagEnd - 1, end: node.tagEnd - 1, replacement: ' xml:space="preserve"' });
+    }
+  }
+  return replaceSpans(xml, xmlEdits);
+}
+
+function pseudonymizeAuthor(value, engine, part) {
+  return PLACEHOLDER_AUTHORS.has(value.trim().toLowerCase()) ? value : engine.pseudonymize(value, 'AUTHOR', undefined, { part });
+}
+
+/**
+ * Comment and tracked-change authors (w:author, w:initials) and the
+ * people part's author list.
+ */
+function anonymizeAuthorAttributes(xml, engine, part) {
+  return xml
+    .replace(/(\s(?:w|w15):author=")([^"]*)(")/g, (match, before, value, after) =>
+      value ? before + escapeXml(pseudonymizeAuthor(decodeXmlEntities(value), engine, part)) + after : match)
+    .replace(/(\sw:initials=")([^"]*)(")/g, '$1$3')
+    // Presence info carries account ids and e-mail addresses
+    .replace(/<w15:presenceInfo\b[^>]*\/>/g, '');
+}
+
+async function anonymizeElementText(xml, elements, transform) {
+  let result = xml;
+  for (const element of elements) {
+    const pattern = new RegExp(`(<${element}(?:\\s[^>]*)?>)([^<]*)(</${element}>)`, 'g');
+    const matches = [...result.matchAll(pattern)];
+    const edits = [];
+    for (const match of matches) {
+      const value = decodeXmlEntities(match[2]);
+      if (!value.trim()) continue;
+      const start = match.index + match[1].length;
+      edits.push({ start, end: start + match[2].length, replacement: escapeXml(await transform(value)) });
+    }
+    result = replaceSpans(result, edits);
+  }
+  return result;
+}
+
+/**
+ * External relationship targets (mailto: links, URLs with names in them).
+ */
+async function anonymizeRelationships(xml, engine, part) {
+  const edits = [];
+  for (const match of xml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const tag = match[0];
+    if (!/TargetMode="External"/.test(tag)) continue;
+    const target = /\sTarget="([^"]*)"/.exec(tag);
+    if (!target) continue;
+    const value = decodeXmlEntities(target[1]);
+    const anonymized = await engine.anonymizeText(value, { part });
+    if (anonymized === value) continue;
+    const start = match.index + target.index + target[0].indexOf('"') + 1;
+    edits.push({ start, end: start + target[1].length, replacement: escapeXml(anonymized) });
+  }
+  return replaceSpans(xml, edits);
+}
+
+/**
+ * Anonymizes a DOCX package in place and returns the new package bytes.
+ */
+export async function anonymizeDocx(buffer, engine) {
+  const zip = await JSZip.loadAsync(buffer);
+  const textParts = Object.keys(zip.files).filter((name) => TEXT_PART_PATTERN.test(name));
+
+  for (const name of Object.keys(zip.files)) {
+    const entry = zip.files[name];
+    if (entry.dir) continue;
+
+    if (XML_PART_PATTERN.test(name)) {
+      let xml = await entry.async('string');
+      if (TEXT_PART_PATTERN.test(name)) {
+        xml = await anonymizeTextPart(xml, engine, name);
+        await engine.progress('part', textParts.indexOf(name) + 1, textParts.length);
+      }
+      zip.file(name, anonymizeAuthorAttributes(xml, engine, name));
+    } else if (RELS_PART_PATTERN.test(name)) {
+      zip.file(name, await anonymizeRelationships(await entry.async('string'), engine, name));
+    } else if (/^docProps\/(?:core|app|custom)\.xml$/.test(name)) {
+      let xml = await entry.async('string');
+      xml = await anonymizeElementText(xml, AUTHOR_ELEMENTS, (value) => pseudonymizeAuthor(value, engine, name));
+      xml = await anonymizeElementText(xml, TEXT_ELEMENTS, (value) => engine.anonymizeText(value, { part: name }));
+      zip.file(name, xml);
+    }
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
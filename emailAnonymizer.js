@@ -0,0 +1,747 @@
+import { assignSpansToSegments, replaceSpans } from './entitySpans.js';
+import { anonymizeHtml } from './htmlAnonymizer.js';
+
+/**
+ * Email anonymization: .eml messages and .mbox mailboxes.
+ *
+ * Messages are rewritten part by part. The MIME structure, boundaries and
+ * headers without personal data are kept byte for byte, so the result still
+ * opens in mail clients. What changes:
+ *   - address headers (From, To, Cc, Reply-To, ...): display names go to
+ *     the model like text (a name it does not recognise is replaced whole),
+ *     and each address gets a pseudonym built from its owner's name, so
+ *     "Jane Doe <jane@acme.com>" becomes e.g.
+ *     "FIRSTNAME_1 LASTNAME_1 <firstname_1.lastname_1@example.com>"
+ *   - Subject and other free-text headers, decoded from RFC 2047
+ *   - message ids (Message-ID, In-Reply-To, References) become keyed hashes
+ *     in a reserved domain, so replies still point to the message they
+ *     answer; trace headers (Received, DKIM signatures, ...) are dropped, as
+ *     they name the hosts, domains and IPs the message passed through
+ *   - text/plain and text/html bodies (HTML as in htmlAnonymizer.js), in
+ *     any charset and transfer encoding; changed bodies are written back as
+ *     UTF-8 in the same transfer encoding
+ *   - attachments go back through FileProcessor as files of their own,
+ *     under anonymized file names, and attached messages are anonymized
+ *     like the message. Attachments of a type that cannot be anonymized are
+ *     replaced by a short note, never kept as they were.
+ * A message's headers are anonymized before its bodies, and the scope maps
+ * equal text to the same pseudonym, so a sender's name in a signature or a
+ * quoted reply matches the From header.
+ *
+ * Sources are handled as binary strings (one character per byte) so bytes
+ * outside the parts that change are kept exactly.
+ *
+ * `engine` is bound to the current file by FileProcessor:
+ *   findSpans(text, location)                    -> spans with `replacement`
+ *   anonymizeText(text, location)                -> text with spans replaced
+ *   pseudonymize(value, type, source, location)  -> replacement for a value known to be PII
+ *   pseudonymizeAddress(address, name, location) -> address pseudonym built from
+ *                                                   its owner's name replacement
+ *   anonymizeAttachment(content, fileName, location)
+ *     -> { output, extension } or null when the file cannot be anonymized
+ *   progress(stage, done, total)                 -> called after each mbox message
+ */
+
+// Headers holding mailboxes: "Display Name <address>", ...
+const ADDRESS_HEADERS = new Set([
+  'from', 'sender', 'reply-to', 'to', 'cc', 'bcc', 'return-path', 'delivered-to', 'envelope-to',
+  'x-original-to', 'x-sender', 'x-envelope-from', 'x-envelope-to', 'errors-to', 'mail-followup-to',
+  'mail-reply-to', 'resent-from', 'resent-sender', 'resent-to', 'resent-cc', 'resent-bcc',
+  'disposition-notification-to', 'return-receipt-to',
+]);
+
+// Free-text headers read by the model
+const TEXT_HEADERS = new Set([
+  'subject', 'thread-topic', 'comments', 'keywords', 'organization', 'content-description',
+]);
+
+// Headers holding message ids ("<left@right>"), whose right side is the
+// sender's domain or host and whose left side may hold an address
+const MESSAGE_ID_HEADERS = new Set([
+  'message-id', 'in-reply-to', 'references', 'resent-message-id', 'original-message-id',
+]);
+
+// Trace headers: the hosts, domains and IPs a message passed through.
+// They are dropped; mail clients do not need them to open the message
+const TRACE_HEADERS = new Set([
+  'received', 'x-received', 'received-spf', 'authentication-results', 'arc-seal', 'arc-message-signature',
+  'arc-authentication-results', 'dkim-signature', 'domainkey-signature', 'x-originating-ip', 'x-sender-ip',
+  'x-google-smtp-source',
+]);
+
+const MESSAGE_ID = /<[^<>]*>|[^\s<>,]+@[^\s<>,]+/g;
+
+// Attachments without a file name get one from their type
+const TYPE_EXTENSIONS = {
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'text/html': '.html',
+  'text/markdown': '.md',
+  'application/json': '.json',
+  'application/x-ndjson': '.jsonl',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'message/rfc822': '.eml',
+  'application/mbox': '.mbox',
+};
+const EXTENSION_TYPES = {
+  ...Object.fromEntries(Object.entries(TYPE_EXTENSIONS).map(([type, ext]) => [ext, type])),
+  '.htm': 'text/html',
+  '.markdown': 'text/markdown',
+};
+
+// Multipart and attached-message levels a message may have
+const MAX_NESTING = 32;
+
+// Header lines are folded at this length where they can be
+const HEADER_LINE_LENGTH = 76;
+
+// Replacements that are not addresses (hash, remove) are written in this
+// reserved domain, so address headers stay valid
+const PLACEHOLDER_DOMAIN = 'example.invalid';
+
+const ENCODED_WORD = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+const ADJACENT_ENCODED_WORDS = /(=\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)\s+(?==\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Decodes bytes in a MIME charset, as UTF-8 when the charset is unknown.
+ */
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Decodes quoted-printable text (a binary string) into bytes. In headers
+ * (RFC 2047 "Q" words) "_" stands for a space.
+ */
+function decodeQuotedPrintable(raw, { header = false } = {}) {
+  const text = header ? raw : raw.replace(/[ \t]+(?=\r?\n|$)/g, '').replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const hex = text[i] === '=' ? text.slice(i + 1, i + 3) : '';
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(header && text[i] === '_' ? 0x20 : text.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encodes bytes as quoted-printable lines of at most 76 characters.
+ */
+function encodeQuotedPrintable(bytes, eol) {
+  const escape = (ch) => `=${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`;
+  return bytes.toString('latin1').split(/\r?\n/).map((line) => {
+    let encoded = line.replace(/[^\t\x20-\x3c\x3e-\x7e]/g, escape).replace(/[\t ]$/, escape);
+    let wrapped = '';
+    while (encoded.length > 76) {
+      // Soft line breaks go before "=", never inside an escape
+      let cut = 75;
+      const lastEscape = encoded.lastIndexOf('=', cut - 1);
+      if (lastEscape >= cut - 2) cut = lastEscape;
+      wrapped += `${encoded.slice(0, cut)}=${eol}`;
+      encoded = encoded.slice(cut);
+    }
+    return wrapped + encoded;
+  }).join(eol);
+}
+
+function decodeTransfer(body, encoding) {
+  if (encoding === 'base64') return Buffer.from(body.replace(/[^A-Za-z0-9+/]/g, ''), 'base64');
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(body);
+  return Buffer.from(body, 'latin1');
+}
+
+/**
+ * Encodes bytes in a transfer encoding, as a binary string. Base64 keeps
+ * the line break the original body ended with.
+ */
+function encodeTransfer(bytes, encoding, eol, original) {
+  if (encoding === 'base64') {
+    const lines = bytes.toString('base64').match(/.{1,76}/g) || [];
+    return lines.join(eol) + (/\n$/.test(original) ? eol : '');
+  }
+  if (encoding === 'quoted-printable') return encodeQuotedPrintable(bytes, eol);
+  return bytes.toString('latin1');
+}
+
+/**
+ * Decodes raw 8-bit header bytes: UTF-8, or else Windows-1252 as older
+ * mailers wrote them.
+ */
+function decodeRawHeader(raw) {
+  if (!/[\x80-\xff]/.test(raw)) return raw;
+  const bytes = Buffer.from(raw, 'latin1');
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * Decodes a header value: raw 8-bit text and RFC 2047 encoded words.
+ */
+function decodeHeader(raw) {
+  return decodeRawHeader(raw)
+    .replace(ADJACENT_ENCODED_WORDS, '$1')
+    .replace(ENCODED_WORD, (word, charset, encoding, data) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintable(data, { header: true });
+      return decodeCharset(bytes, charset.replace(/\*.*$/, ''));
+    });
+}
+
+/**
+ * Header text as it may be written: ASCII as it is, anything else as
+ * UTF-8 encoded words.
+ */
+function encodeHeader(text) {
+  if (/^[\t\x20-\x7e]*$/.test(text)) return text;
+  const words = [''];
+  for (const ch of text) {
+    if (Buffer.byteLength(words[words.length - 1] + ch) > 45) words.push('');
+    words[words.length - 1] += ch;
+  }
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`).join(' ');
+}
+
+/**
+ * A header value (after the colon) folded at spaces to keep lines short.
+ */
+function foldHeader(label, value, eol) {
+  let folded = '';
+  let lineLength = label.length + 1;
+  for (const [index, word] of value.split(' ').entries()) {
+    if (index > 0 && lineLength + 1 + word.length > HEADER_LINE_LENGTH) {
+      folded += `${eol} ${word}`;
+      lineLength = 1 + word.length;
+    } else {
+      folded += ` ${word}`;
+      lineLength += 1 + word.length;
+    }
+  }
+  return folded;
+}
+
+/**
+ * Splits an entity (a message or a body part) into its header block and
+ * body, keeping the blank line between them as it was.
+ */
+function splitEntity(raw) {
+  const newline = raw.indexOf('\n');
+  const eol = newline > 0 && raw[newline - 1] === '\r' ? '\r\n' : '\n';
+  if (/^\r?\n/.test(raw)) {
+    return { headerText: '', separator: raw.slice(0, newline + 1), body: raw.slice(newline + 1), eol };
+  }
+  const blank = /\r?\n\r?\n/.exec(raw);
+  if (!blank) return { headerText: raw, separator: '', body: '', eol };
+  return {
+    headerText: raw.slice(0, blank.index),
+    separator: blank[0],
+    body: raw.slice(blank.index + blank[0].length),
+    eol,
+  };
+}
+
+/**
+ * Lists the fields of a header block as { name, label, colon, start, end,
+ * value }: name lower-cased, label as written, value unfolded. Throws when
+ * a line is not a header field, as the message could not be read safely.
+ */
+function parseHeaders(headerText) {
+  const fields = [];
+  let offset = 0;
+  for (const line of headerText.split('\n')) {
+    const start = offset;
+    offset += line.length + 1;
+    const end = start + line.replace(/\r$/, '').length;
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1].end = end;
+      continue;
+    }
+    const field = /^([!-9;-~]+)[ \t]*:/.exec(line);
+    if (!field) {
+      throw new Error('Not a valid email message: malformed header line');
+    }
+    fields.push({ name: field[1].toLowerCase(), label: field[1], colon: start + field[0].length, start, end });
+  }
+  for (const field of fields) {
+    field.value = headerText.slice(field.colon, field.end).replace(/\r?\n/g, '');
+  }
+  return fields;
+}
+
+/**
+ * Parses a structured header value such as a Content-Type into { value,
+ * params }, with RFC 2231 continuations and charsets and RFC 2047 words
+ * in parameters decoded.
+ */
+function parseStructured(raw) {
+  const text = String(raw || '');
+  const semicolon = text.indexOf(';');
+  const value = (semicolon === -1 ? text : text.slice(0, semicolon)).trim().toLowerCase();
+  const params = {};
+  const pieces = {};
+  const pattern = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  for (const [, rawName, rawValue] of text.matchAll(pattern)) {
+    const name = rawName.toLowerCase();
+    let paramValue = rawValue.trim();
+    if (paramValue.startsWith('"')) paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    const extended = /^(.+?)\*(\d+)?(\*)?$/.exec(name);
+    if (extended) {
+      const list = pieces[extended[1]] || (pieces[extended[1]] = []);
+      list.push({ index: Number(extended[2] || 0), value: paramValue, encoded: Boolean(extended[3]) || extended[2] === undefined });
+    } else {
+      params[name] = decodeHeader(paramValue);
+    }
+  }
+  for (const [name, list] of Object.entries(pieces)) {
+    list.sort((a, b) => a.index - b.index);
+    let joined = list.map((piece) => piece.value).join('');
+    let charset = 'utf-8';
+    if (list[0].encoded) {
+      const match = /^([^']*)'[^']*'/.exec(joined);
+      if (match) {
+        charset = match[1] || charset;
+        joined = joined.slice(match[0].length);
+      }
+    }
+    const bytes = Buffer.from(joined.replace(/%([0-9A-Fa-f]{2})|[\s\S]/g, (ch, hex) => (
+      hex ? String.fromCharCode(parseInt(hex, 16)) : ch
+    )), 'latin1');
+    params[name] = list.some((piece) => piece.encoded) ? decodeCharset(bytes, charset) : joined;
+  }
+  return { value, params };
+}
+
+/**
+ * Writes a structured header value back, quoting parameters where needed
+ * and encoding non-ASCII ones as RFC 2231 UTF-8.
+ */
+function formatStructured(value, params) {
+  const parts = [value];
+  for (const [name, paramValue] of Object.entries(params)) {
+    if (!/^[\x20-\x7e]*$/.test(paramValue)) {
+      const encoded = Buffer.from(paramValue, 'utf8').toString('latin1')
+        .replace(/[^A-Za-z0-9!#$&+.^_`|~-]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+      parts.push(`${name}*=UTF-8''${encoded}`);
+    } else if (/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(paramValue)) {
+      parts.push(`${name}=${paramValue}`);
+    } else {
+      parts.push(`${name}="${paramValue.replace(/["\\]/g, '\\$&')}"`);
+    }
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Splits an address list at the commas between mailboxes.
+ */
+function splitAddressList(value) {
+  const items = [];
+  let current = '';
+  let quoted = false;
+  let angle = 0;
+  let comment = 0;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (quoted) {
+      current += ch;
+      if (ch === '\\' && i + 1 < value.length) current += value[++i];
+      else if (ch === '"') quoted = false;
+      continue;
+    }
+    if (ch === '"' && !comment) quoted = true;
+    else if (ch === '(') comment++;
+    else if (ch === ')' && comment) comment--;
+    else if (ch === '<' && !comment) angle++;
+    else if (ch === '>' && angle && !comment) angle--;
+    else if (ch === ',' && !angle && !comment) {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  items.push(current);
+  return items;
+}
+
+/**
+ * Parses one mailbox of an address list into { group, name, address,
+ * angled, end }: group is the label opening a group ("Team:"), end the ";"
+ * closing it. Comments are dropped; an old-style "address (Name)" comment
+ * is read as the name.
+ */
+function parseMailbox(item) {
+  let rest = item;
+  const group = /^\s*[^"<>@:;()]*:/.exec(rest);
+  if (group) rest = rest.slice(group[0].length);
+  const groupEnd = /;\s*$/.exec(rest);
+  if (groupEnd) rest = rest.slice(0, groupEnd.index);
+
+  let name = '';
+  let address;
+  const angled = /^([\s\S]*?)<([^<>]*)>/.exec(rest);
+  if (angled) {
+    name = angled[1].replace(/\([^()]*\)/g, '').trim();
+    address = angled[2].trim();
+  } else {
+    const comment = /\(([^()]*)\)/.exec(rest);
+    name = comment ? comment[1].trim() : '';
+    address = rest.replace(/\([^()]*\)/g, '').trim();
+  }
+  if (/^"[\s\S]*"$/.test(name)) name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+  return {
+    group: group ? group[0].trim() : '',
+    name: decodeHeader(name).trim(),
+    address,
+    angled: Boolean(angled),
+    end: groupEnd ? ';' : '',
+  };
+}
+
+function formatDisplayName(name) {
+  if (!/^[\x20-\x7e]*$/.test(name)) return encodeHeader(name);
+  return /[()<>[\]:;@\\,."]/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : name;
+}
+
+function formatMailbox({ group, name, address, angled, end }) {
+  let mailbox = address;
+  if (name) mailbox = `${formatDisplayName(name)} <${address}>`;
+  else if (angled) mailbox = `<${address}>`;
+  return [group, mailbox].filter(Boolean).join(' ') + end;
+}
+
+/**
+ * An address pseudonym as it may be written in a header: replacements
+ * that are not addresses get a placeholder domain.
+ */
+function toAddress(replacement) {
+  if (/^[^\s@<>()",;:\\[\]]+@[^\s@<>()",;:\\[\]]+$/.test(replacement)) return replacement;
+  const local = replacement.replace(/[^A-Za-z0-9!#$%&'*+/=?^_`{|}~.-]+/g, '.').replace(/^\.+|\.+$/g, '');
+  return `${local || 'removed'}@${PLACEHOLDER_DOMAIN}`;
+}
+
+/**
+ * Anonymizes short texts (display names, subjects, file names) with one
+ * model call, one text per line; `location` is where they are read
+ * together. Returns the anonymized texts.
+ */
+async function anonymizeTexts(items, engine, location) {
+  const segments = [];
+  let scanText = '';
+  for (const item of items) {
+    if (segments.length > 0) scanText += '\n';
+    segments.push({ offset: scanText.length, text: item.text, edits: [], location: item.location });
+    scanText += item.text;
+  }
+  if (!scanText.trim()) return items.map((item) => item.text);
+  assignSpansToSegments(await engine.findSpans(scanText, location), segments, { replaceEachPart: true });
+  return segments.map(({ text, edits }) => replaceSpans(text, edits));
+}
+
+/**
+ * Anonymizes the address, free-text and message id headers of an entity
+ * and drops its trace headers. Mailboxes with a display name go first, so
+ * an address is built from its owner's name even where it also appears on
+ * its own. Returns the changes as [{ field, value }] or [{ field, remove }].
+ */
+async function anonymizeHeaders(fields, engine, location) {
+  const texts = [];
+  const mailboxFields = [];
+  const textFields = [];
+  for (const field of fields) {
+    const fieldLocation = { ...location, header: field.label };
+    if (ADDRESS_HEADERS.has(field.name)) {
+      const mailboxes = splitAddressList(field.value).map(parseMailbox);
+      for (const mailbox of mailboxes) {
+        mailbox.location = fieldLocation;
+        if (mailbox.name) texts.push({ text: mailbox.name, location: fieldLocation, mailbox });
+      }
+      mailboxFields.push({ field, mailboxes });
+    } else if (TEXT_HEADERS.has(field.name)) {
+      const text = decodeHeader(field.value).trim();
+      if (text) {
+        const item = { text, location: fieldLocation, field };
+        texts.push(item);
+        textFields.push(item);
+      }
+    }
+  }
+
+  const changes = [];
+  for (const field of fields) {
+    if (TRACE_HEADERS.has(field.name)) {
+      changes.push({ field, remove: true });
+    } else if (MESSAGE_ID_HEADERS.has(field.name)) {
+      // Equal ids hash alike within the scope, so threads stay together
+      const value = field.value.trim().replace(MESSAGE_ID, (id) => {
+        const hash = engine.hash(id.replace(/^<|>$/g, ''), 'MESSAGEID', { ...location, header: field.label });
+        return `<${hash}@${PLACEHOLDER_DOMAIN}>`;
+      });
+      if (value !== field.value.trim()) changes.push({ field, value });
+    }
+  }
+
+  const anonymized = await anonymizeTexts(texts, engine, { ...location, part: 'headers' });
+  texts.forEach((item, index) => {
+    if (item.mailbox) {
+      // A display name is a person's or a team's name wherever the model
+      // does not recognise it, like a document author
+      item.mailbox.nameReplacement = anonymized[index] !== item.text
+        ? anonymized[index]
+        : engine.pseudonymize(item.text, 'NAME', undefined, item.location);
+      // Addresses are only built from names that were replaced
+      if (item.mailbox.nameReplacement === item.text) item.mailbox.nameReplacement = null;
+    } else if (anonymized[index] !== item.text) {
+      changes.push({ field: item.field, value: encodeHeader(anonymized[index]) });
+    }
+  });
+
+  const mailboxes = mailboxFields.flatMap(({ mailboxes: list }) => list);
+  for (const mailbox of [...mailboxes.filter((m) => m.name), ...mailboxes.filter((m) => !m.name)]) {
+    mailbox.original = formatMailbox(mailbox);
+    if (mailbox.nameReplacement != null) mailbox.name = mailbox.nameReplacement;
+    if (mailbox.address.includes('@')) {
+      const replacement = engine.pseudonymizeAddress(mailbox.address, mailbox.nameReplacement, mailbox.location);
+      if (replacement !== mailbox.address) mailbox.address = toAddress(replacement);
+    }
+  }
+  for (const { field, mailboxes: list } of mailboxFields) {
+    if (list.some((mailbox) => formatMailbox(mailbox) !== mailbox.original)) {
+      changes.push({ field, value: list.map(formatMailbox).join(', ').trim() });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Writes header changes ([{ field, value }], { field, remove: true } to drop
+ * a field, or { label, value } for a new field) into a header block.
+ */
+function writeHeaders(headerText, changes, eol) {
+  const edits = [];
+  let added = '';
+  for (const { field, label, value, remove } of changes) {
+    if (remove) {
+      // With the line break after it (see below for the last line)
+      const next = headerText.indexOf('\n', field.end);
+      edits.push({ start: field.start, end: next === -1 ? headerText.length : next + 1, replacement: '' });
+    } else if (field) {
+      edits.push({ start: field.colon, end: field.end, replacement: foldHeader(field.label, value, eol) });
+    } else {
+      added += `${headerText || added ? eol : ''}${label}:${foldHeader(label, value, eol)}`;
+    }
+  }
+  // The header block ends without a line break, also when its last field was dropped
+  const written = replaceSpans(headerText, edits);
+  return (/\n$/.test(headerText) ? written : written.replace(/\r?\n$/, '')) + added;
+}
+
+/**
+ * Anonymizes the parts of a multipart body between its boundaries; the
+ * preamble and epilogue are kept.
+ */
+async function anonymizeMultipart(body, boundary, engine, location, depth, partType) {
+  if (!boundary) {
+    throw new Error('Not a valid email message: multipart part without a boundary');
+  }
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}(--)?[ \\t]*(?=\\r?\\n|$)`, 'g');
+  const matches = [...body.matchAll(delimiter)];
+  const edits = [];
+  for (let i = 0; i < matches.length - 1 && !matches[i][1]; i++) {
+    const lineEnd = /^\r?\n/.exec(body.slice(matches[i].index + matches[i][0].length));
+    const start = matches[i].index + matches[i][0].length + (lineEnd ? lineEnd[0].length : 0);
+    const end = matches[i + 1].index;
+    if (end <= start) continue;
+    const part = body.slice(start, end);
+    const replacement = await anonymizeEntity(part, engine, location, depth + 1, partType);
+    if (replacement !== part) edits.push({ start, end, replacement });
+  }
+  const last = matches[matches.length - 1];
+  if (last && !last[1]) {
+    // No closing delimiter: the last part runs to the end
+    const lineEnd = /^\r?\n/.exec(body.slice(last.index + last[0].length));
+    const start = last.index + last[0].length + (lineEnd ? lineEnd[0].length : 0);
+    const part = body.slice(start);
+    const replacement = await anonymizeEntity(part, engine, location, depth + 1, partType);
+    if (replacement !== part) edits.push({ start, end: body.length, replacement });
+  }
+  return replaceSpans(body, edits);
+}
+
+/**
+ * Anonymizes a message or body part (a binary string), with its headers,
+ * body and nested parts. `defaultType` is the content type assumed without
+ * a Content-Type header (message/rfc822 in a multipart/digest).
+ */
+async function anonymizeEntity(raw, engine, location, depth = 0, defaultType = 'text/plain') {
+  if (depth > MAX_NESTING) {
+    throw new Error('Not a valid email message: parts are nested too deeply');
+  }
+  const { headerText, separator, body, eol } = splitEntity(raw);
+  const fields = parseHeaders(headerText);
+  const findField = (name) => fields.find((field) => field.name === name);
+  const changes = await anonymizeHeaders(fields, engine, location);
+  const setField = (label, value) => {
+    const field = findField(label.toLowerCase());
+    const change = changes.find((item) => item.field && item.field === field);
+    if (change) change.value = value;
+    else changes.push(field ? { field, value } : { label, value });
+  };
+
+  const contentTypeField = findField('content-type');
+  const contentType = parseStructured(contentTypeField ? contentTypeField.value : defaultType);
+  const type = contentType.value || defaultType;
+  const dispositionField = findField('content-disposition');
+  const disposition = parseStructured(dispositionField && dispositionField.value);
+  const encodingField = findField('content-transfer-encoding');
+  const encoding = encodingField ? encodingField.value.trim().toLowerCase() : '7bit';
+  let newBody = body;
+
+  if (type.startsWith('multipart/')) {
+    const partType = type === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+    newBody = await anonymizeMultipart(body, contentType.params.boundary, engine, location, depth, partType);
+  } else if (type === 'message/rfc822' || type === 'message/global') {
+    const message = decodeTransfer(body, encoding).toString('latin1');
+    const anonymized = await anonymizeEntity(message, engine, location, depth + 1);
+    if (anonymized !== message) newBody = encodeTransfer(Buffer.from(anonymized, 'latin1'), encoding, eol, body);
+  } else if ((type === 'text/plain' || type === 'text/html') && disposition.value !== 'attachment') {
+    const charset = contentType.params.charset;
+    const text = decodeCharset(decodeTransfer(body, encoding), charset);
+    const anonymized = type === 'text/html'
+      ? await anonymizeHtml(text, withLocation(engine, { ...location, part: 'HTML body' }))
+      : await engine.anonymizeText(text, { ...location, part: 'body' });
+    if (anonymized !== text) {
+      const bytes = Buffer.from(anonymized, 'utf8');
+      let newEncoding = encoding;
+      if (!['base64', 'quoted-printable', '8bit', 'binary'].includes(encoding) && /[^\x00-\x7f]/.test(anonymized)) {
+        // 7bit cannot carry the UTF-8 of a replacement
+        newEncoding = 'quoted-printable';
+        setField('Content-Transfer-Encoding', newEncoding);
+      }
+      if (charset ? !/^utf-?8$/i.test(charset) : /[^\x00-\x7f]/.test(anonymized)) {
+        setField('Content-Type', formatStructured(type, { ...contentType.params, charset: 'utf-8' }));
+      }
+      newBody = encodeTransfer(bytes, newEncoding, eol, body);
+    }
+  } else {
+    // An attachment (or an inline part such as an image): anonymized as a
+    // file of its own, under an anonymized file name
+    const originalName = disposition.params.filename || contentType.params.name || '';
+    const typeExtension = TYPE_EXTENSIONS[type] || '';
+    const extensionMatch = /\.[A-Za-z0-9]{1,10}$/.exec(originalName);
+    const extension = extensionMatch ? extensionMatch[0] : typeExtension;
+    const stem = originalName.slice(0, originalName.length - (extensionMatch ? extensionMatch[0].length : 0));
+    const attachmentLocation = { ...location, attachment: originalName || `${type} part` };
+    const nameLocation = { ...location, part: 'attachment name' };
+    const [newStem] = stem.trim() ? await anonymizeTexts([{ text: stem }], engine, nameLocation) : ['attachment'];
+
+    const result = await engine.anonymizeAttachment(decodeTransfer(body, encoding), `${newStem}${extension}`,
+      attachmentLocation);
+    if (!result) {
+      // Replaced by a note; the part's other headers stay
+      setField('Content-Type', 'text/plain; charset=us-ascii');
+      setField('Content-Transfer-Encoding', '7bit');
+      setField('Content-Disposition', formatStructured('attachment', { filename: `${newStem}${extension}.removed.txt` }));
+      newBody = `This attachment (${type}) was removed because it could not be anonymized.${eol}`;
+      return writeEntity(headerText, separator, changes, newBody, eol);
+    }
+
+    const fileName = `${newStem}${result.extension}`;
+    const newType = result.extension !== extension ? EXTENSION_TYPES[result.extension] || type : contentType.value;
+    const typeParams = { ...contentType.params };
+    if (typeParams.name !== undefined) typeParams.name = fileName;
+    if (newType !== contentType.value || typeParams.name !== contentType.params.name) {
+      setField('Content-Type', formatStructured(newType || type, typeParams));
+    }
+    if (disposition.params.filename !== undefined && fileName !== originalName) {
+      setField('Content-Disposition', formatStructured(disposition.value, { ...disposition.params, filename: fileName }));
+    }
+    if (encoding !== 'base64') setField('Content-Transfer-Encoding', 'base64');
+    newBody = encodeTransfer(result.output, 'base64', eol, body);
+  }
+
+  if (changes.length === 0 && newBody === body) return raw;
+  return writeEntity(headerText, separator, changes, newBody, eol);
+}
+
+/**
+ * Writes an entity back with its header changes and new body.
+ */
+function writeEntity(headerText, separator, changes, body, eol) {
+  const newHeaders = writeHeaders(headerText, changes, eol);
+  if (headerText || !newHeaders) return newHeaders + separator + body;
+  // Headers added to a part that had none
+  return newHeaders + eol + (separator || eol) + body;
+}
+
+/**
+ * The engine with `base` added to the location of everything it records.
+ */
+function withLocation(engine, base) {
+  return {
+    ...engine,
+    findSpans: (text, location) => engine.findSpans(text, { ...base, ...location }),
+    pseudonymize: (value, type, source, location) => engine.pseudonymize(value, type, source, { ...base, ...location }),
+  };
+}
+
+/**
+ * Anonymizes an .eml message. Resolves to a Buffer.
+ */
+export async function anonymizeEmail(content, engine) {
+  const raw = content.toString('latin1');
+  if (!raw.trim()) return Buffer.from(raw, 'latin1');
+  return Buffer.from(await anonymizeEntity(raw, engine, null), 'latin1');
+}
+
+/**
+ * Anonymizes an mbox mailbox message by message. Messages start with a
+ * "From " line at the start of the file or after a blank line; the address
+ * in it is replaced like the headers'. Resolves to a Buffer.
+ */
+export async function anonymizeMbox(content, engine) {
+  const raw = content.toString('latin1');
+  if (!raw.startsWith('From ')) {
+    throw new Error('Not a valid mbox file: it does not start with a "From " line');
+  }
+  const starts = [0];
+  for (const match of raw.matchAll(/\n\r?\n(?=From )/g)) starts.push(match.index + match[0].length);
+
+  let output = '';
+  for (const [index, start] of starts.entries()) {
+    const end = index + 1 < starts.length ? starts[index + 1] : raw.length;
+    const lineEnd = raw.indexOf('\n', start);
+    const messageStart = lineEnd === -1 ? end : lineEnd + 1;
+    const location = { message: index + 1 };
+
+    const message = raw.slice(messageStart, end);
+    const anonymized = message.trim() ? await anonymizeEntity(message, engine, location) : message;
+
+    // "From sender date": the envelope sender, after the message's headers
+    // so it maps like them
+    const fromLine = raw.slice(start, messageStart).replace(/^From (\S+@\S+)/, (line, address) => {
+      const replacement = engine.pseudonymizeAddress(address, null, { ...location, part: 'From line' });
+      return `From ${replacement === address ? address : toAddress(replacement)}`;
+    });
+    output += fromLine + anonymized;
+    await engine.progress('message', index + 1, starts.length);
+  }
+  return Buffer.from(output, 'latin1');
+}
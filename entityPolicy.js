@@ -0,0 +1,75 @@
+/**
+ * Decides which detections are applied. A policy is
+ *   { minScore, reviewScore, types: { <TYPE>: { enabled, minScore, reviewScore } } }
+ * where the type entries override the defaults. A detection is applied when
+ * its type is enabled and its score reaches minScore. If it only reaches
+ * reviewScore, the text is left as is and the detection goes on a "needs
+ * review" list; below that it is dropped. Pattern detectors score 1, so only
+ * disabling their type stops them.
+ */
+
+// Without a policy every detection is applied, as before thresholds existed
+export const DEFAULT_MIN_SCORE = 0;
+
+// Characters of surrounding text kept with a review item
+const REVIEW_CONTEXT_CHARS = 40;
+
+function toScore(value, fallback) {
+  return typeof value === 'number' && value >= 0 && value <= 1 ? value : fallback;
+}
+
+/**
+ * The effective rule for one entity type: { enabled, minScore, reviewScore }.
+ */
+export function ruleFor(policy, type) {
+  const defaults = policy || {};
+  const own = (defaults.types && Object.hasOwn(defaults.types, type) && defaults.types[type]) || {};
+  const minScore = toScore(own.minScore, toScore(defaults.minScore, DEFAULT_MIN_SCORE));
+  const reviewScore = Math.min(minScore, toScore(own.reviewScore, toScore(defaults.reviewScore, minScore)));
+  return { enabled: own.enabled !== false, minScore, reviewScore };
+}
+
+/**
+ * Splits spans into { applied, review } by the policy. Spans of disabled
+ * types and spans under the review score are in neither.
+ */
+export function applyEntityPolicy(spans, policy) {
+  const applied = [];
+  const review = [];
+  for (const span of spans) {
+    const rule = ruleFor(policy, span.type);
+    if (!rule.enabled) continue;
+    const score = typeof span.score === 'number' ? span.score : 1;
+    if (score >= rule.minScore) {
+      applied.push(span);
+    } else if (score >= rule.reviewScore) {
+      review.push(span);
+    }
+  }
+  return { applied, review };
+}
+
+/**
+ * Adds review spans to a list of review items, one item per text and type:
+ * { text, type, score, source, count, context }. Spans overlapping an
+ * applied span are skipped, since that text is replaced anyway.
+ */
+export function addReviewItems(items, text, reviewSpans, appliedSpans) {
+  for (const span of reviewSpans) {
+    if (appliedSpans.some((s) => span.start < s.end && s.start < span.end)) continue;
+    const existing = items.find((item) => item.text === span.text && item.type === span.type);
+    if (existing) {
+      existing.count++;
+      existing.score = Math.max(existing.score, span.score);
+      continue;
+    }
+    items.push({
+      text: span.text,
+      type: span.type,
+      score: span.score,
+      source: span.source,
+      count: 1,
+      context: text.slice(Math.max(0, span.start - REVIEW_CONTEXT_CHARS), span.end + REVIEW_CONTEXT_CHARS),
+    });
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Character-offset span helpers for the anonymization pipeline.
+ *
+ * A span is { start, end, text, type, score, source } where start/end are
+ * offsets into the text that was analysed. Detectors produce spans, overlaps
+ * are resolved once, and replacement rewrites exactly those ranges.
+ */
+
+/**
+ * Safely escapes all regex meta-characters in a string.
+ */
+export function escapeRegexChars(str) {
+  return str.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Maps every token the pipeline sees back to character offsets in `text`.
+ * Transformers.js leaves `start`/`end` empty on token-classification output,
+ * so we re-encode the text and walk the decoded pieces along it.
+ * Returns an array indexed like the model's input_ids: { start, end } or null
+ * for special tokens and pieces that could not be located.
+ */
+export function alignTokenOffsets(text, tokenizer) {
+  const ids = tokenizer.encode(text);
+  const offsets = new Array(ids.length).fill(null);
+  let cursor = 0;
+
+  for (let j = 0; j < ids.length; j++) {
+    const piece = tokenizer.decode([ids[j]], { skip_special_tokens: true }).trim();
+    if (!piece) continue;
+
+    let index = text.indexOf(piece, cursor);
+    // Only accept a match separated from the previous token by whitespace;
+    // anything else means the tokenizer normalized the piece.
+    if (index === -1 || text.slice(cursor, index).trim() !== '') {
+      const lowerIndex = text.toLowerCase().indexOf(piece.toLowerCase(), cursor);
+      if (lowerIndex === -1 || text.slice(cursor, lowerIndex).trim() !== '') continue;
+      index = lowerIndex;
+    }
+
+    offsets[j] = { start: index, end: index + piece.length };
+    cursor = index + piece.length;
+  }
+  return offsets;
+}
+
+/**
+ * Groups the pipeline's per-token predictions into entity spans.
+ * Consecutive tokens of the same type are joined when the next token is an
+ * inside (I-) tag or continues the same word; a new B- tag after whitespace
+ * starts a new entity. The span score is the mean token score.
+ */
+export function predictionsToSpans(text, predictions, offsets) {
+  const spans = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    spans.push({
+      start: current.start,
+      end: current.end,
+      text: text.slice(current.start, current.end),
+      type: current.type,
+      score: current.scores.reduce((a, b) => a + b, 0) / current.scores.length,
+      source: 'model',
+    });
+    current = null;
+  };
+
+  for (const pred of predictions || []) {
+    const offset = offsets[pred.index];
+    if (!offset) continue;
+
+    const type = pred.entity.replace(/^(B-|I-)/, '');
+    const isInside = pred.entity.startsWith('I-');
+    const continuesWord = current && offset.start === current.end;
+    const isNext = current && pred.index === current.lastIndex + 1;
+
+    if (current && current.type === type && isNext && (isInside || continuesWord)) {
+      current.end = offset.end;
+      current.lastIndex = pred.index;
+      current.scores.push(pred.score);
+    } else {
+      flush();
+      current = { type, start: offset.start, end: offset.end, lastIndex: pred.index, scores: [pred.score] };
+    }
+  }
+  flush();
+  return spans;
+}
+
+/**
+ * Picks a non-overlapping set of spans, sorted by position.
+ * User dictionary terms win, then pattern matches (they are validated), then
+ * model spans; within a source longer spans win, then higher scores.
+ */
+export function resolveOverlaps(spans) {
+  const rank = (span) => {
+    if (span.source === 'dictionary') return 2;
+    return span.source && span.source.startsWith('pattern:') ? 1 : 0;
+  };
+  const ordered = [...spans].sort((a, b) =>
+    rank(b) - rank(a) ||
+    (b.end - b.start) - (a.end - a.start) ||
+    (b.score || 0) - (a.score || 0)
+  );
+
+  const accepted = [];
+  for (const span of ordered) {
+    if (span.end <= span.start) continue;
+    const overlaps = accepted.some((s) => span.start < s.end && s.start < span.end);
+    if (!overlaps) accepted.push(span);
+  }
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Builds a fuzzy regex (with 'g' + 'i') that matches the entity ignoring
+ * spacing/punctuation between its characters. Matches must start and end
+ * on a word boundary so short entities do not hit the inside of other words.
+ */
+export function buildFuzzyRegex(entityText) {
+  const noPunc = entityText.replace(/[^\w]/g, '');
+  if (noPunc.length < 2) {
+    return null;
+  }
+
+  // Allow any non-alphanumeric run between characters
+  const pattern = [...noPunc].map(escapeRegexChars).join('[^a-zA-Z0-9]*');
+
+  try {
+    return new RegExp(`(?<![a-zA-Z0-9])${pattern}(?![a-zA-Z0-9])`, 'ig');
+  } catch (err) {
+    console.warn(`Regex build failed for entity of length ${entityText.length}. Error: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Optional propagation step: finds other occurrences of each detected entity
+ * that the detectors did not flag themselves (e.g. a name the model caught
+ * once but missed further down). Returns new spans only; each carries
+ * `canonical`, the detected text it repeats, so it maps to the same pseudonym.
+ */
+export function findOtherOccurrences(text, spans) {
+  const found = [];
+  const seen = new Set();
+
+  for (const span of spans) {
+    const key = `${span.type}\u0000${span.text.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const regex = buildFuzzyRegex(span.text);
+    if (!regex) continue;
+
+    for (const match of text.matchAll(regex)) {
+      found.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        type: span.type,
+        score: span.score,
+        source: 'propagated',
+        canonical: span.canonical || span.text,
+      });
+    }
+  }
+  return found;
+}
+
+/**
+ * Rewrites each span's range with its `replacement`, right to left so
+ * earlier offsets stay valid. Spans must not overlap.
+ */
+export function replaceSpans(text, spans) {
+  const parts = [];
+  let tail = text.length;
+  const ordered = [...spans].sort((a, b) => b.start - a.start);
+  for (const span of ordered) {
+    parts.push(text.slice(span.end, tail), span.replacement);
+    tail = span.start;
+  }
+  parts.push(text.slice(0, tail));
+  return parts.reverse().join('');
+}
+
+/**
+ * Maps spans over a joined text back onto the segments it was built from
+ * ([{ offset, text }], sorted by offset). Each overlapping part of a span is
+ * added to segment.edits as { start, end, replacement } relative to the
+ * segment, ready for replaceSpans. A span covering several segments puts its
+ * replacement in the first and clears the others, unless replaceEachPart is
+ * set. A segment's `location` (where it sits in the document) is merged into
+ * span.location of the spans starting in it, for audit reports.
+ */
+export function assignSpansToSegments(spans, segments, { replaceEachPart = false } = {}) {
+  let first = 0;
+  for (const span of spans) {
+    while (first < segments.length && segments[first].offset + segments[first].text.length <= span.start) {
+      first++;
+    }
+    let placed = false;
+    for (let i = first; i < segments.length && segments[i].offset < span.end; i++) {
+      const segment = segments[i];
+      const start = Math.max(span.start, segment.offset) - segment.offset;
+      const end = Math.min(span.end, segment.offset + segment.text.length) - segment.offset;
+      if (end <= start) continue;
+      if (!segment.edits) segment.edits = [];
+      segment.edits.push({ start, end, replacement: placed && !replaceEachPart ? '' : span.replacement });
+      if (!placed && segment.location) span.location = { ...span.location, ...segment.location };
+      placed = true;
+    }
+  }
+}
@@ -1,307 +1,908 @@
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import ExcelJS from 'exceljs';
-import mammoth from 'mammoth';
-import { Document, Packer, Paragraph } from 'docx';
-import pdfParse from 'pdf-parse';
-import { PDFDocument } from 'pdf-lib';
-
-import { pipeline, env } from '@xenova/transformers';
-import { fileURLToPath } from 'url';
-
-// ES module paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Transformers.js environment
-env.localModelPath = path.join(__dirname, 'models');
-env.allowRemoteModels = false;
-env.quantized = false;
+import { Document, Packer, Paragraph, Header, Footer, HeadingLevel } from 'docx';
+
+import { loadNERModel } from './nerModel.js';
+import { detectPatterns } from './patternDetectors.js';
+import {
+  alignTokenOffsets,
+  predictionsToSpans,
+  resolveOverlaps,
+  findOtherOccurrences,
+  replaceSpans,
+} from './entitySpans.js';
+import { chunkText, mergeChunkSpans } from './textChunker.js';
+import { PseudonymScope } from './pseudonymVault.js';
+import { strategyFor } from './replacementStrategies.js';
+import { applyEntityPolicy, addReviewItems, ruleFor } from './entityPolicy.js';
+import { findDenyTerms, removeAllowedSpans } from './dictionaries.js';
+import { applyReviewDecisions, createReviewProgress } from './reviewDecisions.js';
+import { KEY_FILE_EXTENSION, writeKeyFile, readKeyFile } from './mappingKeyFile.js';
+import {
+  createRestorer, restoreXlsx, restoreDocx, restoreCsv, restoreJson, restoreJsonLines, restoreHtml,
+} from './reidentify.js';
+import { extractWordDocument, readBiff8Workbook } from './legacyOffice.js';
+import { anonymizeDocx } from './docxRewriter.js';
+import { redactPdf } from './pdfRedactor.js';
+import { anonymizeCsv } from './csvAnonymizer.js';
+import { anonymizeJson, anonymizeJsonLines } from './jsonAnonymizer.js';
+import { anonymizeHtml } from './htmlAnonymizer.js';
+import { anonymizeMarkdown } from './markdownAnonymizer.js';
+import { anonymizeEmail, anonymizeMbox } from './emailAnonymizer.js';
+import { anonymizeWorkbook } from './xlsxAnonymizer.js';
+import { buildAuditReport, writeAuditReport, generateAuditSalt, formatLocation } from './auditReport.js';
 
 // Toggle whether we use LLM-based anonymization
 const useLLM = true;
 
 // Security: File size limit (100MB)
-const MAX_FILE_SIZE = 100 * 1024 * 1024;
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Streamed formats (.jsonl) are never held in memory whole, so they may be larger
+export const MAX_STREAMED_FILE_SIZE = 1024 * 1024 * 1024;
+const STREAMED_EXTENSIONS = ['.jsonl'];
+
+// File types processFile can anonymize
+export const SUPPORTED_EXTENSIONS = [
+  '.doc', '.docx', '.xls', '.xlsx', '.csv', '.json', '.jsonl', '.html', '.htm', '.md', '.markdown', '.eml', '.mbox',
+  '.pdf', '.txt',
+];
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
 
-// Pipeline reference
-let nerPipeline = null;
+// File types restoreFile can re-identify
+export const RESTORABLE_EXTENSIONS = [
+  '.txt', '.csv', ...HTML_EXTENSIONS, ...MARKDOWN_EXTENSIONS, '.json', '.jsonl', '.xlsx', '.docx',
+];
 
-// Pseudonym counters/mappings
-const pseudonymCounters = {};
-const pseudonymMapping = {};
+// Legacy binary formats are written out as their Office Open XML equivalents
+const OUTPUT_EXTENSIONS = { '.doc': '.docx', '.xls': '.xlsx' };
+
+// Emails attached to emails are anonymized this many levels deep; deeper
+// ones are removed
+const MAX_ATTACHMENT_DEPTH = 5;
+
+// Domain of email address pseudonyms built from a name (see pseudonymizeAddress)
+const RELATED_EMAIL_DOMAIN = 'example.com';
+
+// Review previews: at most this much document text is sent to the renderer
+const MAX_PREVIEW_CHARS = 1000000;
 
 /**
  * Security: Validate file size before processing
  */
-function validateFileSize(filePath) {
+function validateFileSize(filePath, maxSize = MAX_FILE_SIZE) {
   const stats = fs.statSync(filePath);
-  if (stats.size > MAX_FILE_SIZE) {
-    throw new Error(`File too large: ${stats.size} bytes (max: ${MAX_FILE_SIZE} bytes)`);
+  if (stats.size > maxSize) {
+    throw new Error(`File too large: ${stats.size} bytes (max: ${maxSize} bytes)`);
   }
+  return stats.size;
 }
 
 /**
- * Returns a consistent pseudonym for a given entity text + type.
+ * Where a run's messages go: options.logger (an object with console's log,
+ * warn and error methods), or the console.
  */
-function getPseudonym(entityText, entityType) {
-  if (pseudonymMapping[entityText]) {
-    return pseudonymMapping[entityText];
-  }
-  if (!pseudonymCounters[entityType]) {
-    pseudonymCounters[entityType] = 1;
+function loggerFor(options) {
+  return options.logger || console;
+}
+
+/**
+ * Lets the caller pause or cancel a run between steps: options.checkpoint()
+ * resolves when processing may go on and throws to abort it.
+ */
+async function checkpoint(options) {
+  if (options.checkpoint) await options.checkpoint();
+}
+
+/**
+ * Reports a finished step to options.onProgress: { stage, done, total,
+ * entities }, where stage is 'chunk', 'page', 'sheet', 'part', 'line' or
+ * 'message' (of a mailbox) and entities the number of detections so far in
+ * the file (`pending`: those of the text still being classified).
+ */
+function reportProgress(options, stage, done, total, pending = 0) {
+  if (options.onProgress) {
+    options.onProgress({ stage, done, total, entities: (options.detections ? options.detections.length : 0) + pending });
   }
-  const pseudonym = `${entityType}_${pseudonymCounters[entityType]++}`;
-  pseudonymMapping[entityText] = pseudonym;
-  return pseudonym;
 }
 
 /**
- * Aggressively merges consecutive tokens of the same entity type,
- * removing whitespace/punctuation from each token, then concatenating.
- * e.g. “Bay,” + “ona,” + “Wil” + “ber” => “BayonaWilber”
+ * Runs the pipeline over overlapping windows of the text so long documents
+ * are classified end to end, and maps each window's spans back to offsets
+ * in the full text. Duplicates from the overlap regions are merged.
  */
-function aggressiveMergeTokens(predictions) {
-  if (!predictions || predictions.length === 0) return [];
-
-  const merged = [];
-  let current = null;
-
-  for (const pred of predictions) {
-    const type = pred.entity.replace(/^(B-|I-)/, '');
-    // Remove whitespace/punctuation from each token
-    let word = pred.word.replace(/\s+/g, '').replace(/[^\w\s.,'-]/g, '');
-    word = word.trim();
-    if (!word) continue;
-
-    if (!current) {
-      current = { type, text: word };
-    } else if (current.type === type) {
-      // Same entity => unify
-      current.text += word;
-    } else {
-      // Different entity => push old one, start new
-      merged.push(current);
-      current = { type, text: word };
+async function runModelOnChunks(ner, text, options = {}) {
+  const countTokens = (str) => ner.tokenizer.encode(str).length;
+  const chunks = chunkText(text, { countTokens });
+  loggerFor(options).log(`Internal LLM processing (${chunks.length} window(s))...`);
+
+  const spans = [];
+  for (const [index, chunk] of chunks.entries()) {
+    await checkpoint(options);
+    const predictions = await ner(chunk.text);
+    const offsets = alignTokenOffsets(chunk.text, ner.tokenizer);
+    for (const span of predictionsToSpans(chunk.text, predictions, offsets)) {
+      spans.push({ ...span, start: span.start + chunk.start, end: span.end + chunk.start });
     }
+    reportProgress(options, 'chunk', index + 1, chunks.length, spans.length);
+  }
+  return mergeChunkSpans(text, spans);
+}
+
+/**
+ * Finds PII in the text as character-offset spans.
+ * 1) Runs the rule-based pattern detectors and the pipeline (per window)
+ * 2) Aligns the model's tokens to offsets and groups them into entity spans
+ * 3) Resolves overlaps between the two sources
+ * 4) Optionally adds other occurrences of each detected entity
+ *
+ * options.detectors: map of pattern detector name => boolean (all on by default)
+ * options.propagate: also replace other occurrences of detected entities
+ * options.entityPolicy: entity types and confidence thresholds to apply (see
+ * entityPolicy.js); detections held back for review go to options.review
+ * options.dictionaries: deny / allow term lists (see dictionaries.js)
+ * options.reviewed: the reviewer's decisions on the file's preview, applied
+ * last (see reviewDecisions.js)
+ * options.model: which model to load (see nerModel.js)
+ * Resolves to { spans, heldBack }: the spans to apply and those held back.
+ */
+async function detectEntities(text, options = {}) {
+  const patternSpans = detectPatterns(text, options.detectors);
+  loggerFor(options).log(`Pattern detectors found ${patternSpans.length} match(es).`);
+
+  const ner = await loadNERModel(options.model, loggerFor(options));
+  const modelSpans = await runModelOnChunks(ner, text, options);
+  loggerFor(options).log(`Model found ${modelSpans.length} entity span(s).`);
+
+  const dictionarySpans = findDenyTerms(text, options.dictionaries);
+  if (dictionarySpans.length > 0) {
+    loggerFor(options).log(`Dictionary matched ${dictionarySpans.length} term(s).`);
   }
-  if (current) {
-    merged.push(current);
+  const detected = removeAllowedSpans(text, [...patternSpans, ...modelSpans], options.dictionaries);
+
+  const { applied, review } = applyEntityPolicy([...dictionarySpans, ...detected], options.entityPolicy);
+  let spans = resolveOverlaps(applied);
+  if (options.propagate) {
+    spans = resolveOverlaps([...spans, ...findOtherOccurrences(text, spans)]);
   }
-  return merged;
+  let heldBack = review.length > 0 ? resolveOverlaps(review) : [];
+  if (options.reviewed) {
+    ({ spans, heldBack } = applyReviewDecisions(options.reviewed, text, { spans, heldBack }));
+  }
+  if (heldBack.length > 0) {
+    loggerFor(options).log(`${heldBack.length} low-confidence detection(s) held back for review.`);
+    if (options.review) addReviewItems(options.review, text, heldBack, spans);
+  }
+  return { spans, heldBack };
 }
 
 /**
- * Safely escapes all regex meta-characters in a string.
+ * Detects entity spans and maps each to its pseudonym in the given scope
+ * (options.pseudonyms). Applied spans are appended to options.detections
+ * when provided; `location` says where the text sits in its document
+ * (e.g. { page: 3 }) and is copied to each span. With options.segments,
+ * the text and its spans are also kept there for review.
  */
-function escapeRegexChars(str) {
-  return str.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+async function anonymizeSpans(text, options = {}, location = null) {
+  const { spans, heldBack } = await detectEntities(text, options);
+
+  for (const span of spans) {
+    const strategy = strategyFor(options.replacementStrategies, span.type);
+    span.replacement = options.pseudonyms.getPseudonym(span.canonical || span.text, span.type, strategy);
+    if (location) span.location = { ...location };
+  }
+  if (options.detections) {
+    options.detections.push(...spans);
+  }
+  if (options.segments) {
+    options.segments.push({ text, location, spans, heldBack });
+  }
+  return spans;
 }
 
 /**
- * Builds a fuzzy regex (with 'g' + 'i') that matches the merged string ignoring spacing/punctuation.
+ * Records in span.location[key] the line each span starts on (1-based).
  */
-function buildFuzzyRegex(mergedString) {
-  // Remove punctuation from mergedString
-  let noPunc = mergedString.replace(/[^\w]/g, '');
-  if (!noPunc) {
-    return null;
+function addLineNumbers(text, spans, key) {
+  let line = 1;
+  let pos = 0;
+  for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+    for (; pos < span.start; pos++) {
+      if (text[pos] === '\n' || (text[pos] === '\r' && text[pos + 1] !== '\n')) line++;
+    }
+    span.location = { ...span.location, [key]: line };
   }
+}
+
+/**
+ * The main anonymization function. 
+ * Rewrites exactly the detected entity ranges of the text. With `lineKey`,
+ * each detection's location also gets the line it is on under that key.
+ */
+async function anonymizeText(text, options = {}, location = null, lineKey = null) {
+  const processedText = String(text);
+  const spans = await anonymizeSpans(processedText, options, location);
+  if (lineKey) addLineNumbers(processedText, spans, lineKey);
 
-  // Escape special regex chars
-  noPunc = escapeRegexChars(noPunc);
+  loggerFor(options).log(`LLM processing complete. Replaced ${spans.length} span(s).`);
+  return replaceSpans(processedText, spans);
+}
 
-  // Build a pattern that allows any non-alphanumeric between letters
-  let pattern = '';
-  for (const char of noPunc) {
-    pattern += `${char}[^a-zA-Z0-9]*`;
+/**
+ * Pseudonymizes a value that is PII by its position in the file (e.g. a
+ * document author or a redacted CSV column) rather than by detection.
+ */
+function pseudonymizeValue(value, type, options = {}, source = 'metadata', location = null) {
+  // Document metadata follows the entity policy; explicit choices (such as
+  // a redacted CSV column) do not
+  if (source === 'metadata' && !ruleFor(options.entityPolicy, type).enabled) {
+    return value;
   }
-  // No trailing slice, to avoid bracket issues.
+  const strategy = strategyFor(options.replacementStrategies, type);
+  const replacement = options.pseudonyms.getPseudonym(value, type, strategy);
+  if (options.detections) {
+    options.detections.push({ start: 0, end: value.length, text: value, type, score: 1, source, replacement, location });
+  }
+  return replacement;
+}
 
-  if (!pattern) {
-    return null;
+/**
+ * Pseudonymizes an email address whose owner's name is known, e.g. from
+ * "Jane Doe <jane@acme.com>": the address is built from the name's
+ * replacement ("FIRSTNAME_1 LASTNAME_1" => firstname_1.lastname_1@example.com)
+ * so the two can be told to belong together. An address seen before keeps
+ * its replacement, and without a name, or with strategies other than label
+ * and synthetic, it is pseudonymized like any other.
+ */
+function pseudonymizeAddress(address, nameReplacement, options = {}, location = null) {
+  const strategy = strategyFor(options.replacementStrategies, 'EMAIL');
+  const localPart = String(nameReplacement || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '.')
+    .replace(/^\.+|\.+$/g, '');
+  if (!localPart || !['label', 'synthetic'].includes(strategy) || !ruleFor(options.entityPolicy, 'EMAIL').enabled) {
+    return pseudonymizeValue(address, 'EMAIL', options, 'metadata', location);
+  }
+  const replacement = options.pseudonyms.getRelatedPseudonym(address, `${localPart}@${RELATED_EMAIL_DOMAIN}`);
+  if (options.detections) {
+    options.detections.push({
+      start: 0, end: address.length, text: address, type: 'EMAIL', score: 1, source: 'metadata', replacement, location,
+    });
   }
+  return replacement;
+}
 
-  try {
-    return new RegExp(pattern, 'ig');
-  } catch (err) {
-    console.warn(`Regex build failed for pattern="${pattern}". Error: ${err.message}`);
-    return null;
+/**
+ * Replaces a value with its keyed hash. Recorded like a pseudonym, so the
+ * key file can still restore it.
+ */
+function hashValue(value, type, options = {}, location = null) {
+  const replacement = options.pseudonyms.hashValue(value);
+  if (options.detections) {
+    options.detections.push({ start: 0, end: value.length, text: value, type, score: 1, source: 'hash', replacement, location });
   }
+  return replacement;
 }
 
 /**
- * Loads the PII detection model from local files, if not already loaded.
+ * Binds the anonymization functions to one file's options, for format
+ * handlers that rewrite documents in place. Each takes an optional location
+ * ({ page, sheet, cell, row, column, paragraph, line, part, field, attribute,
+ * message, header, attachment }) recorded with its detections for the audit
+ * report. Handlers call progress(stage, done, total) after each page, sheet
+ * or part; it also waits while paused.
  */
-async function loadNERModel() {
-  if (!nerPipeline) {
-    console.log("Loading PII detection model from local files...");
-    nerPipeline = await pipeline('token-classification', 'protectai/lakshyakh93-deberta_finetuned_pii-onnx');
-    console.log("Model loaded.");
+function createTextEngine(options) {
+  return {
+    progress: async (stage, done, total) => {
+      reportProgress(options, stage, done, total);
+      await checkpoint(options);
+    },
+    findSpans: (text, location) => anonymizeSpans(text, options, location),
+    anonymizeText: (text, location) => anonymizeText(text, options, location),
+    pseudonymize: (value, type, source, location) => pseudonymizeValue(value, type, options, source, location),
+    hash: (value, type, location) => hashValue(value, type, options, location),
+  };
+}
+
+/**
+ * Text engine for email (see emailAnonymizer.js), which also builds
+ * addresses from their owner's name and sends attachments back through
+ * anonymizeDocument with the file's options, so they share its scope.
+ * An attachment that cannot be anonymized resolves to null and leaves no
+ * detections behind.
+ */
+function createMailEngine(options) {
+  const depth = options.attachmentDepth || 0;
+  return {
+    ...createTextEngine(options),
+    pseudonymizeAddress: (address, nameReplacement, location) => (
+      pseudonymizeAddress(address, nameReplacement, options, location)
+    ),
+    anonymizeAttachment: async (content, fileName, location) => {
+      const ext = path.extname(fileName).toLowerCase();
+      if (!SUPPORTED_EXTENSIONS.includes(ext) || depth >= MAX_ATTACHMENT_DEPTH) return null;
+      const detections = options.detections ? options.detections.length : 0;
+      const segments = options.segments ? options.segments.length : 0;
+      const reviewed = options.reviewed ? options.reviewed.next : 0;
+      const attachmentOptions = { ...options, onProgress: null, attachmentDepth: depth + 1 };
+      let output;
+      try {
+        // A text attachment only changes by its redactions: no "Anonymized" banner
+        output = ext === '.txt'
+          ? await anonymizeText(content.toString('utf8'), attachmentOptions, null, 'line')
+          : await anonymizeDocument(content, ext, attachmentOptions, fileName);
+      } catch (error) {
+        if (error.cancelled) throw error;
+        loggerFor(options).warn(`Could not anonymize attachment ${fileName}: ${error.message}`);
+        if (options.detections) options.detections.length = detections;
+        if (options.segments) options.segments.length = segments;
+        // The preview left this attachment's text parts out as well
+        if (options.reviewed) options.reviewed.next = reviewed;
+        return null;
+      }
+      for (const item of [...(options.detections || []).slice(detections), ...(options.segments || []).slice(segments)]) {
+        item.location = { ...location, ...item.location };
+      }
+      return {
+        output: Buffer.isBuffer(output) ? output : Buffer.from(output, 'utf8'),
+        extension: OUTPUT_EXTENSIONS[ext] || ext,
+      };
+    },
+  };
+}
+
+/**
+ * Builds a .docx from the anonymized text parts of a Word 97-2003 document.
+ * Paragraph breaks are kept; headers and footers go into the section's
+ * header/footer, notes, comments and text boxes follow the body.
+ */
+async function buildDocxFromWordParts(parts) {
+  const toParagraphs = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n+$/, '')
+    .split('\n')
+    .map((line) => new Paragraph(line));
+
+  const children = toParagraphs(parts.body);
+  const trailing = [
+    ['Text Boxes', parts.textboxes],
+    ['Footnotes', parts.footnotes],
+    ['Endnotes', parts.endnotes],
+    ['Comments', parts.comments],
+  ];
+  for (const [title, text] of trailing) {
+    if (text && text.trim()) {
+      children.push(new Paragraph({ text: title, heading: HeadingLevel.HEADING_2 }), ...toParagraphs(text));
+    }
+  }
+
+  const section = { children };
+  if (parts.headers && parts.headers.trim()) {
+    section.headers = { default: new Header({ children: toParagraphs(parts.headers) }) };
+  }
+  if (parts.footers && parts.footers.trim()) {
+    section.footers = { default: new Footer({ children: toParagraphs(parts.footers) }) };
   }
-  return nerPipeline;
+  return Packer.toBuffer(new Document({ sections: [section] }));
 }
 
 /**
- * The main anonymization function. 
- * 1) Runs the pipeline
- * 2) Merges partial tokens
- * 3) Uses a fuzzy global regex to replace each merged token with a pseudonym
+ * Anonymizes the content of one document, given its extension. Text formats
+ * (.txt, .csv, .json, .jsonl, HTML and Markdown) resolve to a string, the
+ * others to a Buffer; legacy formats come back in their Office Open XML
+ * equivalent (see OUTPUT_EXTENSIONS).
+ * `name` is only used in log messages.
+ */
+async function anonymizeDocument(content, ext, options, name = `document${ext}`) {
+  if (ext === '.csv') {
+    // Column-aware: the dialect and header row are kept as they were
+    loggerFor(options).log(`Processing CSV file: ${name}`);
+    return anonymizeCsv(content.toString('utf8'), createTextEngine(options), options.csvColumns);
+  }
+
+  if (ext === '.json') {
+    // Only string values are rewritten; keys, types and layout are kept
+    loggerFor(options).log(`Processing JSON file: ${name}`);
+    return anonymizeJson(content.toString('utf8'), createTextEngine(options), options.jsonFields);
+  }
+
+  if (ext === '.jsonl') {
+    loggerFor(options).log(`Processing JSONL file: ${name}`);
+    const text = content.toString('utf8');
+    const lines = text.split(/\r?\n/);
+    if (text.endsWith('\n')) lines.pop();
+    const output = [];
+    const engine = createLinesEngine(options, () => lines.length);
+    for await (const line of anonymizeJsonLines(lines, engine, options.jsonFields)) {
+      output.push(line);
+    }
+    return output.map((line) => `${line}\n`).join('');
+  }
+
+  if (HTML_EXTENSIONS.includes(ext)) {
+    // Markup-aware: only text nodes and text-like attributes change
+    loggerFor(options).log(`Processing HTML file: ${name}`);
+    return anonymizeHtml(content.toString('utf8'), createTextEngine(options));
+  }
+
+  if (MARKDOWN_EXTENSIONS.includes(ext)) {
+    loggerFor(options).log(`Processing Markdown file: ${name}`);
+    return anonymizeMarkdown(content.toString('utf8'), createTextEngine(options));
+  }
+
+  if (ext === '.eml' || ext === '.mbox') {
+    // MIME-aware: headers, bodies and attachments part by part, so the
+    // message still opens in mail clients
+    loggerFor(options).log(`Processing email file: ${name}`);
+    const engine = createMailEngine(options);
+    return ext === '.mbox' ? anonymizeMbox(content, engine) : anonymizeEmail(content, engine);
+  }
+
+  if (ext === '.txt') {
+    // Text-based approach
+    loggerFor(options).log(`Processing text file: ${name}`);
+    const text = content.toString('utf8');
+    if (!useLLM) {
+      loggerFor(options).log("LLM anonymization disabled. Using default processing.");
+      return "Anonymized\n\n" + text;
+    }
+    loggerFor(options).log("LLM anonymization enabled. Processing text...");
+    return "Anonymized\n\n" + await anonymizeText(text, options, null, 'line');
+  }
+
+  if (ext === '.xlsx') {
+    // Excel: every text-bearing part of the workbook, one model call per sheet
+    loggerFor(options).log(`Processing Excel file: ${name}`);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(content);
+    const found = await anonymizeWorkbook(workbook, createTextEngine(options));
+    loggerFor(options).log(`Replaced ${found} entity span(s) in ${workbook.worksheets.length} sheet(s).`);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  if (ext === '.docx') {
+    // DOCX: rewrite the text runs in place so formatting is kept
+    loggerFor(options).log(`Processing DOCX file: ${name}`);
+    return anonymizeDocx(content, createTextEngine(options));
+  }
+
+  if (ext === '.pdf') {
+    // PDF: remove the detected text from the page content and cover it,
+    // keeping every page, image and layout as it was
+    loggerFor(options).log(`Processing PDF file: ${name}`);
+    const result = await redactPdf(content, createTextEngine(options), {
+      style: options.pdfRedactionStyle,
+    });
+    loggerFor(options).log(`Redacted ${result.redactedAreas} area(s), removed ${result.removedGlyphs} glyph(s).`);
+    return result.buffer;
+  }
+
+  if (ext === '.doc') {
+    // Word 97-2003: extract every text part, anonymize, write as .docx
+    loggerFor(options).log(`Processing Word 97-2003 file: ${name}`);
+    const parts = await extractWordDocument(content);
+    const partNames = Object.keys(parts).filter((partName) => parts[partName] && parts[partName].trim());
+    for (const [index, partName] of partNames.entries()) {
+      parts[partName] = await anonymizeText(parts[partName], options, { part: partName }, 'paragraph');
+      reportProgress(options, 'part', index + 1, partNames.length);
+    }
+    return buildDocxFromWordParts(parts);
+  }
+
+  if (ext === '.xls') {
+    // Excel 97-2003 (BIFF8): read cell values into a new workbook, anonymize it, write as .xlsx
+    loggerFor(options).log(`Processing Excel 97-2003 file: ${name}`);
+    const { date1904, sheets } = readBiff8Workbook(content);
+    const workbook = new ExcelJS.Workbook();
+    workbook.properties.date1904 = date1904;
+
+    for (const sheet of sheets) {
+      const worksheet = workbook.addWorksheet(sheet.name);
+      for (const cell of sheet.cells) {
+        const target = worksheet.getCell(cell.row + 1, cell.col + 1);
+        target.value = cell.value;
+        if (cell.numFmt) target.numFmt = cell.numFmt;
+      }
+    }
+    await anonymizeWorkbook(workbook, createTextEngine(options));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // Never copy a file through unchanged: it would still contain all its PII
+  throw new Error(`Unsupported file type "${ext || name}": it cannot be anonymized`);
+}
+
+/**
+ * Text engine for JSONL, whose progress is counted in lines out of
+ * totalLines(linesDone) rather than in model chunks, which start over with
+ * every block of lines.
+ */
+function createLinesEngine(options, totalLines) {
+  const engine = createTextEngine({ ...options, onProgress: null });
+  engine.progress = async (stage, done) => {
+    reportProgress(options, stage, done, totalLines(done));
+    await checkpoint(options);
+  };
+  return engine;
+}
+
+/**
+ * Anonymizes a streamed format (see STREAMED_EXTENSIONS) from filePath into
+ * outputPath, one block of lines at a time. The line total in progress
+ * reports is estimated from the share of the file read so far.
  */
-async function anonymizeText(text) {
-  let processedText = String(text);
-
-  const ner = await loadNERModel();
-  console.log("Internal LLM processing...");
-  const predictions = await ner(processedText);
-  console.log("Raw predicted tokens:", predictions);
-
-  const merged = aggressiveMergeTokens(predictions);
-  console.log("Aggressively merged tokens:", merged);
-
-  for (const obj of merged) {
-    const entityType = obj.type;
-    const mergedString = obj.text;
-    if (!mergedString) continue;
-
-    const pseudonym = getPseudonym(mergedString, entityType);
-    const fuzzyRegex = buildFuzzyRegex(mergedString);
-    if (!fuzzyRegex) {
-      console.log(`Skipping zero-length or invalid pattern for mergedString="${mergedString}"`);
-      continue;
+async function anonymizeStreamedFile(filePath, outputPath, bytes, options) {
+  loggerFor(options).log(`Processing JSONL file: ${path.basename(filePath)}`);
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let bytesRead = 0;
+  const countedLines = (async function* () {
+    for await (const line of lines) {
+      bytesRead += Buffer.byteLength(line) + 1;
+      yield line;
     }
+  })();
+  const engine = createLinesEngine(options, (done) => (
+    Math.max(done, Math.round(done * bytes / Math.max(bytesRead, 1)))
+  ));
+  const anonymized = anonymizeJsonLines(countedLines, engine, options.jsonFields);
+  try {
+    await pipeline(
+      Readable.from((async function* () {
+        for await (const line of anonymized) yield `${line}\n`;
+      })()),
+      fs.createWriteStream(outputPath, { encoding: 'utf8' }),
+    );
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
 
-    console.log(`Replacing fuzzy match of "${mergedString}" => regex ${fuzzyRegex} with "${pseudonym}"`);
+/**
+ * Copies the caller's options with fresh lists for this run's detections and
+ * review items, a per-file pseudonym scope unless one is shared, and the
+ * reviewer's decisions ready to apply part by part.
+ */
+function withResultLists(options) {
+  return {
+    ...options,
+    pseudonyms: options.pseudonyms || new PseudonymScope(),
+    detections: [],
+    review: [],
+    reviewed: options.reviewDecisions ? createReviewProgress(options.reviewDecisions) : null,
+  };
+}
 
-    // Single-pass global replace
-    processedText = processedText.replace(fuzzyRegex, pseudonym);
+/**
+ * The text parts of a preview with their spans, as plain objects for the
+ * renderer, up to MAX_PREVIEW_CHARS of text.
+ */
+function toPreviewSegments(segments) {
+  const toSpan = ({ start, end, text, type, score, source }) => ({
+    start,
+    end,
+    text,
+    type,
+    score: typeof score === 'number' ? score : 1,
+    source,
+  });
+  const previews = [];
+  let chars = 0;
+  for (const segment of segments) {
+    if (chars + segment.text.length > MAX_PREVIEW_CHARS) {
+      return { segments: previews, truncated: true };
+    }
+    chars += segment.text.length;
+    previews.push({
+      location: segment.location,
+      locationText: formatLocation(segment.location),
+      text: segment.text,
+      spans: segment.spans.map(toSpan),
+      heldBack: segment.heldBack.map(toSpan),
+    });
   }
+  return { segments: previews, truncated: false };
+}
 
-  console.log("LLM processing complete.");
-  return processedText;
+/**
+ * Number of applied detections per entity type.
+ */
+function countEntities(detections) {
+  const counts = {};
+  for (const span of detections) {
+    counts[span.type] = (counts[span.type] || 0) + 1;
+  }
+  return counts;
 }
 
 export class FileProcessor {
-  static async processFile(filePath, outputPath) {
+  /**
+   * Anonymizes one file into outputPath.
+   * options.pseudonyms: PseudonymScope shared with other files (batch or
+   * project); a fresh per-file scope is used when omitted.
+   * options.keyPassword: also write an encrypted re-identification key file
+   * next to the output.
+   * options.pdfRedactionStyle: 'label' (default) or 'box' for PDF redactions.
+   * options.replacementStrategies: strategy per entity type, e.g.
+   * { default: 'label', EMAIL: 'mask' } (see replacementStrategies.js).
+   * options.entityPolicy: entity types to anonymize and minimum confidence
+   * per type (see entityPolicy.js).
+   * options.dictionaries: { deny, allow } term lists (see dictionaries.js).
+   * options.reviewDecisions: what the reviewer kept, added or retyped, per
+   * occurrence in the file's preview (see reviewDecisions.js).
+   * options.csvColumns: CSV column policies ('ner', 'skip', 'redact', 'hash'
+   * or 'drop') keyed by header name or "#<n>".
+   * options.jsonFields: JSON/JSONL field policies ('ner', 'skip', 'redact'
+   * or 'hash') keyed by JSONPath-style selector (see jsonAnonymizer.js).
+   * options.audit: { formats, originals, salt } to also write an audit
+   * report next to the output (see auditReport.js); files of a batch should
+   * share a salt so their hashed originals can be compared.
+   * options.logger: receives the run's messages instead of the console (an
+   * object with log, warn and error methods).
+   * Resolves to { outputPath, keyPath, auditPaths, review, entityCounts,
+   * detections }, where review lists the low-confidence detections that were
+   * left unchanged, entityCounts the number of replacements per entity type
+   * and detections the applied spans (these hold the original values).
+   */
+  static async processFile(filePath, outputPath, options = {}) {
+    options = withResultLists(options);
     return new Promise(async (resolve, reject) => {
       try {
+        const ext = path.extname(filePath).toLowerCase();
+        const streamed = STREAMED_EXTENSIONS.includes(ext);
+
         // Security: Validate file size before processing
-        validateFileSize(filePath);
+        const bytes = validateFileSize(filePath, streamed ? MAX_STREAMED_FILE_SIZE : MAX_FILE_SIZE);
         
-        const ext = path.extname(filePath).toLowerCase();
-        console.log(`Processing file: ${filePath}`);
-
-        if (ext === '.txt' || ext === '.csv') {
-          // Text-based approach
-          console.log(`Processing text file: ${filePath}`);
-          const content = fs.readFileSync(filePath, 'utf8');
-          let newContent;
-          if (useLLM) {
-            console.log("LLM anonymization enabled. Processing text...");
-            const anonymizedText = await anonymizeText(content);
-            newContent = "Anonymized\n\n" + anonymizedText;
+        const startedAt = new Date().toISOString();
+        loggerFor(options).log(`Processing file: ${filePath}`);
+        const output = streamed
+          ? null
+          : await anonymizeDocument(fs.readFileSync(filePath), ext, options, path.basename(filePath));
+
+        // Every file is written to a staging folder first and moved into
+        // place at the end, so a failed or cancelled run leaves nothing behind
+        const partialDir = FileProcessor.generatePartialDirPath(outputPath);
+        const stagedPath = path.join(partialDir, path.basename(outputPath));
+        fs.rmSync(partialDir, { recursive: true, force: true });
+        fs.mkdirSync(partialDir);
+        try {
+          if (streamed) {
+            await anonymizeStreamedFile(filePath, stagedPath, bytes, options);
           } else {
-            console.log("LLM anonymization disabled. Using default processing.");
-            newContent = "Anonymized\n\n" + content;
+            fs.writeFileSync(stagedPath, output);
           }
-          fs.writeFileSync(outputPath, newContent, 'utf8');
-          console.log(`Text file processed and saved to: ${outputPath}`);
-          resolve(true);
-
-        } else if (ext === '.xlsx') {
-          // Excel partial coverage
-          console.log(`Processing Excel file: ${filePath}`);
-          const workbook = new ExcelJS.Workbook();
-          await workbook.xlsx.readFile(filePath);
-
-          for (const worksheet of workbook.worksheets) {
-            for (let i = 1; i <= worksheet.rowCount; i++) {
-              const row = worksheet.getRow(i);
-              for (let j = 1; j <= row.cellCount; j++) {
-                const cell = row.getCell(j);
-                if (typeof cell.value === 'string') {
-                  console.log(`Anonymizing cell [Row ${i}, Col ${j}] with value: ${cell.value}`);
-                  cell.value = await anonymizeText(cell.value);
-                }
-              }
-            }
+          const staged = FileProcessor.writeSidecarFiles(filePath, stagedPath, bytes, startedAt, options);
+          await checkpoint(options);
+          for (const name of fs.readdirSync(partialDir)) {
+            fs.renameSync(path.join(partialDir, name), path.join(path.dirname(outputPath), name));
           }
-
-          await workbook.xlsx.writeFile(outputPath);
-          console.log(`Excel file processed and saved to: ${outputPath}`);
-          resolve(true);
-
-        } else if (ext === '.docx') {
-          // DOCX: mammoth + docx approach
-          console.log(`Processing DOCX file: ${filePath}`);
-          const { value: docxText } = await mammoth.extractRawText({ path: filePath });
-          console.log("Extracted DOCX text:", docxText);
-
-          let anonymizedDocxText = docxText;
-          if (useLLM) {
-            anonymizedDocxText = await anonymizeText(docxText);
-          }
-
-          // Create minimal docx with 'docx' library
-          const doc = new Document({
-            sections: [
-              {
-                children: [ new Paragraph(anonymizedDocxText) ],
-              },
-            ],
+          loggerFor(options).log(`Anonymized file saved to: ${outputPath}`);
+
+          const finalPath = (stagedFile) => path.join(path.dirname(outputPath), path.basename(stagedFile));
+          const keyPath = staged.keyPath && finalPath(staged.keyPath);
+          const auditPaths = staged.auditPaths && Object.fromEntries(
+            Object.entries(staged.auditPaths).map(([format, auditPath]) => [format, finalPath(auditPath)]),
+          );
+          if (keyPath) loggerFor(options).log(`Re-identification key saved to: ${keyPath}`);
+          if (auditPaths) loggerFor(options).log(`Audit report saved next to: ${outputPath}`);
+          resolve({
+            outputPath,
+            keyPath,
+            auditPaths,
+            review: options.review,
+            entityCounts: countEntities(options.detections),
+            detections: options.detections,
           });
-          const buffer = await Packer.toBuffer(doc);
-          fs.writeFileSync(outputPath, buffer);
-          console.log(`DOCX file processed and saved to: ${outputPath}`);
-          resolve(true);
-
-        } else if (ext === '.pdf') {
-          // PDF: pdf-parse + pdf-lib approach
-          console.log(`Processing PDF file: ${filePath}`);
-          const dataBuffer = fs.readFileSync(filePath);
-          const data = await pdfParse(dataBuffer);
-          const pdfText = data.text;
-          console.log("Extracted PDF text:", pdfText);
-
-          let anonymizedPdfText = pdfText;
-          if (useLLM) {
-            anonymizedPdfText = await anonymizeText(pdfText);
-          }
-
-          // Create a minimal PDF with pdf-lib
-          const doc = await PDFDocument.create();
-          const page = doc.addPage();
-          page.drawText(anonymizedPdfText, { x: 50, y: 700, size: 12 });
-          const pdfBytes = await doc.save();
-          fs.writeFileSync(outputPath, pdfBytes);
-          console.log(`PDF file processed and saved to: ${outputPath}`);
-          resolve(true);
-
-        } else {
-          // For other file types, just copy
-          console.log(`Processing binary file: ${filePath}`);
-          fs.copyFileSync(filePath, outputPath);
-          console.log(`Binary file copied to: ${outputPath}`);
-          resolve(true);
+        } finally {
+          fs.rmSync(partialDir, { recursive: true, force: true });
         }
       } catch (error) {
-        console.error("Error in processFile:", error);
+        if (error.cancelled) {
+          loggerFor(options).log(`Cancelled: ${filePath}`);
+        } else {
+          loggerFor(options).error("Error in processFile:", error);
+        }
         reject(error);
       }
     });
   }
 
+  /**
+   * Writes the key file and audit reports of an output (when enabled) next
+   * to it (`bytes` is the input's size). Returns { keyPath, auditPaths }.
+   */
+  static writeSidecarFiles(filePath, outputPath, bytes, startedAt, options) {
+    let keyPath = null;
+    if (options.keyPassword) {
+      keyPath = FileProcessor.generateKeyFilePath(outputPath);
+      // Removed entities cannot be restored, nor can masks shared by
+      // several originals
+      const mapping = {};
+      const ambiguous = new Set();
+      for (const span of options.detections) {
+        if (!span.replacement) continue;
+        const original = span.canonical || span.text;
+        if (Object.hasOwn(mapping, span.replacement) && mapping[span.replacement] !== original) {
+          ambiguous.add(span.replacement);
+        }
+        mapping[span.replacement] = original;
+      }
+      ambiguous.forEach((replacement) => delete mapping[replacement]);
+      writeKeyFile(keyPath, mapping, options.keyPassword, {
+        source: path.basename(filePath),
+        output: path.basename(outputPath),
+        createdAt: new Date().toISOString(),
+      });
+    }
+
+    let auditPaths = null;
+    if (options.audit) {
+      const report = buildAuditReport({
+        input: { name: path.basename(filePath), bytes },
+        output: { name: path.basename(outputPath) },
+        detections: options.detections,
+        review: options.review,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+      }, {
+        originals: options.audit.originals,
+        salt: options.audit.salt || generateAuditSalt(),
+      });
+      auditPaths = writeAuditReport(report, outputPath, options.audit.formats);
+    }
+
+    return { keyPath, auditPaths };
+  }
+
+  /**
+   * Runs detection on a file without writing anything, for review before
+   * processFile. Resolves to { segments, truncated, fixed }: each text part
+   * of the document with the spans that would be replaced and those held
+   * back by the entity policy, and the number of values replaced by file
+   * settings alone (metadata, CSV column policies). Pseudonyms come from a
+   * throwaway scope, so shared batch or project scopes are left untouched.
+   */
+  static async previewFile(filePath, options = {}) {
+    options = { ...withResultLists(options), pseudonyms: new PseudonymScope(), segments: [] };
+    validateFileSize(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    loggerFor(options).log(`Previewing file: ${filePath}`);
+    await anonymizeDocument(fs.readFileSync(filePath), ext, options, path.basename(filePath));
+    const detected = new Set(options.segments.flatMap((segment) => segment.spans));
+    return {
+      ...toPreviewSegments(options.segments),
+      fixed: options.detections.filter((span) => !detected.has(span)).length,
+    };
+  }
+
+  /**
+   * Anonymizes a string with the same options as processFile (key files
+   * aside). Resolves to { text, review, entityCounts, detections }.
+   */
+  static async anonymizeText(text, options = {}) {
+    options = withResultLists(options);
+    const anonymized = await anonymizeText(text, options, null, 'line');
+    return {
+      text: anonymized,
+      review: options.review,
+      entityCounts: countEntities(options.detections),
+      detections: options.detections,
+    };
+  }
+
+  /**
+   * Anonymizes a document held in memory, given its extension ('.docx').
+   * Resolves to { output, extension, review, entityCounts, detections }:
+   * output is a string for text formats (.txt, .csv, .json, .jsonl, HTML,
+   * Markdown) and a Buffer otherwise, extension the output's (.doc and .xls come back as
+   * .docx and .xlsx).
+   */
+  static async anonymizeContent(content, ext, options = {}) {
+    options = withResultLists(options);
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    if (buffer.length > MAX_FILE_SIZE) {
+      throw new Error(`File too large: ${buffer.length} bytes (max: ${MAX_FILE_SIZE} bytes)`);
+    }
+    const extension = String(ext).toLowerCase();
+    const output = await anonymizeDocument(buffer, extension, options);
+    return {
+      output,
+      extension: OUTPUT_EXTENSIONS[extension] || extension,
+      review: options.review,
+      entityCounts: countEntities(options.detections),
+      detections: options.detections,
+    };
+  }
+
+  /**
+   * Re-identifies an anonymized TXT/CSV/JSON/JSONL/HTML/Markdown/XLSX/DOCX file using its key file,
+   * writing the document with the original values into outputPath.
+   * options.logger: as for processFile.
+   */
+  static async restoreFile(filePath, keyPath, password, outputPath, options = {}) {
+    validateFileSize(filePath);
+    const { mapping } = readKeyFile(keyPath, password);
+    const ext = path.extname(filePath).toLowerCase();
+    loggerFor(options).log(`Restoring file: ${filePath}`);
+
+    if (ext === '.txt') {
+      const content = fs.readFileSync(filePath, 'utf8').replace(/^Anonymized\n\n/, '');
+      fs.writeFileSync(outputPath, createRestorer(mapping)(content), 'utf8');
+    } else if (ext === '.csv') {
+      fs.writeFileSync(outputPath, restoreCsv(fs.readFileSync(filePath, 'utf8'), mapping), 'utf8');
+    } else if (HTML_EXTENSIONS.includes(ext)) {
+      fs.writeFileSync(outputPath, restoreHtml(fs.readFileSync(filePath, 'utf8'), mapping), 'utf8');
+    } else if (MARKDOWN_EXTENSIONS.includes(ext)) {
+      fs.writeFileSync(outputPath, createRestorer(mapping)(fs.readFileSync(filePath, 'utf8')), 'utf8');
+    } else if (ext === '.json') {
+      fs.writeFileSync(outputPath, restoreJson(fs.readFileSync(filePath, 'utf8'), mapping), 'utf8');
+    } else if (ext === '.jsonl') {
+      fs.writeFileSync(outputPath, restoreJsonLines(fs.readFileSync(filePath, 'utf8'), mapping), 'utf8');
+    } else if (ext === '.xlsx') {
+      fs.writeFileSync(outputPath, await restoreXlsx(fs.readFileSync(filePath), mapping));
+    } else if (ext === '.docx') {
+      fs.writeFileSync(outputPath, await restoreDocx(fs.readFileSync(filePath), mapping));
+    } else {
+      // Keep RESTORABLE_EXTENSIONS in step with the formats above
+      throw new Error(`Restore is not supported for ${ext} files`);
+    }
+
+    loggerFor(options).log(`Restored file saved to: ${outputPath}`);
+    return { outputPath };
+  }
+
   static generateOutputFileName(originalName) {
     const ext = path.extname(originalName);
     const baseName = path.basename(originalName, ext);
-    return `${baseName}-anon${ext}`;
+    const outputExt = OUTPUT_EXTENSIONS[ext.toLowerCase()] || ext;
+    return `${baseName}-anon${outputExt}`;
+  }
+
+  /**
+   * Output path of a file written to directory, numbered (report-anon-2.docx)
+   * when one already handed out in the same run (taken) is the same:
+   * report.doc and report.docx would both become report-anon.docx. Case is
+   * ignored, as it is by the Windows and macOS file systems.
+   */
+  static generateOutputPath(directory, originalName, taken) {
+    const fileName = FileProcessor.generateOutputFileName(originalName);
+    const ext = path.extname(fileName);
+    let outputPath = path.join(directory, fileName);
+    for (let n = 2; taken.has(outputPath.toLowerCase()); n++) {
+      outputPath = path.join(directory, `${path.basename(fileName, ext)}-${n}${ext}`);
+    }
+    taken.add(outputPath.toLowerCase());
+    return outputPath;
+  }
+
+  static generateKeyFilePath(outputPath) {
+    return `${outputPath}${KEY_FILE_EXTENSION}`;
+  }
+
+  // Staging folder of an output while it is written (hidden, next to it)
+  static generatePartialDirPath(outputPath) {
+    return path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.partial`);
+  }
+
+  static generateRestoredFileName(anonymizedName) {
+    const ext = path.extname(anonymizedName);
+    const baseName = path.basename(anonymizedName, ext).replace(/-anon$/, '');
+    return `${baseName}-restored${ext}`;
   }
 
   static validateFileType(filePath) {
-    const supportedTypes = [
-      '.doc', '.docx', '.xls', '.xlsx', '.csv', '.pdf', '.txt'
-    ];
     const ext = path.extname(filePath).toLowerCase();
-    return supportedTypes.includes(ext);
+    return SUPPORTED_EXTENSIONS.includes(ext);
   }
 }
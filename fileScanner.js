@@ -0,0 +1,266 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Turns input arguments (files, directories and glob patterns such as
+ * "cases/**\/*.docx") into the list of files to process. Directories and
+ * globs only yield files with a supported extension; files named explicitly
+ * are always returned, so an unsupported one is reported rather than
+ * silently skipped. Hidden entries are skipped and symlinked directories are
+ * not followed, which keeps a walk from looping.
+ *
+ * scanDirectory lists one folder for the app, with include/exclude
+ * patterns, hidden-file and symlink rules and depth and count limits.
+ */
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+export function isGlobPattern(input) {
+  return GLOB_CHARS.test(input);
+}
+
+/**
+ * Converts a glob to a regex over "/"-separated relative paths:
+ * "**" spans directories, "*" and "?" stay within one, "[abc]" / "[!abc]"
+ * are character classes and "{a,b}" alternatives.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentEnd = glob[i + 2] === '/';
+        source += atSegmentEnd ? '(?:[^/]*/)*' : '.*';
+        i += atSegmentEnd ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, close);
+      if (body.startsWith('!')) body = `^${body.slice(1)}`;
+      source += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.+^$()|\\{}\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Splits a glob into the directory to walk and the pattern below it.
+ */
+function splitGlob(glob) {
+  const segments = glob.split('/');
+  const firstMagic = segments.findIndex((segment) => isGlobPattern(segment));
+  const base = segments.slice(0, firstMagic).join('/');
+  return {
+    base: base || (glob.startsWith('/') ? '/' : '.'),
+    pattern: segments.slice(firstMagic).join('/'),
+  };
+}
+
+// Defaults of scanDirectory: how deep a walk goes and how many files it returns
+export const DEFAULT_SCAN_DEPTH = 10;
+export const DEFAULT_SCAN_LIMIT = 10000;
+
+/**
+ * Lists files under a directory as { path, relative }, where relative uses
+ * "/" separators. Options (see scanDirectory): includeHidden, followSymlinks,
+ * exclude (compiled patterns, matched against directories too), maxDepth,
+ * maxFiles and accept(file), which filters the files counted; `state`
+ * collects what was skipped.
+ */
+function walkDirectory(dir, options = {}, state = newWalkState(), relative = '', depth = 0) {
+  const {
+    includeHidden = false, followSymlinks = false, exclude = [], maxDepth = Infinity, maxFiles = Infinity, accept = () => true,
+  } = options;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    console.error(`Error reading directory ${dir}: ${error.message}`);
+    return state.results;
+  }
+  if (followSymlinks) {
+    // A link back up the tree would otherwise be walked forever
+    const realDir = realPath(dir);
+    if (state.visited.has(realDir)) return state.results;
+    state.visited.add(realDir);
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (state.truncated) break;
+    if (entry.name.startsWith('.') && !includeHidden) {
+      state.skipped.hidden++;
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    const childRelative = relative ? `${relative}/${entry.name}` : entry.name;
+    if (matchesAny(exclude, childRelative)) {
+      state.skipped.excluded++;
+      continue;
+    }
+    const isLinkedDirectory = entry.isSymbolicLink() && isDirectory(fullPath);
+    if (entry.isDirectory() || isLinkedDirectory) {
+      if (isLinkedDirectory && !followSymlinks) {
+        state.skipped.symlinks++;
+      } else if (depth >= maxDepth) {
+        state.skipped.depth++;
+      } else {
+        walkDirectory(fullPath, options, state, childRelative, depth + 1);
+      }
+    } else if (entry.isFile() || (entry.isSymbolicLink() && isFile(fullPath))) {
+      const file = { path: fullPath, relative: childRelative };
+      if (!accept(file)) continue;
+      if (state.results.length >= maxFiles) {
+        state.truncated = true;
+      } else {
+        state.results.push(file);
+      }
+    }
+  }
+  return state.results;
+}
+
+function newWalkState() {
+  return { results: [], visited: new Set(), truncated: false, skipped: { hidden: 0, excluded: 0, symlinks: 0, depth: 0 } };
+}
+
+/**
+ * Compiles include/exclude globs. A pattern without "/" matches a name at
+ * any depth ("*.tmp", "drafts"); one with "/" matches the path relative to
+ * the scanned directory ("clients/**\/*.pdf").
+ */
+function compilePatterns(patterns = []) {
+  return patterns
+    .map((pattern) => pattern.trim().split(path.sep).join('/').replace(/^\.\//, '').replace(/\/$/, ''))
+    .filter(Boolean)
+    .map((pattern) => ({ regex: globToRegExp(pattern), anyDepth: !pattern.includes('/') }));
+}
+
+function matchesAny(patterns, relative) {
+  const name = relative.slice(relative.lastIndexOf('/') + 1);
+  return patterns.some(({ regex, anyDepth }) => regex.test(anyDepth ? name : relative));
+}
+
+/**
+ * Recursively lists the files of `dir` that have one of the given
+ * extensions. Options:
+ *   include / exclude  glob patterns; with includes, only matching files are
+ *                      kept; excluded directories are not entered
+ *   includeHidden      also list dot files and enter dot directories
+ *   followSymlinks     enter symlinked directories (symlinked files are
+ *                      always listed); each real directory is walked once
+ *   maxDepth           directory levels below `dir` to enter
+ *   maxFiles           stop after this many files
+ * Returns { files: [{ path, relative }], truncated, skipped } where skipped
+ * counts the hidden, excluded, symlinked and too-deep entries passed over.
+ */
+export function scanDirectory(dir, {
+  extensions,
+  include = [],
+  exclude = [],
+  includeHidden = false,
+  followSymlinks = false,
+  maxDepth = DEFAULT_SCAN_DEPTH,
+  maxFiles = DEFAULT_SCAN_LIMIT,
+} = {}) {
+  const includePatterns = compilePatterns(include);
+  const state = newWalkState();
+  const files = walkDirectory(dir, {
+    includeHidden,
+    followSymlinks,
+    exclude: compilePatterns(exclude),
+    maxDepth,
+    maxFiles,
+    accept: (file) => hasExtension(file.path, extensions)
+      && (includePatterns.length === 0 || matchesAny(includePatterns, file.relative)),
+  }, state);
+  return { files, truncated: state.truncated, skipped: state.skipped };
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function realPath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch {
+    return filePath;
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function hasExtension(filePath, extensions) {
+  return extensions.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Expands inputs into { files: [{ path, base, explicit }], unmatched: [input] }.
+ * `base` is the directory the file was found under (its own directory for
+ * files named explicitly), for callers that mirror the input tree;
+ * `explicit` marks files named as such rather than found by a search.
+ */
+export function expandInputs(inputs, { extensions }) {
+  const files = [];
+  const unmatched = [];
+  const seen = new Set();
+  const add = (filePath, base, explicit = false) => {
+    const resolved = path.resolve(filePath);
+    if (seen.has(resolved)) return;
+    seen.add(resolved);
+    files.push({ path: resolved, base: path.resolve(base), explicit });
+  };
+
+  for (const input of inputs) {
+    const before = files.length;
+    if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      for (const file of walkDirectory(input)) {
+        if (hasExtension(file.path, extensions)) add(file.path, input);
+      }
+    } else if (fs.existsSync(input)) {
+      add(input, path.dirname(input), true);
+    } else if (isGlobPattern(input)) {
+      const { base, pattern } = splitGlob(input.split(path.sep).join('/'));
+      const regex = globToRegExp(pattern);
+      if (fs.existsSync(base) && fs.statSync(base).isDirectory()) {
+        for (const file of walkDirectory(base)) {
+          if (regex.test(file.relative) && hasExtension(file.path, extensions)) add(file.path, base);
+        }
+      }
+    }
+    if (files.length === before) unmatched.push(input);
+  }
+  return { files, unmatched };
+}
@@ -0,0 +1,298 @@
+import fs from 'fs';
+import path from 'path';
+import { FileProcessor } from './fileProcessor.js';
+
+/**
+ * Watch-folder mode: anonymizes supported files as they are dropped into an
+ * inbox folder.
+ *
+ * The folder (its top level only) is polled, so shares that do not deliver
+ * file system events work too. A file is picked up once its size and
+ * modification time have stayed the same for the settle delay, which skips
+ * files that are still being copied in. Each file is anonymized into a hidden
+ * staging folder in the output folder, then the result and its key file and
+ * audit reports are moved out, and the original out of the inbox:
+ *   - both to the quarantine folder when a quarantine rule matches
+ *     (detections left for review, or entity types listed in quarantineOn),
+ *     so nothing that needs a look reaches the output folder,
+ *   - to the output and archive folders otherwise,
+ *   - to the error folder when processing failed, with a <name>.error.json
+ *     sidecar saying why.
+ * Moved files never overwrite earlier ones; a numbered name is used instead.
+ *
+ *   const watcher = new FolderWatcher({ watchDir, outputDir, process: (input, output) => ... });
+ *   watcher.start();
+ *   ...
+ *   await watcher.stop();
+ */
+
+export const DEFAULT_SETTLE_MS = 2000;
+export const DEFAULT_POLL_MS = 1000;
+
+// quarantineOn entry for detections left unchanged for review
+export const QUARANTINE_REVIEW = 'review';
+
+/**
+ * Default folders of a watched inbox: subfolders of it, which the top-level
+ * poll does not enter.
+ */
+export function defaultWatchFolders(watchDir) {
+  return {
+    outputDir: path.join(watchDir, 'anonymized'),
+    archiveDir: path.join(watchDir, 'archive'),
+    quarantineDir: path.join(watchDir, 'quarantine'),
+    errorDir: path.join(watchDir, 'errors'),
+  };
+}
+
+/**
+ * First free path for `fileName` in `dir`: report.pdf, report-2.pdf, ...
+ */
+function uniquePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = path.join(dir, fileName);
+  for (let n = 2; fs.existsSync(candidate); n++) {
+    candidate = path.join(dir, `${base}-${n}${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Moves an output out of its staging folder into `dir` under a free name,
+ * with the files next to it that share its name (key file, audit reports).
+ * Returns the output's new path.
+ */
+function moveOutputInto(stagedPath, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stagingDir = path.dirname(stagedPath);
+  const stagedName = path.basename(stagedPath);
+  const target = uniquePath(dir, stagedName);
+  for (const name of fs.readdirSync(stagingDir)) {
+    if (!name.startsWith(stagedName)) continue;
+    const from = path.join(stagingDir, name);
+    const to = path.join(dir, `${path.basename(target)}${name.slice(stagedName.length)}`);
+    try {
+      fs.renameSync(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+    }
+  }
+  return target;
+}
+
+/**
+ * Moves a file into `dir` under a free name and returns its new path.
+ * Falls back to copy and delete across devices.
+ */
+function moveInto(filePath, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const target = uniquePath(dir, path.basename(filePath));
+  try {
+    fs.renameSync(filePath, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(filePath, target, fs.constants.COPYFILE_EXCL);
+    fs.unlinkSync(filePath);
+  }
+  return target;
+}
+
+export class FolderWatcher {
+  /**
+   * options.watchDir: the inbox folder
+   * options.outputDir / archiveDir / quarantineDir / errorDir: see
+   *   defaultWatchFolders(); none of them may be the inbox itself
+   * options.quarantineOn: 'review' and/or entity types that send a result and
+   *   its original to quarantine instead of the output and archive folders
+   * options.extensions: file types to pick up (others are left alone)
+   * options.process(inputPath, outputPath): anonymizes one file, resolving to
+   *   FileProcessor.processFile's result
+   * options.settleMs / pollMs: settle delay and polling interval
+   * options.log(line): progress lines
+   * options.onFile(entry): called after each file with
+   *   { input, output, movedTo, status: 'archived'|'quarantined'|'failed', error, entityCounts },
+   *   where output is in the quarantine folder for a quarantined file
+   */
+  constructor({
+    watchDir,
+    outputDir,
+    archiveDir,
+    quarantineDir,
+    errorDir,
+    quarantineOn = [],
+    extensions,
+    process: processFile,
+    settleMs = DEFAULT_SETTLE_MS,
+    pollMs = DEFAULT_POLL_MS,
+    log = () => {},
+    onFile = () => {},
+  }) {
+    this.watchDir = path.resolve(watchDir);
+    const defaults = defaultWatchFolders(this.watchDir);
+    this.folders = {
+      outputDir: path.resolve(outputDir || defaults.outputDir),
+      archiveDir: path.resolve(archiveDir || defaults.archiveDir),
+      quarantineDir: path.resolve(quarantineDir || defaults.quarantineDir),
+      errorDir: path.resolve(errorDir || defaults.errorDir),
+    };
+    for (const [name, dir] of Object.entries(this.folders)) {
+      if (dir === this.watchDir) {
+        throw new Error(`The ${name.replace(/Dir$/, '')} folder cannot be the watched folder`);
+      }
+    }
+    this.quarantineOn = new Set(quarantineOn.map((rule) => (rule === QUARANTINE_REVIEW ? rule : rule.toUpperCase())));
+    this.extensions = extensions;
+    this.processFile = processFile;
+    this.settleMs = settleMs;
+    this.pollMs = pollMs;
+    this.log = log;
+    this.onFile = onFile;
+
+    // Files seen but not settled yet: path -> { size, mtimeMs, since }
+    this.pending = new Map();
+    this.timer = null;
+    this.busy = null;
+    this.stopped = false;
+  }
+
+  start() {
+    if (!fs.existsSync(this.watchDir) || !fs.statSync(this.watchDir).isDirectory()) {
+      throw new Error(`Not a folder: ${this.watchDir}`);
+    }
+    this.log(`Watching ${this.watchDir}`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stops polling; resolves once the file being processed, if any, is done.
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.stopped = true;
+    if (this.busy) await this.busy;
+  }
+
+  schedule(delay) {
+    if (this.stopped) return;
+    this.timer = setTimeout(() => {
+      this.busy = this.poll().finally(() => {
+        this.busy = null;
+        this.schedule(this.pollMs);
+      });
+    }, delay);
+  }
+
+  /**
+   * One pass over the inbox: updates the pending files and processes those
+   * that have settled, one at a time.
+   */
+  async poll() {
+    const now = Date.now();
+    const seen = new Set();
+    let entries;
+    try {
+      entries = fs.readdirSync(this.watchDir, { withFileTypes: true });
+    } catch (error) {
+      this.log(`Cannot read ${this.watchDir}: ${error.message}`);
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      if (!this.extensions.includes(path.extname(entry.name).toLowerCase())) continue;
+      const filePath = path.join(this.watchDir, entry.name);
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch {
+        continue;
+      }
+      seen.add(filePath);
+      const known = this.pending.get(filePath);
+      if (!known || known.size !== stats.size || known.mtimeMs !== stats.mtimeMs) {
+        this.pending.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, since: now });
+      }
+    }
+    for (const filePath of this.pending.keys()) {
+      if (!seen.has(filePath)) this.pending.delete(filePath);
+    }
+
+    for (const [filePath, state] of this.pending) {
+      if (this.stopped) return;
+      if (now - state.since < this.settleMs) continue;
+      this.pending.delete(filePath);
+      await this.handleFile(filePath);
+    }
+  }
+
+  async handleFile(filePath) {
+    const fileName = path.basename(filePath);
+    const entry = { input: filePath, output: null, movedTo: null, status: null, error: null, entityCounts: null };
+    // Hidden, like FileProcessor's own staging folders, so nothing picks the result up early
+    const stagingDir = path.join(this.folders.outputDir, `.${fileName}.watch`);
+    try {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      fs.mkdirSync(stagingDir, { recursive: true });
+      const stagedPath = path.join(stagingDir, FileProcessor.generateOutputFileName(fileName));
+      const result = await this.processFile(filePath, stagedPath);
+      entry.entityCounts = result.entityCounts;
+
+      const rule = this.quarantineRule(result);
+      if (rule) {
+        entry.status = 'quarantined';
+        entry.output = moveOutputInto(stagedPath, this.folders.quarantineDir);
+        entry.movedTo = moveInto(filePath, this.folders.quarantineDir);
+        this.log(`${fileName}: anonymized, result and original quarantined (${rule})`);
+      } else {
+        entry.status = 'archived';
+        entry.output = moveOutputInto(stagedPath, this.folders.outputDir);
+        entry.movedTo = moveInto(filePath, this.folders.archiveDir);
+        this.log(`${fileName}: anonymized, original archived`);
+      }
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      this.log(`${fileName}: failed: ${error.message}`);
+      try {
+        entry.movedTo = this.moveToErrors(filePath, entry);
+      } catch (moveError) {
+        // Left in the inbox; it is picked up again if it changes
+        this.log(`${fileName}: cannot move to ${this.folders.errorDir}: ${moveError.message}`);
+      }
+    } finally {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+    this.onFile(entry);
+  }
+
+  /**
+   * The quarantine rule a result matches ('review' or an entity type), or null.
+   */
+  quarantineRule(result) {
+    if (this.quarantineOn.has(QUARANTINE_REVIEW) && result.review && result.review.length > 0) {
+      return QUARANTINE_REVIEW;
+    }
+    const types = Object.keys(result.entityCounts || {});
+    return types.find((type) => this.quarantineOn.has(type)) || null;
+  }
+
+  /**
+   * Moves a failed original to the error folder with a sidecar
+   * <name>.error.json next to it. Returns the original's new path.
+   */
+  moveToErrors(filePath, entry) {
+    const movedTo = moveInto(filePath, this.folders.errorDir);
+    const sidecar = {
+      file: path.basename(filePath),
+      failedAt: new Date().toISOString(),
+      error: entry.error,
+      watchDir: this.watchDir,
+    };
+    fs.writeFileSync(`${movedTo}.error.json`, `${JSON.stringify(sidecar, null, 2)}\n`, 'utf8');
+    return movedTo;
+  }
+}
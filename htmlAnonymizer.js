@@ -0,0 +1,100 @@
+import { escapeXml } from './xmlEntities.js';
+import { createMarkupRewriter } from './markupText.js';
+
+/**
+ * Format-preserving HTML anonymization.
+ *
+ * The page is rewritten in place: only text nodes, comments and a few
+ * attributes change (alt, title, aria-label, placeholder, link and image
+ * URLs, <meta> author, description and keywords; see markupText.js), so tags,
+ * scripts, styles and layout stay as they were. Block elements (p, li, td,
+ * headings, br, ...) separate the text sent to the model; inline elements
+ * do not, so a name split by <b> or <span> is still found. <script> and
+ * <style> contents are not text and are left alone; <title> and <textarea>
+ * are read as text.
+ *
+ * `engine` is bound to the current file by FileProcessor:
+ *   findSpans(text, location)         -> spans with `replacement`
+ *   pseudonymize(value, type, source) -> replacement for a value known to be PII
+ */
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header',
+  'hr', 'html', 'li', 'main', 'nav', 'ol', 'option', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td',
+  'textarea', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul',
+]);
+
+// Contents that are not markup: skipped, or read as text
+const RAW_ELEMENTS = new Set(['script', 'style']);
+const RAW_TEXT_ELEMENTS = new Set(['title', 'textarea']);
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)(?:[^>"']|"[^"]*"|'[^']*')*>/y;
+
+/**
+ * Start of the closing tag of a raw element, or the end of the document.
+ */
+function findClosingTag(html, name, from) {
+  const close = new RegExp(`</${name}(?=[\\s/>])`, 'ig');
+  close.lastIndex = from;
+  const match = close.exec(html);
+  return match ? match.index : html.length;
+}
+
+/**
+ * Anonymizes an HTML document (a page or a fragment).
+ */
+export async function anonymizeHtml(html, engine) {
+  const rewriter = createMarkupRewriter(html, engine);
+  const text = (start, end) => rewriter.text(start, end, { decode: true, escape: escapeXml });
+  // Comments cannot hold "--" or be closed early by a replacement
+  const comment = (start, end) => rewriter.text(start, end, { escape: (value) => value.replace(/-(?=-|$)|>/g, '_') });
+
+  let textStart = 0;
+  let pos = 0;
+  let lt;
+  while ((lt = html.indexOf('<', pos)) !== -1) {
+    let next;
+    if (html.startsWith('<!--', lt)) {
+      const close = html.indexOf('-->', lt + 4);
+      const end = close === -1 ? html.length : close;
+      text(textStart, lt);
+      rewriter.breakBlock();
+      comment(lt + 4, end);
+      rewriter.breakBlock();
+      next = close === -1 ? html.length : close + 3;
+    } else if (html.startsWith('<![CDATA[', lt)) {
+      const close = html.indexOf(']]>', lt);
+      text(textStart, lt);
+      next = close === -1 ? html.length : close + 3;
+    } else if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      // Doctype and processing instructions
+      const close = html.indexOf('>', lt);
+      text(textStart, lt);
+      next = close === -1 ? html.length : close + 1;
+    } else {
+      TAG_PATTERN.lastIndex = lt;
+      const match = TAG_PATTERN.exec(html);
+      if (!match) {
+        // A lone "<" is text
+        pos = lt + 1;
+        continue;
+      }
+      const [tag, closing, tagName] = match;
+      const name = tagName.toLowerCase();
+      text(textStart, lt);
+      if (BLOCK_ELEMENTS.has(name)) rewriter.breakBlock();
+      rewriter.tag(lt, lt + tag.length);
+      next = lt + tag.length;
+      if (!closing && !tag.endsWith('/>') && (RAW_ELEMENTS.has(name) || RAW_TEXT_ELEMENTS.has(name))) {
+        const close = findClosingTag(html, name, next);
+        if (RAW_TEXT_ELEMENTS.has(name)) text(next, close);
+        next = close;
+      }
+    }
+    pos = textStart = next;
+  }
+  text(textStart, html.length);
+
+  return rewriter.finish();
+}
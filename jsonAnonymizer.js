@@ -0,0 +1,325 @@
+import { assignSpansToSegments, replaceSpans } from './entitySpans.js';
+
+/**
+ * JSON and JSONL anonymization.
+ *
+ * Only string values change: keys, numbers, booleans, nulls, key order and
+ * the file's formatting are kept, because the new values are written over
+ * the old string tokens in place rather than re-serializing the document.
+ * Each string value gets a policy, chosen by JSONPath-style selectors:
+ *   ner    - scan the value for entities (default)
+ *   skip   - leave it as it is
+ *   redact - replace the whole value with a pseudonym
+ *   hash   - replace the whole value with a keyed hash
+ * Selectors: $ (the document or line), .name or ['name'], [n], * or [*],
+ * and .. for any depth, e.g. $.user.email, $.items[*].note, $..phone.
+ * A selector also covers everything below what it matches ($.user: every
+ * string in user); when several match, the one matching deeper wins.
+ *
+ * JSONL is read a block of lines at a time, so large logs can be streamed.
+ */
+
+export const JSON_FIELD_POLICIES = ['ner', 'skip', 'redact', 'hash'];
+const DEFAULT_POLICY = 'ner';
+
+// JSONL lines sent to the model together (and kept in memory at once)
+const JSONL_BLOCK_LINES = 200;
+const JSONL_BLOCK_CHARS = 256 * 1024;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$-]*$/;
+
+/**
+ * Parses a selector into segments: { key }, { index }, { any } or
+ * { descendant }. Throws on invalid syntax.
+ */
+export function parseJsonSelector(selector) {
+  const source = String(selector).trim();
+  if (!source.startsWith('$')) {
+    throw new Error(`JSON selector must start with "$": ${selector}`);
+  }
+  const segments = [];
+  let i = 1;
+  while (i < source.length) {
+    if (source.startsWith('..', i)) {
+      segments.push({ descendant: true });
+      i += 2;
+      if (source[i] === '[') continue;
+    } else if (source[i] === '.') {
+      i++;
+    } else if (source[i] !== '[') {
+      throw new Error(`Invalid JSON selector: ${selector}`);
+    }
+
+    if (source[i] === '[') {
+      const close = source.indexOf(']', i);
+      if (close === -1) throw new Error(`Invalid JSON selector: ${selector}`);
+      const inner = source.slice(i + 1, close).trim();
+      if (inner === '*') {
+        segments.push({ any: true });
+      } else if (/^\d+$/.test(inner)) {
+        segments.push({ index: Number(inner) });
+      } else if (/^'(?:[^'\\]|\\.)*'$|^"(?:[^"\\]|\\.)*"$/.test(inner)) {
+        segments.push({ key: inner.slice(1, -1).replace(/\\(.)/g, '$1') });
+      } else {
+        throw new Error(`Invalid JSON selector: ${selector}`);
+      }
+      i = close + 1;
+    } else {
+      const match = /^[^.[\]\s]+/.exec(source.slice(i));
+      if (!match) throw new Error(`Invalid JSON selector: ${selector}`);
+      segments.push(match[0] === '*' ? { any: true } : { key: match[0] });
+      i += match[0].length;
+    }
+  }
+  return segments;
+}
+
+function matchSegments(segments, path, si = 0, pi = 0) {
+  if (si === segments.length) return pi === path.length;
+  const segment = segments[si];
+  if (segment.descendant) {
+    for (let next = pi; next < path.length; next++) {
+      if (matchSegments(segments, path, si + 1, next)) return true;
+    }
+    return false;
+  }
+  if (pi >= path.length) return false;
+  const step = path[pi];
+  const matches = segment.any
+    || (segment.key !== undefined && step === segment.key)
+    || (segment.index !== undefined && step === segment.index);
+  return matches && matchSegments(segments, path, si + 1, pi + 1);
+}
+
+/**
+ * Returns path => policy for the given { selector: policy } rules.
+ */
+function createPolicyResolver(fieldPolicies = {}) {
+  const rules = Object.entries(fieldPolicies)
+    .filter(([, policy]) => JSON_FIELD_POLICIES.includes(policy))
+    .map(([selector, policy]) => ({ segments: parseJsonSelector(selector), policy }))
+    .reverse();
+  if (rules.length === 0) return () => DEFAULT_POLICY;
+  return (path) => {
+    for (let depth = path.length; depth >= 0; depth--) {
+      const prefix = path.slice(0, depth);
+      const rule = rules.find(({ segments }) => matchSegments(segments, prefix));
+      if (rule) return rule.policy;
+    }
+    return DEFAULT_POLICY;
+  };
+}
+
+/**
+ * Readable path for audit reports: $.user.email, $.items[2]['first name'].
+ */
+export function formatJsonPath(path) {
+  return path.reduce((text, step) => {
+    if (typeof step === 'number') return `${text}[${step}]`;
+    return IDENTIFIER.test(step) ? `${text}.${step}` : `${text}['${step.replace(/['\\]/g, '\\$&')}']`;
+  }, '$');
+}
+
+/**
+ * Entity type for whole-value pseudonyms, from the nearest key
+ * ("emailAddress" => EMAILADDRESS_1), or FIELD without one.
+ */
+function fieldEntityType(path) {
+  const key = [...path].reverse().find((step) => typeof step === 'string');
+  const type = String(key || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return type || 'FIELD';
+}
+
+/**
+ * Lists the string values of a JSON text as { path, start, end, value },
+ * where start/end delimit the string token (quotes included). Keys are not
+ * listed. Throws a SyntaxError for invalid JSON.
+ */
+export function scanJsonStrings(text) {
+  JSON.parse(text);
+
+  const strings = [];
+  const path = [];
+  let i = 0;
+  const skipWhitespace = () => {
+    while (text[i] === ' ' || text[i] === '\t' || text[i] === '\n' || text[i] === '\r') i++;
+  };
+  const readString = () => {
+    const start = i++;
+    while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    i++;
+    return { start, end: i };
+  };
+  const readValue = () => {
+    skipWhitespace();
+    const ch = text[i];
+    if (ch === '{') {
+      i++;
+      skipWhitespace();
+      if (text[i] === '}') {
+        i++;
+        return;
+      }
+      for (;;) {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        i++; // ':'
+        path.push(JSON.parse(text.slice(key.start, key.end)));
+        readValue();
+        path.pop();
+        skipWhitespace();
+        if (text[i++] === '}') return;
+      }
+    }
+    if (ch === '[') {
+      i++;
+      skipWhitespace();
+      if (text[i] === ']') {
+        i++;
+        return;
+      }
+      for (let index = 0; ; index++) {
+        path.push(index);
+        readValue();
+        path.pop();
+        skipWhitespace();
+        if (text[i++] === ']') return;
+      }
+    }
+    if (ch === '"') {
+      const { start, end } = readString();
+      strings.push({ path: [...path], start, end, value: JSON.parse(text.slice(start, end)) });
+      return;
+    }
+    while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+  };
+  readValue();
+  return strings;
+}
+
+/**
+ * Applies a string rewrite (e.g. re-identification) to every string value
+ * of a JSON text, leaving keys and formatting as they are.
+ */
+export function rewriteJsonStrings(text, rewrite) {
+  const edits = [];
+  for (const { path, start, end, value } of scanJsonStrings(text)) {
+    const rewritten = rewrite(value, path);
+    if (rewritten !== value) edits.push({ start, end, replacement: JSON.stringify(rewritten) });
+  }
+  return replaceSpans(text, edits);
+}
+
+/**
+ * Anonymizes the string values of several JSON texts (a document, or a
+ * block of JSONL lines) with one model call: values are scanned as one text,
+ * one per line and a blank line between records, as with CSV rows.
+ * records: [{ text, location }]; returns the anonymized texts.
+ */
+async function anonymizeRecords(records, engine, resolvePolicy) {
+  const values = [];
+  let scanText = '';
+  for (const record of records) {
+    try {
+      record.strings = scanJsonStrings(record.text);
+    } catch (error) {
+      if (!record.location) throw error;
+      throw new Error(`Line ${record.location.line} is not valid JSON: ${error.message}`);
+    }
+    let recordStarted = false;
+    for (const string of record.strings) {
+      string.policy = resolvePolicy(string.path);
+      string.location = { ...record.location, field: formatJsonPath(string.path) };
+      string.result = string.value;
+      if (string.policy !== 'ner' || !string.value.trim()) continue;
+      if (scanText) scanText += recordStarted ? '\n' : '\n\n';
+      values.push({ string, offset: scanText.length, text: string.value, edits: [], location: string.location });
+      scanText += string.value;
+      recordStarted = true;
+    }
+  }
+
+  if (scanText) {
+    assignSpansToSegments(await engine.findSpans(scanText), values, { replaceEachPart: true });
+    for (const { string, edits } of values) {
+      if (edits.length > 0) string.result = replaceSpans(string.value, edits);
+    }
+  }
+
+  return records.map((record) => {
+    const edits = [];
+    for (const string of record.strings) {
+      if (string.value.trim()) {
+        const type = fieldEntityType(string.path);
+        if (string.policy === 'redact') {
+          string.result = engine.pseudonymize(string.value, type, 'field', string.location);
+        } else if (string.policy === 'hash') {
+          string.result = engine.hash(string.value, type, string.location);
+        }
+      }
+      if (string.result !== string.value) {
+        edits.push({ start: string.start, end: string.end, replacement: JSON.stringify(string.result) });
+      }
+    }
+    return replaceSpans(record.text, edits);
+  });
+}
+
+/**
+ * Anonymizes a JSON document. `engine` is the per-file text engine from
+ * FileProcessor (findSpans, pseudonymize, hash); fieldPolicies maps
+ * selectors to policies.
+ */
+export async function anonymizeJson(text, engine, fieldPolicies = {}) {
+  const bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const [anonymized] = await anonymizeRecords([{ text: text.slice(bom.length), location: null }], engine,
+    createPolicyResolver(fieldPolicies));
+  return bom + anonymized;
+}
+
+/**
+ * Anonymizes JSONL one block of lines at a time, yielding the anonymized
+ * lines. `lines` is an iterable or async iterable of lines without their
+ * line breaks, e.g. a readline interface. Blank lines are kept; a line that
+ * is not valid JSON fails the file, since it could not be anonymized.
+ * `engine` is as for anonymizeJson, plus progress (called after each block).
+ */
+export async function* anonymizeJsonLines(lines, engine, fieldPolicies = {}) {
+  const resolvePolicy = createPolicyResolver(fieldPolicies);
+  let block = [];
+  let blockChars = 0;
+  let lineNumber = 0;
+  let bom = '';
+
+  const flush = async () => {
+    const records = block.filter((record) => record.text.trim());
+    const anonymized = await anonymizeRecords(records, engine, resolvePolicy);
+    const output = block.map((record) => (record.text.trim() ? anonymized.shift() : record.text));
+    output[0] = bom + output[0];
+    bom = '';
+    block = [];
+    blockChars = 0;
+    await engine.progress('line', lineNumber, null);
+    return output;
+  };
+
+  for await (let line of lines) {
+    lineNumber++;
+    if (lineNumber === 1 && line.startsWith('\uFEFF')) {
+      bom = '\uFEFF';
+      line = line.slice(1);
+    }
+    block.push({ text: line, location: { line: lineNumber } });
+    blockChars += line.length;
+    if (block.length >= JSONL_BLOCK_LINES || blockChars >= JSONL_BLOCK_CHARS) {
+      yield* await flush();
+    }
+  }
+  if (block.length > 0) {
+    yield* await flush();
+  }
+}
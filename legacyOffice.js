@@ -0,0 +1,344 @@
+import CFB from 'cfb';
+import WordExtractor from 'word-extractor';
+
+/**
+ * Readers for the legacy binary Office formats (Word 97-2003 .doc and
+ * Excel 97-2003 BIFF8 .xls). Both are OLE compound files; we only need their
+ * text and cell values, which are then anonymized and written out as
+ * .docx / .xlsx by FileProcessor.
+ */
+
+const WORD_IDENT = 0xA5EC;
+const WORD_FLAG_ENCRYPTED = 0x0100;
+
+// BIFF8 record types we read
+const RECORD = {
+  BOF: 0x0809,
+  EOF: 0x000A,
+  FILEPASS: 0x002F,
+  DATEMODE: 0x0022,
+  BOUNDSHEET: 0x0085,
+  FORMAT: 0x041E,
+  XF: 0x00E0,
+  SST: 0x00FC,
+  CONTINUE: 0x003C,
+  LABELSST: 0x00FD,
+  LABEL: 0x0204,
+  NUMBER: 0x0203,
+  RK: 0x027E,
+  MULRK: 0x00BD,
+  FORMULA: 0x0006,
+  STRING: 0x0207,
+  BOOLERR: 0x0205,
+  SHRFMLA: 0x04BC,
+  ARRAY: 0x0221,
+  TABLE: 0x0236,
+};
+
+// Records that may sit between a FORMULA and the STRING holding its result
+const FORMULA_COMPANIONS = new Set([RECORD.FORMULA, RECORD.SHRFMLA, RECORD.ARRAY, RECORD.TABLE]);
+
+const BIFF8_VERSION = 0x0600;
+const SUBSTREAM_WORKSHEET = 0x0010;
+
+// Built-in number formats that matter for display (dates/times, percentages, ...)
+const BUILTIN_NUMBER_FORMATS = {
+  1: '0', 2: '0.00', 3: '#,##0', 4: '#,##0.00', 9: '0%', 10: '0.00%', 11: '0.00E+00',
+  12: '# ?/?', 13: '# ??/??', 14: 'm/d/yy', 15: 'd-mmm-yy', 16: 'd-mmm', 17: 'mmm-yy',
+  18: 'h:mm AM/PM', 19: 'h:mm:ss AM/PM', 20: 'h:mm', 21: 'h:mm:ss', 22: 'm/d/yy h:mm',
+  37: '#,##0 ;(#,##0)', 38: '#,##0 ;[Red](#,##0)', 39: '#,##0.00;(#,##0.00)',
+  40: '#,##0.00;[Red](#,##0.00)', 45: 'mm:ss', 46: '[h]:mm:ss', 47: 'mmss.0', 48: '##0.0E+0', 49: '@',
+};
+
+function readCompoundFile(buffer, kind) {
+  try {
+    return CFB.read(buffer, { type: 'buffer' });
+  } catch (err) {
+    throw new Error(`Not a valid ${kind} file: ${err.message}`);
+  }
+}
+
+/**
+ * Extracts the text of a Word 97-2003 document, part by part.
+ * Returns { body, headers, footers, footnotes, endnotes, comments, textboxes }.
+ */
+export async function extractWordDocument(buffer) {
+  const container = readCompoundFile(buffer, 'Word 97-2003');
+  const wordStream = CFB.find(container, 'WordDocument');
+  if (!wordStream || wordStream.content.length < 12) {
+    throw new Error('Not a Word 97-2003 document (no WordDocument stream)');
+  }
+  const fib = Buffer.from(wordStream.content);
+  if (fib.readUInt16LE(0) !== WORD_IDENT) {
+    throw new Error('Unsupported Word document: pre-Word 97 format');
+  }
+  if (fib.readUInt16LE(0x0A) & WORD_FLAG_ENCRYPTED) {
+    throw new Error('Cannot anonymize an encrypted Word document: remove the password first');
+  }
+
+  const doc = await new WordExtractor().extract(buffer);
+  const raw = { filterUnicode: false };
+  return {
+    body: doc.getBody(raw),
+    headers: doc.getHeaders({ ...raw, includeFooters: false }),
+    footers: doc.getFooters(raw),
+    footnotes: doc.getFootnotes(raw),
+    endnotes: doc.getEndnotes(raw),
+    comments: doc.getAnnotations(raw),
+    textboxes: doc.getTextboxes(raw),
+  };
+}
+
+/**
+ * Sequential reader over a record and its CONTINUE records. BIFF8 strings
+ * may be split across them; when character data is split, the continuation
+ * starts with a fresh option byte saying whether it is 8- or 16-bit.
+ */
+class FragmentReader {
+  constructor(fragments) {
+    this.fragments = fragments;
+    this.index = 0;
+    this.pos = 0;
+  }
+
+  get current() {
+    return this.fragments[this.index];
+  }
+
+  advance() {
+    while (this.index < this.fragments.length && this.pos >= this.current.length) {
+      this.index++;
+      this.pos = 0;
+    }
+    if (this.index >= this.fragments.length) {
+      throw new Error('Corrupt workbook: record ended unexpectedly');
+    }
+  }
+
+  bytes(count) {
+    const out = Buffer.alloc(count);
+    let written = 0;
+    while (written < count) {
+      this.advance();
+      const n = Math.min(count - written, this.current.length - this.pos);
+      this.current.copy(out, written, this.pos, this.pos + n);
+      this.pos += n;
+      written += n;
+    }
+    return out;
+  }
+
+  u8() {
+    return this.bytes(1)[0];
+  }
+
+  u16() {
+    return this.bytes(2).readUInt16LE(0);
+  }
+
+  u32() {
+    return this.bytes(4).readUInt32LE(0);
+  }
+
+  chars(count, highByte) {
+    let result = '';
+    let remaining = count;
+    while (remaining > 0) {
+      if (this.pos >= this.current.length) {
+        this.index++;
+        this.pos = 0;
+        if (this.index >= this.fragments.length) {
+          throw new Error('Corrupt workbook: string ended unexpectedly');
+        }
+        highByte = (this.current[this.pos++] & 0x01) === 0x01;
+      }
+      const width = highByte ? 2 : 1;
+      const n = Math.min(remaining, Math.floor((this.current.length - this.pos) / width));
+      if (n === 0) {
+        throw new Error('Corrupt workbook: misaligned string data');
+      }
+      const slice = this.current.subarray(this.pos, this.pos + n * width);
+      result += highByte ? slice.toString('utf16le') : slice.toString('latin1');
+      this.pos += n * width;
+      remaining -= n;
+    }
+    return result;
+  }
+
+  /**
+   * XLUnicodeString / XLUnicodeRichExtendedString
+   */
+  unicodeString(lengthBytes = 2) {
+    const cch = lengthBytes === 1 ? this.u8() : this.u16();
+    const flags = this.u8();
+    const runs = flags & 0x08 ? this.u16() : 0;
+    const extSize = flags & 0x04 ? this.u32() : 0;
+    const text = this.chars(cch, (flags & 0x01) === 0x01);
+    if (runs || extSize) this.bytes(runs * 4 + extSize);
+    return text;
+  }
+}
+
+function readRecords(stream) {
+  const records = [];
+  let pos = 0;
+  while (pos + 4 <= stream.length) {
+    const type = stream.readUInt16LE(pos);
+    const size = stream.readUInt16LE(pos + 2);
+    const data = stream.subarray(pos + 4, pos + 4 + size);
+    if (type === RECORD.CONTINUE && records.length > 0) {
+      records[records.length - 1].continues.push(data);
+    } else {
+      records.push({ type, offset: pos, data, continues: [] });
+    }
+    pos += 4 + size;
+  }
+  return records;
+}
+
+function decodeRk(data, offset) {
+  const rk = data.readInt32LE(offset);
+  let value;
+  if (rk & 0x02) {
+    value = rk >> 2;
+  } else {
+    const bytes = Buffer.alloc(8);
+    bytes.writeInt32LE(rk & ~0x03, 4);
+    value = bytes.readDoubleLE(0);
+  }
+  return rk & 0x01 ? value / 100 : value;
+}
+
+/**
+ * Reads a BIFF8 (Excel 97-2003) workbook.
+ * Returns { date1904, sheets: [{ name, cells: [{ row, col, value, numFmt }] }] }
+ * with 0-based row/col. Only worksheets are returned (charts and macro sheets
+ * carry no cell data we can anonymize).
+ */
+export function readBiff8Workbook(buffer) {
+  const container = readCompoundFile(buffer, 'Excel 97-2003');
+  const workbookStream = CFB.find(container, 'Workbook');
+  if (!workbookStream) {
+    if (CFB.find(container, 'Book')) {
+      throw new Error('Unsupported Excel workbook: Excel 5.0/95 format');
+    }
+    throw new Error('Not an Excel 97-2003 workbook (no Workbook stream)');
+  }
+
+  const records = readRecords(Buffer.from(workbookStream.content));
+  const strings = [];
+  const formats = { ...BUILTIN_NUMBER_FORMATS };
+  const xfFormats = [];
+  const sheetsByOffset = new Map();
+  const sheets = [];
+  let date1904 = false;
+  let currentSheet = null;
+  let pendingFormulaCell = null;
+
+  const addCell = (data, value) => {
+    if (!currentSheet) return null;
+    const cell = { row: data.readUInt16LE(0), col: data.readUInt16LE(2), value };
+    const numFmt = formats[xfFormats[data.readUInt16LE(4)]];
+    if (numFmt && typeof value === 'number') cell.numFmt = numFmt;
+    currentSheet.cells.push(cell);
+    return cell;
+  };
+
+  for (const record of records) {
+    const { type, data } = record;
+    switch (type) {
+      case RECORD.BOF: {
+        if (data.readUInt16LE(0) !== BIFF8_VERSION) {
+          throw new Error('Unsupported Excel workbook: not BIFF8 (Excel 97-2003)');
+        }
+        const sheet = sheetsByOffset.get(record.offset);
+        currentSheet = data.readUInt16LE(2) === SUBSTREAM_WORKSHEET && sheet ? sheet : null;
+        break;
+      }
+      case RECORD.FILEPASS:
+        throw new Error('Cannot anonymize an encrypted Excel workbook: remove the password first');
+      case RECORD.DATEMODE:
+        date1904 = data.readUInt16LE(0) === 1;
+        break;
+      case RECORD.BOUNDSHEET: {
+        const name = new FragmentReader([data.subarray(6)]).unicodeString(1);
+        const sheet = { name, cells: [] };
+        sheetsByOffset.set(data.readUInt32LE(0), sheet);
+        if (data[5] === 0x00) sheets.push(sheet);
+        break;
+      }
+      case RECORD.FORMAT:
+        formats[data.readUInt16LE(0)] = new FragmentReader([data.subarray(2), ...record.continues]).unicodeString();
+        break;
+      case RECORD.XF:
+        xfFormats.push(data.readUInt16LE(2));
+        break;
+      case RECORD.SST: {
+        const reader = new FragmentReader([data, ...record.continues]);
+        reader.u32();
+        const unique = reader.u32();
+        for (let i = 0; i < unique; i++) {
+          strings.push(reader.unicodeString());
+        }
+        break;
+      }
+      case RECORD.LABELSST:
+        addCell(data, strings[data.readUInt32LE(6)] ?? '');
+        break;
+      case RECORD.LABEL:
+        addCell(data, new FragmentReader([data.subarray(6), ...record.continues]).unicodeString());
+        break;
+      case RECORD.NUMBER:
+        addCell(data, data.readDoubleLE(6));
+        break;
+      case RECORD.RK:
+        addCell(data, decodeRk(data, 6));
+        break;
+      case RECORD.MULRK: {
+        const row = data.readUInt16LE(0);
+        const firstCol = data.readUInt16LE(2);
+        const count = (data.length - 6) / 6;
+        for (let i = 0; i < count; i++) {
+          const entry = Buffer.alloc(10);
+          entry.writeUInt16LE(row, 0);
+          entry.writeUInt16LE(firstCol + i, 2);
+          data.copy(entry, 4, 4 + i * 6, 10 + i * 6);
+          addCell(entry, decodeRk(entry, 6));
+        }
+        break;
+      }
+      case RECORD.FORMULA: {
+        // Keep the cached result; formulas themselves are not carried over
+        pendingFormulaCell = null;
+        if (data.readUInt16LE(12) !== 0xFFFF) {
+          addCell(data, data.readDoubleLE(6));
+        } else if (data[6] === 0x00) {
+          pendingFormulaCell = addCell(data, '');
+        } else if (data[6] === 0x01) {
+          addCell(data, data[8] === 1);
+        } else if (data[6] === 0x03) {
+          addCell(data, '');
+        }
+        break;
+      }
+      case RECORD.STRING:
+        if (pendingFormulaCell) {
+          pendingFormulaCell.value = new FragmentReader([data, ...record.continues]).unicodeString();
+        }
+        break;
+      case RECORD.BOOLERR:
+        if (data[7] === 0) addCell(data, data[6] === 1);
+        break;
+      case RECORD.EOF:
+        currentSheet = null;
+        break;
+      default:
+        break;
+    }
+    if (!FORMULA_COMPANIONS.has(type)) {
+      pendingFormulaCell = null;
+    }
+  }
+
+  return { date1904, sheets };
+}
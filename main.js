@@ -2,7 +2,15 @@ import { app, BrowserWindow, ipcMain, dialog, shell } from 'electron';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
-import { FileProcessor } from './fileProcessor.js';
+import { FileProcessor, RESTORABLE_EXTENSIONS, SUPPORTED_EXTENSIONS } from './fileProcessor.js';
+import { PseudonymScope, ProjectVault } from './pseudonymVault.js';
+import { KEY_FILE_EXTENSION } from './mappingKeyFile.js';
+import { inspectCsv } from './csvAnonymizer.js';
+import { parseDictionaryFile, formatDictionaryText } from './dictionaries.js';
+import { validateProcessingOptions, MAX_DICTIONARY_CHARS } from './processingOptions.js';
+import { generateAuditSalt, buildBatchSummary, writeBatchSummary } from './auditReport.js';
+import { WorkerPool, CancelledError } from './workerPool.js';
+import { scanDirectory } from './fileScanner.js';
 import { fileURLToPath } from 'url';
 
 let isLLMInitialized = false; // track if LLM is loaded once
@@ -67,6 +75,135 @@ function validateDirectoryPath(dirPath) {
   return realPath;
 }
 
+/**
+ * Output folder of a file found in a scanned folder: its directory relative
+ * to the scanned folder, recreated below the output directory. Relative
+ * paths must stay below it.
+ */
+function mirrorOutputDirectory(outputDir, relativeDir) {
+  if (!outputDir || !relativeDir) return outputDir;
+  if (typeof relativeDir !== 'string' || path.isAbsolute(relativeDir)) {
+    throw new Error('Invalid relative directory');
+  }
+  const mirrored = path.resolve(outputDir, relativeDir);
+  if (path.relative(outputDir, mirrored).split(path.sep).includes('..')) {
+    throw new Error('Invalid relative directory');
+  }
+  return mirrored;
+}
+
+/**
+ * Folder a file was picked or scanned from: its own folder, or for a file
+ * found in a scanned folder, that folder (relativeDir levels up).
+ */
+function inputRootDirectory(filePath, relativeDir) {
+  let directory = path.dirname(filePath);
+  for (const part of (relativeDir || '').split(/[\\/]+/)) {
+    if (part && part !== '.' && part !== '..') directory = path.dirname(directory);
+  }
+  return directory;
+}
+
+// Only the start of a CSV is read to list its columns
+const CSV_INSPECT_BYTES = 64 * 1024;
+
+// Pseudonym scopes: the current batch lives in memory, projects are persisted
+let currentBatch = null;
+const openProjects = new Map();
+
+function getProjectsDir() {
+  return path.join(app.getPath('userData'), 'projects');
+}
+
+/**
+ * Picks the PseudonymScope a file should use. Per-file scopes are created by
+ * FileProcessor itself; a batch scope lasts until a new batchId arrives.
+ */
+function resolvePseudonymScope(options) {
+  if (options.pseudonymScope === 'project') {
+    if (!openProjects.has(options.projectName)) {
+      openProjects.set(options.projectName, ProjectVault.load(getProjectsDir(), options.projectName));
+    }
+    return openProjects.get(options.projectName);
+  }
+  if (options.pseudonymScope === 'batch' && options.batchId) {
+    if (!currentBatch || currentBatch.id !== options.batchId) {
+      currentBatch = { id: options.batchId, scope: new PseudonymScope() };
+    }
+    return currentBatch.scope;
+  }
+  return null;
+}
+
+// Files are processed in worker threads, keeping this process responsive
+const workerPool = new WorkerPool();
+const MAX_CONCURRENCY = 16;
+const MAX_BATCH_FILES = 10000;
+
+// Audit reports of the current batch: its files share a salt so hashed
+// originals can be compared across them, and are listed in its summary
+let currentAudit = null;
+
+function resolveAuditBatch(options) {
+  if (!options.audit) return null;
+  const batchId = options.batchId || null;
+  if (!currentAudit || currentAudit.batchId !== batchId) {
+    currentAudit = {
+      batchId,
+      salt: generateAuditSalt(),
+      startedAt: new Date().toISOString(),
+      formats: options.audit.formats,
+      // Where the summary goes, set by the batch's first file
+      directory: null,
+      files: [],
+    };
+  }
+  return currentAudit;
+}
+
+// Output paths handed out to the current batch's files, which may be
+// written in parallel or (in review mode) by one 'process-file' call each
+let currentOutputs = null;
+
+function resolveTakenOutputPaths(options, job) {
+  if (!options.batchId) return job.outputPaths;
+  if (!currentOutputs || currentOutputs.batchId !== options.batchId) {
+    currentOutputs = { batchId: options.batchId, paths: new Set() };
+  }
+  return currentOutputs.paths;
+}
+
+// Progress of the running job (a batch, or one file at a time in review
+// mode), sent to the renderer as 'job-progress' events
+let currentJob = null;
+
+function startJob(filesTotal) {
+  currentJob = { startedAt: Date.now(), pausedAt: null, pausedMs: 0, filesTotal, filesDone: 0, entities: 0, running: new Set(), outputPaths: new Set() };
+  return currentJob;
+}
+
+/**
+ * Sends one 'job-progress' event: event is 'file-start', 'file-progress' or
+ * 'file-end'; stage/done/total are the file's steps (chunks, pages, sheets
+ * or parts). The ETA assumes the rest of the job goes at the same pace.
+ */
+function sendJobProgress(job, filePath, event, progress = {}) {
+  const running = [...job.running];
+  const fraction = (job.filesDone + running.reduce((sum, file) => sum + file.fraction, 0)) / job.filesTotal;
+  const elapsedMs = (job.pausedAt || Date.now()) - job.startedAt - job.pausedMs;
+  mainWindow.webContents.send('job-progress', {
+    event,
+    file: path.basename(filePath),
+    stage: progress.stage || null,
+    done: progress.done ?? null,
+    total: progress.total ?? null,
+    entities: job.entities + running.reduce((sum, file) => sum + file.entities, 0),
+    filesDone: job.filesDone,
+    filesTotal: job.filesTotal,
+    etaMs: fraction > 0 && fraction < 1 ? Math.round(elapsedMs * (1 - fraction) / fraction) : null,
+  });
+}
+
 let mainWindow;
 
 function createWindow() {
@@ -104,6 +241,10 @@ app.whenReady().then(() => {
   }
 });
 
+app.on('will-quit', () => {
+  workerPool.close();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
@@ -132,12 +273,21 @@ ipcMain.handle('select-input-directory', async () => {
   return null;
 });
 
-ipcMain.handle('process-file', async (event, { filePath, outputDir }) => {
+/**
+ * Anonymizes one file in a worker, into outputRoot (mirroring relativeDir
+ * below it) or next to the file. Inputs are validated by the caller except
+ * the file path and relativeDir; errors are returned, not thrown, so one failed file does not
+ * stop a batch. A cancelled file returns { success: false, cancelled: true }
+ * and leaves no output behind.
+ */
+async function processOneFile(filePath, outputRoot, relativeDir, validatedOptions, job = startJob(1)) {
+  let audit = null;
+  let outputPath = null;
+  const running = { fraction: 0, entities: 0 };
+  job.running.add(running);
   try {
     // Security: Validate inputs
     const validatedFilePath = validateFilePath(filePath);
-    const validatedOutputDir = outputDir ? validateDirectoryPath(outputDir) : null;
-    
     const fileName = path.basename(validatedFilePath);
 
     // If LLM not yet loaded, notify the renderer
@@ -147,17 +297,72 @@ ipcMain.handle('process-file', async (event, { filePath, outputDir }) => {
 
     mainWindow.webContents.send('log-message', `Processing: ${fileName}`);
 
-    const directory = validatedOutputDir || path.dirname(validatedFilePath);
-    const newFileName = FileProcessor.generateOutputFileName(fileName);
-    const outputPath = path.join(directory, newFileName);
+    const directory = mirrorOutputDirectory(outputRoot, relativeDir) || path.dirname(validatedFilePath);
+    fs.mkdirSync(directory, { recursive: true });
+    outputPath = FileProcessor.generateOutputPath(directory, fileName, resolveTakenOutputPaths(validatedOptions, job));
 
-    await FileProcessor.processFile(validatedFilePath, outputPath);
+    const pseudonyms = resolvePseudonymScope(validatedOptions);
+    audit = resolveAuditBatch(validatedOptions);
+    const processingOptions = { ...validatedOptions };
+    if (audit) {
+      audit.directory = audit.directory || outputRoot || inputRootDirectory(validatedFilePath, relativeDir);
+      processingOptions.audit = { ...validatedOptions.audit, salt: audit.salt };
+    }
+    sendJobProgress(job, filePath, 'file-start');
+    const onProgress = (progress) => {
+      // Model chunks are finer than pages or sheets; either tells how far the file is
+      running.fraction = Math.max(running.fraction, progress.total ? Math.min(progress.done / progress.total, 0.99) : 0);
+      running.entities = progress.entities;
+      sendJobProgress(job, filePath, 'file-progress', progress);
+    };
+    const { keyPath, auditPaths, review, entityCounts } = await workerPool.run(
+      { kind: 'process', filePath: validatedFilePath, outputPath, options: processingOptions },
+      { pseudonyms, onProgress },
+    );
+    if (pseudonyms instanceof ProjectVault) {
+      pseudonyms.save();
+    }
+    if (audit) {
+      audit.files.push({ input: validatedFilePath, output: outputPath, status: 'ok', entityCounts, review: review.length, auditPaths });
+    }
 
     // Mark LLM as initialized after first file
     isLLMInitialized = true;
 
+    if (review.length > 0) {
+      mainWindow.webContents.send('log-message', `${fileName}: ${review.length} low-confidence detection(s) left unchanged for review`);
+    }
     mainWindow.webContents.send('log-message', `Finished: ${fileName}`);
-    return { success: true, outputPath };
+    job.entities += Object.values(entityCounts).reduce((sum, count) => sum + count, 0);
+    return { success: true, outputPath, keyPath, auditPaths, review, entityCounts };
+  } catch (error) {
+    if (audit) {
+      audit.files.push({ input: filePath, status: 'failed', error: error.message });
+    }
+    if (error instanceof CancelledError) {
+      // A worker stopped mid-write leaves its staging folder behind
+      if (outputPath) {
+        fs.rmSync(FileProcessor.generatePartialDirPath(outputPath), { recursive: true, force: true });
+      }
+      mainWindow.webContents.send('log-message', `Cancelled: ${path.basename(filePath)}`);
+      return { success: false, cancelled: true, error: error.message };
+    }
+    console.error("Error processing file:", error);
+    mainWindow.webContents.send('log-message', `Error: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    job.running.delete(running);
+    job.filesDone++;
+    sendJobProgress(job, filePath, 'file-end');
+  }
+}
+
+ipcMain.handle('process-file', async (event, { filePath, outputDir, relativeDir, options }) => {
+  try {
+    // Security: Validate inputs
+    const validatedOutputDir = outputDir ? validateDirectoryPath(outputDir) : null;
+    const validatedOptions = validateProcessingOptions(options);
+    return await processOneFile(filePath, validatedOutputDir, relativeDir, validatedOptions);
   } catch (error) {
     console.error("Error in process-file IPC:", error);
     mainWindow.webContents.send('log-message', `Error: ${error.message}`);
@@ -165,6 +370,237 @@ ipcMain.handle('process-file', async (event, { filePath, outputDir }) => {
   }
 });
 
+// Processes a list of files in parallel; results come back in input order
+// and 'batch-file-done' reports each finished file. relativeDirs (optional,
+// one per file) places outputs in subfolders of the output directory.
+ipcMain.handle('process-batch', async (event, { filePaths, outputDir, relativeDirs, options, concurrency }) => {
+  try {
+    // Security: Validate inputs
+    if (!Array.isArray(filePaths) || filePaths.length > MAX_BATCH_FILES) {
+      throw new Error('Invalid file list');
+    }
+    if (relativeDirs !== undefined && (!Array.isArray(relativeDirs) || relativeDirs.length !== filePaths.length)) {
+      throw new Error('Invalid relative directory list');
+    }
+    const validatedOutputDir = outputDir ? validateDirectoryPath(outputDir) : null;
+    const validatedOptions = validateProcessingOptions(options);
+    workerPool.setSize(Number.isInteger(concurrency) && concurrency > 0 && concurrency <= MAX_CONCURRENCY ? concurrency : 0);
+
+    const job = startJob(filePaths.length);
+    let completed = 0;
+    const results = await Promise.all(filePaths.map(async (filePath, index) => {
+      const result = await processOneFile(filePath, validatedOutputDir, relativeDirs ? relativeDirs[index] : null, validatedOptions, job);
+      completed++;
+      mainWindow.webContents.send('batch-file-done', { completed, total: filePaths.length });
+      return result;
+    }));
+    return { success: true, results };
+  } catch (error) {
+    console.error("Error in process-batch IPC:", error);
+    mainWindow.webContents.send('log-message', `Error: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Runs detection on a file for the review screen; nothing is written
+ipcMain.handle('preview-file', async (event, { filePath, options }) => {
+  try {
+    const validatedFilePath = validateFilePath(filePath);
+    const validatedOptions = validateProcessingOptions(options);
+
+    if (!isLLMInitialized) {
+      mainWindow.webContents.send('log-message', "Initializing LLM (first-time load)...");
+    }
+    mainWindow.webContents.send('log-message', `Detecting: ${path.basename(validatedFilePath)}`);
+    const preview = await workerPool.run({ kind: 'preview', filePath: validatedFilePath, options: validatedOptions });
+    isLLMInitialized = true;
+    return { success: true, ...preview };
+  } catch (error) {
+    console.error("Error in preview-file IPC:", error);
+    mainWindow.webContents.send('log-message', `Error: ${error.message}`);
+    return { success: false, cancelled: error instanceof CancelledError, error: error.message };
+  }
+});
+
+// Pausing holds the pool between steps (model chunks, pages, sheets); the
+// time spent paused is left out of the ETA
+function setJobPaused(paused) {
+  if (paused) {
+    workerPool.pause();
+  } else {
+    workerPool.resume();
+  }
+  if (!currentJob) return;
+  if (paused && !currentJob.pausedAt) {
+    currentJob.pausedAt = Date.now();
+  } else if (!paused && currentJob.pausedAt) {
+    currentJob.pausedMs += Date.now() - currentJob.pausedAt;
+    currentJob.pausedAt = null;
+  }
+}
+
+// Cancels the running job: its files stop at their next step and write
+// nothing; files not started yet are skipped
+ipcMain.handle('cancel-batch', async () => {
+  workerPool.cancel();
+  setJobPaused(false);
+  mainWindow.webContents.send('log-message', 'Cancelling...');
+  return { success: true };
+});
+
+ipcMain.handle('pause-batch', async () => {
+  setJobPaused(true);
+  mainWindow.webContents.send('log-message', 'Paused');
+  return { success: true };
+});
+
+ipcMain.handle('resume-batch', async () => {
+  setJobPaused(false);
+  mainWindow.webContents.send('log-message', 'Resumed');
+  return { success: true };
+});
+
+// Writes the audit summary of a batch next to its outputs
+ipcMain.handle('write-audit-summary', async (event, batchId) => {
+  try {
+    if (!currentAudit || currentAudit.batchId !== batchId) {
+      throw new Error('No audit reports were written for this batch');
+    }
+    if (!currentAudit.files.some((file) => file.output)) {
+      throw new Error('No file of this batch was anonymized');
+    }
+    const summary = buildBatchSummary(currentAudit.files, { batchId, startedAt: currentAudit.startedAt });
+    // The output folder chosen for the batch, not the subfolder of one of its files
+    const paths = writeBatchSummary(summary, currentAudit.directory, currentAudit.formats);
+    return { success: true, paths, totals: summary.totals };
+  } catch (error) {
+    console.error('Error writing audit summary:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Opens an HTML audit report in the default browser
+ipcMain.handle('open-audit-report', async (event, reportPath) => {
+  try {
+    const validatedPath = validateFilePath(reportPath);
+    if (!validatedPath.endsWith('.html')) {
+      throw new Error('Not an audit report');
+    }
+    await shell.openPath(validatedPath);
+  } catch (error) {
+    console.error('Error opening audit report:', error);
+  }
+});
+
+ipcMain.handle('select-restore-files', async () => {
+  const documentResult = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select anonymized document',
+    properties: ['openFile'],
+    filters: [{ name: 'Anonymized documents', extensions: RESTORABLE_EXTENSIONS.map((ext) => ext.slice(1)) }],
+  });
+  if (documentResult.canceled || documentResult.filePaths.length === 0) {
+    return null;
+  }
+
+  const keyResult = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select key file',
+    defaultPath: path.dirname(documentResult.filePaths[0]),
+    properties: ['openFile'],
+    filters: [{ name: 'Key files', extensions: [KEY_FILE_EXTENSION.slice(1)] }],
+  });
+  if (keyResult.canceled || keyResult.filePaths.length === 0) {
+    return null;
+  }
+
+  return { filePath: documentResult.filePaths[0], keyPath: keyResult.filePaths[0] };
+});
+
+ipcMain.handle('restore-file', async (event, { filePath, keyPath, password, outputDir }) => {
+  try {
+    // Security: Validate inputs
+    const validatedFilePath = validateFilePath(filePath);
+    const validatedKeyPath = validateFilePath(keyPath);
+    const validatedOutputDir = outputDir ? validateDirectoryPath(outputDir) : null;
+    if (typeof password !== 'string' || !password) {
+      throw new Error('Password is required');
+    }
+
+    const fileName = path.basename(validatedFilePath);
+    mainWindow.webContents.send('log-message', `Restoring: ${fileName}`);
+
+    const directory = validatedOutputDir || path.dirname(validatedFilePath);
+    const outputPath = path.join(directory, FileProcessor.generateRestoredFileName(fileName));
+    await FileProcessor.restoreFile(validatedFilePath, validatedKeyPath, password, outputPath);
+
+    mainWindow.webContents.send('log-message', `Restored: ${fileName}`);
+    return { success: true, outputPath };
+  } catch (error) {
+    console.error("Error in restore-file IPC:", error);
+    mainWindow.webContents.send('log-message', `Error: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Columns of a CSV file, for the column policy editor
+ipcMain.handle('inspect-csv', async (event, filePath) => {
+  try {
+    const validatedPath = validateFilePath(filePath);
+    if (path.extname(validatedPath).toLowerCase() !== '.csv') {
+      throw new Error('Not a CSV file');
+    }
+    const buffer = Buffer.alloc(CSV_INSPECT_BYTES);
+    const fd = fs.openSync(validatedPath, 'r');
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(fd, buffer, 0, CSV_INSPECT_BYTES, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return inspectCsv(buffer.subarray(0, bytesRead).toString('utf8'));
+  } catch (error) {
+    console.error('Error inspecting CSV file:', error);
+    return null;
+  }
+});
+
+// Reads a dictionary from a text or CSV file, returned in the text list format
+ipcMain.handle('import-dictionary', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import dictionary',
+    properties: ['openFile'],
+    filters: [{ name: 'Term lists', extensions: ['txt', 'csv'] }],
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+  try {
+    const filePath = validateFilePath(result.filePaths[0]);
+    // The limit is in characters; a UTF-8 character takes at most 4 bytes,
+    // so larger files need not be read to be refused
+    if (fs.statSync(filePath).size > MAX_DICTIONARY_CHARS * 4) {
+      throw new Error('Dictionary file is too large');
+    }
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (text.length > MAX_DICTIONARY_CHARS) {
+      throw new Error('Dictionary file is too large');
+    }
+    const terms = parseDictionaryFile(text, filePath);
+    return { text: formatDictionaryText(terms), count: terms.length };
+  } catch (error) {
+    console.error('Error importing dictionary:', error);
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('list-projects', async () => {
+  try {
+    return ProjectVault.list(getProjectsDir());
+  } catch (error) {
+    console.error('Error listing projects:', error);
+    return [];
+  }
+});
+
 // Open a folder or URL with security validation
 ipcMain.handle('open-folder', async (event, folderPath) => {
   if (!folderPath || typeof folderPath !== 'string') {
@@ -203,6 +639,39 @@ ipcMain.handle('open-folder', async (event, folderPath) => {
   }
 });
 
+// Lists the supported files of a folder and its subfolders for the file list.
+// options: include / exclude glob lists, includeHidden, followSymlinks and
+// maxDepth (see fileScanner.js); at most MAX_BATCH_FILES files are listed.
+ipcMain.handle('scan-directory', async (event, { dirPath, options = {} }) => {
+  try {
+    const validatedPath = validateDirectoryPath(dirPath);
+    const patterns = (list) => (Array.isArray(list) ? list.filter((p) => typeof p === 'string').slice(0, 100) : []);
+    const { files, truncated, skipped } = scanDirectory(validatedPath, {
+      extensions: SUPPORTED_EXTENSIONS,
+      include: patterns(options.include),
+      exclude: patterns(options.exclude),
+      includeHidden: options.includeHidden === true,
+      followSymlinks: options.followSymlinks === true,
+      maxDepth: Number.isInteger(options.maxDepth) && options.maxDepth >= 0 ? Math.min(options.maxDepth, 100) : undefined,
+      maxFiles: MAX_BATCH_FILES,
+    });
+    return {
+      success: true,
+      root: validatedPath,
+      files: files.map((file) => ({
+        path: file.path,
+        name: path.basename(file.path),
+        relativeDir: path.posix.dirname(file.relative) === '.' ? '' : path.posix.dirname(file.relative),
+      })),
+      truncated,
+      skipped,
+    };
+  } catch (error) {
+    console.error('Error scanning directory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Additional IPC handlers for file system operations (used by preload.js)
 ipcMain.handle('read-directory', async (event, dirPath) => {
   try {
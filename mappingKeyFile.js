@@ -0,0 +1,77 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Key file format version, bumped if the envelope or KDF parameters change
+const KEY_FILE_VERSION = 1;
+
+// scrypt cost parameters (N=2^15 needs 32MB, so raise maxmem a little)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export const KEY_FILE_EXTENSION = '.a5key';
+export const MIN_PASSWORD_LENGTH = 8;
+
+function deriveKey(password, salt, params) {
+  return crypto.scryptSync(password, salt, 32, params);
+}
+
+/**
+ * Security: Validate the password protecting a key file
+ */
+export function validateKeyPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Key file password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+/**
+ * Encrypts a pseudonym => original mapping with a password and writes it as a
+ * key file (scrypt + AES-256-GCM). The key file is what allows re-identifying
+ * an anonymized document, so it is written readable by the current user only.
+ */
+export function writeKeyFile(keyPath, mapping, password, meta = {}) {
+  validateKeyPassword(password);
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(password, salt, SCRYPT_PARAMS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const plaintext = JSON.stringify({ ...meta, mapping });
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  const envelope = {
+    format: 'a5-pii-anonymizer-key',
+    version: KEY_FILE_VERSION,
+    kdf: { name: 'scrypt', N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p, salt: salt.toString('base64') },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    data: ciphertext.toString('base64'),
+  };
+  fs.writeFileSync(keyPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Reads and decrypts a key file. Returns { mapping, ...meta }.
+ */
+export function readKeyFile(keyPath, password) {
+  let envelope;
+  try {
+    envelope = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Not a valid key file: ${err.message}`);
+  }
+  if (envelope.format !== 'a5-pii-anonymizer-key' || envelope.version !== KEY_FILE_VERSION) {
+    throw new Error('Not a valid key file: unsupported format or version');
+  }
+
+  const { N, r, p } = envelope.kdf;
+  const key = deriveKey(String(password), Buffer.from(envelope.kdf.salt, 'base64'), { N, r, p, maxmem: SCRYPT_PARAMS.maxmem });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.cipher.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.cipher.tag, 'base64'));
+
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error('Incorrect password or corrupted key file');
+  }
+}
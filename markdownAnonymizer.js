@@ -0,0 +1,143 @@
+import { createMarkupRewriter } from './markupText.js';
+
+/**
+ * Format-preserving Markdown anonymization.
+ *
+ * The document is rewritten in place, line by line. Block syntax (heading
+ * and list markers, quotes, rules, table delimiter rows, code fences) and
+ * inline syntax (link targets, reference labels, autolinks, inline HTML
+ * tags) is left as it is; the text around it, code included, is sent to
+ * the model. Link and image targets, autolinks and the attributes of inline
+ * HTML are handled as in HTML (see markupText.js). Replacements written
+ * outside code are escaped where they would read as Markdown (masks such
+ * as "J***").
+ *
+ * `engine` is bound to the current file by FileProcessor:
+ *   findSpans(text, location)         -> spans with `replacement`
+ *   pseudonymize(value, type, source) -> replacement for a value known to be PII
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const BLOCK_PREFIX = /^ {0,3}(?:>\s?)*\s*(?:(?:[-*+]|\d{1,9}[.)])\s+(?:\[[ xX]\]\s+)?)?(?:#{1,6}(?:\s+|$))?/;
+// Rules, setext underlines and table delimiter rows
+const SYNTAX_LINE = /^ {0,3}(?:(?:[-*_]\s*){3,}|=+\s*|\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*)$/;
+const REFERENCE_DEFINITION = /^( {0,3}\[[^\]]+\]:\s*)(<[^>]*>|\S+)(?:(\s+)("[^"]*"|'[^']*'|\([^)]*\)))?\s*$/;
+const FRONT_MATTER_FIELD = /^(\s*(?:-\s+)?[\w.-]+:\s*)/;
+
+// Code spans, link targets with optional titles, reference labels,
+// autolinks, inline HTML tags and backslash escapes
+const INLINE_PATTERN = new RegExp([
+  '(`+)[^`][\\s\\S]*?\\1(?!`)',
+  '\\]\\(\\s*(<[^>]*>|[^\\s)]+)(?:\\s+("[^"]*"|\'[^\']*\'|\\([^)]*\\)))?\\s*\\)',
+  '\\]\\[[^\\]]*\\]',
+  '<((?:[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\\s<>]*)|[^\\s<>@]+@[^\\s<>]+)>',
+  '</?[a-zA-Z][a-zA-Z0-9-]*(?:[^>"\']|"[^"]*"|\'[^\']*\')*>',
+  '\\\\.',
+].join('|'), 'g');
+
+/**
+ * Backslash-escapes characters of a replacement that Markdown would read
+ * as emphasis, links, HTML or table cells.
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/[\\`*[\]<>|]/g, '\\$&');
+}
+
+/**
+ * Anonymizes a Markdown document.
+ */
+export async function anonymizeMarkdown(markdown, engine) {
+  const rewriter = createMarkupRewriter(markdown, engine);
+  const text = (start, end) => rewriter.text(start, end, { escape: escapeMarkdown });
+  const code = (start, end) => rewriter.text(start, end);
+  // Link titles are read on their own, apart from the link text
+  const title = (start, quoted) => {
+    rewriter.breakBlock();
+    text(start + 1, start + quoted.length - 1);
+    rewriter.breakBlock();
+  };
+
+  // Text of one line between start and end, around inline syntax
+  const inline = (start, end) => {
+    const line = markdown.slice(start, end);
+    let textStart = 0;
+    for (const match of line.matchAll(INLINE_PATTERN)) {
+      const [syntax, ticks, target, targetTitle, autolink] = match;
+      if (syntax[0] === '\\') continue;
+      const at = start + match.index;
+      text(start + textStart, at);
+      if (ticks) {
+        code(at + ticks.length, at + syntax.length - ticks.length);
+      } else if (target) {
+        const targetAt = at + syntax.indexOf(target, 2);
+        const angled = target.startsWith('<');
+        rewriter.value(targetAt + (angled ? 1 : 0), targetAt + target.length - (angled ? 1 : 0), 'link', { url: true });
+        if (targetTitle) title(at + syntax.lastIndexOf(targetTitle), targetTitle);
+      } else if (autolink) {
+        rewriter.value(at + 1, at + syntax.length - 1, 'link', { url: true });
+      } else if (syntax[0] === '<') {
+        rewriter.tag(at, at + syntax.length);
+      }
+      textStart = match.index + syntax.length;
+    }
+    text(start + textStart, end);
+  };
+
+  let fence = null;
+  let frontMatter = markdown.startsWith('---\n') || markdown.startsWith('---\r\n');
+  let lineStart = 0;
+  for (const rawLine of markdown.split('\n')) {
+    const start = lineStart;
+    lineStart += rawLine.length + 1;
+    const line = rawLine.replace(/\r$/, '');
+    const end = start + line.length;
+    rewriter.breakBlock();
+
+    if (frontMatter) {
+      // YAML front matter: field names are kept, values are text
+      if (start > 0 && /^(?:---|\.\.\.)\s*$/.test(line)) {
+        frontMatter = false;
+      } else if (start > 0) {
+        const field = FRONT_MATTER_FIELD.exec(line);
+        text(start + (field ? field[1].length : 0), end);
+      }
+      continue;
+    }
+
+    const fenceMatch = FENCE.exec(line);
+    if (fence) {
+      const closes = fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length;
+      if (closes && !line.slice(fenceMatch[0].length).trim()) {
+        fence = null;
+      } else {
+        code(start, end);
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+    if (!line.trim() || SYNTAX_LINE.test(line)) continue;
+
+    // Indented lines may be code, so replacements go in unescaped
+    if (/^(?: {4}|\t)/.test(line)) {
+      code(start, end);
+      continue;
+    }
+
+    const definition = REFERENCE_DEFINITION.exec(line);
+    if (definition) {
+      const [, label, target, space, definitionTitle] = definition;
+      const angled = target.startsWith('<');
+      const targetAt = start + label.length;
+      rewriter.value(targetAt + (angled ? 1 : 0), targetAt + target.length - (angled ? 1 : 0), 'link', { url: true });
+      if (definitionTitle) title(targetAt + target.length + space.length, definitionTitle);
+      continue;
+    }
+
+    inline(start + BLOCK_PREFIX.exec(line)[0].length, end);
+  }
+
+  return rewriter.finish();
+}
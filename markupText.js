@@ -0,0 +1,292 @@
+import { escapeXml } from './xmlEntities.js';
+import { assignSpansToSegments, replaceSpans } from './entitySpans.js';
+
+/**
+ * Shared rewriting for markup formats (htmlAnonymizer.js,
+ * markdownAnonymizer.js).
+ *
+ * A format handler walks its source and tells the rewriter which ranges are
+ * text (text nodes, code, comments), which are attribute values or link
+ * targets, and where blocks end. Everything else is markup and is never
+ * touched. The collected text goes to the model in one pass, with a line
+ * break between blocks and the values after the text, so they do not split
+ * it; each detection is written back into the range it came from:
+ *   - text ranges are edited in place, so entities and whitespace around a
+ *     replacement stay as they were; a detection spanning several ranges
+ *     (e.g. "<b>Jane</b> Doe") goes into the first one
+ *   - attribute values and link targets are rewritten whole
+ * Link targets are scanned like text (mailto: addresses, names in paths)
+ * and query parameters that name a person, e.g. ?email= or ?name=, are
+ * replaced whole.
+ */
+
+// Attributes read as text
+export const TEXT_ATTRIBUTES = ['alt', 'title', 'aria-label', 'placeholder'];
+// Attributes holding a URL
+export const URL_ATTRIBUTES = ['href', 'src', 'action', 'cite', 'poster', 'formaction'];
+
+// Query parameters whose value is personal data as a whole
+const PERSONAL_PARAMS = /^(?:e-?mail|mail|name|(?:first|last|full|given|family|sur|user|display)[-_]?name|user|userid|user_id|login|phone|tel|mobile|address|street|zip|postcode|dob|birthdate|birth_date|ssn)$/i;
+const PHONE_PARAMS = /^(?:phone|tel|mobile)$/i;
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>`]+)))?/g;
+
+// HTML named entities beyond XML's five: common punctuation, and Latin
+// letters with accents (&eacute;, &Uuml;), which matter for names
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', shy: '\u00AD',
+  copy: '\u00A9', reg: '\u00AE', trade: '\u2122', hellip: '\u2026', middot: '\u00B7', bull: '\u2022',
+  ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+  laquo: '\u00AB', raquo: '\u00BB', euro: '\u20AC', pound: '\u00A3', sect: '\u00A7', deg: '\u00B0',
+  szlig: '\u00DF', oslash: '\u00F8', Oslash: '\u00D8', aelig: '\u00E6', AElig: '\u00C6',
+};
+// Combining marks for &<letter><accent>;
+const ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circ: '\u0302', uml: '\u0308', tilde: '\u0303', ring: '\u030A', cedil: '\u0327',
+};
+
+function decodeNamedEntity(name) {
+  if (Object.hasOwn(HTML_ENTITIES, name)) return HTML_ENTITIES[name];
+  const accented = /^([A-Za-z])(acute|grave|circ|uml|tilde|ring|cedil)$/.exec(name);
+  if (accented) {
+    const letter = `${accented[1]}${ACCENTS[accented[2]]}`.normalize('NFC');
+    if (letter.length === 1) return letter;
+  }
+  return null;
+}
+
+/**
+ * Decodes HTML character references. Returns the text and, for each of its
+ * characters (and its end), the offset in `raw` it came from.
+ */
+export function decodeHtml(raw) {
+  let text = '';
+  const offsets = [];
+  let last = 0;
+  for (const match of raw.matchAll(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g)) {
+    const [entity, body] = match;
+    let decoded = null;
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      if (code > 0 && code <= 0x10FFFF) decoded = String.fromCodePoint(code);
+    } else {
+      decoded = decodeNamedEntity(body);
+    }
+    if (decoded === null) continue;
+    for (let i = last; i < match.index; i++) offsets.push(i);
+    text += raw.slice(last, match.index);
+    for (let i = 0; i < decoded.length; i++) offsets.push(match.index);
+    text += decoded;
+    last = match.index + entity.length;
+  }
+  for (let i = last; i < raw.length; i++) offsets.push(i);
+  text += raw.slice(last);
+  offsets.push(raw.length);
+  return { text, offsets };
+}
+
+/**
+ * Entity type for a personal query parameter ("first_name" => FIRSTNAME).
+ */
+function paramEntityType(name) {
+  if (PHONE_PARAMS.test(name)) return 'PHONENUMBER';
+  const type = name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return type === 'MAIL' ? 'EMAIL' : type;
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Edits replacing the values of personal query parameters in a URL.
+ */
+function personalParamEdits(url, engine, location) {
+  const query = /\?([^#]*)/.exec(url);
+  if (!query) return [];
+  const edits = [];
+  let offset = query.index + 1;
+  for (const pair of query[1].split('&')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0 && separator < pair.length - 1) {
+      const name = decodeParam(pair.slice(0, separator));
+      if (PERSONAL_PARAMS.test(name)) {
+        const value = decodeParam(pair.slice(separator + 1));
+        const replacement = engine.pseudonymize(value, paramEntityType(name), undefined, location);
+        edits.push({
+          start: offset + separator + 1,
+          end: offset + pair.length,
+          replacement: encodeURIComponent(replacement),
+        });
+      }
+    }
+    offset += pair.length + 1;
+  }
+  return edits;
+}
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Creates a rewriter for `source`. `engine` is the per-file text engine
+ * from FileProcessor (findSpans, pseudonymize).
+ */
+export function createMarkupRewriter(source, engine) {
+  const segments = [];
+  const values = [];
+  const edits = [];
+  let scanText = '';
+  let separate = false;
+
+  const lineStarts = [0];
+  for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+  const lineAt = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  const addSegment = (segment) => {
+    if (!segment.text) return;
+    if (separate && scanText) scanText += '\n';
+    separate = false;
+    segment.offset = scanText.length;
+    segment.edits = [];
+    scanText += segment.text;
+    segments.push(segment);
+  };
+
+  return {
+    /**
+     * The next text starts a new block.
+     */
+    breakBlock() {
+      separate = true;
+    },
+
+    /**
+     * Text in source[start, end). options.decode: HTML character references
+     * are decoded first; options.escape: encoding of replacements written
+     * into the source.
+     */
+    text(start, end, { decode = false, escape = (value) => value } = {}) {
+      if (end <= start) return;
+      const raw = source.slice(start, end);
+      const { text, offsets } = decode ? decodeHtml(raw) : { text: raw, offsets: null };
+      addSegment({ kind: 'text', text, start, offsets, escape, location: { line: lineAt(start) } });
+    },
+
+    /**
+     * A value rewritten whole: an attribute or a link target in
+     * source[start, end). options.url: scanned as a link target;
+     * options.decode: HTML character references are decoded first;
+     * options.write(value): the source text for a changed value.
+     */
+    value(start, end, name, { url = false, decode = false, write = (value) => value } = {}) {
+      const raw = source.slice(start, end);
+      const text = decode ? decodeHtml(raw).text : raw;
+      const location = { line: lineAt(start), attribute: name };
+      const fixed = url ? personalParamEdits(text, engine, location) : [];
+      // Replaced parameters are blanked out for the model
+      const scanned = fixed.reduceRight(
+        (value, edit) => value.slice(0, edit.start) + ' '.repeat(edit.end - edit.start) + value.slice(edit.end),
+        text,
+      );
+      values.push({ kind: 'value', text: scanned, original: text, start, end, fixed, url, write, location });
+    },
+
+    /**
+     * The attributes of an HTML tag in source[start, end): text attributes,
+     * URLs, and <meta> author, description and keywords.
+     */
+    tag(start, end, { decode = true } = {}) {
+      const tag = source.slice(start, end);
+      const name = (/^<\/?([a-zA-Z][a-zA-Z0-9:-]*)/.exec(tag) || [])[1];
+      if (!name || tag[1] === '/') return;
+      const attributes = [];
+      const pattern = new RegExp(ATTRIBUTE_PATTERN.source, 'g');
+      pattern.lastIndex = name.length + 1;
+      let match;
+      while ((match = pattern.exec(tag))) {
+        const quoted = match[2] ?? match[3];
+        const value = quoted ?? match[4];
+        if (value === undefined) continue;
+        const valueStart = start + match.index + match[0].length - value.length - (quoted !== undefined ? 1 : 0);
+        attributes.push({
+          name: match[1].toLowerCase(),
+          start: valueStart,
+          end: valueStart + value.length,
+          // Unquoted values get quotes, as a replacement may contain spaces
+          write: quoted !== undefined ? (text) => escapeXml(text) : (text) => `"${escapeXml(text)}"`,
+        });
+      }
+
+      const metaName = attributes.find((attribute) => attribute.name === 'name');
+      const meta = name.toLowerCase() === 'meta' && metaName
+        ? source.slice(metaName.start, metaName.end).toLowerCase()
+        : null;
+      for (const attribute of attributes) {
+        if (meta && attribute.name === 'content') {
+          if (meta === 'author') {
+            const raw = source.slice(attribute.start, attribute.end);
+            const value = decode ? decodeHtml(raw).text : raw;
+            if (value.trim()) {
+              const location = { line: lineAt(attribute.start), attribute: 'author' };
+              const replacement = engine.pseudonymize(value, 'AUTHOR', undefined, location);
+              edits.push({ start: attribute.start, end: attribute.end, replacement: attribute.write(replacement) });
+            }
+          } else if (meta === 'description' || meta === 'keywords') {
+            this.value(attribute.start, attribute.end, meta, { decode, write: attribute.write });
+          }
+        } else if (TEXT_ATTRIBUTES.includes(attribute.name)) {
+          this.value(attribute.start, attribute.end, attribute.name, { decode, write: attribute.write });
+        } else if (URL_ATTRIBUTES.includes(attribute.name)) {
+          this.value(attribute.start, attribute.end, attribute.name, { url: true, decode, write: attribute.write });
+        }
+      }
+    },
+
+    /**
+     * Runs detection on the collected text and returns the rewritten source.
+     */
+    async finish() {
+      for (const value of values) {
+        separate = true;
+        addSegment(value);
+      }
+      if (scanText.trim()) {
+        assignSpansToSegments(await engine.findSpans(scanText), segments);
+      }
+      for (const segment of segments) {
+        if (segment.kind === 'text') {
+          for (const edit of segment.edits) {
+            const start = segment.offsets ? segment.offsets[edit.start] : edit.start;
+            const end = segment.offsets ? segment.offsets[edit.end] : edit.end;
+            edits.push({ start: segment.start + start, end: segment.start + end, replacement: segment.escape(edit.replacement) });
+          }
+          continue;
+        }
+        const encode = segment.url ? encodeURI : (value) => value;
+        const detected = segment.edits
+          .filter((edit) => !segment.fixed.some((fixed) => overlaps(edit, fixed)))
+          .map((edit) => ({ ...edit, replacement: encode(edit.replacement) }));
+        if (detected.length === 0 && segment.fixed.length === 0) continue;
+        edits.push({
+          start: segment.start,
+          end: segment.end,
+          replacement: segment.write(replaceSpans(segment.original, [...segment.fixed, ...detected])),
+        });
+      }
+      return replaceSpans(source, edits);
+    },
+  };
+}
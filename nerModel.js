@@ -0,0 +1,45 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Loads the token-classification model that finds PII by context. Loaded
+ * pipelines are stateless and cached per model, so every anonymizer using
+ * the same model shares one copy in memory. Transformers.js is only imported
+ * when a model is first needed.
+ */
+
+export const DEFAULT_MODEL_NAME = 'protectai/lakshyakh93-deberta_finetuned_pii-onnx';
+export const DEFAULT_MODEL_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'models');
+
+const pipelines = new Map();
+// Transformers.js reads its settings from one shared env object while a
+// model loads, so loads run one after another
+let loading = Promise.resolve();
+
+/**
+ * Resolves to the pipeline for a model.
+ * modelPath: directory holding <modelName>/ (default: ./models)
+ * modelName: model folder / id (default: DEFAULT_MODEL_NAME)
+ * allowRemoteModels: download the model when it is not found locally
+ * `logger` (console by default) is told when a model is loaded.
+ */
+export function loadNERModel({ modelPath = DEFAULT_MODEL_PATH, modelName = DEFAULT_MODEL_NAME, allowRemoteModels = false } = {}, logger = console) {
+  const key = JSON.stringify([modelPath, modelName, allowRemoteModels]);
+  if (!pipelines.has(key)) {
+    const load = loading.then(async () => {
+      const { pipeline, env } = await import('@xenova/transformers');
+      env.localModelPath = modelPath;
+      env.allowRemoteModels = allowRemoteModels;
+      env.quantized = false;
+      logger.log("Loading PII detection model from local files...");
+      const ner = await pipeline('token-classification', modelName);
+      logger.log("Model loaded.");
+      return ner;
+    });
+    loading = load.catch(() => {});
+    // A failed load is retried on the next call
+    load.catch(() => pipelines.delete(key));
+    pipelines.set(key, load);
+  }
+  return pipelines.get(key);
+}
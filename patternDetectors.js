@@ -0,0 +1,182 @@
+/**
+ * Rule-based PII detectors that run alongside the NER model.
+ *
+ * Structured identifiers (emails, card numbers, IBANs, ...) follow strict
+ * formats, so a validated regex finds them more reliably than the model does.
+ * Each detector can be switched off individually through the `detectors`
+ * option, e.g. `{ postalCode: false }`.
+ */
+
+/**
+ * Luhn checksum used by payment card numbers.
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 check used by IBANs.
+ */
+function passesIbanChecksum(iban) {
+  const compact = iban.replace(/\s+/g, '').toUpperCase();
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Digits a phone number needs without a "+", area code or trunk prefix
+const MIN_UNPREFIXED_PHONE_DIGITS = 10;
+
+/**
+ * Rejects phone-shaped matches that are really dates (2024-01-31,
+ * 31.01.2024), amounts (10 000 000, 1.234.567) or a year and a number
+ * (2023 1234). A number with a "+", an area code in parentheses or a
+ * trunk "0" is taken as a phone number; any other needs at least
+ * MIN_UNPREFIXED_PHONE_DIGITS digits.
+ */
+function isPlausiblePhone(match) {
+  if (/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(match)) return false;
+  if (/^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}$/.test(match)) return false;
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return false;
+  if (/^[+(]|^0/.test(match)) return true;
+
+  const groups = match.split(/[\s.-]+/);
+  // Thousands separators: "10 000 000", "1.234.567"
+  if (groups[0].length <= 3 && groups.slice(1).every((group) => group.length === 3)) return false;
+  if (/^(?:19|20)\d\d$/.test(groups[0])) return false;
+  return digits.length >= MIN_UNPREFIXED_PHONE_DIGITS;
+}
+
+/**
+ * Detector table. Order matters: when two detectors match overlapping text,
+ * the one listed first wins (an SSN is also phone-shaped, a card number too).
+ *
+ * - `type`: entity label used for the pseudonym, aligned with the model's labels
+ * - `pattern`: global regex
+ * - `group`: optional capture group holding the identifier itself
+ * - `validate`: optional check on the matched identifier
+ */
+export const PATTERN_DETECTORS = {
+  email: {
+    type: 'EMAIL',
+    pattern: /(?<![\w.+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+  iban: {
+    type: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: passesIbanChecksum,
+  },
+  creditCard: {
+    type: 'CREDITCARDNUMBER',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: (match) => passesLuhn(match.replace(/\D/g, '')),
+  },
+  ssn: {
+    type: 'SSN',
+    pattern: /(?<![\d-])(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?![\d-])/g,
+  },
+  macAddress: {
+    type: 'MAC',
+    pattern: /\b[0-9A-Fa-f]{2}([:-])[0-9A-Fa-f]{2}(?:\1[0-9A-Fa-f]{2}){4}\b/g,
+  },
+  ipAddress: {
+    type: 'IP',
+    pattern: new RegExp(
+      '(?<![\\w.:])(?:' +
+        // IPv4
+        '(?:(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)' +
+        '|' +
+        // IPv6, full or "::"-compressed
+        '(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}' +
+        '|(?:[0-9A-Fa-f]{1,4}:){1,7}:(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4}){0,5})?' +
+        '|::(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4}){0,6})' +
+      // A trailing "." may end the sentence, not the address
+      ')(?![\\w:]|\\.\\w)',
+      'g'
+    ),
+  },
+  phone: {
+    type: 'PHONENUMBER',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,3}(?![\w-])/g,
+    validate: isPlausiblePhone,
+  },
+  passport: {
+    // Passport numbers are too generic on their own, so require the keyword.
+    type: 'PASSPORT',
+    pattern: /\bpassport(?:\s+(?:no\.?|number|num\.?|#))?\s*[:#]?\s*([A-Z0-9]{6,9})\b/gi,
+    group: 1,
+    validate: (match) => /\d/.test(match),
+  },
+  postalCode: {
+    // US ZIP after a state code, UK postcodes and Canadian postal codes.
+    type: 'ZIPCODE',
+    pattern: /\b(?:[A-Z]{2}\s+(\d{5}(?:-\d{4})?)|([A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2})|([A-Z]\d[A-Z]\s?\d[A-Z]\d))\b/g,
+    group: [1, 2, 3],
+  },
+};
+
+/**
+ * Runs every enabled detector over the text.
+ * `enabled` maps detector names to booleans; detectors are on unless set to false.
+ * Returns non-overlapping matches sorted by position:
+ * { start, end, text, type, score, source }
+ */
+export function detectPatterns(text, enabled = {}) {
+  const candidates = [];
+  let priority = 0;
+
+  for (const [name, detector] of Object.entries(PATTERN_DETECTORS)) {
+    priority++;
+    if (enabled && enabled[name] === false) continue;
+
+    const groups = detector.group === undefined ? [0] : [].concat(detector.group);
+    for (const match of String(text).matchAll(new RegExp(detector.pattern.source, detector.pattern.flags))) {
+      const groupIndex = groups.find((g) => match[g] !== undefined);
+      if (groupIndex === undefined) continue;
+
+      const value = match[groupIndex];
+      const start = match.index + (groupIndex === 0 ? 0 : match[0].indexOf(value));
+      if (detector.validate && !detector.validate(value)) continue;
+
+      candidates.push({
+        start,
+        end: start + value.length,
+        text: value,
+        type: detector.type,
+        score: 1,
+        source: `pattern:${name}`,
+        priority,
+      });
+    }
+  }
+
+  // Resolve overlaps: higher-priority detector first, then longer match
+  candidates.sort((a, b) => a.priority - b.priority || (b.end - b.start) - (a.end - a.start));
+  const accepted = [];
+  for (const candidate of candidates) {
+    const overlaps = accepted.some((m) => candidate.start < m.end && m.start < candidate.end);
+    if (!overlaps) accepted.push(candidate);
+  }
+
+  return accepted
+    .sort((a, b) => a.start - b.start)
+    .map(({ priority: _priority, ...match }) => match);
+}
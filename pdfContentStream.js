@@ -0,0 +1,232 @@
+/**
+ * Tokenizer for PDF content streams (the drawing instructions of a page or
+ * form XObject). The stream is handled as a latin1 string so byte offsets and
+ * string offsets match, which lets callers rewrite single operations and keep
+ * everything else byte-for-byte.
+ */
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const NUMBER_CHARS = '+-.0123456789';
+
+// Keywords that are operands rather than operators
+const KEYWORD_VALUES = { true: true, false: false, null: null };
+
+function isRegular(ch) {
+  return !WHITESPACE.includes(ch) && !DELIMITERS.includes(ch);
+}
+
+class ContentLexer {
+  constructor(src) {
+    this.src = src;
+    this.pos = 0;
+  }
+
+  skipWhitespaceAndComments() {
+    const { src } = this;
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+      if (WHITESPACE.includes(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.src.length && isRegular(this.src[this.pos])) this.pos++;
+    return this.src.slice(start, this.pos);
+  }
+
+  readLiteralString() {
+    const { src } = this;
+    let out = '';
+    let depth = 1;
+    this.pos++;
+    while (this.pos < src.length) {
+      const ch = src[this.pos++];
+      if (ch === '\\') {
+        const next = src[this.pos++];
+        if (next === 'n') out += '\n';
+        else if (next === 'r') out += '\r';
+        else if (next === 't') out += '\t';
+        else if (next === 'b') out += '\b';
+        else if (next === 'f') out += '\f';
+        else if (next === '\r') {
+          if (src[this.pos] === '\n') this.pos++;
+        } else if (next === '\n') {
+          // Line continuation
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && src[this.pos] >= '0' && src[this.pos] <= '7') octal += src[this.pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else if (next !== undefined) {
+          out += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { type: 'string', value: out };
+  }
+
+  readHexString() {
+    const end = this.src.indexOf('>', this.pos);
+    const stop = end === -1 ? this.src.length : end;
+    let hex = this.src.slice(this.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2) hex += '0';
+    this.pos = stop + 1;
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    return { type: 'string', value: out };
+  }
+
+  readName() {
+    this.pos++;
+    const raw = this.readRegular();
+    return { type: 'name', value: raw.replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+
+  /**
+   * Reads one operand at the current position, or returns undefined when the
+   * next token is an operator.
+   */
+  readValue() {
+    this.skipWhitespaceAndComments();
+    const { src } = this;
+    const ch = src[this.pos];
+
+    if (ch === '(') return this.readLiteralString();
+    if (ch === '/') return this.readName();
+    if (ch === '<') {
+      if (src[this.pos + 1] !== '<') return this.readHexString();
+      this.pos += 2;
+      const value = {};
+      for (;;) {
+        this.skipWhitespaceAndComments();
+        if (this.pos >= src.length) break;
+        if (src.startsWith('>>', this.pos)) {
+          this.pos += 2;
+          break;
+        }
+        const key = this.readValue();
+        const entry = this.readValue();
+        if (!key || key.type !== 'name') break;
+        value[key.value] = entry;
+      }
+      return { type: 'dict', value };
+    }
+    if (ch === '[') {
+      this.pos++;
+      const value = [];
+      for (;;) {
+        this.skipWhitespaceAndComments();
+        if (this.pos >= src.length) break;
+        if (src[this.pos] === ']') {
+          this.pos++;
+          break;
+        }
+        const item = this.readValue();
+        if (item === undefined) {
+          // Stray operator inside an array: skip it rather than loop forever
+          this.readRegular() || this.pos++;
+          continue;
+        }
+        value.push(item);
+      }
+      return { type: 'array', value };
+    }
+    if (ch !== undefined && NUMBER_CHARS.includes(ch)) {
+      const start = this.pos;
+      const token = this.readRegular() || src[this.pos++];
+      const value = Number(token);
+      if (Number.isFinite(value)) return { type: 'number', value };
+      this.pos = start;
+      return undefined;
+    }
+    if (ch !== undefined && isRegular(ch)) {
+      const start = this.pos;
+      const token = this.readRegular();
+      if (Object.hasOwn(KEYWORD_VALUES, token)) return { type: 'keyword', value: KEYWORD_VALUES[token] };
+      this.pos = start;
+    }
+    return undefined;
+  }
+
+  /**
+   * Skips the binary data of an inline image (BI ... ID <data> EI).
+   */
+  skipInlineImage() {
+    const id = /\sID[\s]/g;
+    id.lastIndex = this.pos;
+    const idMatch = id.exec(this.src);
+    if (!idMatch) {
+      this.pos = this.src.length;
+      return;
+    }
+    const ei = /\sEI(?=[\s]|$)/g;
+    ei.lastIndex = idMatch.index + idMatch[0].length;
+    const eiMatch = ei.exec(this.src);
+    this.pos = eiMatch ? eiMatch.index + eiMatch[0].length : this.src.length;
+  }
+}
+
+/**
+ * Splits a content stream into operations:
+ * [{ operator, operands, start, end }], where start..end covers the operands
+ * and the operator. Inline images are returned as a single 'BI' operation.
+ */
+export function parseContentStream(src) {
+  const lexer = new ContentLexer(src);
+  const operations = [];
+  let operands = [];
+  let start = -1;
+
+  for (;;) {
+    lexer.skipWhitespaceAndComments();
+    if (lexer.pos >= src.length) break;
+    const tokenStart = lexer.pos;
+    if (start === -1) start = tokenStart;
+
+    const value = lexer.readValue();
+    if (value !== undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    const operator = lexer.readRegular();
+    if (!operator) {
+      // Unbalanced delimiter: skip it
+      lexer.pos++;
+      operands = [];
+      start = -1;
+      continue;
+    }
+    if (operator === 'BI') lexer.skipInlineImage();
+    operations.push({ operator, operands, start, end: lexer.pos });
+    operands = [];
+    start = -1;
+  }
+  return operations;
+}
+
+export function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value);
+  return value.toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+export function formatHexString(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) hex += bytes.charCodeAt(i).toString(16).padStart(2, '0');
+  return `<${hex}>`;
+}
@@ -0,0 +1,768 @@
+import pdfjs from 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  PDFRawStream,
+  PDFString,
+  PDFHexString,
+  StandardFonts,
+  StandardFontEmbedder,
+  EncryptedPDFError,
+  decodePDFRawStream,
+  degrees,
+  rgb,
+} from 'pdf-lib';
+import { replaceSpans } from './entitySpans.js';
+import { parseContentStream, formatNumber, formatHexString } from './pdfContentStream.js';
+
+/**
+ * Layout-preserving PDF redaction.
+ *
+ * pdf.js (the build bundled with pdf-parse) supplies the page text and where
+ * each text item sits. Detected spans become redaction areas on their pages;
+ * the page content streams (and the form XObjects they draw) are then
+ * interpreted glyph by glyph and every glyph whose centre falls in an area is
+ * removed from the stream, so the text is gone rather than just covered.
+ * Finally each area is painted over with a black box, labelled with its
+ * pseudonym when there is room. Everything else (pages, images, vector
+ * graphics, fonts) is left as it was.
+ */
+
+export const PDF_REDACTION_STYLES = ['label', 'box'];
+
+// Same as pdf-parse: no worker thread outside the browser
+pdfjs.disableWorker = true;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Vertical extent of a line of text, in units of the font size
+const GLYPH_CENTRE = 0.3;
+const HIT_BOTTOM = -0.35;
+const HIT_TOP = 1.1;
+const BOX_BOTTOM = -0.25;
+const BOX_TOP = 0.95;
+
+// How far outside a text item (in units of its font size) a glyph may start
+const ITEM_TOLERANCE = 0.1;
+
+const MIN_LABEL_SIZE = 3;
+const MAX_FORM_DEPTH = 8;
+
+const WIN_ANSI = new TextDecoder('windows-1252');
+
+// Text space width of a glyph when a font gives no metrics
+const DEFAULT_FONT = { bytesPerCode: 1, widthOf: () => 0.5 };
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5],
+  ];
+}
+
+function applyMatrix(m, x, y) {
+  return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det,
+  ];
+}
+
+/**
+ * Per-character widths of a standard font, for estimating where a
+ * character sits inside a text item and for fonts without a Widths array.
+ */
+const standardFonts = new Map();
+function standardFontWidths(fontName) {
+  if (!standardFonts.has(fontName)) {
+    const embedder = StandardFontEmbedder.for(fontName);
+    const cache = new Map();
+    standardFonts.set(fontName, (ch) => {
+      if (!cache.has(ch)) {
+        let width;
+        try {
+          width = embedder.widthOfTextAtSize(ch, 1);
+        } catch {
+          width = 0.5;
+        }
+        cache.set(ch, width);
+      }
+      return cache.get(ch);
+    });
+  }
+  return standardFonts.get(fontName);
+}
+
+function standardFontFor(baseFont = '') {
+  const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+  if (Object.values(StandardFonts).includes(name)) return name;
+  const bold = /bold|black|heavy/i.test(name);
+  if (/courier|mono/i.test(name)) return bold ? StandardFonts.CourierBold : StandardFonts.Courier;
+  if (/times|roman|serif|georgia|garamond/i.test(name) && !/sans/i.test(name)) {
+    return bold ? StandardFonts.TimesRomanBold : StandardFonts.TimesRoman;
+  }
+  return bold ? StandardFonts.HelveticaBold : StandardFonts.Helvetica;
+}
+
+function lookupName(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : undefined;
+}
+
+function lookupNumber(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : undefined;
+}
+
+function lookupNumbers(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+  if (!(value instanceof PDFArray)) return undefined;
+  return value.asArray().map((_, i) => {
+    const item = value.lookup(i);
+    return item instanceof PDFNumber ? item.asNumber() : undefined;
+  });
+}
+
+/**
+ * Glyph widths of a font resource, in text space units per unit of font size.
+ */
+function loadFontMetrics(font) {
+  if (!(font instanceof PDFDict)) return DEFAULT_FONT;
+  const subtype = lookupName(font, 'Subtype');
+
+  if (subtype === 'Type0') {
+    // Composite font: two-byte codes (Identity-H/V and most embedded CMaps)
+    const descendants = font.lookup(PDFName.of('DescendantFonts'));
+    const descendant = descendants instanceof PDFArray ? descendants.lookup(0) : undefined;
+    if (!(descendant instanceof PDFDict)) return { bytesPerCode: 2, widthOf: () => 1 };
+
+    const defaultWidth = lookupNumber(descendant, 'DW') ?? 1000;
+    const widths = new Map();
+    const w = descendant.lookup(PDFName.of('W'));
+    if (w instanceof PDFArray) {
+      const entry = (i) => w.lookup(i);
+      for (let i = 0; i < w.size();) {
+        const first = entry(i);
+        const next = entry(i + 1);
+        if (!(first instanceof PDFNumber)) break;
+        if (next instanceof PDFArray) {
+          next.asArray().forEach((_, j) => {
+            const width = next.lookup(j);
+            if (width instanceof PDFNumber) widths.set(first.asNumber() + j, width.asNumber());
+          });
+          i += 2;
+        } else {
+          const width = entry(i + 2);
+          if (!(next instanceof PDFNumber) || !(width instanceof PDFNumber)) break;
+          const last = Math.min(next.asNumber(), first.asNumber() + 0xFFFF);
+          for (let cid = first.asNumber(); cid <= last; cid++) widths.set(cid, width.asNumber());
+          i += 3;
+        }
+      }
+    }
+    return { bytesPerCode: 2, widthOf: (code) => (widths.get(code) ?? defaultWidth) / 1000 };
+  }
+
+  const widths = lookupNumbers(font, 'Widths');
+  if (!widths) {
+    // Standard 14 fonts may omit their widths
+    const widthOf = standardFontWidths(standardFontFor(lookupName(font, 'BaseFont')));
+    return { bytesPerCode: 1, widthOf: (code) => widthOf(WIN_ANSI.decode(Uint8Array.of(code))) };
+  }
+
+  const firstChar = lookupNumber(font, 'FirstChar') ?? 0;
+  const descriptor = font.lookup(PDFName.of('FontDescriptor'));
+  const missingWidth = (descriptor instanceof PDFDict && lookupNumber(descriptor, 'MissingWidth')) || 0;
+  // Type 3 glyph widths are in the font's own glyph space
+  const scale = subtype === 'Type3' ? (lookupNumbers(font, 'FontMatrix')?.[0] ?? 0.001) : 0.001;
+  return {
+    bytesPerCode: 1,
+    widthOf: (code) => (widths[code - firstChar] ?? missingWidth) * scale,
+  };
+}
+
+function decodeStream(stream) {
+  return Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+}
+
+/**
+ * Interprets content streams glyph by glyph. `onGlyph` receives each glyph's
+ * { origin, end, centre, code, bytesPerCode } in user space and returns true
+ * to remove it from the stream.
+ */
+class ContentInterpreter {
+  constructor(context, onGlyph) {
+    this.context = context;
+    this.onGlyph = onGlyph;
+    this.fonts = new Map();
+    this.formPath = new Set();
+  }
+
+  fontFor(resources, name) {
+    const fonts = resources && resources.lookup(PDFName.of('Font'));
+    const font = fonts instanceof PDFDict ? fonts.get(PDFName.of(name)) : undefined;
+    if (!font) return DEFAULT_FONT;
+    if (!this.fonts.has(font)) {
+      this.fonts.set(font, loadFontMetrics(this.context.lookup(font)));
+    }
+    return this.fonts.get(font);
+  }
+
+  /**
+   * Returns the rewritten content stream, or null when nothing was removed.
+   */
+  interpret(src, resources, initialState, depth = 0) {
+    const edits = [];
+    const stack = [];
+    let gs = { ...initialState };
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    const nextLine = (tx, ty) => {
+      tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm;
+    };
+
+    for (const op of parseContentStream(src)) {
+      const args = op.operands;
+      const num = (i) => (args[i] && args[i].type === 'number' ? args[i].value : 0);
+
+      switch (op.operator) {
+        case 'q':
+          stack.push({ ...gs });
+          break;
+        case 'Q':
+          if (stack.length > 0) gs = stack.pop();
+          break;
+        case 'cm':
+          gs.ctm = multiply([0, 1, 2, 3, 4, 5].map(num), gs.ctm);
+          break;
+        case 'BT':
+          tm = IDENTITY;
+          tlm = IDENTITY;
+          break;
+        case 'Tf':
+          gs.font = args[0] && args[0].type === 'name' ? this.fontFor(resources, args[0].value) : DEFAULT_FONT;
+          gs.fontSize = num(1);
+          break;
+        case 'Tc':
+          gs.charSpacing = num(0);
+          break;
+        case 'Tw':
+          gs.wordSpacing = num(0);
+          break;
+        case 'Tz':
+          gs.hScale = num(0) / 100;
+          break;
+        case 'TL':
+          gs.leading = num(0);
+          break;
+        case 'Ts':
+          gs.rise = num(0);
+          break;
+        case 'Td':
+          nextLine(num(0), num(1));
+          break;
+        case 'TD':
+          gs.leading = -num(1);
+          nextLine(num(0), num(1));
+          break;
+        case 'Tm':
+          tm = [0, 1, 2, 3, 4, 5].map(num);
+          tlm = tm;
+          break;
+        case 'T*':
+          nextLine(0, -gs.leading);
+          break;
+        case 'Tj':
+        case 'TJ':
+        case "'":
+        case '"': {
+          // ' and " are rewritten as their T* / Tw / Tc equivalents plus TJ
+          let prefix = '';
+          if (op.operator === "'") {
+            prefix = 'T* ';
+          } else if (op.operator === '"') {
+            gs.wordSpacing = num(0);
+            gs.charSpacing = num(1);
+            prefix = `${formatNumber(num(0))} Tw ${formatNumber(num(1))} Tc T* `;
+          }
+          if (prefix) nextLine(0, -gs.leading);
+
+          const last = args[args.length - 1];
+          let elements = [];
+          if (op.operator === 'TJ') {
+            if (last && last.type === 'array') elements = last.value;
+          } else if (last) {
+            elements = [last];
+          }
+          const shown = this.showText(elements, gs, tm);
+          tm = shown.tm;
+          if (shown.elements) {
+            edits.push({ start: op.start, end: op.end, replacement: `${prefix}[${shown.elements.join(' ')}] TJ` });
+          }
+          break;
+        }
+        case 'Do':
+          if (depth < MAX_FORM_DEPTH && args[0] && args[0].type === 'name') {
+            this.interpretForm(resources, args[0].value, gs, depth);
+          }
+          break;
+        default:
+          break;
+      }
+    }
+    return edits.length > 0 ? replaceSpans(src, edits) : null;
+  }
+
+  /**
+   * Shows one text operation's strings, returning the new text matrix and,
+   * when glyphs were removed, the TJ elements to draw instead. Removed glyphs
+   * become positioning adjustments so the remaining text does not move.
+   */
+  showText(elements, gs, tm) {
+    const { font, fontSize, charSpacing, wordSpacing, hScale, rise } = gs;
+    const trm = multiply(tm, gs.ctm);
+    const scale = fontSize * hScale;
+    const out = [];
+    let x = 0;
+    let removed = false;
+    let keptBytes = '';
+    let shift = 0;
+    const flushBytes = () => {
+      if (keptBytes) out.push(formatHexString(keptBytes));
+      keptBytes = '';
+    };
+    const flushShift = () => {
+      if (shift) out.push(formatNumber(shift));
+      shift = 0;
+    };
+
+    for (const element of elements) {
+      if (element.type === 'number') {
+        x -= (element.value / 1000) * scale;
+        flushBytes();
+        shift += element.value;
+        continue;
+      }
+      if (element.type !== 'string') continue;
+
+      const bytes = element.value;
+      for (let i = 0; i + font.bytesPerCode <= bytes.length; i += font.bytesPerCode) {
+        const code = font.bytesPerCode === 2
+          ? (bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1)
+          : bytes.charCodeAt(i);
+        const w0 = font.widthOf(code);
+        const spacing = charSpacing + (font.bytesPerCode === 1 && code === 32 ? wordSpacing : 0);
+        const advance = (w0 * fontSize + spacing) * hScale;
+        const glyph = {
+          origin: applyMatrix(trm, x, rise),
+          end: applyMatrix(trm, x + w0 * scale, rise),
+          centre: applyMatrix(trm, x + (w0 * scale) / 2, rise + GLYPH_CENTRE * fontSize),
+          code,
+          bytesPerCode: font.bytesPerCode,
+        };
+
+        if (this.onGlyph(glyph)) {
+          removed = true;
+          if (scale) {
+            flushBytes();
+            shift -= (advance / scale) * 1000;
+          }
+        } else {
+          flushShift();
+          keptBytes += bytes.slice(i, i + font.bytesPerCode);
+        }
+        x += advance;
+      }
+    }
+    flushBytes();
+    flushShift();
+
+    return { tm: multiply([1, 0, 0, 1, x, 0], tm), elements: removed ? out : null };
+  }
+
+  interpretForm(resources, name, gs, depth) {
+    const xobjects = resources && resources.lookup(PDFName.of('XObject'));
+    const ref = xobjects instanceof PDFDict ? xobjects.get(PDFName.of(name)) : undefined;
+    if (!(ref instanceof PDFRef) || this.formPath.has(ref)) return;
+
+    const form = this.context.lookup(ref);
+    if (!(form instanceof PDFRawStream) || lookupName(form.dict, 'Subtype') !== 'Form') return;
+
+    const matrix = lookupNumbers(form.dict, 'Matrix') || IDENTITY;
+    const formResources = form.dict.lookup(PDFName.of('Resources'));
+    this.formPath.add(ref);
+    const rewritten = this.interpret(
+      decodeStream(form),
+      formResources instanceof PDFDict ? formResources : resources,
+      { ...gs, ctm: multiply(matrix.map((v) => v ?? 0), gs.ctm) },
+      depth + 1
+    );
+    this.formPath.delete(ref);
+
+    if (rewritten !== null) {
+      const stream = this.context.flateStream(Buffer.from(rewritten, 'latin1'));
+      for (const [key, value] of form.dict.entries()) {
+        if (!['Filter', 'DecodeParms', 'Length'].includes(key.decodeText())) stream.dict.set(key, value);
+      }
+      this.context.assign(ref, stream);
+    }
+  }
+}
+
+/**
+ * Extracts the text of every page with pdf.js. Returns the document text
+ * (pages separated by blank lines) and the text items with their offsets
+ * into it.
+ */
+async function extractText(buffer) {
+  const doc = await pdfjs.getDocument(new Uint8Array(buffer));
+  let text = '';
+  const items = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      if (pageNumber > 1) text += '\n\n';
+
+      let previous = null;
+      for (const item of content.items) {
+        if (!item.str) continue;
+        const inverse = invert(item.transform);
+        if (!inverse) continue;
+
+        if (previous) {
+          // Same line when the item starts on the previous item's baseline
+          const [u, v] = applyMatrix(previous.inverse, item.transform[4], item.transform[5]);
+          if (Math.abs(v) > 0.2) text += '\n';
+          else if (u - previous.length > 0.15 && !/\s$/.test(previous.str) && !/^\s/.test(item.str)) text += ' ';
+        }
+
+        const scale = Math.hypot(item.transform[0], item.transform[1]);
+        const entry = {
+          pageIndex: pageNumber - 1,
+          str: item.str,
+          matrix: item.transform,
+          inverse,
+          length: scale ? item.width / scale : 0,
+          offset: text.length,
+        };
+        items.push(entry);
+        text += item.str;
+        previous = entry;
+      }
+    }
+  } finally {
+    doc.destroy();
+  }
+  return { text, items };
+}
+
+/**
+ * The glyphs drawn on an item's line, within its extent, in drawing order,
+ * with their left/right edges in item space.
+ */
+function glyphsOfItem(item, pageGlyphs) {
+  if (!item.glyphs) {
+    item.glyphs = [];
+    for (const glyph of pageGlyphs) {
+      const [u, v] = applyMatrix(item.inverse, glyph.centre[0], glyph.centre[1]);
+      if (u < -ITEM_TOLERANCE || u > item.length + ITEM_TOLERANCE || v < HIT_BOTTOM || v > HIT_TOP) continue;
+      const [start] = applyMatrix(item.inverse, glyph.origin[0], glyph.origin[1]);
+      const [end] = applyMatrix(item.inverse, glyph.end[0], glyph.end[1]);
+      item.glyphs.push({ ...glyph, u0: Math.min(start, end), u1: Math.max(start, end) });
+    }
+  }
+  return item.glyphs;
+}
+
+/**
+ * Locates characters from..to of an item using the glyphs actually drawn.
+ * pdf.js inserts spaces for wide gaps, so when the counts differ the
+ * non-space characters are matched with the non-space glyphs instead.
+ */
+function locateWithGlyphs(item, from, to, glyphs) {
+  const charToGlyph = new Map();
+  if (glyphs.length === item.str.length) {
+    for (let c = 0; c < item.str.length; c++) charToGlyph.set(c, c);
+  } else {
+    const chars = [];
+    for (let c = 0; c < item.str.length; c++) {
+      if (!/\s/.test(item.str[c])) chars.push(c);
+    }
+    const marks = [];
+    glyphs.forEach((glyph, g) => {
+      if (!(glyph.bytesPerCode === 1 && glyph.code === 32)) marks.push(g);
+    });
+    if (chars.length !== marks.length) return null;
+    chars.forEach((c, i) => charToGlyph.set(c, marks[i]));
+  }
+
+  let u0 = Infinity;
+  let u1 = -Infinity;
+  for (let c = from; c < to; c++) {
+    const glyph = glyphs[charToGlyph.get(c)];
+    if (!glyph) continue;
+    u0 = Math.min(u0, glyph.u0);
+    u1 = Math.max(u1, glyph.u1);
+  }
+  return u0 <= u1 ? { u0, u1 } : null;
+}
+
+/**
+ * Fallback: estimates character positions from Helvetica's proportions,
+ * scaled to the item's real width.
+ */
+function estimatePosition(item, from, to) {
+  const charWidth = standardFontWidths(StandardFonts.Helvetica);
+  let total = 0;
+  let before = 0;
+  let inside = 0;
+  for (let c = 0; c < item.str.length; c++) {
+    const width = charWidth(item.str[c]);
+    total += width;
+    if (c < from) before += width;
+    else if (c < to) inside += width;
+  }
+  const ratio = item.length && total ? item.length / total : 1;
+  return { u0: before * ratio, u1: (before + inside) * ratio };
+}
+
+/**
+ * Maps detected spans onto redaction areas in text-item space, noting in
+ * span.location the page each span starts on.
+ * `glyphsOfPage(pageIndex)` returns the glyphs drawn on a page.
+ */
+function spansToAreas(spans, items, glyphsOfPage) {
+  const areas = [];
+  let first = 0;
+
+  for (const span of spans) {
+    while (first < items.length && items[first].offset + items[first].str.length <= span.start) first++;
+    let label = span.replacement;
+
+    for (let i = first; i < items.length && items[i].offset < span.end; i++) {
+      const item = items[i];
+      const from = Math.max(span.start, item.offset) - item.offset;
+      const to = Math.min(span.end, item.offset + item.str.length) - item.offset;
+      if (to <= from || !item.str.slice(from, to).trim()) continue;
+      // The page a span starts on, for the audit report
+      if (!span.location) span.location = { page: item.pageIndex + 1 };
+
+      const glyphs = glyphsOfItem(item, glyphsOfPage(item.pageIndex));
+      const position = locateWithGlyphs(item, from, to, glyphs) || estimatePosition(item, from, to);
+
+      areas.push({
+        pageIndex: item.pageIndex,
+        matrix: item.matrix,
+        inverse: item.inverse,
+        ...position,
+        label,
+      });
+      label = null;
+    }
+  }
+  return areas;
+}
+
+/**
+ * Runs the interpreter over a page's content. Returns the rewritten content
+ * or null when no glyph was removed.
+ */
+function interpretPage(pdfDoc, page, onGlyph) {
+  const { context } = pdfDoc;
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => context.lookup(ref))
+    : [contents].filter(Boolean);
+
+  const initialState = {
+    ctm: IDENTITY,
+    font: DEFAULT_FONT,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    hScale: 1,
+    leading: 0,
+    rise: 0,
+  };
+  const src = streams.map(decodeStream).join('\n');
+  return new ContentInterpreter(context, onGlyph).interpret(src, page.node.Resources(), initialState);
+}
+
+function collectGlyphs(pdfDoc, page) {
+  const glyphs = [];
+  interpretPage(pdfDoc, page, (glyph) => {
+    glyphs.push(glyph);
+    return false;
+  });
+  return glyphs;
+}
+
+/**
+ * Removes the glyphs whose centre falls in one of the areas and returns how
+ * many were removed.
+ */
+function redactPageContent(pdfDoc, page, areas) {
+  let removedGlyphs = 0;
+  const rewritten = interpretPage(pdfDoc, page, ({ centre }) => {
+    const hit = areas.some((area) => {
+      const [u, v] = applyMatrix(area.inverse, centre[0], centre[1]);
+      return u >= area.u0 && u <= area.u1 && v >= HIT_BOTTOM && v <= HIT_TOP;
+    });
+    if (hit) removedGlyphs++;
+    return hit;
+  });
+
+  if (rewritten !== null) {
+    const { context } = pdfDoc;
+    const ref = context.register(context.flateStream(Buffer.from(rewritten, 'latin1')));
+    page.node.set(PDFName.of('Contents'), context.obj([ref]));
+  }
+  return removedGlyphs;
+}
+
+function drawArea(page, area, labelFont) {
+  const [a, b, c, d] = area.matrix;
+  const [x, y] = applyMatrix(area.matrix, area.u0, BOX_BOTTOM);
+  const width = (area.u1 - area.u0) * Math.hypot(a, b);
+  const height = (BOX_TOP - BOX_BOTTOM) * Math.hypot(c, d);
+  const rotate = degrees((Math.atan2(b, a) * 180) / Math.PI);
+
+  page.drawRectangle({ x, y, width, height, rotate, color: rgb(0, 0, 0) });
+
+  if (labelFont && area.label) {
+    let size;
+    try {
+      size = Math.min(height * 0.7, width / labelFont.widthOfTextAtSize(area.label, 1));
+    } catch {
+      // Label has characters the standard font cannot encode
+      return;
+    }
+    if (!(size >= MIN_LABEL_SIZE)) return;
+    const [tx, ty] = applyMatrix(area.matrix, area.u0, 0);
+    page.drawText(area.label, { x: tx, y: ty, size, font: labelFont, rotate, color: rgb(1, 1, 1) });
+  }
+}
+
+async function rewriteString(dict, key, transform, encode = (value) => PDFHexString.fromText(value)) {
+  const value = dict.lookup(PDFName.of(key));
+  if (!(value instanceof PDFString || value instanceof PDFHexString)) return;
+  const text = value.decodeText();
+  if (!text.trim()) return;
+  const replaced = await transform(text);
+  if (replaced !== text) dict.set(PDFName.of(key), encode(replaced));
+}
+
+/**
+ * Annotation text: comments, their authors and link targets.
+ */
+async function anonymizeAnnotations(pdfDoc, engine) {
+  for (const [pageIndex, page] of pdfDoc.getPages().entries()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (!(annot instanceof PDFDict)) continue;
+      const location = { page: pageIndex + 1, part: 'annotation' };
+      await rewriteString(annot, 'Contents', (value) => engine.anonymizeText(value, location));
+      await rewriteString(annot, 'T', (value) => engine.pseudonymize(value, 'AUTHOR', undefined, location));
+      // Rich-text copy of Contents
+      annot.delete(PDFName.of('RC'));
+
+      const action = annot.lookup(PDFName.of('A'));
+      if (action instanceof PDFDict) {
+        await rewriteString(action, 'URI', (value) => engine.anonymizeText(value, location),
+          (value) => PDFHexString.of(Buffer.from(value, 'latin1').toString('hex')));
+      }
+    }
+  }
+}
+
+async function anonymizeMetadata(pdfDoc, engine) {
+  const location = { part: 'properties' };
+  const author = pdfDoc.getAuthor();
+  if (author) pdfDoc.setAuthor(engine.pseudonymize(author, 'AUTHOR', undefined, location));
+  const title = pdfDoc.getTitle();
+  if (title) pdfDoc.setTitle(await engine.anonymizeText(title, location));
+  const subject = pdfDoc.getSubject();
+  if (subject) pdfDoc.setSubject(await engine.anonymizeText(subject, location));
+  const keywords = pdfDoc.getKeywords();
+  if (keywords) pdfDoc.setKeywords([await engine.anonymizeText(keywords, location)]);
+  // XMP metadata repeats the document info in clear text
+  pdfDoc.catalog.delete(PDFName.of('Metadata'));
+}
+
+/**
+ * Redacts a PDF. `engine` is the per-file text engine from FileProcessor
+ * (findSpans, anonymizeText, pseudonymize, progress); options.style is 'label'
+ * (black box with the pseudonym) or 'box'. A PDF without a text layer, such
+ * as a scan, cannot be redacted and is rejected.
+ * Resolves to { buffer, redactedAreas, removedGlyphs }.
+ */
+export async function redactPdf(buffer, engine, options = {}) {
+  const style = PDF_REDACTION_STYLES.includes(options.style) ? options.style : 'label';
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+  } catch (err) {
+    if (err instanceof EncryptedPDFError) {
+      throw new Error('Encrypted PDF files must be unlocked before they can be anonymized');
+    }
+    throw err;
+  }
+
+  const { text, items } = await extractText(buffer);
+  if (!text.trim()) {
+    // Passing the file through would label its PII as anonymized
+    throw new Error('The PDF has no text layer (scanned pages?): it cannot be anonymized without OCR');
+  }
+  const spans = await engine.findSpans(text);
+  const pages = pdfDoc.getPages();
+  const pageGlyphs = new Map();
+  const areas = spansToAreas(spans, items, (pageIndex) => {
+    if (!pageGlyphs.has(pageIndex)) pageGlyphs.set(pageIndex, collectGlyphs(pdfDoc, pages[pageIndex]));
+    return pageGlyphs.get(pageIndex);
+  });
+
+  let removedGlyphs = 0;
+  for (let i = 0; i < pages.length; i++) {
+    const pageAreas = areas.filter((area) => area.pageIndex === i);
+    if (pageAreas.length > 0) removedGlyphs += redactPageContent(pdfDoc, pages[i], pageAreas);
+    await engine.progress('page', i + 1, pages.length);
+  }
+
+  const labelFont = style === 'label' && areas.length > 0
+    ? await pdfDoc.embedFont(StandardFonts.Helvetica)
+    : null;
+  for (const area of areas) {
+    drawArea(pages[area.pageIndex], area, labelFont);
+  }
+
+  await anonymizeAnnotations(pdfDoc, engine);
+  await anonymizeMetadata(pdfDoc, engine);
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    redactedAreas: areas.length,
+    removedGlyphs,
+  };
+}
@@ -8,8 +8,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // File operations
   selectOutputDirectory: () => ipcRenderer.invoke('select-output-directory'),
   selectInputDirectory: () => ipcRenderer.invoke('select-input-directory'),
-  processFile: (filePath, outputDir) => ipcRenderer.invoke('process-file', { filePath, outputDir }),
+  processFile: (filePath, outputDir, options, relativeDir) => ipcRenderer.invoke('process-file', { filePath, outputDir, options, relativeDir }),
+  previewFile: (filePath, options) => ipcRenderer.invoke('preview-file', { filePath, options }),
+  processBatch: (filePaths, outputDir, options, concurrency, relativeDirs) => ipcRenderer.invoke('process-batch', { filePaths, outputDir, options, concurrency, relativeDirs }),
+  scanDirectory: (dirPath, options) => ipcRenderer.invoke('scan-directory', { dirPath, options }),
+  cancelBatch: () => ipcRenderer.invoke('cancel-batch'),
+  pauseBatch: () => ipcRenderer.invoke('pause-batch'),
+  resumeBatch: () => ipcRenderer.invoke('resume-batch'),
   openFolder: (folderPath) => ipcRenderer.invoke('open-folder', folderPath),
+  listProjects: () => ipcRenderer.invoke('list-projects'),
+  inspectCsv: (filePath) => ipcRenderer.invoke('inspect-csv', filePath),
+  importDictionary: () => ipcRenderer.invoke('import-dictionary'),
+  selectRestoreFiles: () => ipcRenderer.invoke('select-restore-files'),
+  restoreFile: (filePath, keyPath, password, outputDir) => ipcRenderer.invoke('restore-file', { filePath, keyPath, password, outputDir }),
+  writeAuditSummary: (batchId) => ipcRenderer.invoke('write-audit-summary', batchId),
+  openAuditReport: (reportPath) => ipcRenderer.invoke('open-audit-report', reportPath),
   
   // File system operations needed by renderer
   readDirectory: (dirPath) => ipcRenderer.invoke('read-directory', dirPath),
@@ -18,6 +31,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Log messages
   onLogMessage: (callback) => ipcRenderer.on('log-message', (_event, msg) => callback(msg)),
+  onBatchFileDone: (callback) => ipcRenderer.on('batch-file-done', (_event, progress) => callback(progress)),
+  onJobProgress: (callback) => ipcRenderer.on('job-progress', (_event, progress) => callback(progress)),
   
   // Node APIs needed by renderer (safe wrappers)
   path: {
@@ -0,0 +1,115 @@
+import { format } from 'util';
+import { parentPort, workerData, receiveMessageOnPort } from 'worker_threads';
+import { FileProcessor } from './fileProcessor.js';
+
+/**
+ * Worker thread of a WorkerPool (see workerPool.js): runs FileProcessor on
+ * one file at a time with its own copy of the model. A shared pseudonym
+ * scope stays in the main thread; its lookups are answered synchronously
+ * over workerData.scopePort, so every worker numbers entities in the same
+ * sequence. Progress is posted as { id, progress } and log messages as
+ * { log: { level, message } }; { control } messages pause, resume or cancel
+ * the running task between steps.
+ */
+
+const { scopePort, scopeSignal } = workerData;
+const signal = new Int32Array(scopeSignal);
+
+/**
+ * Stands in for the PseudonymScope the task was given in the main thread.
+ * The worker blocks until the main thread has replied.
+ */
+const sharedScope = {
+  call(method, args) {
+    Atomics.store(signal, 0, 0);
+    scopePort.postMessage({ method, args });
+    Atomics.wait(signal, 0, 0);
+    const { message } = receiveMessageOnPort(scopePort);
+    if (message.error) {
+      throw new Error(message.error);
+    }
+    return message.result;
+  },
+  getPseudonym(entityText, entityType, strategy) {
+    return this.call('getPseudonym', [entityText, entityType, strategy]);
+  },
+  getRelatedPseudonym(entityText, replacement) {
+    return this.call('getRelatedPseudonym', [entityText, replacement]);
+  },
+  hashValue(value) {
+    return this.call('hashValue', [value]);
+  },
+};
+
+// FileProcessor's options.logger: messages go to the pool's logger
+const poolLogger = Object.fromEntries(['log', 'warn', 'error'].map((level) => [
+  level,
+  (...args) => parentPort.postMessage({ log: { level, message: format(...args) } }),
+]));
+
+// Pause and cancel requests from the pool (see WorkerPool.pause/cancel)
+const control = { paused: false, cancelled: null, resume: null };
+
+/**
+ * FileProcessor's options.checkpoint for a task: waits while the pool is
+ * paused and throws once the task has been cancelled.
+ */
+function checkpointFor(id) {
+  return async () => {
+    // Let pending control messages in before deciding
+    await new Promise((resolve) => setImmediate(resolve));
+    while (control.paused && control.cancelled !== id) {
+      await new Promise((resolve) => { control.resume = resolve; });
+    }
+    if (control.cancelled === id) {
+      const error = new Error('Cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+  };
+}
+
+async function runTask(task) {
+  const options = {
+    ...task.options,
+    checkpoint: checkpointFor(task.id),
+    logger: poolLogger,
+    onProgress: (progress) => parentPort.postMessage({ id: task.id, progress }),
+  };
+  if (task.sharedScope) {
+    options.pseudonyms = sharedScope;
+  }
+  if (task.kind === 'preview') {
+    return FileProcessor.previewFile(task.filePath, options);
+  }
+  // Detections hold the original values; the main thread only needs counts
+  const { detections, ...result } = await FileProcessor.processFile(task.filePath, task.outputPath, options);
+  return result;
+}
+
+function onControl(message) {
+  if ('cancel' in message) {
+    control.cancelled = message.cancel;
+  } else {
+    control.paused = Boolean(message.pause);
+  }
+  if (control.resume && (!control.paused || control.cancelled !== null)) {
+    control.resume();
+    control.resume = null;
+  }
+}
+
+parentPort.on('message', async (message) => {
+  if (message.control) {
+    onControl(message.control);
+    return;
+  }
+  const task = message;
+  try {
+    parentPort.postMessage({ id: task.id, result: await runTask(task) });
+  } catch (error) {
+    parentPort.postMessage({ id: task.id, error: error.message, cancelled: Boolean(error.cancelled) });
+  } finally {
+    if (control.cancelled === task.id) control.cancelled = null;
+  }
+});
@@ -0,0 +1,249 @@
+import { PATTERN_DETECTORS } from './patternDetectors.js';
+import { ProjectVault } from './pseudonymVault.js';
+import { validateKeyPassword } from './mappingKeyFile.js';
+import { PDF_REDACTION_STYLES } from './pdfRedactor.js';
+import { CSV_COLUMN_POLICIES } from './csvAnonymizer.js';
+import { JSON_FIELD_POLICIES, parseJsonSelector } from './jsonAnonymizer.js';
+import { REPLACEMENT_STRATEGIES } from './replacementStrategies.js';
+import { parseDictionaryText } from './dictionaries.js';
+import { AUDIT_FORMATS, AUDIT_ORIGINALS } from './auditReport.js';
+
+/**
+ * Checks processing options coming from outside the main process (the
+ * renderer over IPC, or a client of the local API server) and keeps only
+ * known, well-typed values for FileProcessor. Settings saved by an older
+ * renderer are sanitized silently; API clients use strict mode, where an
+ * unknown or invalid value is an error naming the option.
+ */
+
+// CSV column policies: at most this many columns
+const MAX_CSV_COLUMNS = 200;
+const MAX_CSV_COLUMN_KEY_LENGTH = 256;
+
+// JSON field policies: at most this many selectors
+const MAX_JSON_FIELDS = 200;
+const MAX_JSON_SELECTOR_LENGTH = 256;
+
+// Replacement strategies and policies are set for at most this many entity types
+const MAX_TYPE_STRATEGIES = 100;
+export const ENTITY_TYPE_PATTERN = /^[A-Z][A-Z0-9_]{0,63}$/;
+
+// Custom dictionaries: size of each list as sent, before parsing
+export const MAX_DICTIONARY_CHARS = 2 * 1024 * 1024;
+const MAX_DICTIONARY_TERMS = 50000;
+const MAX_DICTIONARY_TERM_LENGTH = 200;
+
+function isValidJsonSelector(selector) {
+  try {
+    parseJsonSelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateDictionary(list) {
+  if (!list || typeof list !== 'object' || typeof list.text !== 'string') {
+    return null;
+  }
+  if (list.text.length > MAX_DICTIONARY_CHARS) {
+    throw new Error('Dictionary is too large');
+  }
+  const terms = parseDictionaryText(list.text)
+    .filter(({ term }) => term.length <= MAX_DICTIONARY_TERM_LENGTH)
+    .slice(0, MAX_DICTIONARY_TERMS);
+  return { terms, caseSensitive: list.caseSensitive === true, wholeWord: list.wholeWord === true };
+}
+
+// Review decisions: at most this many occurrences per file, each this long
+const MAX_REVIEW_DECISIONS = 5000;
+const MAX_REVIEW_VALUE_LENGTH = 1000;
+
+/**
+ * One review decision { segment, start, end, text, type, replace } (see
+ * reviewDecisions.js): offsets that fit its text, and a type when the value
+ * is replaced.
+ */
+function isValidReviewDecision(decision) {
+  return Boolean(decision) && typeof decision === 'object'
+    && [decision.segment, decision.start, decision.end].every(Number.isSafeInteger)
+    && decision.segment >= 0 && decision.start >= 0
+    && typeof decision.text === 'string' && decision.text.length > 0 && decision.text.length <= MAX_REVIEW_VALUE_LENGTH
+    && decision.end - decision.start === decision.text.length
+    && typeof decision.replace === 'boolean'
+    && (!decision.replace || ENTITY_TYPE_PATTERN.test(decision.type));
+}
+
+function validateScore(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+// Top-level options; anything else is dropped, or rejected in strict mode
+const OPTION_NAMES = new Set([
+  'detectors', 'propagate', 'pseudonymScope', 'batchId', 'projectName', 'pdfRedactionStyle', 'replacementStrategies',
+  'entityPolicy', 'dictionaries', 'reviewDecisions', 'csvColumns', 'jsonFields', 'audit', 'exportKey', 'keyPassword',
+]);
+
+// Too many entries: the extra ones are dropped, or rejected in strict mode
+function limitEntries(entries, max, name, reject) {
+  if (entries.length > max) reject(name, `at most ${max} entries`);
+  return entries.slice(0, max);
+}
+
+// Security: Only pass known, well-typed processing options to FileProcessor
+export function validateProcessingOptions(options, { strict = false } = {}) {
+  // Drops an invalid value (unknown without `expected`), or throws naming it in strict mode
+  const reject = (name, expected) => {
+    if (strict) {
+      throw new Error(expected ? `Invalid option ${name} (expected ${expected})` : `Unknown option ${name}`);
+    }
+    return false;
+  };
+
+  const validated = {};
+  if (!options || typeof options !== 'object') {
+    if (options !== undefined && options !== null) reject('options', 'an object');
+    return validated;
+  }
+  for (const name of Object.keys(options)) {
+    if (!OPTION_NAMES.has(name)) reject(name);
+  }
+
+  if (options.detectors && typeof options.detectors === 'object') {
+    validated.detectors = {};
+    for (const [name, enabled] of Object.entries(options.detectors)) {
+      if (!Object.hasOwn(PATTERN_DETECTORS, name)) {
+        reject(`detectors.${name}`);
+      } else if (typeof enabled === 'boolean') {
+        validated.detectors[name] = enabled;
+      } else {
+        reject(`detectors.${name}`, 'true or false');
+      }
+    }
+  }
+
+  if (typeof options.propagate === 'boolean') {
+    validated.propagate = options.propagate;
+  } else if (options.propagate !== undefined) {
+    reject('propagate', 'true or false');
+  }
+
+  if (['file', 'batch', 'project'].includes(options.pseudonymScope)) {
+    validated.pseudonymScope = options.pseudonymScope;
+  } else if (options.pseudonymScope !== undefined) {
+    reject('pseudonymScope', 'file, batch or project');
+  }
+  if (typeof options.batchId === 'string' && /^[\w-]{1,64}$/.test(options.batchId)) {
+    validated.batchId = options.batchId;
+  } else if (options.batchId !== undefined) {
+    reject('batchId', 'up to 64 letters, digits, "_" or "-"');
+  }
+  if (PDF_REDACTION_STYLES.includes(options.pdfRedactionStyle)) {
+    validated.pdfRedactionStyle = options.pdfRedactionStyle;
+  } else if (options.pdfRedactionStyle !== undefined) {
+    reject('pdfRedactionStyle', PDF_REDACTION_STYLES.join(' or '));
+  }
+  if (options.replacementStrategies && typeof options.replacementStrategies === 'object' && !Array.isArray(options.replacementStrategies)) {
+    validated.replacementStrategies = {};
+    const entries = limitEntries(Object.entries(options.replacementStrategies), MAX_TYPE_STRATEGIES, 'replacementStrategies', reject);
+    for (const [type, strategy] of entries) {
+      if (type !== 'default' && !ENTITY_TYPE_PATTERN.test(type)) {
+        reject(`replacementStrategies.${type}`, 'an entity type such as EMAIL, or default');
+      } else if (REPLACEMENT_STRATEGIES.includes(strategy)) {
+        validated.replacementStrategies[type] = strategy;
+      } else {
+        reject(`replacementStrategies.${type}`, REPLACEMENT_STRATEGIES.join(', '));
+      }
+    }
+  }
+  if (options.entityPolicy && typeof options.entityPolicy === 'object') {
+    const policy = options.entityPolicy;
+    validated.entityPolicy = { types: {} };
+    for (const name of ['minScore', 'reviewScore']) {
+      if (validateScore(policy[name])) validated.entityPolicy[name] = policy[name];
+      else if (policy[name] !== undefined) reject(`entityPolicy.${name}`, 'a number from 0 to 1');
+    }
+    if (policy.types && typeof policy.types === 'object') {
+      for (const [type, rule] of limitEntries(Object.entries(policy.types), MAX_TYPE_STRATEGIES, 'entityPolicy.types', reject)) {
+        if (!ENTITY_TYPE_PATTERN.test(type)) {
+          reject(`entityPolicy.types.${type}`, 'an entity type such as EMAIL');
+          continue;
+        }
+        if (!rule || typeof rule !== 'object') {
+          reject(`entityPolicy.types.${type}`, 'an object');
+          continue;
+        }
+        const validatedRule = {};
+        if (typeof rule.enabled === 'boolean') validatedRule.enabled = rule.enabled;
+        else if (rule.enabled !== undefined) reject(`entityPolicy.types.${type}.enabled`, 'true or false');
+        for (const name of ['minScore', 'reviewScore']) {
+          if (validateScore(rule[name])) validatedRule[name] = rule[name];
+          else if (rule[name] !== undefined) reject(`entityPolicy.types.${type}.${name}`, 'a number from 0 to 1');
+        }
+        validated.entityPolicy.types[type] = validatedRule;
+      }
+    }
+  }
+  if (options.dictionaries && typeof options.dictionaries === 'object') {
+    validated.dictionaries = {};
+    for (const name of ['deny', 'allow']) {
+      const list = validateDictionary(options.dictionaries[name]);
+      if (list) validated.dictionaries[name] = list;
+      else if (options.dictionaries[name] !== undefined) reject(`dictionaries.${name}`, 'an object with a text string');
+    }
+  }
+  if (Array.isArray(options.reviewDecisions)) {
+    validated.reviewDecisions = [];
+    for (const [index, decision] of limitEntries(options.reviewDecisions, MAX_REVIEW_DECISIONS, 'reviewDecisions', reject).entries()) {
+      if (!isValidReviewDecision(decision)) {
+        reject(`reviewDecisions[${index}]`, '{ segment, start, end, text, type, replace } of a preview');
+        continue;
+      }
+      const { segment, start, end, text, type, replace } = decision;
+      validated.reviewDecisions.push({ segment, start, end, text, replace, ...(replace ? { type } : {}) });
+    }
+  } else if (options.reviewDecisions !== undefined) {
+    reject('reviewDecisions', 'a list of occurrences');
+  }
+  if (options.csvColumns && typeof options.csvColumns === 'object' && !Array.isArray(options.csvColumns)) {
+    validated.csvColumns = {};
+    for (const [key, policy] of limitEntries(Object.entries(options.csvColumns), MAX_CSV_COLUMNS, 'csvColumns', reject)) {
+      if (key.length > MAX_CSV_COLUMN_KEY_LENGTH) {
+        reject(`csvColumns.${key.slice(0, 40)}...`, `a column name of at most ${MAX_CSV_COLUMN_KEY_LENGTH} characters`);
+      } else if (CSV_COLUMN_POLICIES.includes(policy)) {
+        validated.csvColumns[key] = policy;
+      } else {
+        reject(`csvColumns.${key}`, CSV_COLUMN_POLICIES.join(', '));
+      }
+    }
+  }
+  if (options.jsonFields && typeof options.jsonFields === 'object' && !Array.isArray(options.jsonFields)) {
+    validated.jsonFields = {};
+    for (const [selector, policy] of limitEntries(Object.entries(options.jsonFields), MAX_JSON_FIELDS, 'jsonFields', reject)) {
+      if (selector.length > MAX_JSON_SELECTOR_LENGTH || !isValidJsonSelector(selector)) {
+        reject(`jsonFields["${selector.slice(0, MAX_JSON_SELECTOR_LENGTH)}"]`, 'a selector such as $.user.email or $..phone');
+      } else if (JSON_FIELD_POLICIES.includes(policy)) {
+        validated.jsonFields[selector] = policy;
+      } else {
+        reject(`jsonFields["${selector}"]`, JSON_FIELD_POLICIES.join(', '));
+      }
+    }
+  }
+  if (options.audit && typeof options.audit === 'object' && Array.isArray(options.audit.formats)) {
+    const formats = AUDIT_FORMATS.filter((format) => options.audit.formats.includes(format));
+    if (formats.length > 0) {
+      validated.audit = {
+        formats,
+        originals: AUDIT_ORIGINALS.includes(options.audit.originals) ? options.audit.originals : 'hash',
+      };
+    }
+  }
+  if (validated.pseudonymScope === 'project') {
+    validated.projectName = ProjectVault.validateName(options.projectName);
+  }
+  if (options.exportKey === true) {
+    validated.keyPassword = validateKeyPassword(options.keyPassword);
+  }
+
+  return validated;
+}
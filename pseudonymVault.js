@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_STRATEGY, maskValue, syntheticValue } from './replacementStrategies.js';
+
+// Security: Project names become file names, so keep them to a safe charset
+const PROJECT_NAME_PATTERN = /^[\w][\w .-]{0,63}$/;
+
+// Hex characters kept from a keyed hash
+const HASH_LENGTH = 16;
+
+// Fresh synthetic values tried before falling back to a numbered one
+const SYNTHETIC_ATTEMPTS = 20;
+
+/**
+ * Holds the pseudonym numbering and entity => pseudonym mapping for one scope
+ * (a single file, a batch, or a named project). Anything sharing a scope
+ * gets the same pseudonym for the same entity.
+ */
+export class PseudonymScope {
+  constructor({ counters = {}, mapping = {}, hashKey } = {}) {
+    // Null-prototype maps: entity text is arbitrary input ("constructor", "__proto__")
+    this.counters = Object.assign(Object.create(null), counters);
+    this.mapping = Object.assign(Object.create(null), mapping);
+    this.hashKey = typeof hashKey === 'string' && hashKey ? hashKey : crypto.randomBytes(32).toString('hex');
+    this.replacements = new Set(Object.values(this.mapping));
+  }
+
+  /**
+   * Returns a consistent replacement for a given entity text + type. The
+   * strategy (see replacementStrategies.js) only applies the first time an
+   * entity is seen; after that its recorded replacement is reused.
+   */
+  getPseudonym(entityText, entityType, strategy = DEFAULT_STRATEGY) {
+    if (entityText in this.mapping) {
+      return this.mapping[entityText];
+    }
+    let replacement;
+    if (strategy === 'mask') {
+      replacement = maskValue(entityText);
+    } else if (strategy === 'hash') {
+      replacement = this.hashValue(entityText);
+    } else if (strategy === 'synthetic') {
+      replacement = this.syntheticValue(entityText, entityType);
+    } else if (strategy === 'remove') {
+      replacement = '';
+    } else {
+      replacement = this.nextLabel(entityType);
+    }
+    this.mapping[entityText] = replacement;
+    this.replacements.add(replacement);
+    return replacement;
+  }
+
+  /**
+   * Records a replacement built by the caller from another entity's, such
+   * as an email address from its owner's name pseudonym, unless the entity
+   * already has one. A replacement another entity has already been given
+   * gets a number, before the "@" of an address. Returns the entity's
+   * replacement.
+   */
+  getRelatedPseudonym(entityText, replacement) {
+    if (entityText in this.mapping) {
+      return this.mapping[entityText];
+    }
+    const at = replacement.lastIndexOf('@');
+    const head = at === -1 ? replacement : replacement.slice(0, at);
+    const tail = at === -1 ? '' : replacement.slice(at);
+    let value = replacement;
+    for (let n = 2; this.replacements.has(value) || value === entityText; n++) {
+      value = `${head}.${n}${tail}`;
+    }
+    this.mapping[entityText] = value;
+    this.replacements.add(value);
+    return value;
+  }
+
+  nextLabel(entityType) {
+    if (!this.counters[entityType]) {
+      this.counters[entityType] = 1;
+    }
+    return `${entityType}_${this.counters[entityType]++}`;
+  }
+
+  /**
+   * A fake value not yet used for another entity of the scope, seeded with
+   * the scope's key so the same entity gets the same value again.
+   */
+  syntheticValue(entityText, entityType) {
+    for (let attempt = 0; attempt < SYNTHETIC_ATTEMPTS; attempt++) {
+      const seed = crypto.createHmac('sha256', this.hashKey).update(`${entityType}\0${entityText}\0${attempt}`).digest('hex');
+      const value = syntheticValue(entityText, entityType, seed);
+      if (!this.replacements.has(value) && value !== entityText) return value;
+    }
+    return this.nextLabel(entityType);
+  }
+
+  /**
+   * Returns a keyed hash (HMAC-SHA256) of a value. The key belongs to the
+   * scope, so equal values hash alike within it, but short values such as
+   * phone numbers cannot be recovered by hashing every candidate.
+   */
+  hashValue(value) {
+    return crypto.createHmac('sha256', this.hashKey).update(String(value)).digest('hex').slice(0, HASH_LENGTH);
+  }
+
+  toJSON() {
+    return { counters: this.counters, mapping: this.mapping, hashKey: this.hashKey };
+  }
+}
+
+/**
+ * A named project scope persisted to disk, so "PERSON_3" keeps meaning the
+ * same person across every document of a matter and across app restarts.
+ */
+export class ProjectVault extends PseudonymScope {
+  constructor(filePath, name, data) {
+    super(data);
+    this.filePath = filePath;
+    this.name = name;
+  }
+
+  static validateName(name) {
+    if (typeof name !== 'string' || !PROJECT_NAME_PATTERN.test(name)) {
+      throw new Error('Invalid project name: use letters, numbers, spaces, ".", "-" or "_" (max 64)');
+    }
+    return name;
+  }
+
+  /**
+   * Opens the project's vault in `vaultDir`, creating an empty one if needed.
+   */
+  static load(vaultDir, name) {
+    ProjectVault.validateName(name);
+    const filePath = path.join(vaultDir, `${name}.json`);
+    let data = {};
+    if (fs.existsSync(filePath)) {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    return new ProjectVault(filePath, name, data);
+  }
+
+  /**
+   * Lists the project names that have a vault in `vaultDir`.
+   */
+  static list(vaultDir) {
+    if (!fs.existsSync(vaultDir)) return [];
+    return fs.readdirSync(vaultDir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => path.basename(file, '.json'))
+      .filter((name) => PROJECT_NAME_PATTERN.test(name));
+  }
+
+  /**
+   * Writes the vault atomically; the mapping holds original PII, so the
+   * file is readable by the current user only.
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ name: this.name, ...this.toJSON() }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,121 @@
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { escapeRegexChars } from './entitySpans.js';
+import { escapeXml } from './xmlEntities.js';
+import { readCsv, serializeCsv } from './csvTable.js';
+import { rewriteWorkbookText } from './xlsxAnonymizer.js';
+import { rewriteJsonStrings } from './jsonAnonymizer.js';
+
+/**
+ * Helpers that put original values back into an anonymized document,
+ * given the pseudonym => original mapping from its key file.
+ */
+
+/**
+ * Builds one regex matching every pseudonym in the mapping. Longest first and
+ * bounded, so "PERSON_1" never matches inside "PERSON_12".
+ */
+function buildRestoreRegex(mapping) {
+  const pseudonyms = Object.keys(mapping).sort((a, b) => b.length - a.length);
+  if (pseudonyms.length === 0) return null;
+  return new RegExp(`(?<![A-Za-z0-9_])(?:${pseudonyms.map(escapeRegexChars).join('|')})(?![A-Za-z0-9_])`, 'g');
+}
+
+/**
+ * Returns a function that re-identifies a string. `encode` is applied to the
+ * inserted originals (e.g. XML escaping when rewriting markup in place).
+ */
+export function createRestorer(mapping, encode = (value) => value) {
+  const regex = buildRestoreRegex(mapping);
+  return (text) => (regex ? String(text).replace(regex, (pseudonym) => encode(mapping[pseudonym])) : text);
+}
+
+/**
+ * Re-identifies a CSV field by field, so originals containing the delimiter
+ * or quotes are written back correctly quoted.
+ */
+export function restoreCsv(text, mapping) {
+  const restore = createRestorer(mapping);
+  const { dialect, rows } = readCsv(text);
+  for (const row of rows) {
+    row.fields = row.fields.map(restore);
+  }
+  return serializeCsv(rows, dialect);
+}
+
+/**
+ * Re-identifies an HTML document; originals are escaped, as they may go
+ * into text or attribute values.
+ */
+export function restoreHtml(text, mapping) {
+  return createRestorer(mapping, escapeXml)(text);
+}
+
+/**
+ * Re-identifies the string values of a JSON document; keys, other values and
+ * the layout stay as they are.
+ */
+export function restoreJson(text, mapping) {
+  const restore = createRestorer(mapping);
+  const bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+  return bom + rewriteJsonStrings(text.slice(bom.length), restore);
+}
+
+/**
+ * Re-identifies a JSONL file line by line; blank lines are kept.
+ */
+export function restoreJsonLines(text, mapping) {
+  const restore = createRestorer(mapping);
+  return text
+    .split('\n')
+    .map((line, index) => {
+      const bom = index === 0 && line.startsWith('\uFEFF') ? '\uFEFF' : '';
+      return line.trim() ? bom + rewriteJsonStrings(line.slice(bom.length), restore) : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Re-identifies every text item of a workbook: cells, notes, headers and
+ * footers, validation lists, sheet names and document properties.
+ */
+export async function restoreXlsx(buffer, mapping) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  rewriteWorkbookText(workbook, createRestorer(mapping));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Re-identifies the text runs of every Word XML part (body, headers,
+ * footers, notes, comments), comment and revision authors, document
+ * properties and external link targets, leaving the rest of the package
+ * untouched.
+ */
+export async function restoreDocx(buffer, mapping) {
+  const restore = createRestorer(mapping, escapeXml);
+  const zip = await JSZip.loadAsync(buffer);
+
+  for (const name of Object.keys(zip.files)) {
+    if (zip.files[name].dir) continue;
+
+    if (/^word\/(?:glossary\/)?[^/]+\.xml$/.test(name)) {
+      const xml = await zip.file(name).async('string');
+      const restored = xml
+        .replace(
+          /(<w:(t|delText|instrText)(?:\s[^>]*)?>)([^<]*)(<\/w:\2>)/g,
+          (match, open, _tag, text, close) => {
+            const value = restore(text);
+            return value === text ? match : open + value + close;
+          }
+        )
+        .replace(/(\s(?:w|w15):author=")([^"]*)(")/g, (match, before, value, after) => before + restore(value) + after);
+      zip.file(name, restored);
+    } else if (/^word\/(?:glossary\/)?_rels\/[^/]+\.rels$/.test(name) || /^docProps\/[^/]+\.xml$/.test(name)) {
+      // Small parts whose only PII is in text content or Target attributes
+      zip.file(name, restore(await zip.file(name).async('string')));
+    }
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
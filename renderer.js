@@ -7,14 +7,32 @@ const ipcRenderer = {
       switch(channel) {
         case 'select-output-directory': return electronAPI.selectOutputDirectory();
         case 'select-input-directory': return electronAPI.selectInputDirectory();
-        case 'process-file': return electronAPI.processFile(data.filePath, data.outputDir);
+        case 'process-file': return electronAPI.processFile(data.filePath, data.outputDir, data.options, data.relativeDir);
+        case 'preview-file': return electronAPI.previewFile(data.filePath, data.options);
+        case 'process-batch': return electronAPI.processBatch(data.filePaths, data.outputDir, data.options, data.concurrency, data.relativeDirs);
+        case 'scan-directory': return electronAPI.scanDirectory(data.dirPath, data.options);
+        case 'get-file-stats': return electronAPI.getFileStats(data);
         case 'open-folder': return electronAPI.openFolder(data);
+        case 'list-projects': return electronAPI.listProjects();
+        case 'inspect-csv': return electronAPI.inspectCsv(data);
+        case 'import-dictionary': return electronAPI.importDictionary();
+        case 'select-restore-files': return electronAPI.selectRestoreFiles();
+        case 'restore-file': return electronAPI.restoreFile(data.filePath, data.keyPath, data.password, data.outputDir);
+        case 'write-audit-summary': return electronAPI.writeAuditSummary(data);
+        case 'open-audit-report': return electronAPI.openAuditReport(data);
+        case 'cancel-batch': return electronAPI.cancelBatch();
+        case 'pause-batch': return electronAPI.pauseBatch();
+        case 'resume-batch': return electronAPI.resumeBatch();
         default: throw new Error('Unknown IPC channel: ' + channel);
       }
     } : null,
   on: (channel, callback) => {
     if (channel === 'log-message') {
       electronAPI.onLogMessage(callback);
+    } else if (channel === 'batch-file-done') {
+      electronAPI.onBatchFileDone(callback);
+    } else if (channel === 'job-progress') {
+      electronAPI.onJobProgress(callback);
     }
   }
 };
@@ -24,21 +42,8 @@ const path = electronAPI.path;
 const os = electronAPI.os;
 
 // Create fs-like API using the preload functions
+// (folders are scanned by the main process, see scanFolder)
 const fs = {
-  readdirSync: (dirPath) => {
-    // This needs to be synchronous for compatibility, but we'll use a workaround
-    // For now, return empty array - this will be handled differently
-    console.warn('fs.readdirSync called - directory scanning may not work as expected');
-    return [];
-  },
-  statSync: (filePath) => {
-    console.warn('fs.statSync called synchronously - may not work as expected');
-    return { isDirectory: () => false, isFile: () => true };
-  },
-  lstatSync: (filePath) => {
-    console.warn('fs.lstatSync called synchronously - may not work as expected');  
-    return { isDirectory: () => false, isFile: () => true };
-  },
   writeFile: (filePath, data, callback) => {
     electronAPI.writeFile(filePath, data)
       .then(() => callback(null))
@@ -87,6 +92,84 @@ const progressBar = document.querySelector('.progress-bar');
 const statusDiv = document.getElementById('status');
 const outputLinkDiv = document.getElementById('output-link');
 const openOutputFolderLink = document.getElementById('open-output-folder');
+const detectorCheckboxes = document.querySelectorAll('#detection-settings input[data-detector]');
+const propagateToggle = document.getElementById('propagate-toggle');
+const pseudonymScopeSelect = document.getElementById('pseudonym-scope');
+const projectNameInput = document.getElementById('project-name');
+const projectList = document.getElementById('project-list');
+const pdfRedactionStyleSelect = document.getElementById('pdf-redaction-style');
+const replacementStrategySelect = document.getElementById('replacement-strategy');
+const typeStrategyList = document.getElementById('type-strategy-list');
+const minScoreInput = document.getElementById('min-score');
+const reviewScoreInput = document.getElementById('review-score');
+const typeStrategyNameInput = document.getElementById('type-strategy-name');
+const addTypeStrategyBtn = document.getElementById('add-type-strategy');
+const dictionaryInputs = {
+  deny: {
+    terms: document.getElementById('deny-terms'),
+    caseSensitive: document.getElementById('deny-case'),
+    wholeWord: document.getElementById('deny-whole'),
+    importBtn: document.getElementById('import-deny')
+  },
+  allow: {
+    terms: document.getElementById('allow-terms'),
+    caseSensitive: document.getElementById('allow-case'),
+    wholeWord: document.getElementById('allow-whole'),
+    importBtn: document.getElementById('import-allow')
+  }
+};
+const csvColumnsDiv = document.getElementById('csv-columns');
+const csvColumnList = document.getElementById('csv-column-list');
+const jsonFieldsDiv = document.getElementById('json-fields');
+const jsonFieldRulesInput = document.getElementById('json-field-rules');
+const exportKeyToggle = document.getElementById('export-key-toggle');
+const exportKeyProBadge = document.getElementById('export-key-pro');
+const keyPasswordInput = document.getElementById('key-password');
+const concurrencySelect = document.getElementById('concurrency');
+const reviewToggle = document.getElementById('review-toggle');
+const auditReportToggle = document.getElementById('audit-report-toggle');
+const auditOriginalsSelect = document.getElementById('audit-originals');
+const scanIncludeInput = document.getElementById('scan-include');
+const scanExcludeInput = document.getElementById('scan-exclude');
+const scanDepthInput = document.getElementById('scan-depth');
+const scanHiddenToggle = document.getElementById('scan-hidden');
+const scanSymlinksToggle = document.getElementById('scan-symlinks');
+
+// Review screen
+const reviewModal = document.getElementById('review-modal');
+const reviewFileName = document.getElementById('review-file-name');
+const reviewNotice = document.getElementById('review-notice');
+const reviewText = document.getElementById('review-text');
+const reviewAddType = document.getElementById('review-add-type');
+const reviewTypes = document.getElementById('review-types');
+const reviewAddSelectionBtn = document.getElementById('review-add-selection');
+const reviewEntities = document.getElementById('review-entities');
+const reviewSaveDictionaries = document.getElementById('review-save-dictionaries');
+const reviewSkipBtn = document.getElementById('review-skip');
+const reviewWriteBtn = document.getElementById('review-write');
+let reviewState = null;
+
+// Progress callback of the parallel batch being processed, if any
+let batchProgress = null;
+
+// Pause/cancel of the running job
+const jobControls = document.getElementById('job-controls');
+const jobStatus = document.getElementById('job-status');
+const pauseJobBtn = document.getElementById('pause-job');
+const cancelJobBtn = document.getElementById('cancel-job');
+let jobState = null;
+
+// Audit reports of the last batch
+const auditReportDiv = document.getElementById('audit-report');
+const auditFilesBody = document.getElementById('audit-files');
+const openAuditSummaryLink = document.getElementById('open-audit-summary');
+
+// Restore section
+const selectRestoreFilesBtn = document.getElementById('select-restore-files');
+const restoreSelection = document.getElementById('restore-selection');
+const restorePasswordInput = document.getElementById('restore-password');
+const restoreButton = document.getElementById('restore-button');
+let restoreFiles = null;
 
 // Logs area
 const logArea = document.getElementById('log-area');
@@ -127,6 +210,326 @@ if (storedOutput) {
   };
 }
 
+// On load: restore detector toggles
+const storedDetectors = JSON.parse(localStorage.getItem('detectorSettings') || '{}');
+detectorCheckboxes.forEach((checkbox) => {
+  if (typeof storedDetectors[checkbox.dataset.detector] === 'boolean') {
+    checkbox.checked = storedDetectors[checkbox.dataset.detector];
+  }
+  checkbox.addEventListener('change', () => {
+    localStorage.setItem('detectorSettings', JSON.stringify(getProcessingOptions().detectors));
+  });
+});
+propagateToggle.checked = localStorage.getItem('propagateEntities') === 'true';
+propagateToggle.addEventListener('change', () => {
+  localStorage.setItem('propagateEntities', String(propagateToggle.checked));
+});
+
+// On load: restore pseudonym scope and offer known projects
+pseudonymScopeSelect.value = localStorage.getItem('pseudonymScope') || 'batch';
+projectNameInput.value = localStorage.getItem('projectName') || '';
+updateProjectNameInput();
+pseudonymScopeSelect.addEventListener('change', () => {
+  localStorage.setItem('pseudonymScope', pseudonymScopeSelect.value);
+  updateProjectNameInput();
+});
+projectNameInput.addEventListener('change', () => {
+  localStorage.setItem('projectName', projectNameInput.value.trim());
+});
+refreshProjectList();
+
+pdfRedactionStyleSelect.value = localStorage.getItem('pdfRedactionStyle') || 'label';
+pdfRedactionStyleSelect.addEventListener('change', () => {
+  localStorage.setItem('pdfRedactionStyle', pdfRedactionStyleSelect.value);
+});
+
+concurrencySelect.value = localStorage.getItem('concurrency') || '0';
+concurrencySelect.addEventListener('change', () => {
+  localStorage.setItem('concurrency', concurrencySelect.value);
+});
+
+reviewToggle.checked = localStorage.getItem('reviewBeforeWriting') === 'true';
+reviewToggle.addEventListener('change', () => {
+  localStorage.setItem('reviewBeforeWriting', String(reviewToggle.checked));
+});
+
+auditReportToggle.checked = localStorage.getItem('auditReport') !== 'false';
+auditOriginalsSelect.value = localStorage.getItem('auditOriginals') || 'hash';
+auditReportToggle.addEventListener('change', () => {
+  localStorage.setItem('auditReport', String(auditReportToggle.checked));
+});
+auditOriginalsSelect.addEventListener('change', () => {
+  localStorage.setItem('auditOriginals', auditOriginalsSelect.value);
+});
+
+// Folder scanning
+scanIncludeInput.value = localStorage.getItem('scanInclude') || '';
+scanExcludeInput.value = localStorage.getItem('scanExclude') || '';
+scanDepthInput.value = localStorage.getItem('scanDepth') || '10';
+scanHiddenToggle.checked = localStorage.getItem('scanHidden') === 'true';
+scanSymlinksToggle.checked = localStorage.getItem('scanSymlinks') === 'true';
+scanIncludeInput.addEventListener('change', () => localStorage.setItem('scanInclude', scanIncludeInput.value.trim()));
+scanExcludeInput.addEventListener('change', () => localStorage.setItem('scanExclude', scanExcludeInput.value.trim()));
+scanDepthInput.addEventListener('change', () => localStorage.setItem('scanDepth', scanDepthInput.value));
+scanHiddenToggle.addEventListener('change', () => localStorage.setItem('scanHidden', String(scanHiddenToggle.checked)));
+scanSymlinksToggle.addEventListener('change', () => localStorage.setItem('scanSymlinks', String(scanSymlinksToggle.checked)));
+
+// Replacement strategies: { default, <ENTITY_TYPE>: strategy }
+let replacementStrategies = JSON.parse(localStorage.getItem('replacementStrategies') || '{}');
+replacementStrategySelect.value = replacementStrategies.default || 'label';
+replacementStrategySelect.addEventListener('change', () => {
+  replacementStrategies.default = replacementStrategySelect.value;
+  saveReplacementStrategies();
+});
+addTypeStrategyBtn.addEventListener('click', () => {
+  const type = typeStrategyNameInput.value.trim().toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+  if (!/^[A-Z]/.test(type)) {
+    showStatus('Entity types start with a letter, e.g. EMAIL or FIRSTNAME.', 'error');
+    return;
+  }
+  replacementStrategies[type] = replacementStrategies[type] || replacementStrategySelect.value;
+  typeStrategyNameInput.value = '';
+  saveReplacementStrategies();
+});
+
+function saveReplacementStrategies() {
+  localStorage.setItem('replacementStrategies', JSON.stringify(replacementStrategies));
+  renderTypeStrategies();
+}
+
+// Entity policy: { minScore, reviewScore, types: { <ENTITY_TYPE>: { enabled, minScore } } }
+let entityPolicy = JSON.parse(localStorage.getItem('entityPolicy') || '{}');
+entityPolicy.types = entityPolicy.types || {};
+minScoreInput.value = entityPolicy.minScore ?? 0;
+reviewScoreInput.value = entityPolicy.reviewScore ?? entityPolicy.minScore ?? 0;
+[minScoreInput, reviewScoreInput].forEach((input) => {
+  input.addEventListener('change', () => {
+    entityPolicy.minScore = readScore(minScoreInput) ?? 0;
+    entityPolicy.reviewScore = Math.min(readScore(reviewScoreInput) ?? entityPolicy.minScore, entityPolicy.minScore);
+    reviewScoreInput.value = entityPolicy.reviewScore;
+    saveEntityPolicy();
+  });
+});
+renderTypeStrategies();
+
+function readScore(input) {
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : undefined;
+}
+
+function saveEntityPolicy() {
+  localStorage.setItem('entityPolicy', JSON.stringify(entityPolicy));
+  renderTypeStrategies();
+}
+
+// One row per entity type: its strategy (or "leave unchanged") and minimum confidence
+function renderTypeStrategies() {
+  typeStrategyList.innerHTML = '';
+  const types = new Set([...Object.keys(replacementStrategies), ...Object.keys(entityPolicy.types)]);
+  types.delete('default');
+  [...types].sort().forEach((type) => {
+    const rule = entityPolicy.types[type] || {};
+    const label = document.createElement('label');
+    label.textContent = type;
+
+    const select = document.createElement('select');
+    select.innerHTML = replacementStrategySelect.innerHTML + '<option value="keep">Leave unchanged</option>';
+    select.value = rule.enabled === false ? 'keep' : (replacementStrategies[type] || replacementStrategySelect.value);
+    select.addEventListener('change', () => {
+      entityPolicy.types[type] = { ...rule, enabled: select.value !== 'keep' };
+      if (select.value === 'keep') {
+        delete replacementStrategies[type];
+      } else {
+        replacementStrategies[type] = select.value;
+      }
+      localStorage.setItem('replacementStrategies', JSON.stringify(replacementStrategies));
+      saveEntityPolicy();
+    });
+
+    const scoreInput = document.createElement('input');
+    scoreInput.type = 'number';
+    scoreInput.min = '0';
+    scoreInput.max = '1';
+    scoreInput.step = '0.05';
+    scoreInput.placeholder = String(entityPolicy.minScore ?? 0);
+    scoreInput.title = `Minimum confidence for ${type}`;
+    if (typeof rule.minScore === 'number') scoreInput.value = rule.minScore;
+    scoreInput.addEventListener('change', () => {
+      const minScore = readScore(scoreInput);
+      entityPolicy.types[type] = { ...rule, minScore };
+      saveEntityPolicy();
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'button secondary';
+    removeBtn.title = `Use the defaults for ${type}`;
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.addEventListener('click', () => {
+      delete replacementStrategies[type];
+      delete entityPolicy.types[type];
+      localStorage.setItem('replacementStrategies', JSON.stringify(replacementStrategies));
+      saveEntityPolicy();
+    });
+
+    typeStrategyList.appendChild(label);
+    typeStrategyList.appendChild(select);
+    typeStrategyList.appendChild(scoreInput);
+    typeStrategyList.appendChild(removeBtn);
+  });
+}
+
+// Custom dictionaries: deny / allow term lists with their matching rules
+const storedDictionaries = JSON.parse(localStorage.getItem('dictionaries') || '{}');
+Object.entries(dictionaryInputs).forEach(([name, inputs]) => {
+  const stored = storedDictionaries[name] || {};
+  inputs.terms.value = stored.text || '';
+  if (typeof stored.caseSensitive === 'boolean') inputs.caseSensitive.checked = stored.caseSensitive;
+  if (typeof stored.wholeWord === 'boolean') inputs.wholeWord.checked = stored.wholeWord;
+  [inputs.terms, inputs.caseSensitive, inputs.wholeWord].forEach((input) => {
+    input.addEventListener('change', saveDictionaries);
+  });
+  inputs.importBtn.addEventListener('click', async () => {
+    const result = await ipcRenderer.invoke('import-dictionary');
+    if (!result) return;
+    if (result.error) {
+      showStatus(`Could not import the dictionary: ${result.error}`, 'error');
+      return;
+    }
+    const current = inputs.terms.value.trim();
+    inputs.terms.value = current ? `${current}\n${result.text}` : result.text;
+    saveDictionaries();
+    showStatus(`Imported ${result.count} term(s).`, 'success');
+  });
+});
+
+function getDictionaries() {
+  const dictionaries = {};
+  Object.entries(dictionaryInputs).forEach(([name, inputs]) => {
+    dictionaries[name] = {
+      text: inputs.terms.value,
+      caseSensitive: inputs.caseSensitive.checked,
+      wholeWord: inputs.wholeWord.checked
+    };
+  });
+  return dictionaries;
+}
+
+function saveDictionaries() {
+  localStorage.setItem('dictionaries', JSON.stringify(getDictionaries()));
+}
+
+// CSV column policies, keyed by lowercased header name or "#<n>"
+const CSV_POLICY_LABELS = {
+  ner: 'Scan for PII',
+  skip: 'Keep as is',
+  redact: 'Always redact',
+  hash: 'Hash',
+  drop: 'Drop column'
+};
+let csvColumnPolicies = JSON.parse(localStorage.getItem('csvColumnPolicies') || '{}');
+
+// Lists the columns of the selected CSV files with a policy select for each
+async function refreshCsvColumns() {
+  const csvFiles = selectedFiles.filter((f) => path.extname(f.path).toLowerCase() === '.csv');
+  const columns = new Map();
+  for (const file of csvFiles) {
+    const info = await ipcRenderer.invoke('inspect-csv', file.path);
+    (info ? info.columns : []).forEach((column) => {
+      if (!columns.has(column.key)) columns.set(column.key, column.name);
+    });
+  }
+
+  csvColumnList.innerHTML = '';
+  csvColumnsDiv.classList.toggle('hidden', columns.size === 0);
+  columns.forEach((name, key) => {
+    const label = document.createElement('label');
+    label.textContent = name;
+    label.title = name;
+    const select = document.createElement('select');
+    Object.entries(CSV_POLICY_LABELS).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = csvColumnPolicies[key] || 'ner';
+    select.addEventListener('change', () => {
+      if (select.value === 'ner') {
+        delete csvColumnPolicies[key];
+      } else {
+        csvColumnPolicies[key] = select.value;
+      }
+      localStorage.setItem('csvColumnPolicies', JSON.stringify(csvColumnPolicies));
+    });
+    csvColumnList.appendChild(label);
+    csvColumnList.appendChild(select);
+  });
+}
+
+// JSON field policies as "selector = policy" lines; bad lines are dropped in main
+jsonFieldRulesInput.value = localStorage.getItem('jsonFieldRules') || '';
+jsonFieldRulesInput.addEventListener('change', () => {
+  localStorage.setItem('jsonFieldRules', jsonFieldRulesInput.value);
+});
+
+function getJsonFieldPolicies() {
+  const policies = {};
+  jsonFieldRulesInput.value.split('\n').forEach((line) => {
+    const separator = line.lastIndexOf('=');
+    if (separator <= 0) return;
+    policies[line.slice(0, separator).trim()] = line.slice(separator + 1).trim().toLowerCase();
+  });
+  return policies;
+}
+
+function refreshJsonFields() {
+  const hasJson = selectedFiles.some((f) => ['.json', '.jsonl'].includes(path.extname(f.path).toLowerCase()));
+  jsonFieldsDiv.classList.toggle('hidden', !hasJson);
+}
+
+function updateProjectNameInput() {
+  projectNameInput.classList.toggle('hidden', pseudonymScopeSelect.value !== 'project');
+}
+
+async function refreshProjectList() {
+  const projects = await ipcRenderer.invoke('list-projects');
+  projectList.innerHTML = '';
+  (projects || []).forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    projectList.appendChild(option);
+  });
+}
+
+// Key export (Pro): the password is never persisted
+exportKeyToggle.addEventListener('change', () => {
+  keyPasswordInput.classList.toggle('hidden', !exportKeyToggle.checked);
+});
+
+// Options sent with every process-file request
+function getProcessingOptions(batchId) {
+  const detectors = {};
+  detectorCheckboxes.forEach((checkbox) => {
+    detectors[checkbox.dataset.detector] = checkbox.checked;
+  });
+  return {
+    detectors,
+    propagate: propagateToggle.checked,
+    pseudonymScope: pseudonymScopeSelect.value,
+    projectName: projectNameInput.value.trim(),
+    batchId,
+    pdfRedactionStyle: pdfRedactionStyleSelect.value,
+    replacementStrategies,
+    entityPolicy,
+    dictionaries: getDictionaries(),
+    csvColumns: csvColumnPolicies,
+    jsonFields: getJsonFieldPolicies(),
+    audit: auditReportToggle.checked ? { formats: ['json', 'html'], originals: auditOriginalsSelect.value } : null,
+    exportKey: userState.isPro && exportKeyToggle.checked,
+    keyPassword: keyPasswordInput.value
+  };
+}
+
 // Load userState
 function loadUserState() {
   const saved = localStorage.getItem('userState');
@@ -205,7 +608,7 @@ dropZone.addEventListener('drop', async (e) => {
 selectFolderBtn.addEventListener('click', async () => {
   const folderPath = await ipcRenderer.invoke('select-input-directory');
   if (folderPath) {
-    const filesFromFolder = getFilesFromDirectory(folderPath);
+    const filesFromFolder = await scanFolder(folderPath);
     if (filesFromFolder.length === 0) {
       showStatus('No supported files found in the selected folder.', 'error');
     } else {
@@ -235,6 +638,16 @@ processButton.addEventListener('click', processFiles);
 async function processFiles() {
   if (selectedFiles.length === 0) return;
 
+  if (userState.isPro && exportKeyToggle.checked && keyPasswordInput.value.length < 8) {
+    showStatus('Key file password must be at least 8 characters.', 'error');
+    return;
+  }
+
+  if (pseudonymScopeSelect.value === 'project' && !projectNameInput.value.trim()) {
+    showStatus('Enter a project name to keep pseudonyms consistent across its documents.', 'error');
+    return;
+  }
+
   if (!userState.isPro) {
     checkDailyReset();
     if (userState.dailyCount >= 100) {
@@ -248,33 +661,106 @@ async function processFiles() {
   processButton.innerHTML = `<i class="fas fa-cog"></i> Anonymizing...`;
 
   progress.classList.remove('hidden');
-  let total = selectedFiles.length;
+  jobState = { paused: false, cancelled: false };
+  jobStatus.textContent = '';
+  pauseJobBtn.innerHTML = `<i class="fas fa-pause"></i> Pause`;
+  pauseJobBtn.disabled = false;
+  cancelJobBtn.disabled = false;
+  jobControls.classList.remove('hidden');
   let processedCount = 0;
+  const batchId = `${Date.now()}-${generateDeviceID(6)}`;
+  let reviewCount = 0;
+  const auditRows = [];
+  auditReportDiv.classList.add('hidden');
 
-  for (let i = 0; i < total; i++) {
-    if (!userState.isPro) {
-      userState.dailyCount++;
-      saveUserState();
-      if (userState.dailyCount > 100) {
-        showStatus(`You've reached your 100-file daily limit mid-batch.`, 'error');
-        break;
-      }
+  // Free tier: only the files left in today's limit are processed
+  let files = selectedFiles;
+  if (!userState.isPro) {
+    const remaining = Math.max(0, 100 - userState.dailyCount);
+    if (files.length > remaining) {
+      files = files.slice(0, remaining);
+      showStatus(`You've reached your 100-file daily limit mid-batch.`, 'error');
+    }
+    userState.dailyCount += files.length;
+    saveUserState();
+  }
+  const total = files.length;
+
+  let cancelledCount = 0;
+  const addResult = (file, result) => {
+    if (result.cancelled) {
+      cancelledCount++;
+      return;
     }
-    const file = selectedFiles[i];
-    const result = await ipcRenderer.invoke('process-file', {
-      filePath: file.path,
-      outputDir: outputDirectory
-    });
     if (!result.success) {
       showStatus(`Error processing ${file.name}: ${result.error}`, 'error');
+    } else {
+      reviewCount += result.review.length;
+    }
+    auditRows.push({ name: file.name, result });
+  };
+  const showProgress = (done) => {
+    progressBar.style.width = `${Math.floor((done / total) * 100)}%`;
+  };
+
+  if (reviewToggle.checked) {
+    // One file at a time: each is previewed and reviewed before it is written
+    for (const file of files) {
+      if (jobState.cancelled) {
+        cancelledCount++;
+        continue;
+      }
+      const options = getProcessingOptions(batchId);
+      const preview = await ipcRenderer.invoke('preview-file', { filePath: file.path, options });
+      const decisions = preview.success ? await reviewFile(file, preview) : null;
+      if (preview.cancelled) {
+        cancelledCount++;
+      } else if (decisions) {
+        options.reviewDecisions = decisions;
+        addResult(file, await ipcRenderer.invoke('process-file', {
+          filePath: file.path,
+          outputDir: outputDirectory,
+          relativeDir: file.relativeDir || '',
+          options
+        }));
+      } else if (!preview.success) {
+        showStatus(`Error processing ${file.name}: ${preview.error}`, 'error');
+      }
+      showProgress(++processedCount);
+    }
+  } else {
+    // The main process runs the files in parallel worker threads
+    batchProgress = ({ completed }) => showProgress(completed);
+    const batch = await ipcRenderer.invoke('process-batch', {
+      filePaths: files.map((file) => file.path),
+      outputDir: outputDirectory,
+      relativeDirs: files.map((file) => file.relativeDir || ''),
+      options: getProcessingOptions(batchId),
+      concurrency: Number(concurrencySelect.value)
+    });
+    batchProgress = null;
+    if (batch.success) {
+      batch.results.forEach((result, index) => addResult(files[index], result));
+    } else {
+      showStatus(`Error processing files: ${batch.error}`, 'error');
     }
-    processedCount++;
-    let percentage = Math.floor((processedCount / total) * 100);
-    progressBar.style.width = `${percentage}%`;
   }
 
+  jobControls.classList.add('hidden');
+  jobState = null;
+
   progressBar.style.width = '100%';
-  showStatus(`Files processed successfully!`, 'success');
+  if (cancelledCount > 0) {
+    showStatus(`Cancelled: ${total - cancelledCount} of ${total} file(s) processed, the others were not written.`, 'error');
+  } else if (reviewCount > 0) {
+    showStatus(`Files processed. ${reviewCount} low-confidence detection(s) were left unchanged for review (see the log).`, 'success');
+  } else {
+    showStatus(`Files processed successfully!`, 'success');
+  }
+
+  if (auditReportToggle.checked) {
+    await showAuditReport(batchId, auditRows);
+  }
 
   processButton.disabled = false;
   processButton.innerHTML = oldButtonText;
@@ -288,6 +774,7 @@ async function processFiles() {
 
   window.scrollTo(0, document.body.scrollHeight);
   clearState();
+  refreshProjectList();
 
   setTimeout(() => {
     progress.classList.add('hidden');
@@ -295,6 +782,360 @@ async function processFiles() {
   }, 1500);
 }
 
+// Review screen: shows a file's text with its detections; resolves to the
+// reviewer's decisions on each occurrence, or null to skip the file
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+function isWholeWord(text, start, end) {
+  return !WORD_CHAR.test(text[start - 1] || '') && !WORD_CHAR.test(text[end] || '');
+}
+
+function reviewFile(file, preview) {
+  return new Promise((resolve) => {
+    reviewState = { segments: preview.segments, entities: new Map(), selection: null, resolve };
+    preview.segments.forEach((segment) => {
+      segment.spans.forEach((span) => addReviewEntity(segment, span, 'detected'));
+      segment.heldBack.forEach((span) => addReviewEntity(segment, span, 'held'));
+    });
+
+    reviewFileName.textContent = file.name;
+    const notices = [];
+    if (preview.truncated) notices.push('The document is too long to show in full: only its beginning is listed.');
+    if (preview.fixed > 0) notices.push(`${preview.fixed} value(s) are replaced by file settings (metadata, CSV columns) and are not listed.`);
+    reviewNotice.textContent = notices.join(' ');
+    reviewNotice.classList.toggle('hidden', notices.length === 0);
+    reviewAddSelectionBtn.disabled = true;
+
+    renderReviewText();
+    renderReviewEntities();
+    reviewModal.classList.add('show');
+  });
+}
+
+// One entry per value and type: { text, type, newType, origin, replace, score, count, wholeWord }
+function addReviewEntity(segment, span, origin) {
+  const key = `${span.type}\u0000${span.text}`;
+  const entity = reviewState.entities.get(key);
+  const wholeWord = isWholeWord(segment.text, span.start, span.end);
+  if (entity) {
+    entity.count++;
+    entity.score = Math.max(entity.score, span.score);
+    entity.wholeWord = entity.wholeWord && wholeWord;
+    if (origin === 'detected' && entity.origin === 'held') {
+      entity.origin = 'detected';
+      entity.replace = true;
+    }
+    return;
+  }
+  reviewState.entities.set(key, {
+    text: span.text,
+    type: span.type,
+    newType: span.type,
+    origin,
+    replace: origin !== 'held',
+    score: span.score,
+    count: 1,
+    wholeWord
+  });
+}
+
+// Ranges to highlight in one text part: its spans and the values added by the reviewer,
+// each with its origin ('detected', 'held' or 'added')
+function reviewRanges(segment) {
+  const ranges = [];
+  const push = (start, end, key, origin) => {
+    if (!ranges.some((r) => start < r.end && r.start < end)) ranges.push({ start, end, key, origin });
+  };
+  segment.spans.forEach((span) => push(span.start, span.end, `${span.type}\u0000${span.text}`, 'detected'));
+  segment.heldBack.forEach((span) => push(span.start, span.end, `${span.type}\u0000${span.text}`, 'held'));
+  reviewState.entities.forEach((entity, key) => {
+    if (entity.origin !== 'added') return;
+    for (let at = segment.text.indexOf(entity.text); at !== -1; at = segment.text.indexOf(entity.text, at + 1)) {
+      if (!entity.wholeWord || isWholeWord(segment.text, at, at + entity.text.length)) {
+        push(at, at + entity.text.length, key, 'added');
+      }
+    }
+  });
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+function renderReviewText() {
+  reviewText.innerHTML = '';
+  reviewState.segments.forEach((segment, index) => {
+    const div = document.createElement('div');
+    div.className = 'review-segment';
+    if (segment.locationText) {
+      const heading = document.createElement('h4');
+      heading.textContent = segment.locationText;
+      div.appendChild(heading);
+    }
+    const body = document.createElement('div');
+    body.className = 'review-segment-text';
+    body.dataset.segment = String(index);
+    let pos = 0;
+    reviewRanges(segment).forEach(({ start, end, key }) => {
+      body.appendChild(document.createTextNode(segment.text.slice(pos, start)));
+      const mark = document.createElement('mark');
+      mark.className = 'review-mark';
+      mark.dataset.key = key;
+      mark.textContent = segment.text.slice(start, end);
+      mark.addEventListener('click', () => {
+        const entity = reviewState.entities.get(key);
+        entity.replace = !entity.replace;
+        updateReviewMarks();
+        renderReviewEntities();
+      });
+      body.appendChild(mark);
+      pos = end;
+    });
+    body.appendChild(document.createTextNode(segment.text.slice(pos)));
+    div.appendChild(body);
+    reviewText.appendChild(div);
+  });
+  updateReviewMarks();
+}
+
+function updateReviewMarks() {
+  reviewText.querySelectorAll('mark.review-mark').forEach((mark) => {
+    const entity = reviewState.entities.get(mark.dataset.key);
+    // Held-back values are left as they are unless accepted; rejected detections are struck through
+    mark.classList.toggle('held', !entity.replace && entity.origin === 'held');
+    mark.classList.toggle('kept', !entity.replace && entity.origin !== 'held');
+    mark.title = `${entity.newType} (${entity.replace ? 'replace' : 'keep'})`;
+  });
+}
+
+function renderReviewEntities() {
+  reviewEntities.innerHTML = '';
+  const types = new Set();
+  reviewState.entities.forEach((entity) => {
+    types.add(entity.type);
+    const tr = document.createElement('tr');
+
+    const value = document.createElement('td');
+    value.textContent = entity.text;
+    tr.appendChild(value);
+
+    const typeCell = document.createElement('td');
+    const typeInput = document.createElement('input');
+    typeInput.type = 'text';
+    typeInput.setAttribute('list', 'review-types');
+    typeInput.value = entity.newType;
+    typeInput.addEventListener('change', () => {
+      const type = typeInput.value.trim().toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+      if (/^[A-Z]/.test(type)) entity.newType = type;
+      typeInput.value = entity.newType;
+      updateReviewMarks();
+    });
+    typeCell.appendChild(typeInput);
+    tr.appendChild(typeCell);
+
+    const score = document.createElement('td');
+    score.textContent = entity.origin === 'added' ? 'added' : entity.score.toFixed(2);
+    tr.appendChild(score);
+
+    const count = document.createElement('td');
+    count.textContent = entity.origin === 'added' ? '' : String(entity.count);
+    tr.appendChild(count);
+
+    const actionCell = document.createElement('td');
+    const action = document.createElement('select');
+    [['replace', 'Replace'], ['keep', 'Keep as is']].forEach(([val, label]) => {
+      const option = document.createElement('option');
+      option.value = val;
+      option.textContent = label;
+      action.appendChild(option);
+    });
+    action.value = entity.replace ? 'replace' : 'keep';
+    action.addEventListener('change', () => {
+      entity.replace = action.value === 'replace';
+      updateReviewMarks();
+    });
+    actionCell.appendChild(action);
+    tr.appendChild(actionCell);
+
+    reviewEntities.appendChild(tr);
+  });
+  reviewTypes.innerHTML = '';
+  types.forEach((type) => {
+    const option = document.createElement('option');
+    option.value = type;
+    reviewTypes.appendChild(option);
+  });
+}
+
+// Selecting text in one part offers it for "Add Selection", widened to whole words
+reviewText.addEventListener('mouseup', () => {
+  if (!reviewState) return;
+  const selection = window.getSelection();
+  reviewState.selection = null;
+  reviewAddSelectionBtn.disabled = true;
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+  const range = selection.getRangeAt(0);
+  const bodyOf = (node) => (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement).closest('.review-segment-text');
+  const startBody = bodyOf(range.startContainer);
+  if (!startBody || startBody !== bodyOf(range.endContainer)) return;
+
+  const text = reviewState.segments[Number(startBody.dataset.segment)].text;
+  const before = document.createRange();
+  before.selectNodeContents(startBody);
+  before.setEnd(range.startContainer, range.startOffset);
+  let start = before.toString().length;
+  let end = start + range.toString().length;
+  while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+  while (end < text.length && WORD_CHAR.test(text[end])) end++;
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (end > start) {
+    reviewState.selection = text.slice(start, end);
+    reviewAddSelectionBtn.disabled = false;
+  }
+});
+
+reviewAddSelectionBtn.addEventListener('click', () => {
+  const type = reviewAddType.value.trim().toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+  if (!/^[A-Z]/.test(type)) {
+    reviewAddType.focus();
+    return;
+  }
+  const key = `${type}\u0000${reviewState.selection}`;
+  const existing = reviewState.entities.get(key);
+  if (existing) {
+    existing.replace = true;
+  } else {
+    reviewState.entities.set(key, {
+      text: reviewState.selection,
+      type,
+      newType: type,
+      origin: 'added',
+      replace: true,
+      score: 1,
+      count: 0,
+      wholeWord: true
+    });
+  }
+  reviewState.selection = null;
+  reviewAddSelectionBtn.disabled = true;
+  window.getSelection().removeAllRanges();
+  renderReviewText();
+  renderReviewEntities();
+});
+
+/**
+ * The occurrences the reviewer decided differently from detection alone:
+ * rejected or retyped detections, accepted held-back values and added ones.
+ * They apply to this file only, where they were shown.
+ */
+function getReviewDecisions() {
+  const decisions = [];
+  reviewState.segments.forEach((segment, index) => {
+    reviewRanges(segment).forEach(({ start, end, key, origin }) => {
+      const entity = reviewState.entities.get(key);
+      const changed = origin === 'detected' ? !entity.replace || entity.newType !== entity.type : entity.replace;
+      if (changed) {
+        decisions.push({ segment: index, start, end, text: segment.text.slice(start, end), type: entity.newType, replace: entity.replace });
+      }
+    });
+  });
+  return decisions;
+}
+
+/**
+ * The same decisions as dictionary terms for later runs: deny terms for
+ * added, retyped or accepted held-back values, allow terms for rejected
+ * detections.
+ */
+function getReviewTerms() {
+  const deny = [];
+  const allow = [];
+  reviewState.entities.forEach((entity) => {
+    if (entity.origin === 'detected' && !entity.replace) {
+      allow.push({ term: entity.text });
+    } else if (entity.replace && (entity.origin !== 'detected' || entity.newType !== entity.type)) {
+      deny.push({ term: entity.text, type: entity.newType, wholeWord: entity.wholeWord });
+    }
+  });
+  return { deny, allow };
+}
+
+// Appends review terms to the always / never redact lists, skipping known terms
+function addTermsToDictionaries(terms) {
+  Object.entries(terms).forEach(([name, entries]) => {
+    const inputs = dictionaryInputs[name];
+    const known = new Set(inputs.terms.value.split('\n').map((line) => line.split('=>')[0].trim().toLowerCase()));
+    const lines = entries
+      .filter(({ term }) => !known.has(term.toLowerCase()))
+      .map(({ term, type }) => (name === 'deny' ? `${term} => ${type}` : term));
+    if (lines.length === 0) return;
+    const current = inputs.terms.value.trim();
+    inputs.terms.value = current ? `${current}\n${lines.join('\n')}` : lines.join('\n');
+  });
+  saveDictionaries();
+}
+
+function closeReview(decisions) {
+  reviewModal.classList.remove('show');
+  const { resolve } = reviewState;
+  reviewState = null;
+  reviewText.innerHTML = '';
+  reviewEntities.innerHTML = '';
+  resolve(decisions);
+}
+
+reviewWriteBtn.addEventListener('click', () => {
+  if (reviewSaveDictionaries.checked) addTermsToDictionaries(getReviewTerms());
+  closeReview(getReviewDecisions());
+});
+reviewSkipBtn.addEventListener('click', () => closeReview(null));
+
+// Lists the batch's files with their detections and links to their reports
+async function showAuditReport(batchId, rows) {
+  auditFilesBody.innerHTML = '';
+  rows.forEach(({ name, result }) => {
+    const tr = document.createElement('tr');
+    const cells = result.success
+      ? [
+          name,
+          String(Object.values(result.entityCounts).reduce((sum, count) => sum + count, 0)),
+          String(result.review.length),
+          Object.entries(result.entityCounts).map(([type, count]) => `${type} ${count}`).join(', ')
+        ]
+      : [name, '', '', `Failed: ${result.error}`];
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    if (!result.success) tr.lastChild.classList.add('failed');
+
+    const linkCell = document.createElement('td');
+    if (result.success && result.auditPaths && result.auditPaths.html) {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = 'Open report';
+      link.onclick = async (e) => {
+        e.preventDefault();
+        await ipcRenderer.invoke('open-audit-report', result.auditPaths.html);
+      };
+      linkCell.appendChild(link);
+    }
+    tr.appendChild(linkCell);
+    auditFilesBody.appendChild(tr);
+  });
+
+  const summary = await ipcRenderer.invoke('write-audit-summary', batchId);
+  if (summary.success && summary.paths.html) {
+    openAuditSummaryLink.classList.remove('hidden');
+    openAuditSummaryLink.onclick = async (e) => {
+      e.preventDefault();
+      await ipcRenderer.invoke('open-audit-report', summary.paths.html);
+    };
+  } else {
+    openAuditSummaryLink.classList.add('hidden');
+  }
+  auditReportDiv.classList.remove('hidden');
+}
+
 // Basic file logic
 async function handleInputItems(fileList) {
   for (let i = 0; i < fileList.length; i++) {
@@ -304,9 +1145,9 @@ async function handleInputItems(fileList) {
       if (!fileItem) continue;
     }
     try {
-      const stats = fs.lstatSync(fileItem.path);
-      if (stats.isDirectory()) {
-        const filesFromFolder = getFilesFromDirectory(fileItem.path);
+      const stats = await ipcRenderer.invoke('get-file-stats', fileItem.path);
+      if (stats && stats.isDirectory) {
+        const filesFromFolder = await scanFolder(fileItem.path);
         filesFromFolder.forEach((f) => addFile(f));
       } else {
         addFile({ path: fileItem.path, name: fileItem.name });
@@ -344,50 +1185,37 @@ function createTempFile(fileItem) {
   });
 }
 
-function getFilesFromDirectory(dirPath, maxDepth = 10, currentDepth = 0) {
-  // Security: Add recursion depth limit to prevent stack overflow
-  if (currentDepth >= maxDepth) {
-    console.warn(`Max recursion depth (${maxDepth}) reached for: ${dirPath}`);
+const splitPatterns = (value) => value.split(',').map((pattern) => pattern.trim()).filter(Boolean);
+
+// Lists a folder's supported files in the main process; each keeps its
+// subfolder (relativeDir) so outputs can mirror the folder's tree
+async function scanFolder(dirPath) {
+  const depth = parseInt(scanDepthInput.value, 10);
+  const result = await ipcRenderer.invoke('scan-directory', {
+    dirPath,
+    options: {
+      include: splitPatterns(scanIncludeInput.value),
+      exclude: splitPatterns(scanExcludeInput.value),
+      includeHidden: scanHiddenToggle.checked,
+      followSymlinks: scanSymlinksToggle.checked,
+      maxDepth: Number.isInteger(depth) && depth >= 0 ? depth : undefined
+    }
+  });
+  if (!result.success) {
+    showStatus(`Error reading folder: ${result.error}`, 'error');
     return [];
   }
-  
-  let results = [];
-  try {
-    const list = fs.readdirSync(dirPath);
-    
-    // Security: Limit number of files to prevent memory issues
-    if (list.length > 10000) {
-      console.warn(`Directory has too many files (${list.length}), skipping: ${dirPath}`);
-      return [];
-    }
-    
-    list.forEach((file) => {
-      const filePath = path.join(dirPath, file);
-      
-      try {
-        const stat = fs.statSync(filePath);
-        if (stat && stat.isDirectory()) {
-          results = results.concat(getFilesFromDirectory(filePath, maxDepth, currentDepth + 1));
-        } else {
-          const ext = path.extname(file).toLowerCase();
-          if (['.doc','.docx','.xls','.xlsx','.csv','.pdf','.txt'].includes(ext)) {
-            results.push({ path: filePath, name: file });
-          }
-        }
-      } catch (err) {
-        console.error(`Error accessing ${filePath}: ${err.message}`);
-      }
-    });
-  } catch (err) {
-    console.error(`Error reading directory ${dirPath}: ${err.message}`);
+  if (result.truncated) {
+    showStatus(`Only the first ${result.files.length} files of the folder were added.`, 'error');
+  } else if (result.skipped.depth > 0) {
+    showStatus(`${result.skipped.depth} subfolder(s) deeper than the scan limit were skipped.`, 'error');
   }
-  
-  return results;
+  return result.files;
 }
 
 function addFile(fileObj) {
   const ext = path.extname(fileObj.path).toLowerCase();
-  if (['.doc','.docx','.xls','.xlsx','.csv','.pdf','.txt'].includes(ext)) {
+  if (['.doc','.docx','.xls','.xlsx','.csv','.json','.jsonl','.html','.htm','.md','.markdown','.eml','.mbox','.pdf','.txt'].includes(ext)) {
     if (!selectedFiles.find((f) => f.path === fileObj.path)) {
       selectedFiles.push(fileObj);
     }
@@ -397,6 +1225,8 @@ function addFile(fileObj) {
 }
 
 function updateFileListUI() {
+  refreshCsvColumns();
+  refreshJsonFields();
   filesUl.innerHTML = '';
   if (selectedFiles.length === 0) {
     fileListDiv.classList.add('hidden');
@@ -405,7 +1235,7 @@ function updateFileListUI() {
   fileListDiv.classList.remove('hidden');
   selectedFiles.forEach(file => {
     const li = document.createElement('li');
-    li.textContent = file.name;
+    li.textContent = file.relativeDir ? `${file.relativeDir}/${file.name}` : file.name;
     filesUl.appendChild(li);
   });
 }
@@ -428,12 +1258,96 @@ function showStatus(message, type) {
   statusDiv.classList.remove('hidden');
 }
 
+// Re-identify a document with its key file
+selectRestoreFilesBtn.addEventListener('click', async () => {
+  const selection = await ipcRenderer.invoke('select-restore-files');
+  if (!selection) return;
+  restoreFiles = selection;
+  restoreSelection.textContent = `${path.basename(selection.filePath)} + ${path.basename(selection.keyPath)}`;
+  restoreSelection.classList.remove('hidden');
+  restoreButton.disabled = false;
+});
+
+restoreButton.addEventListener('click', async () => {
+  if (!restoreFiles) return;
+  restoreButton.disabled = true;
+  const result = await ipcRenderer.invoke('restore-file', {
+    filePath: restoreFiles.filePath,
+    keyPath: restoreFiles.keyPath,
+    password: restorePasswordInput.value,
+    outputDir: outputDirectory
+  });
+  restorePasswordInput.value = '';
+  if (result.success) {
+    showStatus(`Restored: ${path.basename(result.outputPath)}`, 'success');
+    restoreFiles = null;
+    restoreSelection.classList.add('hidden');
+  } else {
+    showStatus(`Restore failed: ${result.error}`, 'error');
+    restoreButton.disabled = false;
+  }
+});
+
 // Logs from main -> renderer
 ipcRenderer.on('log-message', (event, msg) => {
   logArea.classList.remove('hidden');
   logMessages.textContent = `Status: ${msg}`;
 });
 
+ipcRenderer.on('batch-file-done', (progress) => {
+  if (batchProgress) batchProgress(progress);
+});
+
+const PROGRESS_STAGES = { chunk: 'section', page: 'page', sheet: 'sheet', part: 'part', line: 'line', message: 'message' };
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// "report.pdf: page 3/12 · 41 entities · file 2/5 · about 4 min left"
+ipcRenderer.on('job-progress', (progress) => {
+  if (!jobState || jobState.cancelled) return;
+  const details = [];
+  if (progress.event === 'file-progress' && progress.total) {
+    // Streamed files report lines read so far, without a total
+    const count = progress.total ? `${progress.done}/${progress.total}` : progress.done;
+    details.push(`${progress.file}: ${PROGRESS_STAGES[progress.stage] || progress.stage} ${count}`);
+  } else if (progress.event === 'file-start') {
+    details.push(`${progress.file}: starting`);
+  } else {
+    details.push(`${progress.file}: done`);
+  }
+  details.push(`${progress.entities} entit${progress.entities === 1 ? 'y' : 'ies'}`);
+  if (progress.filesTotal > 1) {
+    details.push(`file ${Math.min(progress.filesDone + 1, progress.filesTotal)}/${progress.filesTotal}`);
+  }
+  if (progress.etaMs !== null) {
+    details.push(`about ${formatDuration(progress.etaMs)} left`);
+  }
+  jobStatus.textContent = details.join(' · ');
+});
+
+pauseJobBtn.addEventListener('click', async () => {
+  if (!jobState) return;
+  jobState.paused = !jobState.paused;
+  await ipcRenderer.invoke(jobState.paused ? 'pause-batch' : 'resume-batch');
+  pauseJobBtn.innerHTML = jobState.paused
+    ? `<i class="fas fa-play"></i> Resume`
+    : `<i class="fas fa-pause"></i> Pause`;
+});
+
+cancelJobBtn.addEventListener('click', async () => {
+  if (!jobState) return;
+  jobState.cancelled = true;
+  pauseJobBtn.disabled = true;
+  cancelJobBtn.disabled = true;
+  jobStatus.textContent = 'Cancelling...';
+  await ipcRenderer.invoke('cancel-batch');
+});
+
 // Updates functionality removed for security reasons
 // See REMEDIATION_GUIDE.md for implementing secure auto-update using electron-updater
 
@@ -539,10 +1453,16 @@ function updateProUI() {
     proButton.classList.remove('pro-upgrade');
     proButton.classList.add('pro-active');
     proInfoLink.textContent = 'Manage Plan';
+    exportKeyToggle.disabled = false;
+    exportKeyProBadge.classList.add('hidden');
   } else {
     proButton.innerHTML = `<i class="fas fa-gem"></i> Upgrade to Pro`;
     proButton.classList.remove('pro-active');
     proButton.classList.add('pro-upgrade');
     proInfoLink.textContent = "What's Included in Pro?";
+    exportKeyToggle.checked = false;
+    exportKeyToggle.disabled = true;
+    exportKeyProBadge.classList.remove('hidden');
+    keyPasswordInput.classList.add('hidden');
   }
 }
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+
+/**
+ * How a detected entity is replaced:
+ *   label     - numbered pseudonym (FIRSTNAME_1), the default
+ *   mask      - characters starred out, the tail of numbers kept (****-1234)
+ *   hash      - keyed HMAC token, stable for the scope's key
+ *   synthetic - realistic fake value of the same kind (a name for a name)
+ *   remove    - deleted from the text
+ * Strategies are chosen per entity type; PseudonymScope applies them through
+ * its entity => replacement mapping, so each entity is replaced the same way
+ * everywhere in the scope.
+ */
+
+export const REPLACEMENT_STRATEGIES = ['label', 'mask', 'hash', 'synthetic', 'remove'];
+export const DEFAULT_STRATEGY = 'label';
+
+const MASK_CHAR = '*';
+// Values with at least this many digits are numbers: their last digits stay
+const MASK_NUMBER_MIN_DIGITS = 6;
+const MASK_VISIBLE_TAIL = 4;
+
+/**
+ * Strategy for an entity type from a { default, <TYPE>: strategy } map.
+ */
+export function strategyFor(strategies, type) {
+  if (!strategies) return DEFAULT_STRATEGY;
+  const strategy = Object.hasOwn(strategies, type) ? strategies[type] : strategies.default;
+  return REPLACEMENT_STRATEGIES.includes(strategy) ? strategy : DEFAULT_STRATEGY;
+}
+
+/**
+ * Stars out a value, keeping its separators. Numbers keep their last four
+ * digits (4111 1111 1111 1234 => **** **** **** 1234); words keep their
+ * first letter (John Smith => J*** S****).
+ */
+export function maskValue(value) {
+  const digits = (value.match(/\d/g) || []).length;
+  if (digits >= MASK_NUMBER_MIN_DIGITS) {
+    let visible = MASK_VISIBLE_TAIL;
+    const chars = [...value];
+    for (let i = chars.length - 1; i >= 0; i--) {
+      if (!/[\p{L}\p{N}]/u.test(chars[i])) continue;
+      if (visible > 0) {
+        visible--;
+      } else {
+        chars[i] = MASK_CHAR;
+      }
+    }
+    return chars.join('');
+  }
+  return value.replace(/([\p{L}\p{N}])([\p{L}\p{N}]*)/gu, (match, first, rest) => first + MASK_CHAR.repeat([...rest].length));
+}
+
+/**
+ * Returns a function giving integers in [0, n), derived from `seed`.
+ */
+function seededRandom(seed) {
+  let block = 0;
+  let bytes = Buffer.alloc(0);
+  let pos = 0;
+  return (n) => {
+    if (pos + 4 > bytes.length) {
+      bytes = crypto.createHash('sha256').update(`${seed}:${block++}`).digest();
+      pos = 0;
+    }
+    const value = bytes.readUInt32BE(pos);
+    pos += 4;
+    return value % n;
+  };
+}
+
+const FIRST_NAMES = [
+  'James', 'Mary', 'Robert', 'Patricia', 'Michael', 'Linda', 'David', 'Barbara', 'Daniel', 'Susan',
+  'Thomas', 'Karen', 'Mark', 'Nancy', 'Paul', 'Laura', 'Steven', 'Emily', 'Andrew', 'Helen',
+  'Lukas', 'Sofia', 'Mateo', 'Amira', 'Noah', 'Yuki', 'Omar', 'Elena', 'Ravi', 'Chloe',
+];
+const LAST_NAMES = [
+  'Smith', 'Johnson', 'Brown', 'Miller', 'Davis', 'Wilson', 'Moore', 'Taylor', 'Clark', 'Lewis',
+  'Walker', 'Hall', 'Young', 'King', 'Wright', 'Hill', 'Green', 'Baker', 'Nelson', 'Carter',
+  'Fischer', 'Rossi', 'Novak', 'Silva', 'Tanaka', 'Haddad', 'Kowalski', 'Larsen', 'Patel', 'Moreau',
+];
+const STREET_NAMES = ['Oak', 'Maple', 'Cedar', 'Elm', 'Pine', 'Lake', 'Hill', 'Park', 'Mill', 'River', 'Church', 'Station'];
+const STREET_SUFFIXES = ['Street', 'Avenue', 'Road', 'Lane', 'Drive', 'Way', 'Court'];
+const CITIES = ['Springfield', 'Riverton', 'Fairview', 'Lakeside', 'Greenville', 'Brookfield', 'Milford', 'Ashford', 'Kingston', 'Oakridge'];
+const STATES = ['Northland', 'Westshire', 'Eastmark', 'Southvale', 'Highmoor', 'Lowfield'];
+const COUNTRIES = ['Freedonia', 'Ruritania', 'Genovia', 'Elbonia', 'Florin', 'Latveria'];
+const COMPANIES = ['Northwind Traders', 'Contoso Ltd', 'Fabrikam Inc', 'Globex Corporation', 'Initech', 'Acme Corporation', 'Umbrella Works', 'Wayne Holdings'];
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+// Entity types with a generator of their own, by exact label (model labels,
+// pattern types and query parameter names). Anything else, such as
+// BITCOINADDRESS or ACCOUNTNAME, gets a value of the same shape.
+const SYNTHETIC_KINDS = new Map(Object.entries({
+  email: ['EMAIL', 'MAIL'],
+  username: ['USERNAME', 'USER', 'USERID', 'LOGIN', 'HANDLE'],
+  ip: ['IP', 'IPV4', 'IPV6', 'IPADDRESS'],
+  firstName: ['FIRSTNAME', 'GIVENNAME', 'MIDDLENAME'],
+  lastName: ['LASTNAME', 'SURNAME', 'FAMILYNAME'],
+  company: ['COMPANY', 'COMPANYNAME', 'COMPANY_NAME', 'ORG', 'ORGANIZATION', 'ORGANISATION'],
+  fullName: ['NAME', 'FULLNAME', 'DISPLAYNAME', 'PERSON', 'PER', 'AUTHOR'],
+  street: ['STREET', 'STREETADDRESS', 'ADDRESS'],
+  city: ['CITY', 'TOWN'],
+  state: ['STATE', 'COUNTY', 'REGION', 'PROVINCE'],
+  country: ['COUNTRY'],
+}).flatMap(([kind, types]) => types.map((type) => [type, kind])));
+
+/**
+ * Replaces every letter and digit with a random one of the same kind, so
+ * identifiers keep their shape (AB12-3456 => QF70-9412). Hex values stay hex.
+ */
+function shapedValue(value, next) {
+  const hex = /^[0-9A-Fa-f:.-]+$/.test(value) && /[A-Fa-f]/.test(value);
+  return value.replace(/[\p{L}\p{N}]/gu, (ch) => {
+    if (/\d/.test(ch)) return String(next(10));
+    if (hex && /[A-Fa-f]/.test(ch)) {
+      const letter = 'abcdef'[next(6)];
+      return ch === ch.toUpperCase() ? letter.toUpperCase() : letter;
+    }
+    const letter = String.fromCharCode(97 + next(26));
+    return ch === ch.toUpperCase() ? letter.toUpperCase() : letter;
+  });
+}
+
+/**
+ * A fake value of the same kind as `value`, picked by its entity type.
+ * `seed` makes the choice repeatable.
+ */
+export function syntheticValue(value, type, seed) {
+  const next = seededRandom(seed);
+  const pick = (list) => list[next(list.length)];
+
+  switch (SYNTHETIC_KINDS.get(String(type).toUpperCase())) {
+    case 'email':
+      return `${pick(FIRST_NAMES)}.${pick(LAST_NAMES)}@${pick(EMAIL_DOMAINS)}`.toLowerCase();
+    case 'username':
+      return `${pick(FIRST_NAMES)}${pick(LAST_NAMES)}${next(100)}`.toLowerCase();
+    case 'ip':
+      // Documentation address ranges (RFC 5737 / RFC 3849)
+      return value.includes(':') ? `2001:db8::${(next(0xfffe) + 1).toString(16)}` : `192.0.2.${next(254) + 1}`;
+    case 'firstName': return pick(FIRST_NAMES);
+    case 'lastName': return pick(LAST_NAMES);
+    case 'company': return pick(COMPANIES);
+    case 'fullName': return `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`;
+    case 'street': return `${next(980) + 10} ${pick(STREET_NAMES)} ${pick(STREET_SUFFIXES)}`;
+    case 'city': return pick(CITIES);
+    case 'state': return pick(STATES);
+    case 'country': return pick(COUNTRIES);
+    default: return shapedValue(value, next);
+  }
+}
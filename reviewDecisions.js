@@ -0,0 +1,56 @@
+/**
+ * Applies the decisions made on the review screen when the reviewed file is
+ * written. A decision is about one occurrence in the preview (see
+ * FileProcessor.previewFile): { segment, start, end, text, type, replace },
+ * where segment is the index of the text part in the preview and start/end
+ * are offsets into that part.
+ *
+ * replace: false keeps a detected value as it is; replace: true applies a
+ * held-back detection, gives a detection the reviewer's type, or adds a value
+ * the reviewer selected. Detection runs over the same text parts in the same
+ * order when the file is written, so decisions are matched by part index; one
+ * whose text is not at its offsets any more is ignored.
+ */
+
+/**
+ * Groups decisions by text part. `next` is the index of the part detection
+ * reaches next, shared by the engines of a file and its attachments.
+ */
+export function createReviewProgress(decisions) {
+  const bySegment = new Map();
+  for (const decision of decisions) {
+    if (!bySegment.has(decision.segment)) bySegment.set(decision.segment, []);
+    bySegment.get(decision.segment).push(decision);
+  }
+  return { bySegment, next: 0 };
+}
+
+/**
+ * Applies the decisions on the next text part to its detections. Values the
+ * reviewer chose to replace win over overlapping detections.
+ * Returns { spans, heldBack } like the detections it was given.
+ */
+export function applyReviewDecisions(progress, text, { spans, heldBack }) {
+  const decisions = (progress.bySegment.get(progress.next++) || [])
+    .filter((decision) => text.slice(decision.start, decision.end) === decision.text);
+  if (decisions.length === 0) {
+    return { spans, heldBack };
+  }
+
+  let applied = spans;
+  let held = heldBack;
+  for (const { start, end, text: value, type, replace } of decisions) {
+    const isAt = (span) => span.start === start && span.end === end;
+    if (!replace) {
+      applied = applied.filter((span) => !isAt(span));
+      continue;
+    }
+    const detected = applied.find(isAt) || held.find(isAt);
+    held = held.filter((span) => !isAt(span));
+    applied = applied.filter((span) => span.end <= start || end <= span.start);
+    applied.push(detected
+      ? { ...detected, type }
+      : { start, end, text: value, type, score: 1, source: 'review' });
+  }
+  return { spans: applied.sort((a, b) => a.start - b.start), heldBack: held };
+}
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { API_HOST, createApiServer, generateApiToken } from '../apiServer.js';
+
+test('an API request with an unknown strategy is rejected with 400 naming it', async () => {
+  const token = generateApiToken();
+  const server = createApiServer({ token });
+  await new Promise((resolve) => server.listen(0, API_HOST, resolve));
+  try {
+    const response = await fetch(`http://${API_HOST}:${server.address().port}/v1/anonymize/text`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'Call Jane Doe', options: { replacementStrategies: { NAME: 'scramble' } } }),
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /^Invalid option replacementStrategies\.NAME /);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
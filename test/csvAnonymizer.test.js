@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { anonymizeCsv } from '../csvAnonymizer.js';
+import { sniffDialect } from '../csvTable.js';
+import { detectPatterns } from '../patternDetectors.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./data/${name}`, import.meta.url), 'utf8');
+
+// Text engine with the pattern detectors standing in for the model
+function createPatternEngine() {
+  const mapping = new Map();
+  return {
+    findSpans: async (text) => detectPatterns(text).map((span) => {
+      if (!mapping.has(span.text)) mapping.set(span.text, `${span.type}_${mapping.size + 1}`);
+      return { ...span, replacement: mapping.get(span.text) };
+    }),
+    pseudonymize: (value, type) => `${type}_X`,
+    hash: () => 'hash',
+  };
+}
+
+test('a headerless file whose first row looks like labels is read as data', () => {
+  assert.equal(sniffDialect(fixture('headerless-people.csv')).hasHeader, false);
+});
+
+test('the first row of a headerless file is anonymized', async () => {
+  const output = await anonymizeCsv(fixture('headerless-people.csv'), createPatternEngine());
+  assert.doesNotMatch(output, /jane@acme\.com|john@x\.org/);
+  assert.equal(output.split('\n')[0], 'Jane Doe;EMAIL_1;12');
+});
+
+test('header cells are scanned too, and named columns keep their policies', async () => {
+  const csv = 'Name,Hotline +1 555 123 4567\nJane Roe,12\nJohn Fox,13\n';
+  const output = await anonymizeCsv(csv, createPatternEngine(), { name: 'redact' });
+  assert.equal(output, 'Name,Hotline PHONENUMBER_1\nNAME_X,12\nNAME_X,13\n');
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+
+import { anonymizeDocx } from '../docxRewriter.js';
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+async function buildDocx(parts) {
+  const zip = new JSZip();
+  for (const [name, xml] of Object.entries(parts)) zip.file(name, xml);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function readPart(buffer, name) {
+  return (await JSZip.loadAsync(buffer)).file(name).async('string');
+}
+
+// Finds the given names wherever they are in the text, like the model would
+function createNameEngine(names) {
+  const mapping = new Map();
+  const pseudonym = (value, type = 'NAME') => {
+    if (!mapping.has(value)) mapping.set(value, `${type}_${mapping.size + 1}`);
+    return mapping.get(value);
+  };
+  const findSpans = async (text) => names.flatMap((name) =>
+    [...text.matchAll(new RegExp(name, 'g'))].map((match) => ({
+      start: match.index, end: match.index + name.length, text: name, type: 'NAME', replacement: pseudonym(name),
+    })));
+  return {
+    mapping,
+    findSpans,
+    anonymizeText: async (text) => {
+      let result = text;
+      for (const name of names) result = result.replaceAll(name, pseudonym(name));
+      return result;
+    },
+    pseudonymize: (value, type) => pseudonym(value, type),
+    progress: async () => {},
+  };
+}
+
+test('placeholder authors of comments, revisions and properties are kept', async () => {
+  const engine = createNameEngine([]);
+  const docx = await buildDocx({
+    'word/comments.xml': `<w:comments ${W}><w:comment w:id="0" w:author="Author" w:initials="A"/>` +
+      `<w:comment w:id="1" w:author="Jane Doe" w:initials="JD"/><w:comment w:id="2" w:author="Un-named"/></w:comments>`,
+    'docProps/core.xml': '<cp:coreProperties><dc:creator>Microsoft Office User</dc:creator>' +
+      '<cp:lastModifiedBy>Jane Doe</cp:lastModifiedBy></cp:coreProperties>',
+  });
+  const output = await anonymizeDocx(docx, engine);
+
+  const comments = await readPart(output, 'word/comments.xml');
+  assert.match(comments, /w:author="Author" w:initials=""/);
+  assert.match(comments, /w:author="AUTHOR_1" w:initials=""/);
+  assert.match(comments, /w:author="Un-named"/);
+  assert.match(await readPart(output, 'docProps/core.xml'), /<dc:creator>Microsoft Office User<\/dc:creator><cp:lastModifiedBy>AUTHOR_1</);
+  assert.deepEqual([...engine.mapping.keys()], ['Jane Doe']);
+});
+
+test('a name split across runs is replaced in its first run, formatting kept', async () => {
+  const xml = `<w:document ${W}><w:body><w:p><w:r><w:t>Dear Ja</w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>ne</w:t></w:r>` +
+    '<w:r><w:t xml:space="preserve"> Doe, thanks.</w:t></w:r></w:p></w:body></w:document>';
+  const output = await anonymizeDocx(await buildDocx({ 'word/document.xml': xml }), createNameEngine(['Jane Doe']));
+  assert.equal(await readPart(output, 'word/document.xml'),
+    `<w:document ${W}><w:body><w:p><w:r><w:t xml:space="preserve">Dear NAME_1</w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve"></w:t></w:r>` +
+    '<w:r><w:t xml:space="preserve">, thanks.</w:t></w:r></w:p></w:body></w:document>');
+});
+
+test('names do not run across paragraphs, tabs or field codes', async () => {
+  const xml = `<w:document ${W}><w:body><w:p><w:r><w:t>Jane</w:t></w:r></w:p><w:p><w:r><w:t>Doe</w:t></w:r></w:p>` +
+    '<w:p><w:r><w:t>Jane</w:t><w:tab/><w:t>Doe</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:instrText>HYPERLINK "mailto:jane"</w:instrText><w:t>Doe</w:t></w:r></w:p></w:body></w:document>';
+  const output = await anonymizeDocx(await buildDocx({ 'word/document.xml': xml }), createNameEngine(['Jane Doe', 'jane"Doe']));
+  assert.equal(await readPart(output, 'word/document.xml'), xml);
+});
+
+test('escaped text is matched and written back escaped, and external links are anonymized', async () => {
+  const docx = await buildDocx({
+    'word/document.xml': `<w:document ${W}><w:body><w:p><w:r><w:t>Tom &amp; Jane Doe</w:t></w:r></w:p></w:body></w:document>`,
+    'word/_rels/document.xml.rels': '<Relationships><Relationship Id="rId1" Target="mailto:Jane Doe" TargetMode="External"/>' +
+      '<Relationship Id="rId2" Target="styles.xml"/></Relationships>',
+  });
+  const output = await anonymizeDocx(docx, createNameEngine(['Jane Doe']));
+  assert.match(await readPart(output, 'word/document.xml'), /<w:t xml:space="preserve">Tom &amp; NAME_1<\/w:t>/);
+  assert.match(await readPart(output, 'word/_rels/document.xml.rels'), /Target="mailto:NAME_1" TargetMode="External"\/><Relationship Id="rId2" Target="styles.xml"\/>/);
+});
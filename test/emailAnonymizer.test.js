@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { anonymizeEmail, anonymizeMbox } from '../emailAnonymizer.js';
+
+// Mail engine that replaces the given names with numbered pseudonyms
+function createMailEngine(names) {
+  const mapping = new Map();
+  const pseudonym = (value, type = 'NAME') => {
+    const key = `${type}:${value}`;
+    if (!mapping.has(key)) mapping.set(key, `${type}_${mapping.size + 1}`);
+    return mapping.get(key);
+  };
+  const replaceNames = (text) => names.reduce((result, name) => result.replaceAll(name, pseudonym(name)), text);
+  return {
+    findSpans: async (text) => names
+      .flatMap((name) => [...text.matchAll(new RegExp(name, 'g'))].map((match) => ({
+        start: match.index, end: match.index + name.length, text: name, type: 'NAME', replacement: pseudonym(name),
+      })))
+      .sort((a, b) => a.start - b.start),
+    anonymizeText: async (text) => replaceNames(text),
+    pseudonymize: (value, type) => pseudonym(value, type),
+    pseudonymizeAddress: (address, name) => `${(name || pseudonym(address, 'EMAIL')).toLowerCase()}@example.com`,
+    hash: (value) => `h${[...value].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7).toString(16)}`,
+    anonymizeAttachment: async (content, fileName) => (fileName.endsWith('.txt')
+      ? { output: Buffer.from(replaceNames(content.toString('utf8'))), extension: '.txt' }
+      : null),
+    progress: async () => {},
+  };
+}
+
+const anonymize = async (lines, names = ['Jane Doe']) =>
+  (await anonymizeEmail(Buffer.from(lines.join('\r\n'), 'latin1'), createMailEngine(names))).toString('latin1');
+
+test('display names, addresses and encoded subjects are anonymized in headers', async () => {
+  const output = await anonymize([
+    'From: Jane Doe <jane@acme.com>',
+    'To: bob@corp.example',
+    'Subject: =?UTF-8?Q?Hi_from_Jane_Doe?=',
+    'X-Mailer: Mail 1.0',
+    '',
+    'Hello',
+  ]);
+  assert.match(output, /^From: NAME_1 <name_1@example\.com>\r\n/);
+  assert.match(output, /\r\nTo: email_\d+@example\.com\r\n/);
+  assert.match(output, /\r\nSubject: Hi from NAME_1\r\n/);
+  assert.match(output, /\r\nX-Mailer: Mail 1\.0\r\n\r\nHello$/);
+  assert.doesNotMatch(output, /Jane|acme/);
+});
+
+test('message ids are hashed in a reserved domain and equal ids hash alike', async () => {
+  const output = await anonymize([
+    'From: bob@corp.example',
+    'Message-ID: <CAJane.Doe.123@mail.acme.com>',
+    'In-Reply-To: <abc@corp.example>',
+    'References: <root@corp.example> <abc@corp.example>',
+    '',
+    'Hello',
+  ]);
+  const ids = (header) => new RegExp(`\\r\\n${header}: ([^\\r]*)`).exec(output)[1].split(' ');
+  for (const id of [...ids('Message-ID'), ...ids('In-Reply-To'), ...ids('References')]) {
+    assert.match(id, /^<h[0-9a-f]+@example\.invalid>$/);
+  }
+  assert.equal(ids('References')[1], ids('In-Reply-To')[0]);
+  assert.notEqual(ids('References')[0], ids('References')[1]);
+  assert.doesNotMatch(output, /acme|corp\.example>/);
+});
+
+test('trace headers are dropped, folded lines and the last header line included', async () => {
+  const output = await anonymize([
+    'Received: from mail.acme.com (mail.acme.com [203.0.113.5])',
+    '\tby mx.example.net; Mon, 1 Jan 2024 10:00:00 +0000',
+    'From: bob@corp.example',
+    'DKIM-Signature: v=1; d=acme.com; s=sel;',
+    '  b=abc',
+    'Subject: Hello',
+    'X-Originating-IP: [203.0.113.5]',
+    '',
+    'Body',
+  ]);
+  assert.match(output, /^From: email_\d+@example\.com\r\nSubject: Hello\r\n\r\nBody$/);
+});
+
+test('quoted-printable bodies are decoded, anonymized and written back', async () => {
+  const output = await anonymize([
+    'From: bob@corp.example',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Regards, Jane Doe =E2=80=93 Acme',
+  ]);
+  assert.match(output, /\r\n\r\nRegards, NAME_\d+ =E2=80=93 Acme/);
+});
+
+test('attachments are anonymized like files and unsupported ones replaced by a note', async () => {
+  const output = await anonymize([
+    'From: bob@corp.example',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain',
+    '',
+    'See attached',
+    '--b1',
+    'Content-Type: text/plain; name="Jane Doe notes.txt"',
+    'Content-Disposition: attachment; filename="Jane Doe notes.txt"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('Call Jane Doe').toString('base64'),
+    '--b1',
+    'Content-Type: image/png',
+    'Content-Disposition: attachment; filename="photo.png"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    'iVBORw0KGgo=',
+    '--b1--',
+    '',
+  ]);
+  assert.match(output, /filename="NAME_\d+ notes\.txt"/);
+  const attachment = /base64\r\n\r\n(\S+)/.exec(output)[1];
+  assert.match(Buffer.from(attachment, 'base64').toString('utf8'), /^Call NAME_\d+$/);
+  assert.match(output, /filename=photo\.png\.removed\.txt/);
+  assert.match(output, /This attachment \(image\/png\) was removed/);
+  assert.doesNotMatch(output, /iVBORw0KGgo|Jane/);
+});
+
+test('mbox messages are anonymized one by one, "From " lines included', async () => {
+  const mbox = [
+    'From jane@acme.com Mon Jan  1 10:00:00 2024',
+    'From: Jane Doe <jane@acme.com>',
+    'Message-ID: <1@acme.com>',
+    'Received: by mx.acme.com',
+    '',
+    'Hi Bob',
+    '',
+    'From bob@corp.example Mon Jan  1 11:00:00 2024',
+    'From: bob@corp.example',
+    'In-Reply-To: <1@acme.com>',
+    '',
+    '>From Jane Doe: hi',
+    '',
+  ].join('\n');
+  const output = (await anonymizeMbox(Buffer.from(mbox), createMailEngine(['Jane Doe']))).toString();
+  const messages = output.split(/^(?=From )/m);
+  assert.equal(messages.length, 2);
+  assert.match(messages[0], /^From email_\d+@example\.com Mon Jan {2}1 10:00:00 2024\nFrom: NAME_1 <name_1@example\.com>\n/);
+  assert.doesNotMatch(messages[0], /Received/);
+  assert.match(messages[1], /\n>From NAME_1: hi\n/);
+  const messageId = /Message-ID: (\S+)/.exec(messages[0])[1];
+  assert.equal(/In-Reply-To: (\S+)/.exec(messages[1])[1], messageId);
+  assert.doesNotMatch(output, /Jane|acme/);
+});
+
+test('files that are not mailboxes are rejected', async () => {
+  await assert.rejects(
+    anonymizeMbox(Buffer.from('Subject: hi\n\nbody\n'), createMailEngine([])),
+    /Not a valid mbox file/,
+  );
+});
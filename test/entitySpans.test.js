@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  alignTokenOffsets,
+  assignSpansToSegments,
+  findOtherOccurrences,
+  predictionsToSpans,
+  replaceSpans,
+  resolveOverlaps,
+} from '../entitySpans.js';
+
+const span = (start, end, text, source = 'model', extra = {}) => ({ start, end, text, type: 'NAME', score: 0.9, source, ...extra });
+
+test('token offsets are found along the text, special tokens get none', () => {
+  const pieces = ['[CLS]', 'jane', '##t', 'doe', '[SEP]'];
+  const tokenizer = {
+    encode: () => pieces.map((_, index) => index),
+    decode: ([id]) => (pieces[id].startsWith('[') ? '' : pieces[id].replace(/^##/, '')),
+  };
+  assert.deepEqual(alignTokenOffsets('Janet Doe', tokenizer), [
+    null,
+    { start: 0, end: 4 },
+    { start: 4, end: 5 },
+    { start: 6, end: 9 },
+    null,
+  ]);
+});
+
+test('word pieces and I- tags are joined into one span, a new B- tag starts another', () => {
+  const text = 'Janet Doe met Bob';
+  const offsets = [null, { start: 0, end: 4 }, { start: 4, end: 5 }, { start: 6, end: 9 }, { start: 10, end: 13 }, { start: 14, end: 17 }];
+  const predictions = [
+    { index: 1, entity: 'B-NAME', score: 0.9 },
+    { index: 2, entity: 'B-NAME', score: 0.7 },
+    { index: 3, entity: 'I-NAME', score: 0.8 },
+    { index: 5, entity: 'B-NAME', score: 0.6 },
+  ];
+  const spans = predictionsToSpans(text, predictions, offsets);
+  assert.deepEqual(spans.map(({ text: value, type }) => [value, type]), [['Janet Doe', 'NAME'], ['Bob', 'NAME']]);
+  assert.ok(Math.abs(spans[0].score - 0.8) < 1e-9);
+});
+
+test('overlaps go to dictionary terms, then patterns, then the longest model span', () => {
+  const spans = resolveOverlaps([
+    span(0, 9, 'Jane Doe,'),
+    span(0, 8, 'Jane Doe', 'pattern:email'),
+    span(0, 4, 'Jane', 'dictionary'),
+    span(12, 15, 'Bob'),
+    span(12, 13, 'B'),
+    span(20, 20, ''),
+  ]);
+  assert.deepEqual(spans.map((item) => [item.start, item.end, item.source]), [[0, 4, 'dictionary'], [12, 15, 'model']]);
+});
+
+test('other occurrences are found despite spacing and case, and keep the detected text', () => {
+  const text = 'Jane Doe wrote. Later jane  doe and JaneDoes replied.';
+  const found = findOtherOccurrences(text, [span(0, 8, 'Jane Doe')]);
+  assert.deepEqual(found.map((item) => [item.text, item.canonical]), [['Jane Doe', 'Jane Doe'], ['jane  doe', 'Jane Doe']]);
+});
+
+test('spans are replaced at their offsets, however they are ordered', () => {
+  const text = 'Jane met Jane at 10.0.0.1';
+  const spans = [
+    { start: 17, end: 25, replacement: 'IP_1' },
+    { start: 0, end: 4, replacement: 'NAME_1' },
+    { start: 9, end: 13, replacement: 'NAME_1' },
+  ];
+  assert.equal(replaceSpans(text, spans), 'NAME_1 met NAME_1 at IP_1');
+});
+
+test('a span across segments is written to the first and cleared from the rest', () => {
+  const segments = [
+    { offset: 0, text: 'Dear Ja', location: { paragraph: 1 } },
+    { offset: 7, text: 'ne Doe,', location: { paragraph: 1, run: 2 } },
+  ];
+  const spans = [{ start: 5, end: 13, replacement: 'NAME_1' }];
+  assignSpansToSegments(spans, segments);
+  assert.deepEqual(segments.map((segment) => segment.edits), [
+    [{ start: 5, end: 7, replacement: 'NAME_1' }],
+    [{ start: 0, end: 6, replacement: '' }],
+  ]);
+  assert.deepEqual(spans[0].location, { paragraph: 1 });
+  assert.deepEqual(segments.map((segment) => replaceSpans(segment.text, segment.edits)), ['Dear NAME_1', ',']);
+});
+
+test('each part of a span can keep its own replacement', () => {
+  const segments = [{ offset: 0, text: 'Jane' }, { offset: 4, text: ' Doe' }];
+  assignSpansToSegments([{ start: 0, end: 8, replacement: '*' }], segments, { replaceEachPart: true });
+  assert.deepEqual(segments.map((segment) => segment.edits[0].replacement), ['*', '*']);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { expandInputs, globToRegExp, scanDirectory } from '../fileScanner.js';
+
+const EXTENSIONS = ['.txt', '.docx'];
+
+// Creates the given files (and their folders) under a fresh temp folder
+function withTree(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a5-scan-'));
+  try {
+    for (const file of files) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), 'x');
+    }
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const relatives = ({ files }) => files.map((file) => file.relative);
+
+test('globs: "**" spans folders, "*" and "?" stay in one, classes and alternatives', () => {
+  const matches = (glob, paths) => paths.filter((p) => globToRegExp(glob).test(p));
+  assert.deepEqual(matches('cases/**/*.docx', ['cases/a.docx', 'cases/2024/q1/b.docx', 'cases/a.docx.bak', 'other/a.docx']),
+    ['cases/a.docx', 'cases/2024/q1/b.docx']);
+  assert.deepEqual(matches('*.txt', ['a.txt', 'sub/a.txt', 'atxt']), ['a.txt']);
+  assert.deepEqual(matches('file?.txt', ['file1.txt', 'file12.txt', 'file/.txt']), ['file1.txt']);
+  assert.deepEqual(matches('[!a]*.txt', ['a.txt', 'b.txt']), ['b.txt']);
+  assert.deepEqual(matches('*.{txt,docx}', ['a.txt', 'a.docx', 'a.pdf']), ['a.txt', 'a.docx']);
+  assert.deepEqual(matches('a+b (1).txt', ['a+b (1).txt', 'aab (1).txt']), ['a+b (1).txt']);
+});
+
+test('only supported files are listed; hidden entries are skipped unless asked for', () => withTree(
+  ['a.txt', 'b.pdf', '.secret.txt', '.git/c.txt', 'sub/d.docx'],
+  (dir) => {
+    const result = scanDirectory(dir, { extensions: EXTENSIONS });
+    assert.deepEqual(relatives(result), ['a.txt', 'sub/d.docx']);
+    assert.equal(result.skipped.hidden, 2);
+    assert.deepEqual(relatives(scanDirectory(dir, { extensions: EXTENSIONS, includeHidden: true })),
+      ['.git/c.txt', '.secret.txt', 'a.txt', 'sub/d.docx']);
+  },
+));
+
+test('include and exclude patterns match names at any depth, or paths with "/"', () => withTree(
+  ['keep/a.txt', 'keep/drafts/b.txt', 'clients/x/c.docx', 'clients/y/d.txt', 'e.txt'],
+  (dir) => {
+    const excluded = scanDirectory(dir, { extensions: EXTENSIONS, exclude: ['drafts', 'clients/y'] });
+    assert.deepEqual(relatives(excluded), ['clients/x/c.docx', 'e.txt', 'keep/a.txt']);
+    assert.equal(excluded.skipped.excluded, 2);
+    assert.deepEqual(relatives(scanDirectory(dir, { extensions: EXTENSIONS, include: ['clients/**/*.docx', 'e.*'] })),
+      ['clients/x/c.docx', 'e.txt']);
+  },
+));
+
+test('the walk stops at the depth and file limits and says so', () => withTree(
+  ['a.txt', 'b.txt', 'c.txt', 'one/d.txt', 'one/two/e.txt'],
+  (dir) => {
+    const shallow = scanDirectory(dir, { extensions: EXTENSIONS, maxDepth: 1 });
+    assert.deepEqual(relatives(shallow), ['a.txt', 'b.txt', 'c.txt', 'one/d.txt']);
+    assert.equal(shallow.skipped.depth, 1);
+    assert.equal(shallow.truncated, false);
+
+    const limited = scanDirectory(dir, { extensions: EXTENSIONS, maxFiles: 2 });
+    assert.deepEqual(relatives(limited), ['a.txt', 'b.txt']);
+    assert.equal(limited.truncated, true);
+    // Unsupported files do not count towards the limit
+    assert.equal(scanDirectory(dir, { extensions: ['.pdf'], maxFiles: 0 }).truncated, false);
+  },
+));
+
+test('symlinked folders are skipped, or followed once each', { skip: process.platform === 'win32' }, () => withTree(
+  ['real/a.txt'],
+  (dir) => {
+    fs.symlinkSync(path.join(dir, 'real'), path.join(dir, 'link'), 'dir');
+    fs.symlinkSync(dir, path.join(dir, 'real', 'loop'), 'dir');
+    const skipped = scanDirectory(dir, { extensions: EXTENSIONS });
+    assert.deepEqual(relatives(skipped), ['real/a.txt']);
+    assert.equal(skipped.skipped.symlinks, 2);
+    assert.deepEqual(relatives(scanDirectory(dir, { extensions: EXTENSIONS, followSymlinks: true })), ['link/a.txt']);
+  },
+));
+
+test('inputs expand to files with the folder they were found under', () => withTree(
+  ['cases/2024/a.docx', 'cases/b.txt', 'notes.md'],
+  (dir) => {
+    const { files, unmatched } = expandInputs(
+      [`${dir}/cases/**/*.docx`, path.join(dir, 'notes.md'), path.join(dir, 'missing*.txt')],
+      { extensions: EXTENSIONS },
+    );
+    assert.deepEqual(files, [
+      { path: path.join(dir, 'cases/2024/a.docx'), base: path.join(dir, 'cases'), explicit: false },
+      { path: path.join(dir, 'notes.md'), base: dir, explicit: true },
+    ]);
+    assert.deepEqual(unmatched, [path.join(dir, 'missing*.txt')]);
+  },
+));
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { FolderWatcher } from '../folderWatcher.js';
+
+async function withInbox(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a5-watch-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Writes an output and a key file next to it, like processFile, and finds
+// the names listed in the input
+function createWatcher(watchDir, options = {}) {
+  const entries = [];
+  const watcher = new FolderWatcher({
+    watchDir,
+    extensions: ['.txt'],
+    settleMs: 0,
+    quarantineOn: ['review', 'SSN'],
+    process: async (inputPath, outputPath) => {
+      const text = fs.readFileSync(inputPath, 'utf8');
+      if (text.includes('broken')) throw new Error('Cannot parse file');
+      fs.writeFileSync(outputPath, 'anonymized');
+      fs.writeFileSync(`${outputPath}.a5key`, 'key');
+      return {
+        entityCounts: text.includes('SSN') ? { SSN: 1 } : { NAME: 1 },
+        review: text.includes('maybe') ? [{ text: 'maybe' }] : [],
+      };
+    },
+    onFile: (entry) => entries.push(entry),
+    ...options,
+  });
+  return { watcher, entries };
+}
+
+const list = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).sort() : []);
+
+test('a file is only picked up once it has stayed unchanged for the settle delay', () => withInbox(async (dir) => {
+  const { watcher, entries } = createWatcher(dir, { settleMs: 60 * 1000 });
+  const filePath = path.join(dir, 'a.txt');
+  fs.writeFileSync(filePath, 'Jane');
+  await watcher.poll();
+  assert.deepEqual(entries, []);
+
+  // A change while it settles starts the delay again
+  watcher.pending.get(filePath).since = 0;
+  fs.appendFileSync(filePath, ' Doe, and more');
+  await watcher.poll();
+  assert.deepEqual(entries, []);
+  assert.ok(watcher.pending.get(filePath).since > 0);
+
+  watcher.settleMs = 0;
+  await watcher.poll();
+  assert.deepEqual(entries.map((entry) => entry.status), ['archived']);
+}));
+
+test('results go to the output folder and originals to the archive', () => withInbox(async (dir) => {
+  const { watcher, entries } = createWatcher(dir);
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'Jane');
+  fs.writeFileSync(path.join(dir, 'notes.pdf'), 'left alone');
+  await watcher.poll();
+
+  assert.deepEqual(list(dir), ['anonymized', 'archive', 'notes.pdf']);
+  assert.deepEqual(list(path.join(dir, 'anonymized')), ['a-anon.txt', 'a-anon.txt.a5key']);
+  assert.deepEqual(list(path.join(dir, 'archive')), ['a.txt']);
+  assert.equal(entries[0].output, path.join(dir, 'anonymized', 'a-anon.txt'));
+  assert.equal(entries[0].movedTo, path.join(dir, 'archive', 'a.txt'));
+}));
+
+test('a quarantined result is held in the quarantine folder with its original', () => withInbox(async (dir) => {
+  const { watcher, entries } = createWatcher(dir);
+  fs.mkdirSync(path.join(dir, 'quarantine'));
+  fs.writeFileSync(path.join(dir, 'quarantine', 'a-anon.txt'), 'earlier');
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'SSN 123-45-6789');
+  fs.writeFileSync(path.join(dir, 'b.txt'), 'maybe Jane');
+  await watcher.poll();
+
+  assert.deepEqual(entries.map((entry) => entry.status), ['quarantined', 'quarantined']);
+  assert.deepEqual(list(path.join(dir, 'anonymized')), []);
+  assert.deepEqual(list(path.join(dir, 'quarantine')),
+    ['a-anon-2.txt', 'a-anon-2.txt.a5key', 'a-anon.txt', 'a.txt', 'b-anon.txt', 'b-anon.txt.a5key', 'b.txt']);
+  assert.equal(entries[0].output, path.join(dir, 'quarantine', 'a-anon-2.txt'));
+  assert.equal(fs.readFileSync(path.join(dir, 'quarantine', 'a-anon.txt'), 'utf8'), 'earlier');
+}));
+
+test('a failed file is moved to the error folder with a sidecar saying why', () => withInbox(async (dir) => {
+  const { watcher, entries } = createWatcher(dir);
+  fs.mkdirSync(path.join(dir, 'errors'));
+  fs.writeFileSync(path.join(dir, 'errors', 'a.txt'), 'earlier');
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'broken');
+  await watcher.poll();
+
+  assert.equal(entries[0].status, 'failed');
+  assert.equal(entries[0].movedTo, path.join(dir, 'errors', 'a-2.txt'));
+  assert.deepEqual(list(path.join(dir, 'errors')), ['a-2.txt', 'a-2.txt.error.json', 'a.txt']);
+  const sidecar = JSON.parse(fs.readFileSync(path.join(dir, 'errors', 'a-2.txt.error.json'), 'utf8'));
+  assert.equal(sidecar.file, 'a.txt');
+  assert.equal(sidecar.error, 'Cannot parse file');
+  assert.deepEqual(list(path.join(dir, 'anonymized')), []);
+}));
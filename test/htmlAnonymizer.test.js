@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { anonymizeHtml } from '../htmlAnonymizer.js';
+import { restoreHtml } from '../reidentify.js';
+
+// Finds the given values in the collected text and replaces them as mapped
+function createEngine(replacements) {
+  return {
+    findSpans: async (text) => Object.entries(replacements)
+      .flatMap(([value, replacement]) => [...text.matchAll(new RegExp(value, 'g'))].map((match) => ({
+        start: match.index, end: match.index + value.length, text: value, type: 'NAME', replacement,
+      })))
+      .sort((a, b) => a.start - b.start),
+    pseudonymize: (value, type) => `${type}_1`,
+  };
+}
+
+const engine = createEngine({ 'Jane Doe': 'NAME_1', 'René Dupont': 'R**** D*****', 'jane@acme.com': 'EMAIL_1' });
+
+test('a name split by inline tags is found, one split by blocks is not', async () => {
+  assert.equal(await anonymizeHtml('<p>Dear <b>Jane</b> Doe,</p><table><tr><td>Jane</td><td>Doe</td></tr></table>', engine),
+    '<p>Dear <b>NAME_1</b>,</p><table><tr><td>Jane</td><td>Doe</td></tr></table>');
+});
+
+test('scripts and styles are left alone; titles, comments and the meta author are not', async () => {
+  const html = '<html><head><title>Jane Doe</title><meta name="author" content="Jane Doe"><style>/* Jane Doe */</style></head>' +
+    '<body><script>var n = "Jane Doe";</script><!-- Jane Doe --></body></html>';
+  assert.equal(await anonymizeHtml(html, engine),
+    '<html><head><title>NAME_1</title><meta name="author" content="AUTHOR_1"><style>/* Jane Doe */</style></head>' +
+    '<body><script>var n = "Jane Doe";</script><!-- NAME_1 --></body></html>');
+});
+
+test('character references are decoded for detection and replacements escaped', async () => {
+  assert.equal(await anonymizeHtml('<p>Ren&eacute; Dupont &amp; co</p>', createEngine({ 'René Dupont': '<R&D>' })),
+    '<p>&lt;R&amp;D&gt; &amp; co</p>');
+});
+
+test('text attributes, link targets and personal query parameters are anonymized', async () => {
+  const html = '<img alt="Jane Doe" src="/photos/jane.png"><a href="mailto:jane@acme.com?subject=Hi">Mail</a> ' +
+    '<a href="/profile?email=x@y.z&amp;id=7">p</a> <a href=/u?name=Jane>u</a>';
+  assert.equal(await anonymizeHtml(html, engine),
+    '<img alt="NAME_1" src="/photos/jane.png"><a href="mailto:EMAIL_1?subject=Hi">Mail</a> ' +
+    '<a href="/profile?email=EMAIL_1&amp;id=7">p</a> <a href="/u?name=NAME_1">u</a>');
+});
+
+test('restored values are escaped for HTML', () => {
+  assert.equal(restoreHtml('<p title="NAME_1">NAME_1 &amp; co</p>', { NAME_1: 'Tom <&> Jerry' }),
+    '<p title="Tom &lt;&amp;&gt; Jerry">Tom &lt;&amp;&gt; Jerry &amp; co</p>');
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { anonymizeJson, anonymizeJsonLines, parseJsonSelector } from '../jsonAnonymizer.js';
+
+// Finds the given names in the scanned text, like the model would
+function createNameEngine(names) {
+  return {
+    findSpans: async (text) => names.flatMap((name) =>
+      [...text.matchAll(new RegExp(name, 'g'))].map((match) => ({
+        start: match.index, end: match.index + name.length, text: name, type: 'NAME', replacement: 'NAME_1',
+      }))),
+    pseudonymize: (value, type) => `${type}_1`,
+    hash: (value, type) => `${type}_HASH`,
+    progress: async () => {},
+  };
+}
+
+async function collect(lines, engine, fieldPolicies) {
+  const output = [];
+  for await (const line of anonymizeJsonLines(lines, engine, fieldPolicies)) output.push(line);
+  return output;
+}
+
+test('selectors parse into keys, indexes, wildcards and descendants', () => {
+  assert.deepEqual(parseJsonSelector("$.user['e-mail'][0]"), [{ key: 'user' }, { key: 'e-mail' }, { index: 0 }]);
+  assert.deepEqual(parseJsonSelector('$..phone'), [{ descendant: true }, { key: 'phone' }]);
+  assert.deepEqual(parseJsonSelector('$.items[*].note'), [{ key: 'items' }, { any: true }, { key: 'note' }]);
+  for (const invalid of ['user.email', '$.[', '$[abc]', '$.a[0']) {
+    assert.throws(() => parseJsonSelector(invalid), /JSON selector/, invalid);
+  }
+});
+
+test('only string values change; keys, numbers and layout are kept', async () => {
+  const text = '{\n  "Jane Doe": "Jane Doe",\n  "age": 42,\n  "ok": true,\n  "tags": ["Jane Doe", null]\n}\n';
+  assert.equal(await anonymizeJson(text, createNameEngine(['Jane Doe'])),
+    '{\n  "Jane Doe": "NAME_1",\n  "age": 42,\n  "ok": true,\n  "tags": ["NAME_1", null]\n}\n');
+});
+
+test('field policies apply below what they select, the deepest selector winning', async () => {
+  const text = JSON.stringify({
+    user: { name: 'Jane Doe', email: 'jane@acme.com', id: 'Jane Doe' },
+    items: [{ note: 'for Jane Doe', phone: '555-0100' }],
+    contact: { phone: '555-0199' },
+  });
+  const output = JSON.parse(await anonymizeJson(text, createNameEngine(['Jane Doe']), {
+    '$.user': 'skip',
+    '$.user.email': 'redact',
+    '$..phone': 'hash',
+    '$.items[*].note': 'ner',
+  }));
+  assert.deepEqual(output, {
+    user: { name: 'Jane Doe', email: 'EMAIL_1', id: 'Jane Doe' },
+    items: [{ note: 'for NAME_1', phone: 'PHONE_HASH' }],
+    contact: { phone: 'PHONE_HASH' },
+  });
+});
+
+test('JSONL keeps blank lines and its byte order mark', async () => {
+  const output = await collect(['\uFEFF{"name": "Jane Doe"}', '', '{"name": "Bob"}'], createNameEngine(['Jane Doe']));
+  assert.deepEqual(output, ['\uFEFF{"name": "NAME_1"}', '', '{"name": "Bob"}']);
+});
+
+test('an invalid JSONL line fails the file and names the line', async () => {
+  await assert.rejects(collect(['{"name": "Jane Doe"}', '{"name": "Jane', '{}'], createNameEngine(['Jane Doe'])),
+    /^Error: Line 2 is not valid JSON: /);
+});
+
+test('an invalid JSON document fails', async () => {
+  await assert.rejects(anonymizeJson('{"name": "Jane Doe",}', createNameEngine([])), SyntaxError);
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { anonymizeMarkdown } from '../markdownAnonymizer.js';
+
+// Finds the given values in the collected text and replaces them as mapped
+function createEngine(replacements) {
+  return {
+    findSpans: async (text) => Object.entries(replacements)
+      .flatMap(([value, replacement]) => [...text.matchAll(new RegExp(value, 'g'))].map((match) => ({
+        start: match.index, end: match.index + value.length, text: value, type: 'NAME', replacement,
+      })))
+      .sort((a, b) => a.start - b.start),
+    pseudonymize: (value, type) => `${type}_1`,
+  };
+}
+
+const engine = createEngine({ 'Jane Doe': 'NAME_1', 'René Dupont': 'R**** D*****', 'jane@acme.com': 'EMAIL_1' });
+
+test('block and inline syntax is kept around the replaced text', async () => {
+  const markdown = '# Jane Doe\n\n- [ ] call René Dupont\n> wrote [to Jane Doe](mailto:jane@acme.com "Jane Doe")\n\n' +
+    '`Jane Doe` and <span title="Jane Doe">x</span>\n';
+  assert.equal(await anonymizeMarkdown(markdown, engine),
+    '# NAME_1\n\n- [ ] call R\\*\\*\\*\\* D\\*\\*\\*\\*\\*\n> wrote [to NAME_1](mailto:EMAIL_1 "NAME_1")\n\n' +
+    '`NAME_1` and <span title="NAME_1">x</span>\n');
+});
+
+test('code blocks are anonymized without Markdown escapes', async () => {
+  assert.equal(await anonymizeMarkdown('```js\nconst owner = "René Dupont";\n```\n\n    René Dupont\n', engine),
+    '```js\nconst owner = "R**** D*****";\n```\n\n    R**** D*****\n');
+});
+
+test('front matter values and table cells are text; their syntax is not', async () => {
+  const markdown = '---\nauthor: Jane Doe\ntitle: Notes\n---\n| Name | Mail |\n|---|---|\n| René Dupont | <jane@acme.com> |\n';
+  assert.equal(await anonymizeMarkdown(markdown, engine),
+    '---\nauthor: NAME_1\ntitle: Notes\n---\n| Name | Mail |\n|---|---|\n| R\\*\\*\\*\\* D\\*\\*\\*\\*\\* | <EMAIL_1> |\n');
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectPatterns } from '../patternDetectors.js';
+
+// Matched texts with their types, in order
+const detected = (text, enabled) => detectPatterns(text, enabled).map((span) => [span.type, span.text]);
+
+test('structured identifiers are found with their types', () => {
+  const text = 'Mail jane.doe+work@acme.co.uk, IBAN DE89 3704 0044 0532 0130 00, card 4111 1111 1111 1111, ' +
+    'SSN 123-45-6789, MAC 00:1A:2B:3C:4D:5E, hosts 192.168.1.10 and 2001:db8::1.';
+  assert.deepEqual(detected(text), [
+    ['EMAIL', 'jane.doe+work@acme.co.uk'],
+    ['IBAN', 'DE89 3704 0044 0532 0130 00'],
+    ['CREDITCARDNUMBER', '4111 1111 1111 1111'],
+    ['SSN', '123-45-6789'],
+    ['MAC', '00:1A:2B:3C:4D:5E'],
+    ['IP', '192.168.1.10'],
+    ['IP', '2001:db8::1'],
+  ]);
+});
+
+test('spans carry offsets into the text and their detector', () => {
+  const text = 'Write to bob@example.org today';
+  const [span] = detectPatterns(text);
+  assert.equal(text.slice(span.start, span.end), 'bob@example.org');
+  assert.equal(span.source, 'pattern:email');
+  assert.equal(span.score, 1);
+});
+
+test('checksums reject look-alike numbers', () => {
+  assert.deepEqual(detected('IBAN DE88 3704 0044 0532 0130 00, card 4111 1111 1111 1112'), []);
+});
+
+test('phone numbers with a country code, area code or trunk prefix are found', () => {
+  assert.deepEqual(detected('Call +1 555 123 4567, (030) 123 4567 or 0171 234 5678.'), [
+    ['PHONENUMBER', '+1 555 123 4567'],
+    ['PHONENUMBER', '(030) 123 4567'],
+    ['PHONENUMBER', '0171 234 5678'],
+  ]);
+  assert.deepEqual(detected('Office 555 123 4567'), [['PHONENUMBER', '555 123 4567']]);
+});
+
+test('amounts, years and dates are not phone numbers', () => {
+  const text = 'Revenue 10 000 000 and 1.234.567 units in 2023 1234; signed 2024-01-31, paid 31.01.2024, ' +
+    'ref 1234 5678.';
+  assert.deepEqual(detected(text), []);
+});
+
+test('passport numbers need the keyword, postal codes their format', () => {
+  assert.deepEqual(detected('Passport no. X1234567; code X1234567.'), [['PASSPORT', 'X1234567']]);
+  assert.deepEqual(detected('San Francisco, CA 94105; London SW1A 1AA; Ottawa K1A 0B1'), [
+    ['ZIPCODE', '94105'],
+    ['ZIPCODE', 'SW1A 1AA'],
+    ['ZIPCODE', 'K1A 0B1'],
+  ]);
+});
+
+test('an SSN is not also reported as a phone number', () => {
+  assert.deepEqual(detected('SSN 123-45-6789'), [['SSN', '123-45-6789']]);
+});
+
+test('an address ending a sentence is found, one inside a longer dotted number is not', () => {
+  assert.deepEqual(detected('Reach it at 10.0.0.1. Or at fe80::1.'), [['IP', '10.0.0.1'], ['IP', 'fe80::1']]);
+  assert.deepEqual(detected('Version 1.2.3.4.5'), []);
+});
+
+test('detectors can be switched off one by one', () => {
+  const text = 'bob@example.org, 192.168.1.10';
+  assert.deepEqual(detected(text, { email: false }), [['IP', '192.168.1.10']]);
+  assert.deepEqual(detected(text, { email: false, ipAddress: false }), []);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import pdfjs from 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+import { FileProcessor } from '../fileProcessor.js';
+import { redactPdf } from '../pdfRedactor.js';
+
+// Finds the given names in the page text, like the model would
+function createNameEngine(names) {
+  return {
+    findSpans: async (text) => names.flatMap((name) =>
+      [...text.matchAll(new RegExp(name, 'g'))].map((match) => ({
+        start: match.index, end: match.index + name.length, text: name, type: 'NAME', replacement: 'NAME_1',
+      }))),
+    anonymizeText: async (text) => names.reduce((result, name) => result.replaceAll(name, 'NAME_1'), text),
+    pseudonymize: () => 'AUTHOR_1',
+    progress: async () => {},
+  };
+}
+
+async function buildTextPdf(lines, { pages = 1 } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let i = 0; i < pages; i++) {
+    const page = pdfDoc.addPage([400, 300]);
+    lines.forEach((line, index) => page.drawText(line, { x: 40, y: 250 - index * 20, size: 12, font }));
+  }
+  pdfDoc.setAuthor('Jane Doe');
+  pdfDoc.setTitle('Letter to Jane Doe');
+  return Buffer.from(await pdfDoc.save());
+}
+
+async function pageTexts(buffer) {
+  const doc = await pdfjs.getDocument(new Uint8Array(buffer));
+  try {
+    const texts = [];
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const content = await (await doc.getPage(pageNumber)).getTextContent();
+      texts.push(content.items.map((item) => item.str).join(''));
+    }
+    return texts;
+  } finally {
+    doc.destroy();
+  }
+}
+
+// A page with no text on it, as a scanner writes it
+async function buildScannedPdf() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([300, 200]).drawRectangle({ x: 20, y: 20, width: 200, height: 100, color: rgb(0.5, 0.5, 0.5) });
+  return Buffer.from(await pdfDoc.save());
+}
+
+test('a PDF without a text layer is rejected, not passed through', async () => {
+  await assert.rejects(redactPdf(await buildScannedPdf(), createNameEngine(['Jane Doe'])), /no text layer/);
+});
+
+test('processing a scanned PDF fails and writes no output', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a5-pdf-'));
+  try {
+    const inputPath = path.join(dir, 'scan.pdf');
+    const outputPath = path.join(dir, 'scan-anon.pdf');
+    fs.writeFileSync(inputPath, await buildScannedPdf());
+    await assert.rejects(FileProcessor.processFile(inputPath, outputPath), /no text layer/);
+    assert.deepEqual(fs.readdirSync(dir), ['scan.pdf']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('detected text is removed from the page content, the rest is kept', async () => {
+  const input = await buildTextPdf(['Contact Jane Doe today.', 'Nothing to hide here.'], { pages: 2 });
+  const result = await redactPdf(input, createNameEngine(['Jane Doe']), { style: 'box' });
+  assert.equal(result.redactedAreas, 2);
+  assert.equal(result.removedGlyphs, 16);
+
+  const texts = await pageTexts(result.buffer);
+  assert.equal(texts.length, 2);
+  for (const text of texts) {
+    assert.doesNotMatch(text, /Jane|Doe/);
+    assert.match(text, /Contact/);
+    assert.match(text, /today\.Nothing to hide here\./);
+  }
+});
+
+test('document properties are anonymized along with the pages', async () => {
+  const result = await redactPdf(await buildTextPdf(['Hello Jane Doe']), createNameEngine(['Jane Doe']));
+  const output = await PDFDocument.load(result.buffer);
+  assert.equal(output.getAuthor(), 'AUTHOR_1');
+  assert.equal(output.getTitle(), 'Letter to NAME_1');
+  assert.equal(output.getPageCount(), 1);
+});
+
+test('a PDF with nothing detected keeps all its text', async () => {
+  const result = await redactPdf(await buildTextPdf(['Quarterly figures']), createNameEngine([]));
+  assert.equal(result.redactedAreas, 0);
+  assert.deepEqual(await pageTexts(result.buffer), ['Quarterly figures']);
+});
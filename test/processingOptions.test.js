@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateProcessingOptions } from '../processingOptions.js';
+
+const INVALID = {
+  replacementStrategies: { default: 'label', EMAIL: 'scramble' },
+  entityPolicy: { minScore: 0.5, types: { CITY: { enabled: false }, city: { enabled: false } } },
+  csvColumns: { email: 'redact', name: 'shuffle' },
+  jsonFields: { '$.user.email': 'redact', '$.[': 'skip' },
+  colour: 'blue',
+};
+
+test('invalid options from the app are dropped, the valid ones kept', () => {
+  assert.deepEqual(validateProcessingOptions(INVALID), {
+    replacementStrategies: { default: 'label' },
+    entityPolicy: { minScore: 0.5, types: { CITY: { enabled: false } } },
+    csvColumns: { email: 'redact' },
+    jsonFields: { '$.user.email': 'redact' },
+  });
+});
+
+test('in strict mode the first invalid option is an error that names it', () => {
+  const check = (options, message) => assert.throws(() => validateProcessingOptions(options, { strict: true }), { message });
+  check({ replacementStrategies: INVALID.replacementStrategies }, /^Invalid option replacementStrategies\.EMAIL \(expected label, .*\)$/);
+  check({ entityPolicy: INVALID.entityPolicy }, /^Invalid option entityPolicy\.types\.city /);
+  check({ entityPolicy: { types: { CITY: { minScore: 2 } } } }, /^Invalid option entityPolicy\.types\.CITY\.minScore /);
+  check({ csvColumns: INVALID.csvColumns }, /^Invalid option csvColumns\.name /);
+  check({ jsonFields: INVALID.jsonFields }, /^Invalid option jsonFields\["\$\.\["\] /);
+  check({ detectors: { fax: true } }, /^Unknown option detectors\.fax$/);
+  check({ colour: 'blue' }, /^Unknown option colour$/);
+});
+
+test('valid options pass strict mode unchanged', () => {
+  const options = {
+    replacementStrategies: { default: 'mask', EMAIL: 'hash' },
+    entityPolicy: { minScore: 0.4, types: { CITY: { enabled: false, reviewScore: 0.8 } } },
+    csvColumns: { email: 'redact' },
+    jsonFields: { '$..phone': 'skip' },
+    pseudonymScope: 'batch',
+    batchId: 'run-1',
+  };
+  assert.deepEqual(validateProcessingOptions(options, { strict: true }), options);
+});
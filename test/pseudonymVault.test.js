@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { ProjectVault, PseudonymScope } from '../pseudonymVault.js';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'a5-vault-'));
+
+test('an entity keeps its pseudonym within a scope, numbered per type', () => {
+  const scope = new PseudonymScope();
+  assert.equal(scope.getPseudonym('Jane Doe', 'NAME'), 'NAME_1');
+  assert.equal(scope.getPseudonym('Bob Roe', 'NAME'), 'NAME_2');
+  assert.equal(scope.getPseudonym('jane@acme.com', 'EMAIL'), 'EMAIL_1');
+  assert.equal(scope.getPseudonym('Jane Doe', 'NAME'), 'NAME_1');
+  assert.equal(new PseudonymScope().getPseudonym('Bob Roe', 'NAME'), 'NAME_1');
+});
+
+test('the first strategy an entity meets is the one it keeps', () => {
+  const scope = new PseudonymScope();
+  assert.equal(scope.getPseudonym('555-0100', 'PHONENUMBER', 'mask'), '***-0100');
+  assert.equal(scope.getPseudonym('555-0100', 'PHONENUMBER', 'label'), '***-0100');
+  assert.equal(scope.getPseudonym('Jane', 'NAME', 'remove'), '');
+});
+
+test('keyed hashes are stable within a scope and differ between scopes', () => {
+  const scope = new PseudonymScope();
+  const hash = scope.getPseudonym('555-0100', 'PHONENUMBER', 'hash');
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(new PseudonymScope({ hashKey: scope.hashKey }).hashValue('555-0100'), hash);
+  assert.notEqual(new PseudonymScope().hashValue('555-0100'), hash);
+});
+
+test('synthetic values are never the original or another entity\'s value', () => {
+  const scope = new PseudonymScope();
+  const values = ['Jane Doe', 'Bob Roe', 'Ann Lee', 'Tom Fox'].map((name) => scope.getPseudonym(name, 'NAME', 'synthetic'));
+  assert.equal(new Set(values).size, values.length);
+  assert.ok(!values.includes('Jane Doe'));
+});
+
+test('a related pseudonym is numbered when another entity already has it', () => {
+  const scope = new PseudonymScope();
+  assert.equal(scope.getRelatedPseudonym('jane@acme.com', 'name_1@example.com'), 'name_1@example.com');
+  assert.equal(scope.getRelatedPseudonym('j.doe@acme.com', 'name_1@example.com'), 'name_1.2@example.com');
+  assert.equal(scope.getRelatedPseudonym('jane@acme.com', 'other@example.com'), 'name_1@example.com');
+});
+
+test('entity texts that are Object.prototype keys get pseudonyms of their own', () => {
+  const scope = new PseudonymScope();
+  assert.equal(scope.getPseudonym('constructor', 'NAME'), 'NAME_1');
+  assert.equal(scope.getPseudonym('__proto__', 'NAME'), 'NAME_2');
+});
+
+test('a project vault keeps its numbering across loads', () => {
+  const dir = tempDir();
+  try {
+    const vault = ProjectVault.load(dir, 'Matter 42');
+    vault.getPseudonym('Jane Doe', 'NAME');
+    vault.save();
+    assert.equal(fs.statSync(path.join(dir, 'Matter 42.json')).mode & 0o777, 0o600);
+
+    const reopened = ProjectVault.load(dir, 'Matter 42');
+    assert.equal(reopened.getPseudonym('Jane Doe', 'NAME'), 'NAME_1');
+    assert.equal(reopened.getPseudonym('Bob Roe', 'NAME'), 'NAME_2');
+    assert.equal(reopened.hashKey, vault.hashKey);
+    assert.deepEqual(ProjectVault.list(dir), ['Matter 42']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('project names that are not safe file names are refused', () => {
+  for (const name of ['../escape', '', '.hidden', 'a/b', 'x'.repeat(65)]) {
+    assert.throws(() => ProjectVault.validateName(name), /Invalid project name/);
+  }
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { FileProcessor } from '../fileProcessor.js';
+import { readKeyFile, writeKeyFile } from '../mappingKeyFile.js';
+import { PseudonymScope } from '../pseudonymVault.js';
+import { createRestorer, restoreCsv, restoreJson } from '../reidentify.js';
+
+const PASSWORD = 'correct horse';
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a5-restore-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('a pseudonym never matches inside a longer one', () => {
+  const restore = createRestorer({ NAME_1: 'Jane', NAME_12: 'Bob' });
+  assert.equal(restore('NAME_1, NAME_12 and NAME_123'), 'Jane, Bob and NAME_123');
+});
+
+test('restored CSV fields are quoted again when the original needs it', () => {
+  assert.equal(restoreCsv('name,city\nNAME_1,CITY_1\n', { NAME_1: 'Doe, Jane', CITY_1: 'Paris' }), 'name,city\n"Doe, Jane",Paris\n');
+});
+
+test('only the string values of a JSON document are restored', () => {
+  assert.equal(restoreJson('{"NAME_1": "NAME_1", "n": 1}', { NAME_1: 'Jane "J" Doe' }), '{"NAME_1": "Jane \\"J\\" Doe", "n": 1}');
+});
+
+test('a key file opens with its password only', () => withTempDir((dir) => {
+  const keyPath = path.join(dir, 'out.txt.a5key');
+  writeKeyFile(keyPath, { NAME_1: 'Jane Doe' }, PASSWORD, { source: 'in.txt' });
+  assert.deepEqual(readKeyFile(keyPath, PASSWORD), { source: 'in.txt', mapping: { NAME_1: 'Jane Doe' } });
+  assert.throws(() => readKeyFile(keyPath, 'wrong password'), /Incorrect password/);
+  assert.throws(() => writeKeyFile(keyPath, {}, 'short'), /at least 8 characters/);
+}));
+
+test('an anonymized file and its key file give back the original', () => withTempDir(async (dir) => {
+  const original = 'Jane Doe wrote to bob@example.org; Jane Doe signed.\n';
+  const scope = new PseudonymScope();
+  const detections = [[0, 8], [18, 33], [35, 43]].map(([start, end]) => {
+    const text = original.slice(start, end);
+    const type = text.includes('@') ? 'EMAIL' : 'NAME';
+    return { start, end, text, type, replacement: scope.getPseudonym(text, type) };
+  });
+  // Removed entities cannot be restored and are left out of the key file
+  detections.push({ start: 0, end: 0, text: 'Acme', type: 'ORG', replacement: scope.getPseudonym('Acme', 'ORG', 'remove') });
+
+  const outputPath = path.join(dir, 'letter-anon.txt');
+  fs.writeFileSync(outputPath, 'Anonymized\n\nNAME_1 wrote to EMAIL_1; NAME_1 signed.\n');
+  const { keyPath } = FileProcessor.writeSidecarFiles(path.join(dir, 'letter.txt'), outputPath, original.length, Date.now(),
+    { keyPassword: PASSWORD, detections });
+  assert.deepEqual(readKeyFile(keyPath, PASSWORD).mapping, { NAME_1: 'Jane Doe', EMAIL_1: 'bob@example.org' });
+
+  const restoredPath = path.join(dir, 'letter-restored.txt');
+  const messages = [];
+  const logger = { log: (message) => messages.push(message), warn: assert.fail, error: assert.fail };
+  await FileProcessor.restoreFile(outputPath, keyPath, PASSWORD, restoredPath, { logger });
+  assert.equal(fs.readFileSync(restoredPath, 'utf8'), original);
+  assert.deepEqual(messages, [`Restoring file: ${outputPath}`, `Restored file saved to: ${restoredPath}`]);
+}));
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { maskValue, strategyFor, syntheticValue } from '../replacementStrategies.js';
+
+test('the strategy of a type falls back to the default, then to labels', () => {
+  assert.equal(strategyFor({ default: 'mask', EMAIL: 'hash' }, 'EMAIL'), 'hash');
+  assert.equal(strategyFor({ default: 'mask' }, 'CITY'), 'mask');
+  assert.equal(strategyFor({ default: 'scramble' }, 'CITY'), 'label');
+  assert.equal(strategyFor(null, 'CITY'), 'label');
+});
+
+test('masks keep separators, the tail of numbers and the first letter of words', () => {
+  assert.equal(maskValue('4111 1111 1111 1234'), '**** **** **** 1234');
+  assert.equal(maskValue('John Smith'), 'J*** S****');
+});
+
+test('synthetic values are repeatable for a seed', () => {
+  assert.equal(syntheticValue('Jane Doe', 'NAME', 'seed'), syntheticValue('Jane Doe', 'NAME', 'seed'));
+});
+
+test('synthetic values follow the exact entity type', () => {
+  assert.match(syntheticValue('jane@acme.com', 'EMAIL', 's'), /^[a-z]+\.[a-z]+@example\.(?:com|org|net)$/);
+  assert.match(syntheticValue('10.1.2.3', 'IP', 's'), /^192\.0\.2\.\d+$/);
+  assert.match(syntheticValue('Jane Doe', 'FIRSTNAME', 's'), /^[A-Z][a-z]+$/);
+  assert.match(syntheticValue('Jane Doe', 'NAME', 's'), /^[A-Z][a-z]+ [A-Z][a-z]+$/);
+  assert.match(syntheticValue('1 Main St', 'STREETADDRESS', 's'), /^\d+ [A-Z][a-z]+ [A-Z][a-z]+$/);
+});
+
+test('crypto, MAC and account labels keep their shape instead of becoming names or streets', () => {
+  const cases = [
+    ['ETHEREUMADDRESS', '0x52908400098527886E0F7030069857D2E4169EE7'],
+    ['BITCOINADDRESS', '1BoatSLRHtKNngkdXEeobR76b53LETtpyT'],
+    ['LITECOINADDRESS', 'LQ4i7FJ7bR2qH6MxMG8Pp3eqQzZ9H4vXc5'],
+    ['MACADDRESS', '00:1a:2b:3c:4d:5e'],
+    ['CURRENCYNAME', 'Euro'],
+    ['ACCOUNTNAME', 'Savings Account'],
+  ];
+  for (const [type, value] of cases) {
+    const synthetic = syntheticValue(value, type, 's');
+    assert.equal(synthetic.length, value.length, type);
+    assert.equal(synthetic.replace(/[\p{L}\p{N}]/gu, 'x'), value.replace(/[\p{L}\p{N}]/gu, 'x'), type);
+  }
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyReviewDecisions, createReviewProgress } from '../reviewDecisions.js';
+import { validateProcessingOptions } from '../processingOptions.js';
+
+const TEXT = 'Jane met Jane Doe in Paris.';
+const span = (start, end, type, source = 'model') => ({ start, end, text: TEXT.slice(start, end), type, score: 0.9, source });
+
+test('a rejected detection is kept at its occurrence only', () => {
+  const progress = createReviewProgress([{ segment: 0, start: 0, end: 4, text: 'Jane', replace: false }]);
+  const { spans } = applyReviewDecisions(progress, TEXT, { spans: [span(0, 4, 'NAME'), span(9, 13, 'NAME')], heldBack: [] });
+  assert.deepEqual(spans.map(({ start }) => start), [9]);
+});
+
+test('held-back values are accepted, detections retyped and selections added', () => {
+  const progress = createReviewProgress([
+    { segment: 0, start: 21, end: 26, text: 'Paris', type: 'CITY', replace: true },
+    { segment: 0, start: 9, end: 17, text: 'Jane Doe', type: 'FULLNAME', replace: true },
+    { segment: 0, start: 0, end: 4, text: 'Jane', type: 'FIRSTNAME', replace: true },
+  ]);
+  const { spans, heldBack } = applyReviewDecisions(progress, TEXT, {
+    spans: [span(0, 4, 'NAME'), span(9, 13, 'NAME')],
+    heldBack: [span(21, 26, 'LOCATION')],
+  });
+  assert.deepEqual(heldBack, []);
+  assert.deepEqual(spans.map(({ text, type, source }) => [text, type, source]),
+    [['Jane', 'FIRSTNAME', 'model'], ['Jane Doe', 'FULLNAME', 'review'], ['Paris', 'CITY', 'model']]);
+});
+
+test('decisions follow the text parts in order and skip text that moved', () => {
+  const progress = createReviewProgress([
+    { segment: 1, start: 0, end: 4, text: 'Jane', replace: false },
+    { segment: 2, start: 0, end: 4, text: 'Jane', replace: false },
+  ]);
+  const detections = () => ({ spans: [span(0, 4, 'NAME')], heldBack: [] });
+  assert.equal(applyReviewDecisions(progress, TEXT, detections()).spans.length, 1);
+  assert.equal(applyReviewDecisions(progress, TEXT, detections()).spans.length, 0);
+  assert.equal(applyReviewDecisions(progress, `Dear ${TEXT}`, detections()).spans.length, 1);
+});
+
+test('review decisions from the app are checked occurrence by occurrence', () => {
+  const decisions = [
+    { segment: 0, start: 0, end: 4, text: 'Jane', type: 'NAME', replace: false },
+    { segment: 0, start: 9, end: 17, text: 'Jane Doe', type: 'FULLNAME', replace: true },
+    { segment: 0, start: 9, end: 12, text: 'Jane Doe', type: 'NAME', replace: true },
+    { segment: 1, start: 0, end: 4, text: 'Jane', type: 'lower', replace: true },
+  ];
+  assert.deepEqual(validateProcessingOptions({ reviewDecisions: decisions }).reviewDecisions, [
+    { segment: 0, start: 0, end: 4, text: 'Jane', replace: false },
+    { segment: 0, start: 9, end: 17, text: 'Jane Doe', replace: true, type: 'FULLNAME' },
+  ]);
+  assert.equal(validateProcessingOptions({ reviewDecisions: decisions }).dictionaries, undefined);
+  assert.throws(() => validateProcessingOptions({ reviewDecisions: decisions }, { strict: true }), /reviewDecisions\[2\]/);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chunkText, mergeChunkSpans } from '../textChunker.js';
+
+// One token per word stands in for the model's tokenizer
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const sentences = (count) => Array.from({ length: count }, (_, index) => `Sentence ${index + 1} has five words.`).join(' ');
+
+test('a short text is one window', () => {
+  assert.deepEqual(chunkText('Jane Doe lives here.', { countTokens }), [{ start: 0, end: 20, text: 'Jane Doe lives here.' }]);
+  assert.deepEqual(chunkText('', { countTokens }), []);
+});
+
+test('windows are cut on sentence boundaries and stay within the limit', () => {
+  const text = sentences(12);
+  const chunks = chunkText(text, { maxTokens: 20, overlapTokens: 0, countTokens });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk.text) <= 20);
+    assert.equal(chunk.text, text.slice(chunk.start, chunk.end));
+    assert.match(chunk.text.trimEnd(), /words\.$/);
+  }
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks.at(-1).end, text.length);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.equal(chunks[i].start, chunks[i - 1].end);
+  }
+});
+
+test('consecutive windows share trailing sentences as overlap', () => {
+  const chunks = chunkText(sentences(12), { maxTokens: 20, overlapTokens: 5, countTokens });
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].start < chunks[i - 1].end);
+    assert.ok(chunks[i].start > chunks[i - 1].start);
+  }
+});
+
+test('a sentence longer than a window is split between words', () => {
+  const text = Array.from({ length: 50 }, (_, index) => `w${index}`).join(' ');
+  const chunks = chunkText(text, { maxTokens: 8, overlapTokens: 0, countTokens });
+  assert.equal(chunks.map((chunk) => chunk.text).join(''), text);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk.text) <= 8);
+    assert.match(chunk.text, /^w\d+/);
+  }
+});
+
+test('the same entity found in two windows is kept once, with the best score', () => {
+  const text = 'Contact Jane Doe now';
+  const merged = mergeChunkSpans(text, [
+    { start: 8, end: 12, text: 'Jane', type: 'NAME', score: 0.6 },
+    { start: 8, end: 16, text: 'Jane Doe', type: 'NAME', score: 0.9 },
+    { start: 13, end: 16, text: 'Doe', type: 'NAME', score: 0.5 },
+    { start: 13, end: 16, text: 'Doe', type: 'CITY', score: 0.4 },
+  ]);
+  assert.deepEqual(merged.map((span) => [span.text, span.type, span.score]), [['Jane Doe', 'NAME', 0.9], ['Doe', 'CITY', 0.4]]);
+});
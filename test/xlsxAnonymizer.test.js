@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+
+import { anonymizeWorkbook } from '../xlsxAnonymizer.js';
+
+// Finds the given names in the joined sheet text, like the model would
+function createNameEngine(names) {
+  const mapping = new Map();
+  const pseudonym = (value, type = 'NAME') => {
+    if (!mapping.has(value)) mapping.set(value, `${type}_${mapping.size + 1}`);
+    return mapping.get(value);
+  };
+  return {
+    findSpans: async (text) => names.flatMap((name) =>
+      [...text.matchAll(new RegExp(name, 'g'))].map((match) => ({
+        start: match.index, end: match.index + name.length, text: name, type: 'NAME', replacement: pseudonym(name),
+      }))),
+    pseudonymize: (value, type) => pseudonym(value, type),
+    progress: async () => {},
+  };
+}
+
+// Anonymizes a workbook and reads the saved result back
+async function roundTrip(workbook, names) {
+  await anonymizeWorkbook(workbook, createNameEngine(names));
+  const output = new ExcelJS.Workbook();
+  await output.xlsx.load(await workbook.xlsx.writeBuffer());
+  return output;
+}
+
+test('text, rich text, links, notes and formula literals are anonymized; numbers are not', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Contacts');
+  sheet.getCell('A1').value = 'Jane Doe';
+  sheet.getCell('A2').value = { richText: [{ text: 'Dear Ja' }, { font: { bold: true }, text: 'ne Doe' }] };
+  sheet.getCell('A3').value = { text: 'Mail Jane Doe', hyperlink: 'mailto:Jane Doe' };
+  sheet.getCell('A4').value = { formula: '"Hi "&"Jane Doe"', result: 'Hi Jane Doe' };
+  sheet.getCell('A5').value = 1234;
+  sheet.getCell('A5').note = 'Checked by Jane Doe';
+
+  const output = (await roundTrip(workbook, ['Jane Doe'])).getWorksheet('Contacts');
+  assert.equal(output.getCell('A1').value, 'NAME_1');
+  assert.deepEqual(output.getCell('A2').value.richText.map((run) => run.text), ['Dear NAME_1', '']);
+  assert.equal(output.getCell('A2').value.richText[1].font.bold, true);
+  assert.deepEqual(output.getCell('A3').value, { text: 'Mail NAME_1', hyperlink: 'mailto:NAME_1' });
+  assert.equal(output.getCell('A4').value.formula, '"Hi "&"NAME_1"');
+  assert.equal(output.getCell('A4').value.result, 'Hi NAME_1');
+  assert.equal(output.getCell('A5').value, 1234);
+  assert.equal(output.getCell('A5').note, 'Checked by NAME_1');
+});
+
+test('a sheet named after a person is renamed, and formulas follow it', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Jane Doe').getCell('A1').value = 42;
+  workbook.addWorksheet('Summary').getCell('A1').value = { formula: "'Jane Doe'!A1*2", result: 84 };
+
+  const output = await roundTrip(workbook, ['Jane Doe']);
+  assert.deepEqual(output.worksheets.map((worksheet) => worksheet.name), ['NAME_1', 'Summary']);
+  assert.equal(output.getWorksheet('Summary').getCell('A1').value.formula, "'NAME_1'!A1*2");
+});
+
+test('authors are pseudonymized unless unknown', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Jane Doe';
+  workbook.lastModifiedBy = 'Unknown';
+  workbook.addWorksheet('Data').getCell('A1').value = 'nothing here';
+
+  const output = await roundTrip(workbook, []);
+  assert.equal(output.creator, 'AUTHOR_1');
+  assert.equal(output.lastModifiedBy, 'Unknown');
+});
@@ -0,0 +1,139 @@
+/**
+ * Splits long text into overlapping windows that fit the NER model.
+ *
+ * The DeBERTa pipeline truncates its input to a fixed number of tokens, so
+ * anything past the limit would never be classified. Windows are cut on
+ * paragraph and sentence boundaries, and consecutive windows share a few
+ * trailing sentences so entities near a cut are seen with context.
+ */
+
+// Leaves headroom below the model's 512-token limit for special tokens
+// and for tokens that merge differently once segments are joined.
+export const DEFAULT_CHUNK_TOKENS = 400;
+export const DEFAULT_OVERLAP_TOKENS = 64;
+
+// Upper bound on characters per token, used to avoid measuring huge slices
+const MAX_CHARS_PER_TOKEN = 16;
+
+/**
+ * Splits text into paragraph, line and sentence segments with their offsets.
+ * Whitespace between segments stays with the preceding segment, so the
+ * segments tile the text exactly.
+ */
+function splitSegments(text) {
+  const segments = [];
+  const boundary = /\n\s*|(?<=[.!?]["')\]]?)\s+(?=\S)/g;
+  let start = 0;
+  for (const match of text.matchAll(boundary)) {
+    const end = match.index + match[0].length;
+    segments.push({ start, end });
+    start = end;
+  }
+  if (start < text.length) {
+    segments.push({ start, end: text.length });
+  }
+  return segments;
+}
+
+/**
+ * Breaks a segment that is too long on its own. Binary-searches the longest
+ * prefix that fits, then backs off to the last whitespace so words stay whole
+ * (unbroken runs are cut hard).
+ */
+function splitOversizedSegment(text, segment, maxTokens, countTokens) {
+  const pieces = [];
+  let start = segment.start;
+  while (start < segment.end) {
+    // No token is longer than a handful of characters, so this bounds the search
+    let low = start + 1;
+    let high = Math.min(segment.end, start + maxTokens * MAX_CHARS_PER_TOKEN);
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (countTokens(text.slice(start, mid)) <= maxTokens) low = mid;
+      else high = mid - 1;
+    }
+
+    let end = low;
+    if (end < segment.end) {
+      const lastSpace = text.slice(start, end).search(/\s\S*$/);
+      if (lastSpace > 0) end = start + lastSpace + 1;
+    }
+    pieces.push({ start, end });
+    start = end;
+  }
+  return pieces;
+}
+
+/**
+ * Returns windows { start, end, text } covering the whole text.
+ * `countTokens(str)` measures a string in model tokens.
+ */
+export function chunkText(text, {
+  maxTokens = DEFAULT_CHUNK_TOKENS,
+  overlapTokens = DEFAULT_OVERLAP_TOKENS,
+  countTokens,
+} = {}) {
+  if (!text) return [];
+  if (text.length <= maxTokens * MAX_CHARS_PER_TOKEN && countTokens(text) <= maxTokens) {
+    return [{ start: 0, end: text.length, text }];
+  }
+
+  const segments = [];
+  for (const segment of splitSegments(text)) {
+    const tokens = countTokens(text.slice(segment.start, segment.end));
+    if (tokens > maxTokens) {
+      for (const piece of splitOversizedSegment(text, segment, maxTokens, countTokens)) {
+        segments.push({ ...piece, tokens: countTokens(text.slice(piece.start, piece.end)) });
+      }
+    } else {
+      segments.push({ ...segment, tokens });
+    }
+  }
+
+  const chunks = [];
+  let first = 0;
+  while (first < segments.length) {
+    let last = first;
+    let tokens = segments[first].tokens;
+    while (last + 1 < segments.length && tokens + segments[last + 1].tokens <= maxTokens) {
+      last++;
+      tokens += segments[last].tokens;
+    }
+
+    const start = segments[first].start;
+    const end = segments[last].end;
+    chunks.push({ start, end, text: text.slice(start, end) });
+    if (last === segments.length - 1) break;
+
+    // Step back over trailing segments to build the overlap, but always move forward
+    let next = last + 1;
+    let overlap = 0;
+    while (next - 1 > first && overlap + segments[next - 1].tokens <= overlapTokens) {
+      next--;
+      overlap += segments[next].tokens;
+    }
+    first = next;
+  }
+  return chunks;
+}
+
+/**
+ * Reconciles spans found in overlapping windows: duplicates of the same
+ * entity (same type, overlapping range) collapse into their union with the
+ * best score. Spans of different types are left for overlap resolution.
+ */
+export function mergeChunkSpans(text, spans) {
+  const ordered = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  for (const span of ordered) {
+    const previous = merged.findLast((s) => s.type === span.type && span.start < s.end);
+    if (previous) {
+      previous.end = Math.max(previous.end, span.end);
+      previous.text = text.slice(previous.start, previous.end);
+      previous.score = Math.max(previous.score, span.score);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,253 @@
+import os from 'os';
+import { Worker, MessageChannel } from 'worker_threads';
+
+/**
+ * Runs FileProcessor in worker threads (processWorker.js), so the main
+ * process stays responsive and several files can be processed at once.
+ * Every worker loads its own copy of the model, so the pool only grows
+ * while there is memory for another one; idle workers are stopped after a
+ * while to give that memory back.
+ *
+ *   const pool = new WorkerPool({ size: 2 });
+ *   const result = await pool.run({ kind: 'process', filePath, outputPath, options }, { pseudonyms });
+ *
+ * A shared PseudonymScope (batch or project) stays in the calling thread;
+ * workers look pseudonyms up in it synchronously (see processWorker.js).
+ * Running tasks report progress and can be paused, resumed or cancelled.
+ */
+
+// Rough memory use of one worker with the model loaded
+export const DEFAULT_WORKER_MEMORY_MB = 1536;
+
+// Idle workers are stopped after this long
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// A cancelled task that has not stopped by then is stopped with its worker
+const CANCEL_GRACE_MS = 10 * 1000;
+
+// Pseudonym scope methods workers may call
+const SCOPE_METHODS = ['getPseudonym', 'getRelatedPseudonym', 'hashValue'];
+
+const WORKER_URL = new URL('./processWorker.js', import.meta.url);
+
+/**
+ * Default number of workers: one per CPU core but one, and no more than
+ * half the machine's memory allows.
+ */
+export function defaultPoolSize(memoryPerWorkerMb = DEFAULT_WORKER_MEMORY_MB) {
+  const byCpu = Math.max(1, os.cpus().length - 1);
+  const byMemory = Math.floor(os.totalmem() / 2 / (memoryPerWorkerMb * 1024 * 1024));
+  return Math.max(1, Math.min(byCpu, byMemory));
+}
+
+/**
+ * Rejection of a task stopped by WorkerPool.cancel().
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+    this.cancelled = true;
+  }
+}
+
+export class WorkerPool {
+  /**
+   * options.size: maximum number of workers (0 or omitted: defaultPoolSize())
+   * options.memoryPerWorkerMb: free memory needed to start another worker
+   * options.idleTimeoutMs: how long an idle worker is kept
+   * options.logger: receives the workers' messages (an object with
+   * console's log, warn and error methods; the console by default)
+   */
+  constructor({ size = 0, memoryPerWorkerMb = DEFAULT_WORKER_MEMORY_MB, idleTimeoutMs = IDLE_TIMEOUT_MS, logger = console } = {}) {
+    this.memoryPerWorkerMb = memoryPerWorkerMb;
+    this.logger = logger;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.paused = false;
+    this.setSize(size);
+  }
+
+  /**
+   * Changes the maximum number of workers; extra busy workers finish their
+   * current file first.
+   */
+  setSize(size) {
+    this.size = Number.isInteger(size) && size > 0 ? size : defaultPoolSize(this.memoryPerWorkerMb);
+    this.workers.filter((entry) => !entry.job).slice(this.size).forEach((entry) => this.stopWorker(entry));
+    this.dispatch();
+  }
+
+  /**
+   * Runs a task in a worker: { kind: 'process', filePath, outputPath, options }
+   * resolves to FileProcessor.processFile's result without its detections,
+   * { kind: 'preview', filePath, options } to FileProcessor.previewFile's.
+   * `pseudonyms` is the shared scope to use, if any; `onProgress` receives
+   * the task's progress ({ stage, done, total, entities }).
+   */
+  run(task, { pseudonyms = null, onProgress = null } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, pseudonyms, onProgress, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Holds queued tasks and makes running ones wait at their next step.
+   */
+  pause() {
+    this.paused = true;
+    this.broadcast({ pause: true });
+  }
+
+  resume() {
+    this.paused = false;
+    this.broadcast({ pause: false });
+    this.dispatch();
+  }
+
+  /**
+   * Cancels every queued and running task; they reject with CancelledError.
+   * Running tasks stop at their next step, before their output is moved into
+   * place; a worker that does not stop in time is terminated.
+   */
+  cancel() {
+    this.queue.splice(0).forEach((job) => job.reject(new CancelledError()));
+    for (const entry of this.workers) {
+      if (!entry.job || entry.cancelTimer) continue;
+      entry.worker.postMessage({ control: { cancel: entry.job.id } });
+      entry.cancelTimer = setTimeout(() => {
+        this.onWorkerGone(entry, new CancelledError());
+        entry.worker.terminate();
+      }, CANCEL_GRACE_MS);
+      entry.cancelTimer.unref();
+    }
+  }
+
+  /**
+   * Stops every worker. Queued and running tasks are rejected.
+   */
+  async close() {
+    this.closed = true;
+    this.queue.splice(0).forEach((job) => job.reject(new Error('Worker pool is closed')));
+    await Promise.all([...this.workers].map((entry) => this.stopWorker(entry)));
+  }
+
+  broadcast(control) {
+    this.workers.forEach((entry) => entry.worker.postMessage({ control }));
+  }
+
+  dispatch() {
+    while (this.queue.length > 0 && !this.paused) {
+      let entry = this.workers.find((candidate) => !candidate.job);
+      if (!entry) {
+        if (!this.canStartWorker()) return;
+        entry = this.startWorker();
+      }
+      const job = this.queue.shift();
+      clearTimeout(entry.idleTimer);
+      entry.job = job;
+      entry.worker.postMessage({ id: job.id, sharedScope: Boolean(job.pseudonyms), ...job.task });
+    }
+  }
+
+  // Memory-aware: a second worker only starts if its model fits in free memory
+  canStartWorker() {
+    if (this.workers.length >= this.size) return false;
+    return this.workers.length === 0 || os.freemem() >= this.memoryPerWorkerMb * 1024 * 1024;
+  }
+
+  startWorker() {
+    const { port1, port2 } = new MessageChannel();
+    const scopeSignal = new SharedArrayBuffer(4);
+    const signal = new Int32Array(scopeSignal);
+    const worker = new Worker(WORKER_URL, {
+      workerData: { scopePort: port2, scopeSignal },
+      transferList: [port2],
+    });
+    const entry = { worker, port: port1, job: null, idleTimer: null, cancelTimer: null };
+
+    // Answers pseudonym lookups from the job's shared scope
+    port1.on('message', ({ method, args }) => {
+      let reply;
+      try {
+        const scope = entry.job && entry.job.pseudonyms;
+        if (!scope || !SCOPE_METHODS.includes(method)) {
+          throw new Error(`Unexpected pseudonym scope call: ${method}`);
+        }
+        reply = { result: scope[method](...args) };
+      } catch (error) {
+        reply = { error: error.message };
+      }
+      port1.postMessage(reply);
+      Atomics.store(signal, 0, 1);
+      Atomics.notify(signal, 0);
+    });
+
+    worker.on('message', ({ id, result, error, progress, cancelled, log }) => {
+      if (log) {
+        this.logger[log.level](log.message);
+        return;
+      }
+      const { job } = entry;
+      if (!job || job.id !== id) return;
+      if (progress) {
+        if (job.onProgress) job.onProgress(progress);
+        return;
+      }
+      entry.job = null;
+      clearTimeout(entry.cancelTimer);
+      entry.cancelTimer = null;
+      if (cancelled) {
+        job.reject(new CancelledError());
+      } else if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+      this.onIdle(entry);
+    });
+    worker.on('error', (error) => this.onWorkerGone(entry, error));
+    worker.on('exit', (code) => this.onWorkerGone(entry, new Error(`Worker stopped (exit code ${code})`)));
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  onIdle(entry) {
+    if (this.workers.indexOf(entry) >= this.size) {
+      this.stopWorker(entry);
+      return;
+    }
+    this.dispatch();
+    if (!entry.job) {
+      entry.idleTimer = setTimeout(() => this.stopWorker(entry), this.idleTimeoutMs);
+      entry.idleTimer.unref();
+    }
+  }
+
+  onWorkerGone(entry, error) {
+    const index = this.workers.indexOf(entry);
+    if (index === -1) return;
+    this.workers.splice(index, 1);
+    clearTimeout(entry.idleTimer);
+    clearTimeout(entry.cancelTimer);
+    entry.port.close();
+    if (entry.job) {
+      entry.job.reject(error);
+      entry.job = null;
+    }
+    this.dispatch();
+  }
+
+  stopWorker(entry) {
+    this.onWorkerGone(entry, new Error('Worker stopped'));
+    return entry.worker.terminate();
+  }
+}
@@ -0,0 +1,431 @@
+import { assignSpansToSegments, replaceSpans } from './entitySpans.js';
+
+/**
+ * Workbook anonymization on an ExcelJS workbook.
+ *
+ * Every place a workbook keeps text is visited: plain, rich-text and
+ * hyperlink cells (and link targets), cached formula results and string
+ * literals in formulas, cell notes, headers and footers, data-validation
+ * lists and messages, sheet names and document properties. The text of one
+ * sheet is sent to the model in a single call; each item is one "group" of
+ * parts (a rich-text cell is one group with a part per run), and detected
+ * spans are mapped back onto the parts they cover.
+ *
+ * `engine` is bound to the current file by FileProcessor:
+ *   findSpans(text, location) -> spans with `replacement`
+ *   pseudonymize(value, type) -> replacement for a value known to be PII
+ *   progress(stage, done, total) -> called after each sheet
+ * Detections are located by sheet position and cell (or part) for the
+ * audit report.
+ */
+
+// Header/footer control codes: section (&L &C &R), font (&"Arial,Bold"),
+// size (&12), colour (&KFF0000), fields (&P &D &F ...) and && for "&"
+const HEADER_FOOTER_CODE = /&(?:"[^"]*"|\d+|K[0-9A-Fa-f]{6}|K\d\d[+-]\d{3}|[\s\S])/g;
+const HEADER_FOOTER_KEYS = ['oddHeader', 'oddFooter', 'evenHeader', 'evenFooter', 'firstHeader', 'firstFooter'];
+
+const VALIDATION_TEXT_KEYS = ['promptTitle', 'prompt', 'errorTitle', 'error'];
+
+// Document properties that hold names of people
+const AUTHOR_PROPERTIES = ['creator', 'lastModifiedBy', 'manager'];
+// Free-text document properties
+const TEXT_PROPERTIES = ['title', 'subject', 'description', 'keywords', 'category', 'company'];
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[*?:/\\[\]]/g;
+
+// Links to a cell of the workbook: "Sheet2!D3" (as ExcelJS reads them) or "#Sheet2!D3"
+const INTERNAL_LINK = /^#|^[^!]+![A-Za-z]+\d+$/;
+
+// Sheet names that can appear unquoted in a formula reference (Sheet1!A1)
+const UNQUOTED_SHEET_REF = /(^|[^\p{L}\p{N}_.\]])([\p{L}_][\p{L}\p{N}_.]*)(?=!)/gu;
+
+/**
+ * Splits a formula into string literals ("..."), quoted sheet names ('...')
+ * and everything else, so literals can be rewritten without touching the
+ * formula around them.
+ */
+function splitFormula(formula) {
+  const tokens = [];
+  let other = '';
+  for (let i = 0; i < formula.length;) {
+    const quote = formula[i];
+    if (quote !== '"' && quote !== "'") {
+      other += formula[i++];
+      continue;
+    }
+    if (other) tokens.push({ type: 'other', value: other });
+    other = '';
+    let value = '';
+    let j = i + 1;
+    while (j < formula.length) {
+      if (formula[j] === quote) {
+        if (formula[j + 1] !== quote) break;
+        j++;
+      }
+      value += formula[j++];
+    }
+    tokens.push({ type: quote === '"' ? 'string' : 'sheet', value });
+    i = j + 1;
+  }
+  if (other) tokens.push({ type: 'other', value: other });
+  return tokens;
+}
+
+function quoteValue(value, quote) {
+  return quote + value.split(quote).join(quote + quote) + quote;
+}
+
+function joinFormula(tokens) {
+  return tokens.map((token) => {
+    if (token.type === 'string') return quoteValue(token.value, '"');
+    if (token.type === 'sheet') return quoteValue(token.value, "'");
+    return token.value;
+  }).join('');
+}
+
+/**
+ * Rewrites references to renamed sheets (Map old name => new name) in a
+ * formula or a "#Sheet!A1" link location.
+ */
+function renameSheetReferences(formula, renamed) {
+  const lookup = (name) => renamed.get(name.toLowerCase());
+  return joinFormula(splitFormula(formula).map((token) => {
+    if (token.type === 'sheet') {
+      const name = lookup(token.value);
+      return name === undefined ? token : { type: 'sheet', value: name };
+    }
+    if (token.type === 'other') {
+      const value = token.value.replace(UNQUOTED_SHEET_REF, (match, before, sheet) => {
+        const name = lookup(sheet);
+        return name === undefined ? match : before + quoteValue(name, "'");
+      });
+      return { type: 'other', value };
+    }
+    return token;
+  }));
+}
+
+function getFormula(value) {
+  return value && typeof value === 'object' && typeof value.formula === 'string' ? value.formula : null;
+}
+
+/**
+ * Lists the text groups of a cell as { parts, apply(parts) }. `apply` reads
+ * the cell's current value, so several groups of one cell can be applied in
+ * turn.
+ */
+function collectCellGroups(cell, groups) {
+  const value = cell.value;
+
+  if (typeof value === 'string') {
+    groups.push({ parts: [value], apply: ([text]) => { cell.value = text; } });
+  } else if (value && Array.isArray(value.richText)) {
+    groups.push({
+      parts: value.richText.map((run) => run.text),
+      apply: (texts) => {
+        cell.value = { ...cell.value, richText: cell.value.richText.map((run, i) => ({ ...run, text: texts[i] })) };
+      },
+    });
+  } else if (value && typeof value.hyperlink === 'string') {
+    if (typeof value.text === 'string') {
+      groups.push({ parts: [value.text], apply: ([text]) => { cell.value = { ...cell.value, text }; } });
+    } else if (value.text && Array.isArray(value.text.richText)) {
+      groups.push({
+        parts: value.text.richText.map((run) => run.text),
+        apply: (texts) => {
+          const richText = cell.value.text.richText.map((run, i) => ({ ...run, text: texts[i] }));
+          cell.value = { ...cell.value, text: { ...cell.value.text, richText } };
+        },
+      });
+    }
+    // Internal locations (Sheet!A1) are handled with the sheet names
+    if (!INTERNAL_LINK.test(value.hyperlink)) {
+      groups.push({ parts: [value.hyperlink], apply: ([hyperlink]) => { cell.value = { ...cell.value, hyperlink }; } });
+    }
+    if (typeof value.tooltip === 'string') {
+      groups.push({ parts: [value.tooltip], apply: ([tooltip]) => { cell.value = { ...cell.value, tooltip }; } });
+    }
+  } else if (value && typeof value === 'object' && ('formula' in value || 'sharedFormula' in value)) {
+    if (typeof value.result === 'string') {
+      groups.push({ parts: [value.result], apply: ([result]) => { cell.value = { ...cell.value, result }; } });
+    }
+    const formula = getFormula(value);
+    if (formula) {
+      const tokens = splitFormula(formula);
+      tokens.forEach((token) => {
+        if (token.type !== 'string') return;
+        groups.push({
+          parts: [token.value],
+          apply: ([text]) => {
+            token.value = text;
+            cell.value = { ...cell.value, formula: joinFormula(tokens) };
+          },
+        });
+      });
+    }
+  }
+
+  const note = cell.note;
+  if (typeof note === 'string') {
+    groups.push({ parts: [note], apply: ([text]) => { cell.note = text; } });
+  } else if (note && Array.isArray(note.texts)) {
+    groups.push({
+      parts: note.texts.map((run) => run.text),
+      apply: (texts) => {
+        cell.note = { ...cell.note, texts: cell.note.texts.map((run, i) => ({ ...run, text: texts[i] })) };
+      },
+    });
+  }
+}
+
+function collectHeaderFooterGroups(worksheet, groups) {
+  const headerFooter = worksheet.headerFooter || {};
+  for (const key of HEADER_FOOTER_KEYS) {
+    const value = headerFooter[key];
+    if (typeof value !== 'string' || !value) continue;
+
+    // Text and codes alternate: [text, code, text, ..., text]
+    const pieces = [];
+    let last = 0;
+    for (const match of value.matchAll(HEADER_FOOTER_CODE)) {
+      pieces.push(value.slice(last, match.index), match[0]);
+      last = match.index + match[0].length;
+    }
+    pieces.push(value.slice(last));
+
+    // Left, centre and right sections are separate texts; other codes
+    // (fonts, sizes) only split the runs of one text
+    let section = [];
+    const sections = [section];
+    for (let i = 0; i < pieces.length; i += 2) {
+      section.push(i);
+      if (/^&[LCR]$/.test(pieces[i + 1] || '')) {
+        section = [];
+        sections.push(section);
+      }
+    }
+    for (const indexes of sections) {
+      groups.push({
+        parts: indexes.map((i) => pieces[i]),
+        apply: (texts) => {
+          indexes.forEach((index, n) => { pieces[index] = texts[n]; });
+          worksheet.headerFooter[key] = pieces.join('');
+        },
+      });
+    }
+  }
+}
+
+/**
+ * The data validations of a sheet. ExcelJS stores one per cell, with cells
+ * of the same range sharing an object, so each is returned once.
+ */
+function uniqueValidations(worksheet) {
+  return [...new Set(Object.values(worksheet.dataValidations.model))].filter(Boolean);
+}
+
+function collectValidationGroups(worksheet, groups) {
+  for (const validation of uniqueValidations(worksheet)) {
+    for (const key of VALIDATION_TEXT_KEYS) {
+      if (typeof validation[key] === 'string' && validation[key]) {
+        groups.push({ parts: [validation[key]], apply: ([text]) => { validation[key] = text; } });
+      }
+    }
+    // Inline lists are a single quoted, comma-separated string
+    const list = validation.type === 'list' && Array.isArray(validation.formulae) ? validation.formulae[0] : null;
+    if (typeof list === 'string' && /^".*"$/s.test(list)) {
+      const items = list.slice(1, -1).replace(/""/g, '"').split(',');
+      items.forEach((item, i) => {
+        groups.push({
+          parts: [item],
+          apply: ([text]) => {
+            items[i] = text.replace(/,/g, ' ');
+            validation.formulae[0] = quoteValue(items.join(','), '"');
+          },
+        });
+      });
+    }
+  }
+}
+
+/**
+ * Lists every text group of a worksheet. Merged cells are visited once,
+ * through their master cell. Each group's location gives the sheet by
+ * position (`sheet`, 1-based), as names can themselves be PII.
+ */
+function collectSheetGroups(worksheet, sheet) {
+  const groups = [];
+  const locate = (from, location) => groups.slice(from).forEach((group) => { group.location = location; });
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    row.eachCell({ includeEmpty: false }, (cell) => {
+      if (cell.isMerged && cell.master !== cell) return;
+      const from = groups.length;
+      collectCellGroups(cell, groups);
+      locate(from, { sheet, cell: cell.address });
+    });
+  });
+  let from = groups.length;
+  collectHeaderFooterGroups(worksheet, groups);
+  locate(from, { sheet, part: 'header/footer' });
+  from = groups.length;
+  collectValidationGroups(worksheet, groups);
+  locate(from, { sheet, part: 'data validation' });
+  return groups;
+}
+
+/**
+ * Runs detection once over all groups (a blank line between groups) and
+ * applies the replacements. Spans never cross from one group into another.
+ * `location` is where the joined text as a whole comes from (e.g. its
+ * sheet); each span then gets its group's location.
+ */
+async function anonymizeGroups(groups, engine, location = null) {
+  const segments = [];
+  let text = '';
+  for (const group of groups) {
+    const joined = group.parts.join('');
+    if (!joined.trim()) continue;
+    if (text) text += '\n\n';
+    segments.push({ offset: text.length, text: joined, group, location: group.location });
+    text += joined;
+  }
+  if (!text) return 0;
+
+  const spans = await engine.findSpans(text, location);
+  assignSpansToSegments(spans, segments, { replaceEachPart: true });
+  for (const segment of segments) {
+    if (!segment.edits) continue;
+    let offset = 0;
+    const parts = segment.group.parts.map((part) => {
+      const item = { offset, text: part };
+      offset += part.length;
+      return item;
+    });
+    assignSpansToSegments(segment.edits, parts);
+    segment.group.apply(parts.map((part) => (part.edits ? replaceSpans(part.text, part.edits) : part.text)));
+  }
+  return spans.length;
+}
+
+/**
+ * Turns a (possibly anonymized) name into a valid sheet name that is not in
+ * `taken` (lowercased names).
+ */
+function toSheetName(name, taken) {
+  let base = name.replace(INVALID_SHEET_NAME_CHARS, '_').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+  if (base.toLowerCase() === 'history') base = 'Sheet';
+  base = base.slice(0, MAX_SHEET_NAME_LENGTH);
+  let candidate = base;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Renames worksheets (Map worksheet => new name) and updates every
+ * reference to them: formulas, internal links, data-validation formulas and
+ * defined names.
+ */
+function renameSheets(workbook, newNames) {
+  const renamed = new Map();
+  const taken = new Set(workbook.worksheets.filter((ws) => !newNames.has(ws)).map((ws) => ws.name.toLowerCase()));
+  for (const [worksheet, name] of newNames) {
+    const finalName = toSheetName(name, taken);
+    if (finalName !== worksheet.name) renamed.set(worksheet.name.toLowerCase(), finalName);
+  }
+  if (renamed.size === 0) return;
+
+  // Two steps, so swapping two names never collides
+  const targets = [...newNames.keys()].filter((ws) => renamed.has(ws.name.toLowerCase()));
+  const finalNames = targets.map((ws) => renamed.get(ws.name.toLowerCase()));
+  targets.forEach((ws) => { ws.name = `~a5-${ws.id}`; });
+  targets.forEach((ws, i) => { ws.name = finalNames[i]; });
+
+  const rename = (formula) => renameSheetReferences(formula, renamed);
+  for (const worksheet of workbook.worksheets) {
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        if (cell.isMerged && cell.master !== cell) return;
+        const value = cell.value;
+        const formula = getFormula(value);
+        if (formula) {
+          cell.value = { ...value, formula: rename(formula) };
+        } else if (value && typeof value.hyperlink === 'string' && INTERNAL_LINK.test(value.hyperlink)) {
+          const hash = value.hyperlink.startsWith('#') ? '#' : '';
+          cell.value = { ...value, hyperlink: hash + rename(value.hyperlink.slice(hash.length)) };
+        }
+      });
+    });
+    for (const validation of uniqueValidations(worksheet)) {
+      if (Array.isArray(validation.formulae)) {
+        validation.formulae = validation.formulae.map((formula) => (typeof formula === 'string' ? rename(formula) : formula));
+      }
+    }
+  }
+  workbook.definedNames.model = workbook.definedNames.model.map((definedName) => ({
+    ...definedName,
+    ranges: definedName.ranges.map(rename),
+  }));
+}
+
+function workbookGroups(workbook, sheetNames) {
+  const groups = workbook.worksheets.map((worksheet, index) => ({
+    parts: [worksheet.name],
+    apply: ([name]) => sheetNames.set(worksheet, name),
+    location: { sheet: index + 1, part: 'sheet name' },
+  }));
+  for (const key of TEXT_PROPERTIES) {
+    if (typeof workbook[key] === 'string' && workbook[key]) {
+      groups.push({ parts: [workbook[key]], apply: ([text]) => { workbook[key] = text; }, location: { part: 'properties' } });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Anonymizes a loaded ExcelJS workbook in place. Resolves to the number of
+ * entity spans found in its sheets.
+ */
+export async function anonymizeWorkbook(workbook, engine) {
+  let found = 0;
+  for (const [index, worksheet] of workbook.worksheets.entries()) {
+    found += await anonymizeGroups(collectSheetGroups(worksheet, index + 1), engine, { sheet: index + 1 });
+    await engine.progress('sheet', index + 1, workbook.worksheets.length);
+  }
+
+  const sheetNames = new Map();
+  await anonymizeGroups(workbookGroups(workbook, sheetNames), engine, { part: 'workbook' });
+  renameSheets(workbook, sheetNames);
+
+  for (const key of AUTHOR_PROPERTIES) {
+    if (typeof workbook[key] === 'string' && workbook[key] && workbook[key] !== 'Unknown') {
+      workbook[key] = engine.pseudonymize(workbook[key], 'AUTHOR', undefined, { part: 'properties' });
+    }
+  }
+  return found;
+}
+
+/**
+ * Applies a string rewrite (e.g. re-identification) to every text item of a
+ * workbook, including sheet names and document properties.
+ */
+export function rewriteWorkbookText(workbook, rewrite) {
+  const apply = (group) => group.apply(group.parts.map(rewrite));
+  workbook.worksheets.forEach((worksheet, index) => {
+    collectSheetGroups(worksheet, index + 1).forEach(apply);
+  });
+
+  const sheetNames = new Map();
+  workbookGroups(workbook, sheetNames).forEach(apply);
+  renameSheets(workbook, sheetNames);
+
+  for (const key of AUTHOR_PROPERTIES) {
+    if (typeof workbook[key] === 'string' && workbook[key]) {
+      workbook[key] = rewrite(workbook[key]);
+    }
+  }
+}